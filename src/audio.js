@@ -249,6 +249,8 @@ export const audio = (() => {
         // small falling tone + soft noise tail
         playZap({ freqStart: 700, freqEnd: 180, dur: 0.16, gain: 0.35 });
         return playNoiseBurst({ dur: 0.22, type: "lowpass", cutoff: 600, q: 0.9, gain: 0.25 });
+      case "pickup":
+        return playBlip({ freq: 880, dur: 0.06, gain: 0.22 });
       case "storm_start":
         return playNoiseBurst({ dur: 0.55, type: "lowpass", cutoff: 300, q: 0.6, gain: 0.3 });
       default:
@@ -0,0 +1,393 @@
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { WORLD } from "./constants.js";
+import { Enemy } from "./entities.js";
+import { createGroundRing } from "./effects.js";
+import { distance2D, dir2D, hexColor, now } from "./utils.js";
+import { t } from "./i18n.js";
+import { rngStream } from "./rng.js";
+import { applyStatus, clearStatuses } from "./status_effects.js";
+import { dealDamage } from "./damage.js";
+
+/**
+ * Boss encounters — one designed boss per map (ENEMY_BOSSES in src/enemies_pool.js).
+ * - Summoning: entering the map's arena (fixed world position, gold ground ring) or reaching
+ *   killsToSummon kills on the map spawns the boss. One encounter per map visit.
+ * - Phases: keyed on HP ratio thresholds; each phase changes the attack list, cadence, speed and damage.
+ *   Phase changes grant a short invulnerability with a shockwave.
+ * - Attacks: slam / barrage / leap, each telegraphed with EffectsManager.spawnTelegraph ground decals.
+ * - HUD: ui.updateBossBar({ name, ratio, phase, phases }) while the boss is engaged; null hides it.
+ * - Defeat: mapManager.markBossDefeated(currentIndex) (the gate for the next map) then
+ *   onBossDefeated({ id, mapIndex, unlocked, pos }) (pos = where the boss fell, for loot).
+ * - Despawn (defeat, leash, map switch): the boss leaves `enemies`, its mesh resources are disposed, its statuses
+ *   cleared and onDespawn(en) lets main.js drop its AI state and threat table, as a regular respawn does.
+ *
+ * The boss is a regular Enemy (tier "boss", isBoss = true) pushed into `enemies` so skills,
+ * targeting and the minimap see it; updateEnemies skips respawn/streaming for it and calls
+ * updateBoss(en, dt, toPlayer) instead of the signature behaviors.
+ * Like the signature behaviors, boss attacks target the hero and ignore decoys (src/threat.js): the encounter is
+ * tuned around the hero dodging its telegraphs, not around a clone soaking them.
+ */
+export function initBossSystem({
+  scene,
+  effects,
+  player,
+  enemies,
+  mapManager,
+  audio,
+  ui,
+  applyMapModifiersToEnemy,
+  setCenterMsg,
+  clearCenterMsg,
+  isSafeZone = null,
+  onBossDefeated = null,
+  onDespawn = null,
+} = {}) {
+  const LEASH_RADIUS = (WORLD.aiForgetRadius || 100) * 1.5; // boss leaves if the hero runs this far
+  const ARENA_COLOR = 0xffd86a;
+  const rand = rngStream("boss"); // summon positions, attack picks and barrage offsets
+
+  let boss = null;
+  let def = null; // boss definition for the current map
+  let killsOnMap = 0;
+  let encounterDone = false; // summoned once per map visit
+  let arenaMarker = null;
+  let msgTimer = null;
+
+  function flash(text, ms = 1600) {
+    try {
+      setCenterMsg && setCenterMsg(text);
+      clearTimeout(msgTimer);
+      msgTimer = setTimeout(() => { try { clearCenterMsg && clearCenterMsg(); } catch (_) {} }, ms);
+    } catch (_) {}
+  }
+
+  function inSafeZone(pos) {
+    try { return typeof isSafeZone === "function" && !!isSafeZone(pos); } catch (_) { return false; }
+  }
+
+  /* ---------------- Arena ---------------- */
+
+  function arenaCenter() {
+    const a = def && def.arena;
+    return a ? new THREE.Vector3(a.x || 0, 0, a.z || 0) : null;
+  }
+
+  // Remove from the scene and free GPU resources (arena rings, despawned bosses)
+  function disposeObject(obj) {
+    try {
+      scene.remove(obj);
+      obj.traverse((o) => {
+        try { o.geometry && o.geometry.dispose(); } catch (_) {}
+        try { o.material && o.material.dispose(); } catch (_) {}
+      });
+    } catch (_) {}
+  }
+
+  function buildArenaMarker() {
+    if (arenaMarker) disposeObject(arenaMarker);
+    arenaMarker = null;
+    const c = arenaCenter();
+    if (!c) return;
+    const r = def.arena.radius || 18;
+    const g = new THREE.Group();
+    g.add(createGroundRing(Math.max(0.5, r - 0.5), r, ARENA_COLOR, 0.55));
+    g.add(createGroundRing(Math.max(0.3, r * 0.35 - 0.25), r * 0.35, ARENA_COLOR, 0.35));
+    g.position.set(c.x, 0, c.z);
+    scene.add(g);
+    arenaMarker = g;
+  }
+
+  function resetForMap() {
+    def = mapManager.getBoss ? mapManager.getBoss(mapManager.getCurrentIndex()) : null;
+    killsOnMap = 0;
+    encounterDone = false;
+    buildArenaMarker();
+  }
+
+  /* ---------------- Spawning ---------------- */
+
+  function spawnBoss(pos, reasonKey) {
+    if (!def || boss) return;
+    try {
+      const en = new Enemy(pos, player.level, { archetype: def.id, tier: "boss" });
+      try { applyMapModifiersToEnemy && applyMapModifiersToEnemy(en); } catch (_) {}
+      en.isBoss = true;
+      en.bossDef = def;
+      en.baseSpeed = en.speed;
+      en.baseAttackDamage = en.attackDamage;
+      en.bossPhase = 0;
+      en.mesh.userData.enemyRef = en;
+      scene.add(en.mesh);
+      enemies.push(en);
+      boss = en;
+      encounterDone = true;
+      try { effects.spawnRingPulse(pos, 8, ARENA_COLOR, 0.8, 1.0, 0.7); } catch (_) {}
+      try { audio && audio.sfx("storm_start"); } catch (_) {}
+      flash(t(reasonKey).replace("{boss}", def.name), 2200);
+    } catch (_) {}
+  }
+
+  // Kill-count summon: appear a short distance from the hero, away from villages
+  function summonNearHero() {
+    const p = player.pos();
+    for (let i = 0; i < 6; i++) {
+      const ang = rand() * Math.PI * 2;
+      const pos = new THREE.Vector3(p.x + Math.cos(ang) * 18, 0, p.z + Math.sin(ang) * 18);
+      if (!inSafeZone(pos)) {
+        spawnBoss(pos, "boss.summoned");
+        return;
+      }
+    }
+  }
+
+  function despawnBoss() {
+    if (!boss) return;
+    const b = boss;
+    boss = null;
+    const i = enemies.indexOf(b);
+    if (i >= 0) enemies.splice(i, 1);
+    disposeObject(b.mesh);
+    try { clearStatuses(b); } catch (_) {}
+    try { onDespawn && onDespawn(b); } catch (_) {}
+    try { ui && ui.updateBossBar && ui.updateBossBar(null); } catch (_) {}
+  }
+
+  /* ---------------- Phases ---------------- */
+
+  function phasesOf() {
+    return (def && Array.isArray(def.phases) && def.phases.length) ? def.phases : [{ at: 1, attacks: [] }];
+  }
+
+  function currentPhase() {
+    return phasesOf()[boss ? boss.bossPhase || 0 : 0] || {};
+  }
+
+  function updatePhase() {
+    const phases = phasesOf();
+    const ratio = boss.maxHP > 0 ? boss.hp / boss.maxHP : 0;
+    let idx = 0;
+    for (let i = 0; i < phases.length; i++) {
+      if (ratio <= (phases[i].at ?? 1)) idx = i;
+    }
+    if (idx <= (boss.bossPhase || 0)) return;
+    boss.bossPhase = idx;
+    const ph = phases[idx];
+    boss.speed = boss.baseSpeed * (ph.speedMul || 1);
+    boss.attackDamage = Math.max(1, Math.floor(boss.baseAttackDamage * (ph.dmgMul || 1)));
+    applyStatus(boss, "invulnerable", { duration: 0.8 });
+    if (boss._bh) boss._bh.readyAt = Math.min(boss._bh.readyAt || 0, now() + 1.2);
+    try { effects.spawnRingPulse(boss.pos(), 10, ARENA_COLOR, 0.6, 1.2, 0.7); } catch (_) {}
+    try { audio && audio.sfx("boom"); } catch (_) {}
+    flash(t("boss.phase").replace("{phase}", String(idx + 1)), 1400);
+  }
+
+  /* ---------------- Attacks ---------------- */
+
+  function attackDamage(a) {
+    return Math.max(1, Math.floor(boss.currentAttackDamage() * (a.dmgMul || 1)));
+  }
+
+  function hitPlayerIn(centers, radius, amount) {
+    if (!player.alive) return;
+    const hit = centers.some((c) => distance2D(c, player.pos()) <= radius);
+    if (!hit) return;
+    const dealt = dealDamage(boss, player, amount, { type: boss.damageType || "physical", canCrit: false });
+    try { audio && audio.sfx("player_hit"); } catch (_) {}
+    try { effects.spawnDamagePopup(player.pos(), dealt.amount, 0xffd0d0); } catch (_) {}
+  }
+
+  function pickAttack(toPlayer) {
+    const list = (currentPhase().attacks || []).filter((a) => {
+      if (a.type !== "leap") return true;
+      const [minR, maxR] = Array.isArray(a.range) ? a.range : [6, 26];
+      return toPlayer >= minR && toPlayer <= maxR;
+    });
+    if (!list.length) return null;
+    return list[Math.floor(rand() * list.length)];
+  }
+
+  function startAttack(en, a) {
+    const s = en._bh;
+    const tt = now();
+    const col = hexColor(en.beamColor, 0xff8844);
+    const windup = a.windup || 1.2;
+    s.attack = a;
+    s.until = tt + windup;
+    s.phase = "windup";
+    if (a.type === "slam") {
+      s.centers = [en.pos().clone().setY(0)];
+    } else if (a.type === "barrage") {
+      const n = Math.max(1, a.count || 3);
+      const spread = a.spread || 6;
+      const p = player.pos();
+      s.centers = [new THREE.Vector3(p.x, 0, p.z)];
+      for (let i = 1; i < n; i++) {
+        const ang = rand() * Math.PI * 2;
+        const r = spread * (0.35 + rand() * 0.65);
+        s.centers.push(new THREE.Vector3(p.x + Math.cos(ang) * r, 0, p.z + Math.sin(ang) * r));
+      }
+    } else {
+      // leap
+      s.centers = [player.pos().clone().setY(0)];
+    }
+    for (const c of s.centers) {
+      try { effects.spawnTelegraph(c, a.radius || 4, col, windup); } catch (_) {}
+    }
+  }
+
+  function resolveAttack(en) {
+    const s = en._bh;
+    const a = s.attack;
+    const col = hexColor(en.beamColor, 0xff8844);
+    for (const c of s.centers) {
+      try { effects.spawnStrike(c, a.radius || 4, col); } catch (_) {}
+      try { effects.spawnRingPulse(c, a.radius || 4, col, 0.4, 0.7, 0.65); } catch (_) {}
+    }
+    try { audio && audio.sfx(a.type === "barrage" ? "strike" : "boom"); } catch (_) {}
+    hitPlayerIn(s.centers, a.radius || 4, attackDamage(a));
+    s.phase = "idle";
+    s.readyAt = now() + (currentPhase().cooldown || 4);
+    en.nextAttackReady = now() + 0.8;
+  }
+
+  /**
+   * Boss AI tick (called from updateEnemies in place of signature behaviors).
+   * @returns {boolean} true while an attack wind-up/leap owns the boss
+   */
+  function updateBoss(en, dt, toPlayer) {
+    if (!en || !en.alive || en !== boss) return false;
+    if (!en._bh) en._bh = { phase: "idle", readyAt: now() + 2 };
+    const s = en._bh;
+    const tt = now();
+    try {
+      if (s.phase === "windup") {
+        const face = dir2D(en.pos(), s.centers[0]);
+        if (face.x || face.z) {
+          const q = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, Math.atan2(face.x, face.z), 0));
+          en.mesh.quaternion.slerp(q, 0.25);
+        }
+        if (tt >= s.until) {
+          if (s.attack.type === "leap") {
+            s.phase = "leap";
+            s.from = en.pos().clone();
+            s.start = tt;
+          } else {
+            resolveAttack(en);
+          }
+        }
+        return true;
+      }
+      if (s.phase === "leap") {
+        const a = s.attack;
+        const k = Math.min(1, (tt - s.start) / Math.max(0.1, a.leapTime || 0.6));
+        const to = s.centers[0];
+        en.mesh.position.x = s.from.x + (to.x - s.from.x) * k;
+        en.mesh.position.z = s.from.z + (to.z - s.from.z) * k;
+        en.liftY = Math.sin(k * Math.PI) * (a.arc || 4);
+        if (k >= 1) {
+          en.liftY = 0;
+          resolveAttack(en);
+        }
+        return true;
+      }
+      if (player.alive && toPlayer < WORLD.aiAggroRadius && tt >= s.readyAt && !inSafeZone(player.pos())) {
+        const a = pickAttack(toPlayer);
+        if (a) {
+          startAttack(en, a);
+          return true;
+        }
+      }
+    } catch (_) {}
+    return false;
+  }
+
+  /* ---------------- Frame update ---------------- */
+
+  function handleDefeat() {
+    const b = boss;
+    const d = def;
+    // Grant XP here so updateEnemies never schedules a regular respawn for the boss
+    if (!b._xpGranted) {
+      b._xpGranted = true;
+      try { audio && audio.sfx("enemy_die"); } catch (_) {}
+      try { player.gainXP(b.xpOnDeath); } catch (_) {}
+    }
+    const pos = b.pos().clone();
+    despawnBoss();
+    const mapIndex = mapManager.getCurrentIndex();
+    let unlocked = false;
+    try { unlocked = !!mapManager.markBossDefeated(mapIndex); } catch (_) {}
+    const nextIndex = mapIndex + 1;
+    if (unlocked) {
+      flash(t("boss.defeated").replace("{boss}", d.name), 2400);
+    } else if (mapManager.getUnlockedMax() < nextIndex) {
+      flash(t("boss.defeatedNeedLevel").replace("{boss}", d.name).replace("{level}", String(mapManager.requiredLevelFor(nextIndex))), 2800);
+    } else {
+      flash(t("boss.defeatedAgain").replace("{boss}", d.name), 2000);
+    }
+    try { window.dispatchEvent(new CustomEvent("boss-defeated", { detail: { id: d.id, mapIndex, unlocked } })); } catch (_) {}
+    try { onBossDefeated && onBossDefeated({ id: d.id, mapIndex, unlocked, pos }); } catch (_) {}
+  }
+
+  function update(dt) {
+    if (!def) return;
+    if (boss) {
+      if (!boss.alive) {
+        handleDefeat();
+        return;
+      }
+      // Hero fled: the boss returns to its arena and the encounter can be retried
+      if (player.alive && distance2D(player.pos(), boss.pos()) > LEASH_RADIUS) {
+        despawnBoss();
+        encounterDone = false;
+        flash(t("boss.fled").replace("{boss}", def.name), 1600);
+        return;
+      }
+      updatePhase();
+      try {
+        ui && ui.updateBossBar && ui.updateBossBar({
+          name: def.name,
+          ratio: boss.maxHP > 0 ? boss.hp / boss.maxHP : 0,
+          phase: (boss.bossPhase || 0) + 1,
+          phases: phasesOf().length,
+        });
+      } catch (_) {}
+      return;
+    }
+    if (encounterDone || !player.alive) return;
+    const c = arenaCenter();
+    if (c && distance2D(player.pos(), c) <= (def.arena.radius || 18)) {
+      spawnBoss(c, "boss.arrived");
+    } else if (def.killsToSummon && killsOnMap >= def.killsToSummon) {
+      summonNearHero();
+    }
+  }
+
+  // Regular enemy kill on the current map (counts toward killsToSummon)
+  function onEnemyKilled(en) {
+    if (en && !en.isBoss) killsOnMap++;
+  }
+
+  // Map switched: drop any engaged boss and reset the encounter for the new map
+  function onMapChanged() {
+    despawnBoss();
+    resetForMap();
+  }
+
+  function getArena() {
+    const c = arenaCenter();
+    return c ? { x: c.x, z: c.z, radius: def.arena.radius || 18, defeated: mapManager.isBossDefeated?.(mapManager.getCurrentIndex()) } : null;
+  }
+
+  function getActiveBoss() {
+    return boss;
+  }
+
+  function getKillProgress() {
+    return { kills: killsOnMap, needed: (def && def.killsToSummon) || 0 };
+  }
+
+  resetForMap();
+
+  return { update, updateBoss, onEnemyKilled, onMapChanged, getArena, getActiveBoss, getKillProgress };
+}
@@ -28,14 +28,38 @@ export const WORLD = {
   attackRangeMult: 1,
   basicAttackCooldown: 0.2,
   basicAttackDamage: 24,
+  // Cast assists (src/input/cast_prefs.js): default press buffer before a skill is ready (seconds),
+  // how far beyond a targeted skill's reach the hero walks to an enemy, and how long that walk may take
+  castBufferWindow: 0.4,
+  castApproachRange: 40,
+  castApproachTimeout: 5,
   // Enemies are more aggressive and a bit tougher
   aiAggroRadius: 60,
   aiForgetRadius: 100,
+  // Enemies notice the hero this close even without line of sight
+  aiHearRadius: 8,
   aiWanderRadius: 40,
   aiSpeed: 10,
   aiAttackRange: 10,
   aiAttackCooldown: 1.2,
   aiAttackDamage: 14,
+  // Enemy steering (src/steering.js): neighbour search radius and weights for keeping apart and
+  // walking around props/fences, look-ahead for obstacles, distance over which enemies ease into their stop
+  aiSeparationRadius: 3.5,
+  aiSeparationWeight: 3,
+  aiAvoidLookahead: 4,
+  aiAvoidWeight: 2,
+  aiArriveRadius: 3,
+  // Per-frame enemy grid (src/spatial_hash.js): cell size and the extra reach for enemies that moved since the rebuild
+  enemyGridCell: 6,
+  enemyGridSlack: 2,
+  // Enemy ranged shots (src/enemy_shots.js): aim telegraph before release (seconds), default flight speed
+  enemyShotWindup: 0.45,
+  enemyShotSpeed: 22,
+  // Threat tables (src/threat.js): threat per point of damage, half-life in seconds, lead a rival needs to take over
+  threatPerDamage: 1,
+  threatHalfLife: 4,
+  threatSwitchMul: 1.1,
   enemyRespawnDelay: 8,
 };
 
@@ -47,6 +71,9 @@ export const STATS_BASE = {
   mpRegen: 4,
   // Increase XP required to level to give longer progression window
   xpToLevel: 200,
+  // Critical hits (src/damage.js): chance per hit and damage multiplier
+  critChance: 0.08,
+  critMult: 1.75,
 };
 
 export const SKILLS = {
@@ -72,7 +99,9 @@ export const SCALING = {
     skillDamageGrowth: 1.10,  // skills
     // Movement and attack speed growth (small, per level)
     moveSpeedGrowth: 1.01,    // +1% movement speed per level
-    atkSpeedGrowth: 1.01      // +1% permanent attack speed per level (reduces basic CD)
+    atkSpeedGrowth: 1.01,     // +1% permanent attack speed per level (reduces basic CD)
+    // Skill points granted per level, spent on skill ranks (src/skill_ranks.js)
+    skillPointsPerLevel: 1
   },
   enemy: {
     // Per-hero-level growth factors for enemies
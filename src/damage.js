@@ -0,0 +1,73 @@
+import { rngStream } from "./rng.js";
+
+/**
+ * Typed damage — every hit carries a damage type, targets resist per type and the hero can crit.
+ *
+ * DAMAGE_TYPES:
+ *  - electric: the hero's thunder (skills and basic attack default; SKILL_POOL "damageType" overrides)
+ *  - physical: melee, arrows, leaps and slams
+ *  - arcane: non-electric magic (e.g. Shocker and Aether Smith beams)
+ *
+ * Resistances: entity.resist = { [type]: fraction } (0.3 = 30% less, negative = weakness), clamped to
+ * [-1, 0.9]. Enemies get theirs from ENEMY_TIERS / ENEMY_ARCHETYPES "resist" (src/enemies_pool.js).
+ *
+ * Crits: attackers with critChance/critMult (the hero) roll on every hit that allows it; ticks
+ * (auras, trails, status damage) pass canCrit: false. Rolls use the seeded "crit" stream.
+ */
+export const DAMAGE_TYPES = {
+  "electric": { "color": "0x9fd8ff" },
+  "physical": { "color": "0xffd0a0" },
+  "arcane": { "color": "0xd0a0ff" }
+};
+
+export const DEFAULT_DAMAGE_TYPE = "electric";
+
+export function isDamageType(type) {
+  return Object.prototype.hasOwnProperty.call(DAMAGE_TYPES, type);
+}
+
+/** Incoming damage multiplier for `type` from the target's resistances. */
+export function resistMul(target, type) {
+  const r = Number(target && target.resist && target.resist[type]);
+  if (!Number.isFinite(r) || r === 0) return 1;
+  return 1 - Math.max(-1, Math.min(0.9, r));
+}
+
+/**
+ * Resolve one hit without applying it.
+ * @param {object|null} attacker - entity with optional critChance / critMult
+ * @param {object} target - entity with optional resist
+ * @param {number} base - damage before resistance and crit
+ * @param {{type?: string, canCrit?: boolean, rand?: () => number}} [opts]
+ * @returns {{amount: number, crit: boolean, type: string}}
+ */
+export function computeHit(attacker, target, base, opts = {}) {
+  const type = isDamageType(opts.type) ? opts.type : DEFAULT_DAMAGE_TYPE;
+  let amount = Math.max(0, Number(base) || 0);
+  let crit = false;
+  const chance = (attacker && attacker.critChance) || 0;
+  if (opts.canCrit !== false && chance > 0 && amount > 0) {
+    const rand = opts.rand || rngStream("crit");
+    if (rand() < chance) {
+      crit = true;
+      amount *= Math.max(1, (attacker && attacker.critMult) || 1.5);
+    }
+  }
+  amount *= resistMul(target, type);
+  return { amount: amount > 0 ? Math.max(1, Math.floor(amount)) : 0, crit, type };
+}
+
+/**
+ * Resolve and apply a hit (target.takeDamage). Statuses (defense, vulnerable, shock), barriers and
+ * invulnerability still apply inside takeDamage.
+ * @returns {{amount: number, crit: boolean, type: string}} amount: the damage takeDamage reports as taken
+ *   (the resolved amount for targets whose takeDamage returns nothing)
+ */
+export function dealDamage(attacker, target, base, opts = {}) {
+  const hit = computeHit(attacker, target, base, opts);
+  if (hit.amount > 0 && target && typeof target.takeDamage === "function") {
+    const taken = target.takeDamage(hit.amount);
+    if (typeof taken === "number") hit.amount = taken;
+  }
+  return hit;
+}
@@ -232,6 +232,64 @@ export class EffectsManager {
     } catch (_) {}
   }
 
+  // Ground telegraph for enemy wind-ups: outline ring plus a fill disc that grows to the full radius
+  // exactly when the attack lands. Uses real seconds (not FX.timeScale) so it stays in sync with gameplay.
+  spawnTelegraph(center, radius = 4, color = 0xff5533, duration = 1) {
+    try {
+      const r = Math.max(0.5, radius);
+      const col = normalizeColor(color);
+      const g = new THREE.Group();
+      const outline = createGroundRing(Math.max(0.05, r - 0.18), r, col, 0.75);
+      const fill = new THREE.Mesh(
+        new THREE.CircleGeometry(r, 40),
+        new THREE.MeshBasicMaterial({ color: col, transparent: true, opacity: 0.22, depthWrite: false })
+      );
+      fill.rotation.x = -Math.PI / 2;
+      fill.position.y = 0.015;
+      fill.scale.set(0.001, 0.001, 0.001);
+      g.add(outline);
+      g.add(fill);
+      g.position.set(center.x, 0, center.z);
+      this.indicators.add(g);
+      const start = now();
+      this.queue.push({ obj: g, until: start + Math.max(0.05, duration), grow: { obj: fill, start, dur: Math.max(0.05, duration) } });
+      return g;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Ground lane for an enemy shot being aimed (src/enemy_shots.js): outline strip from the shooter along `dir`
+  // plus a fill that runs out to the far end exactly when the shot is released. Real seconds, like spawnTelegraph.
+  spawnAimLine(from, dir, length = 18, color = 0xff5533, duration = 0.5, width = 0.9) {
+    try {
+      const len = Math.max(1, length);
+      const col = normalizeColor(color);
+      const strip = (w, opacity) => {
+        const geo = new THREE.PlaneGeometry(w, len);
+        geo.rotateX(-Math.PI / 2);
+        geo.translate(0, 0, len / 2);
+        return new THREE.Mesh(geo, new THREE.MeshBasicMaterial({ color: col, transparent: true, opacity, depthWrite: false }));
+      };
+      const g = new THREE.Group();
+      const outline = strip(width, 0.18);
+      const fill = strip(width * 0.6, 0.45);
+      fill.position.y = 0.005;
+      fill.scale.set(1, 1, 0.001);
+      g.add(outline);
+      g.add(fill);
+      g.position.set(from.x, 0.03, from.z);
+      g.rotation.y = Math.atan2(dir.x, dir.z);
+      this.indicators.add(g);
+      const start = now();
+      const dur = Math.max(0.05, duration);
+      this.queue.push({ obj: g, until: start + dur, grow: { obj: fill, start, dur, axis: "z" } });
+      return g;
+    } catch (_) {
+      return null;
+    }
+  }
+
   // Cage of vertical bars for "Static Prison" and similar effects
   spawnCage(center, radius = 12, color = COLOR.blue, duration = 0.6, bars = 12, height = 2.2) {
     try {
@@ -336,6 +394,36 @@ export class EffectsManager {
     } catch (_) {}
   }
 
+  // Projectile body moved by ProjectileSystem (src/projectiles.js); not queued until endProjectile.
+  // kind "bolt" is a stretched core, "orb" (default) a glowing sphere.
+  spawnProjectile(pos, color = COLOR.blue, size = 0.3, kind = "orb") {
+    try {
+      const col = normalizeColor(color);
+      const group = new THREE.Group();
+      const coreMat = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.95 });
+      const core = new THREE.Mesh(new THREE.SphereGeometry(size * 0.55, 10, 10), coreMat);
+      const glowMat = new THREE.MeshBasicMaterial({ color: col, transparent: true, opacity: 0.45, depthWrite: false });
+      const glow = new THREE.Mesh(new THREE.SphereGeometry(size, 12, 12), glowMat);
+      if (kind === "bolt") {
+        core.scale.set(1, 1, 2.4);
+        glow.scale.set(1, 1, 2.2);
+      }
+      group.add(core, glow);
+      group.position.copy(pos);
+      group.userData.projectileMats = [coreMat, glowMat];
+      this.transient.add(group);
+      return group;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Hand a finished projectile body to the timed queue: short fade, then disposal in update()
+  endProjectile(obj) {
+    if (!obj) return;
+    this.queue.push({ obj, until: now() + 0.15 * FX.timeScale, fade: true, mats: obj.userData.projectileMats || [] });
+  }
+
   spawnHandFlash(player, left = false) {
     const p = left ? leftHandWorldPos(player) : handWorldPos(player);
     const s = new THREE.Mesh(
@@ -362,14 +450,18 @@ export class EffectsManager {
   /**
    * Spawn a small floating damage text at world position.
    * amount may be a number or string. Color is a hex number.
+   * opts.crit: larger gold-outlined "N!" that rises faster (never throttled).
    */
-  spawnDamagePopup(worldPos, amount, color = 0xffe1e1) {
+  spawnDamagePopup(worldPos, amount, color = 0xffe1e1, opts = {}) {
+    const crit = !!(opts && opts.crit);
     // Throttle popups on lower qualities to reduce CanvasTexture churn
     const q = this.quality || "high";
-    if (q === "low" && Math.random() > 0.3) return;
-    if (q === "medium" && Math.random() > 0.6) return;
+    if (!crit && q === "low" && Math.random() > 0.3) return;
+    if (!crit && q === "medium" && Math.random() > 0.6) return;
     if (!worldPos) return;
-    const text = String(Math.floor(Number(amount) || amount));
+    // Non-numeric strings (e.g. a synergy icon) are shown as-is
+    const label = typeof amount === "string" && !Number.isFinite(Number(amount)) ? amount : String(Math.floor(Number(amount) || 0));
+    const text = label + (crit ? "!" : "");
     const w = 160;
     const h = 64;
     const c = document.createElement("canvas");
@@ -379,12 +471,12 @@ export class EffectsManager {
     // Background transparent
     ctx.clearRect(0, 0, w, h);
     // Shadow / stroke for readability
-    ctx.font = "bold 36px Arial, sans-serif";
+    ctx.font = crit ? "bold 46px Arial, sans-serif" : "bold 36px Arial, sans-serif";
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
     const hex = (color >>> 0).toString(16).padStart(6, "0");
     ctx.lineWidth = 8;
-    ctx.strokeStyle = "rgba(0,0,0,0.6)";
+    ctx.strokeStyle = crit ? "rgba(255,190,40,0.9)" : "rgba(0,0,0,0.6)";
     ctx.strokeText(text, w / 2, h / 2);
     ctx.fillStyle = `#${hex}`;
     ctx.fillText(text, w / 2, h / 2);
@@ -396,7 +488,7 @@ export class EffectsManager {
 
     // Scale sprite so it's readable in world units
     const scaleBase = 0.8;
-    const scale = scaleBase + Math.min(2.0, text.length * 0.08);
+    const scale = (scaleBase + Math.min(2.0, text.length * 0.08)) * (crit ? 1.35 : 1);
     spr.scale.set(scale * (w / 128), scale * (h / 64), 1);
     spr.position.set(worldPos.x, worldPos.y + 2.4, worldPos.z);
 
@@ -406,7 +498,7 @@ export class EffectsManager {
       until: now() + 1.0 * FX.popupDurationScale,
       fade: true,
       mat: mat,
-      velY: 0.9,
+      velY: crit ? 1.3 : 0.9,
       map: tex,
     });
   }
@@ -481,6 +573,15 @@ export class EffectsManager {
         try { e.obj.scale.set(s2, s2, s2); } catch (_) {}
       }
 
+      // Telegraph fill growing from center to full radius over its lifetime
+      if (e.grow && e.grow.obj) {
+        const k = Math.max(0.001, Math.min(1, (t - e.grow.start) / e.grow.dur));
+        try {
+          if (e.grow.axis === "z") e.grow.obj.scale.set(1, 1, k);
+          else e.grow.obj.scale.set(k, k, k);
+        } catch (_) {}
+      }
+
       // Spin rotation (e.g., storm cloud disc)
       if (e.spinRate && e.obj && e.obj.rotation) {
         try { e.obj.rotation.y += (e.spinRate || 0) * dt * FX.spinRateScale; } catch (_) {}
@@ -0,0 +1,524 @@
+/**
+ * Enemy Archetype Registry — data-driven enemy kinds and tiers (like SKILL_POOL for skills)
+ *
+ * ENEMY_TIERS (rolled per spawn, independent of archetype):
+ *  - weight: relative roll weight
+ *  - hpMul / dmgMul / speedMul: stat multipliers
+ *  - color / eye / bar: body color, eye emissive, HP bar fill (hex strings)
+ *  - barScale: HP bar size for readability
+ *  - immune: optional list of STATUS_DEFS ids (src/status_effects.js) this tier ignores
+ *  - resist: optional { [damageType]: fraction } (src/damage.js; 0.3 = 30% less damage, negative = weakness)
+ *
+ * ENEMY_ARCHETYPES:
+ *  - id, name, role: identity; "name (role)" is what the Maps tab lists for signature foes
+ *  - hp: [min, max] base HP before tier/level scaling
+ *  - dmgMul / speedMul / xpMul: multipliers over WORLD.aiAttackDamage / WORLD.aiSpeed / HP-derived XP
+ *  - attack: { range, cooldownMul (x WORLD.aiAttackCooldown), effect: "melee" | "beam" | "electric", color,
+ *              damageType: "physical" (default) | "electric" | "arcane" }
+ *  - mesh: { scale, stretch (extra Y scale), tint (optional body tint over tier color), tintAmount }
+ *  - behavior: optional signature AI driven by src/enemy_behaviors.js (durations in seconds):
+ *      { type: "dive", range: [min, max], windup, leapTime, arc, radius, dmgMul, cooldown, color }
+ *        telegraphs the hero's position, then leaps there and hits everything under the landing ring
+ *      { type: "shield", shieldPct, regenDelay, regenPct, stagger, vulnMul, color }
+ *        absorbs damage with a barrier of shieldPct x maxHP; breaking it staggers and exposes the enemy
+ *      { type: "slam", at: "self" | "target", range, windup, radius, dmgMul, cooldown, color }
+ *        roots in place behind a ground telegraph, then slams the marked area
+ *      { type: "support", radius, cooldown, duration, dmgMul, speedMul, maxTargets, color }
+ *        empowers nearby allies (damage/speed) while the hero is in aggro range
+ *  - ai: optional movement style driven by src/enemy_ai.js (default "chase": walk straight in):
+ *      { style: "kite", minRange, holdRange, kiteTime, cooldown, speedMul }
+ *        ranged: backs off when the hero is inside minRange x attack range, up to holdRange x range or kiteTime
+ *        seconds, then stands and shoots for at least `cooldown` seconds
+ *      { style: "flank", angle, commit, speedMul }
+ *        swings `angle` degrees around to the hero's side, straight in once within `commit` units
+ *      { style: "charge", range: [min, max], windup, duration, speedMul, dmgMul, recover, cooldown, color }
+ *        roots behind a telegraph, then dashes along the locked line and hits the hero once on contact
+ *      { style: "pack", radius, spread }
+ *        the first of the kind within radius leads; its aggro pulls the pack, the others surround the hero
+ *        `spread` degrees apart
+ *  - immune: optional list of status ids the archetype ignores (merged with the tier's list)
+ *  - resist: optional damage-type resistances, summed with the tier's per type
+ *  - spawnWeight: relative weight among archetypes available on the current map
+ *  - maps: null = every act; otherwise list of act indices (1..5) where it spawns.
+ *          Endless depths use the last act's list.
+ *
+ * ENEMY_BOSSES (one designed encounter per act, spawned by src/bosses.js with the "boss" tier):
+ *  - same stat/attack/mesh fields as archetypes, plus:
+ *  - map: act index; endless depths fight the last act's boss (scaled by map modifiers)
+ *  - arena: { x, z, radius } fixed world position; entering it summons the boss
+ *  - killsToSummon: kills on the map that also summon it near the hero
+ *  - phases: ordered by "at" (HP ratio at or below which the phase starts), each
+ *      { at, cooldown, speedMul, dmgMul, attacks: [...] } with attacks (durations in seconds):
+ *      { type: "slam", radius, windup, dmgMul }                       ground slam around the boss
+ *      { type: "barrage", count, radius, spread, windup, dmgMul }     strikes on and around the hero
+ *      { type: "leap", range: [min, max], radius, windup, leapTime, arc, dmgMul }  leap onto the hero
+ */
+export const ENEMY_TIERS = [
+  {
+    "id": "normal",
+    "weight": 78,
+    "hpMul": 1,
+    "dmgMul": 1,
+    "speedMul": 1,
+    "color": "0x7a1c1c",
+    "eye": "0x550000",
+    "bar": "0xff5050",
+    "barScale": 1
+  },
+  {
+    "id": "tough",
+    "weight": 18,
+    "hpMul": 3,
+    "dmgMul": 1.8,
+    "speedMul": 1,
+    "color": "0xff8a50",
+    "eye": "0xff5500",
+    "bar": "0xffa65a",
+    "barScale": 1.15
+  },
+  {
+    "id": "elite",
+    "weight": 3.5,
+    "hpMul": 8,
+    "dmgMul": 3.2,
+    "speedMul": 1.05,
+    "color": "0xffd86a",
+    "eye": "0xffaa00",
+    "bar": "0xffe085",
+    "barScale": 1.5
+  },
+  {
+    // Designed encounters only (ENEMY_BOSSES); never rolled for regular spawns
+    "id": "boss",
+    "weight": 0,
+    "hpMul": 30,
+    "dmgMul": 6,
+    "speedMul": 0.9,
+    "color": "0xffeb99",
+    "eye": "0xffee88",
+    "bar": "0xfff0b3",
+    "barScale": 2.2,
+    "immune": ["stun"]
+  }
+];
+
+export const ENEMY_ARCHETYPES = [
+  // ---- Generic kinds (every act) ----
+  {
+    "id": "brute",
+    "name": "Brute",
+    "role": "big melee",
+    "hp": [60, 120],
+    "dmgMul": 1.2,
+    "speedMul": 0.9,
+    "attack": { "range": 2.4, "cooldownMul": 0.95, "effect": "melee", "color": "0xff8844" },
+    "mesh": { "scale": 1.25 },
+    "ai": { "style": "charge", "range": [6, 16], "windup": 0.6, "duration": 0.7, "speedMul": 2.6, "dmgMul": 1.3, "recover": 0.8, "cooldown": 6, "color": "0xff8844" },
+    "spawnWeight": 25,
+    "maps": null
+  },
+  {
+    "id": "raider",
+    "name": "Raider",
+    "role": "fast melee",
+    "hp": [60, 120],
+    "dmgMul": 0.9,
+    "speedMul": 1.15,
+    "attack": { "range": 2.2, "cooldownMul": 0.85, "effect": "melee", "color": "0xffaa66" },
+    "mesh": { "scale": 1.05 },
+    "ai": { "style": "flank", "angle": 75, "commit": 6 },
+    "spawnWeight": 25,
+    "maps": null
+  },
+  {
+    "id": "archer",
+    "name": "Archer",
+    "role": "ranged physical",
+    "hp": [60, 120],
+    "dmgMul": 1.0,
+    "speedMul": 1.0,
+    "attack": { "range": 18, "cooldownMul": 1.1, "effect": "beam", "color": "0xffcc88", "shotSpeed": 26 },
+    "mesh": { "scale": 0.95 },
+    "ai": { "style": "kite", "minRange": 0.45, "holdRange": 0.8, "kiteTime": 1.2, "cooldown": 2 },
+    "spawnWeight": 25,
+    "maps": null
+  },
+  {
+    // Ranged arcane (no thunder – hero-exclusive). Uses a non-electric beam.
+    "id": "shocker",
+    "name": "Shocker",
+    "role": "ranged arcane",
+    "hp": [60, 120],
+    "dmgMul": 0.95,
+    "speedMul": 0.95,
+    "attack": { "range": 24, "cooldownMul": 1.25, "effect": "beam", "color": "0xc070ff", "damageType": "arcane", "shotSpeed": 18 },
+    "mesh": { "scale": 1.1 },
+    "resist": { "arcane": 0.5, "electric": -0.2 },
+    "ai": { "style": "kite", "minRange": 0.5, "holdRange": 0.8, "kiteTime": 1.4, "cooldown": 2.5 },
+    "spawnWeight": 25,
+    "maps": null
+  },
+
+  // ---- Act I: Fields of Awakening ----
+  {
+    "id": "ravager",
+    "name": "Ravagers",
+    "role": "fast melee",
+    "hp": [55, 100],
+    "dmgMul": 1.0,
+    "speedMul": 1.35,
+    "attack": { "range": 2.2, "cooldownMul": 0.75, "effect": "melee", "color": "0xff7744" },
+    "mesh": { "scale": 1.0, "stretch": 0.9, "tint": "0x8a3a1a" },
+    "behavior": { "type": "dive", "range": [6, 14], "windup": 0.45, "leapTime": 0.35, "arc": 1.5, "radius": 2.2, "dmgMul": 1.2, "cooldown": 5, "color": "0xff7744" },
+    "spawnWeight": 12,
+    "maps": [1]
+  },
+  {
+    "id": "wispcaster",
+    "name": "Wispcasters",
+    "role": "ranged shock",
+    "hp": [50, 90],
+    "dmgMul": 1.05,
+    "speedMul": 0.95,
+    "attack": { "range": 22, "cooldownMul": 1.15, "effect": "beam", "color": "0x9fe8ff", "damageType": "electric" },
+    "mesh": { "scale": 0.95, "stretch": 1.15, "tint": "0x4a7a9a" },
+    "resist": { "electric": 0.3 },
+    "ai": { "style": "kite", "minRange": 0.45, "holdRange": 0.8, "kiteTime": 1.2, "cooldown": 2 },
+    "spawnWeight": 12,
+    "maps": [1]
+  },
+
+  // ---- Act II: Stormreach Plains ----
+  {
+    "id": "storm_hound",
+    "name": "Storm Hounds",
+    "role": "pack hunters",
+    "hp": [45, 80],
+    "dmgMul": 0.85,
+    "speedMul": 1.45,
+    "attack": { "range": 2.0, "cooldownMul": 0.7, "effect": "melee", "color": "0xffbb55" },
+    "mesh": { "scale": 0.85, "stretch": 0.7, "tint": "0x6a5a3a" },
+    "resist": { "electric": 0.35 },
+    "ai": { "style": "pack", "radius": 18, "spread": 45 },
+    "spawnWeight": 16,
+    "maps": [2]
+  },
+  {
+    "id": "ballistarius",
+    "name": "Ballistarii",
+    "role": "armored archers",
+    "hp": [100, 160],
+    "dmgMul": 1.25,
+    "speedMul": 0.8,
+    "attack": { "range": 26, "cooldownMul": 1.4, "effect": "beam", "color": "0xffd9a0" },
+    "mesh": { "scale": 1.15, "tint": "0x8a8a8a" },
+    "behavior": { "type": "shield", "shieldPct": 0.4, "regenDelay": 8, "regenPct": 0.15, "stagger": 1.2, "vulnMul": 1.3, "color": "0xd8d8d8" },
+    "ai": { "style": "kite", "minRange": 0.35, "holdRange": 0.6, "kiteTime": 1, "cooldown": 3 },
+    "spawnWeight": 10,
+    "maps": [2]
+  },
+
+  // ---- Act III: Tempest Peaks ----
+  {
+    "id": "harpy_matron",
+    "name": "Harpy Matrons",
+    "role": "dive assaults",
+    "hp": [70, 120],
+    "dmgMul": 1.3,
+    "speedMul": 1.2,
+    "attack": { "range": 2.4, "cooldownMul": 1.0, "effect": "melee", "color": "0xffe08a" },
+    "mesh": { "scale": 1.05, "stretch": 1.2, "tint": "0xc9a24a" },
+    "behavior": { "type": "dive", "range": [8, 22], "windup": 0.7, "leapTime": 0.55, "arc": 4, "radius": 2.8, "dmgMul": 1.8, "cooldown": 6, "color": "0xffe08a" },
+    "spawnWeight": 12,
+    "maps": [3]
+  },
+  {
+    "id": "thunder_shaman",
+    "name": "Thunder Shamans",
+    "role": "support casters",
+    "hp": [70, 110],
+    "dmgMul": 0.8,
+    "speedMul": 0.9,
+    "attack": { "range": 20, "cooldownMul": 1.3, "effect": "beam", "color": "0xffe6a0", "damageType": "electric" },
+    "mesh": { "scale": 1.0, "stretch": 1.25, "tint": "0x9a7a2a" },
+    "behavior": { "type": "support", "radius": 16, "cooldown": 7, "duration": 5, "dmgMul": 1.35, "speedMul": 1.2, "maxTargets": 4, "color": "0xffe6a0" },
+    "resist": { "electric": 0.4 },
+    "ai": { "style": "kite", "minRange": 0.45, "holdRange": 0.8, "kiteTime": 1.2, "cooldown": 2 },
+    "spawnWeight": 10,
+    "maps": [3]
+  },
+
+  // ---- Act IV: Sky Citadel ----
+  {
+    "id": "sentinel_construct",
+    "name": "Sentinel Constructs",
+    "role": "shielded",
+    "hp": [120, 180],
+    "dmgMul": 1.1,
+    "speedMul": 0.75,
+    "attack": { "range": 2.6, "cooldownMul": 1.1, "effect": "melee", "color": "0x7fffe0" },
+    "mesh": { "scale": 1.3, "stretch": 0.95, "tint": "0x3a8a80" },
+    "behavior": { "type": "shield", "shieldPct": 0.8, "regenDelay": 6, "regenPct": 0.2, "stagger": 2, "vulnMul": 1.5, "color": "0x7fffe0" },
+    "immune": ["burn"],
+    "resist": { "physical": 0.4, "electric": -0.2 },
+    "spawnWeight": 10,
+    "maps": [4]
+  },
+  {
+    "id": "zealous_templar",
+    "name": "Zealous Templars",
+    "role": "coordinated strikes",
+    "hp": [90, 140],
+    "dmgMul": 1.2,
+    "speedMul": 1.05,
+    "attack": { "range": 2.4, "cooldownMul": 0.9, "effect": "melee", "color": "0xa0fff0" },
+    "mesh": { "scale": 1.1, "stretch": 1.1, "tint": "0x2a9a8a" },
+    "ai": { "style": "pack", "radius": 20, "spread": 60 },
+    "spawnWeight": 12,
+    "maps": [4]
+  },
+
+  // ---- Act V: The Godforge (and endless depths) ----
+  {
+    "id": "forge_colossus",
+    "name": "Forge Colossus",
+    "role": "heavy slam",
+    "hp": [180, 260],
+    "dmgMul": 1.8,
+    "speedMul": 0.65,
+    "attack": { "range": 3.2, "cooldownMul": 1.6, "effect": "melee", "color": "0x9fc8ff" },
+    "mesh": { "scale": 1.6, "tint": "0x4a6a9a" },
+    "behavior": { "type": "slam", "at": "self", "range": 5, "windup": 1.2, "radius": 6, "dmgMul": 2.2, "cooldown": 5, "color": "0xff9a4a" },
+    "resist": { "physical": 0.3 },
+    "spawnWeight": 8,
+    "maps": [5]
+  },
+  {
+    "id": "aether_smith",
+    "name": "Aether Smiths",
+    "role": "channeling blasts",
+    "hp": [80, 130],
+    "dmgMul": 1.35,
+    "speedMul": 0.9,
+    "attack": { "range": 24, "cooldownMul": 1.5, "effect": "beam", "color": "0xbfe0ff", "damageType": "arcane" },
+    "mesh": { "scale": 1.05, "stretch": 1.15, "tint": "0x5a7ab0" },
+    "behavior": { "type": "slam", "at": "target", "range": 22, "windup": 1.4, "radius": 3.5, "dmgMul": 1.6, "cooldown": 6, "color": "0xbfe0ff" },
+    "ai": { "style": "kite", "minRange": 0.45, "holdRange": 0.8, "kiteTime": 1.2, "cooldown": 2 },
+    "spawnWeight": 12,
+    "maps": [5]
+  }
+];
+
+export const ENEMY_BOSSES = [
+  {
+    "id": "grove_warden",
+    "name": "The Grove Warden",
+    "role": "boss",
+    "map": 1,
+    "arena": { "x": 95, "z": -70, "radius": 18 },
+    "killsToSummon": 60,
+    "hp": [150, 180],
+    "dmgMul": 0.45,
+    "speedMul": 0.85,
+    "attack": { "range": 3.4, "cooldownMul": 1.2, "effect": "melee", "color": "0xff7744" },
+    "mesh": { "scale": 2.4, "stretch": 1.05, "tint": "0x8a3a1a" },
+    "phases": [
+      { "at": 1.0, "cooldown": 5, "attacks": [{ "type": "slam", "radius": 6, "windup": 1.4, "dmgMul": 1.6 }] },
+      { "at": 0.6, "cooldown": 4, "attacks": [
+        { "type": "slam", "radius": 6.5, "windup": 1.2, "dmgMul": 1.6 },
+        { "type": "barrage", "count": 3, "radius": 3, "spread": 6, "windup": 1.3, "dmgMul": 1.2 }
+      ] },
+      { "at": 0.3, "cooldown": 3.2, "speedMul": 1.25, "dmgMul": 1.2, "attacks": [
+        { "type": "slam", "radius": 7, "windup": 1.0, "dmgMul": 1.8 },
+        { "type": "barrage", "count": 5, "radius": 3, "spread": 8, "windup": 1.1, "dmgMul": 1.2 },
+        { "type": "leap", "range": [6, 26], "radius": 4, "windup": 0.9, "leapTime": 0.6, "arc": 5, "dmgMul": 1.5 }
+      ] }
+    ]
+  },
+  {
+    "id": "storm_alpha",
+    "name": "Storm Alpha",
+    "role": "boss",
+    "map": 2,
+    "arena": { "x": -110, "z": -90, "radius": 18 },
+    "killsToSummon": 70,
+    "hp": [160, 190],
+    "dmgMul": 0.45,
+    "speedMul": 1.2,
+    "attack": { "range": 3.0, "cooldownMul": 0.9, "effect": "melee", "color": "0xffbb55" },
+    "resist": { "electric": 0.25 },
+    "mesh": { "scale": 2.1, "stretch": 0.8, "tint": "0x6a5a3a" },
+    "phases": [
+      { "at": 1.0, "cooldown": 4.5, "attacks": [{ "type": "leap", "range": [8, 28], "radius": 3.5, "windup": 1.0, "leapTime": 0.5, "arc": 4, "dmgMul": 1.5 }] },
+      { "at": 0.5, "cooldown": 3.5, "speedMul": 1.2, "attacks": [
+        { "type": "leap", "range": [6, 30], "radius": 4, "windup": 0.8, "leapTime": 0.45, "arc": 4, "dmgMul": 1.6 },
+        { "type": "slam", "radius": 6, "windup": 1.0, "dmgMul": 1.4 }
+      ] },
+      { "at": 0.2, "cooldown": 2.6, "speedMul": 1.35, "dmgMul": 1.2, "attacks": [
+        { "type": "leap", "range": [4, 32], "radius": 4.5, "windup": 0.7, "leapTime": 0.4, "arc": 4, "dmgMul": 1.6 },
+        { "type": "barrage", "count": 4, "radius": 3, "spread": 7, "windup": 1.0, "dmgMul": 1.2 }
+      ] }
+    ]
+  },
+  {
+    "id": "harpy_queen",
+    "name": "The Harpy Queen",
+    "role": "boss",
+    "map": 3,
+    "arena": { "x": 120, "z": 100, "radius": 20 },
+    "killsToSummon": 80,
+    "hp": [170, 200],
+    "dmgMul": 0.5,
+    "speedMul": 1.1,
+    "attack": { "range": 20, "cooldownMul": 1.1, "effect": "beam", "color": "0xffe08a" },
+    "mesh": { "scale": 2.2, "stretch": 1.25, "tint": "0xc9a24a" },
+    "phases": [
+      { "at": 1.0, "cooldown": 4.5, "attacks": [
+        { "type": "barrage", "count": 4, "radius": 3, "spread": 8, "windup": 1.3, "dmgMul": 1.3 },
+        { "type": "leap", "range": [10, 30], "radius": 4, "windup": 1.0, "leapTime": 0.7, "arc": 7, "dmgMul": 1.6 }
+      ] },
+      { "at": 0.5, "cooldown": 3.2, "speedMul": 1.15, "attacks": [
+        { "type": "barrage", "count": 6, "radius": 3.2, "spread": 10, "windup": 1.1, "dmgMul": 1.3 },
+        { "type": "leap", "range": [6, 32], "radius": 4.5, "windup": 0.8, "leapTime": 0.6, "arc": 7, "dmgMul": 1.7 }
+      ] }
+    ]
+  },
+  {
+    "id": "citadel_warden",
+    "name": "Citadel Warden",
+    "role": "boss",
+    "map": 4,
+    "arena": { "x": -130, "z": 110, "radius": 20 },
+    "killsToSummon": 90,
+    "hp": [200, 240],
+    "dmgMul": 0.55,
+    "speedMul": 0.8,
+    "attack": { "range": 3.6, "cooldownMul": 1.2, "effect": "melee", "color": "0x7fffe0" },
+    "mesh": { "scale": 2.6, "stretch": 0.95, "tint": "0x3a8a80" },
+    "phases": [
+      { "at": 1.0, "cooldown": 5, "attacks": [
+        { "type": "slam", "radius": 7, "windup": 1.4, "dmgMul": 1.7 },
+        { "type": "barrage", "count": 3, "radius": 3.5, "spread": 6, "windup": 1.4, "dmgMul": 1.3 }
+      ] },
+      { "at": 0.66, "cooldown": 4, "attacks": [
+        { "type": "slam", "radius": 8, "windup": 1.2, "dmgMul": 1.8 },
+        { "type": "barrage", "count": 5, "radius": 3.5, "spread": 9, "windup": 1.2, "dmgMul": 1.3 }
+      ] },
+      { "at": 0.33, "cooldown": 3, "speedMul": 1.3, "dmgMul": 1.25, "attacks": [
+        { "type": "slam", "radius": 9, "windup": 1.1, "dmgMul": 1.9 },
+        { "type": "barrage", "count": 7, "radius": 3.5, "spread": 11, "windup": 1.1, "dmgMul": 1.3 },
+        { "type": "leap", "range": [6, 24], "radius": 5, "windup": 1.0, "leapTime": 0.7, "arc": 5, "dmgMul": 1.8 }
+      ] }
+    ]
+  },
+  {
+    "id": "forge_titan",
+    "name": "The Forge Titan",
+    "role": "boss",
+    "map": 5,
+    "arena": { "x": 0, "z": -150, "radius": 22 },
+    "killsToSummon": 100,
+    "hp": [230, 270],
+    "dmgMul": 0.6,
+    "speedMul": 0.7,
+    "attack": { "range": 4, "cooldownMul": 1.3, "effect": "melee", "color": "0x9fc8ff" },
+    "mesh": { "scale": 2.9, "tint": "0x4a6a9a" },
+    "phases": [
+      { "at": 1.0, "cooldown": 4.5, "attacks": [
+        { "type": "slam", "radius": 8, "windup": 1.5, "dmgMul": 1.8 },
+        { "type": "barrage", "count": 4, "radius": 4, "spread": 9, "windup": 1.4, "dmgMul": 1.4 }
+      ] },
+      { "at": 0.6, "cooldown": 3.6, "dmgMul": 1.15, "attacks": [
+        { "type": "slam", "radius": 9, "windup": 1.3, "dmgMul": 1.9 },
+        { "type": "barrage", "count": 6, "radius": 4, "spread": 11, "windup": 1.2, "dmgMul": 1.4 },
+        { "type": "leap", "range": [8, 26], "radius": 5.5, "windup": 1.1, "leapTime": 0.8, "arc": 6, "dmgMul": 1.9 }
+      ] },
+      { "at": 0.25, "cooldown": 2.6, "speedMul": 1.4, "dmgMul": 1.3, "attacks": [
+        { "type": "slam", "radius": 10, "windup": 1.1, "dmgMul": 2.0 },
+        { "type": "barrage", "count": 8, "radius": 4, "spread": 12, "windup": 1.0, "dmgMul": 1.4 },
+        { "type": "leap", "range": [6, 30], "radius": 6, "windup": 0.9, "leapTime": 0.7, "arc": 6, "dmgMul": 2.0 }
+      ] }
+    ]
+  }
+];
+
+/* ---------------- Lookup / selection helpers ---------------- */
+
+// Bosses share the archetype lookup so Enemy can be built with { archetype: bossId, tier: "boss" }
+const ARCHETYPE_BY_ID = new Map([...ENEMY_ARCHETYPES, ...ENEMY_BOSSES].map((a) => [a.id, a]));
+const TIER_BY_ID = new Map(ENEMY_TIERS.map((t) => [t.id, t]));
+
+export function getEnemyArchetype(id) {
+  return ARCHETYPE_BY_ID.get(id) || null;
+}
+
+export function getEnemyTier(id) {
+  return TIER_BY_ID.get(id) || TIER_BY_ID.get("normal");
+}
+
+/**
+ * Whether an archetype may spawn on an act (1-based).
+ * @param {object} arch
+ * @param {number} actIndex
+ */
+export function isArchetypeOnAct(arch, actIndex) {
+  if (!arch) return false;
+  const act = Math.max(1, Math.floor(actIndex || 1));
+  return !Array.isArray(arch.maps) || arch.maps.includes(act);
+}
+
+/**
+ * Archetypes that can spawn on an act (1-based). Endless depths pass the last act.
+ * @param {number} actIndex
+ */
+export function listArchetypesForAct(actIndex) {
+  return ENEMY_ARCHETYPES.filter((a) => isArchetypeOnAct(a, actIndex));
+}
+
+/**
+ * Signature (act-exclusive) archetypes for an act, in registry order.
+ * @param {number} actIndex
+ */
+export function listSignatureArchetypes(actIndex) {
+  const act = Math.max(1, Math.floor(actIndex || 1));
+  return ENEMY_ARCHETYPES.filter((a) => Array.isArray(a.maps) && a.maps.includes(act));
+}
+
+/**
+ * Designed boss for a map index (1-based); endless depths reuse the last act's boss.
+ * @param {number} mapIndex
+ */
+export function getBossForMap(mapIndex) {
+  const lastAct = ENEMY_BOSSES.reduce((m, b) => Math.max(m, b.map || 0), 1);
+  const act = Math.min(Math.max(1, Math.floor(mapIndex || 1)), lastAct);
+  return ENEMY_BOSSES.find((b) => b.map === act) || null;
+}
+
+function pickWeighted(list, weightOf, rand) {
+  let total = 0;
+  for (const it of list) total += Math.max(0, weightOf(it) || 0);
+  if (total <= 0) return list[0] || null;
+  let r = rand() * total;
+  for (const it of list) {
+    r -= Math.max(0, weightOf(it) || 0);
+    if (r < 0) return it;
+  }
+  return list[list.length - 1];
+}
+
+/**
+ * Weighted archetype roll for an act.
+ * @param {number} actIndex
+ * @param {() => number} [rand] - uniform [0,1) source
+ */
+export function pickArchetypeForAct(actIndex, rand = Math.random) {
+  return pickWeighted(listArchetypesForAct(actIndex), (a) => a.spawnWeight, rand);
+}
+
+/**
+ * Weighted tier roll.
+ * @param {() => number} [rand]
+ */
+export function rollEnemyTier(rand = Math.random) {
+  return pickWeighted(ENEMY_TIERS, (t) => t.weight, rand);
+}
@@ -0,0 +1,490 @@
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { WORLD, VILLAGE_POS, REST_RADIUS } from "./constants.js";
+import { distance2D, dir2D, hexColor, now } from "./utils.js";
+import { isStunned } from "./status_effects.js";
+import { dealDamage } from "./damage.js";
+import { hasLineOfSight } from "./los.js";
+import { createSpatialHash } from "./spatial_hash.js";
+import { steer, separation } from "./steering.js";
+import { rngStream } from "./rng.js";
+
+/**
+ * Enemy AI — per-kind state machine for aggro, movement, regular attacks and wandering.
+ * Styles are declared on ENEMY_ARCHETYPES entries ("ai": { style, ... }) in src/enemies_pool.js; kinds without
+ * one (and bosses between phase attacks) use "chase".
+ *
+ * States (en._ai.state): "idle" (wander) → "chase" → "attack", plus per style:
+ * - kite: ranged kinds back off ("kite") when the hero comes inside minRange x attack range, for at most kiteTime
+ *   seconds, then stand and shoot until the next retreat is ready
+ * - flank: circle toward the hero's side ("flank") and commit once within `commit` units
+ * - charge: "windup" (rooted behind a telegraph) → "charge" (dash along the locked line, hit once on contact)
+ *   → "recover"
+ * - pack: the first enemy of the kind within radius leads. Its aggro pulls the pack in; followers trail it while
+ *   idle and take spread-out slots around the hero ("surround") when fighting
+ *
+ * Aggro: inside WORLD.aiAggroRadius an enemy notices the hero when it can see them (line of sight through
+ * getOccluders(), src/los.js), when the hero is within WORLD.aiHearRadius, or once it is hurt. It keeps chasing
+ * until the hero leaves aggro range or dies. Ranged attackers close in while a prop blocks the shot.
+ *
+ * Targets: with `threat` (src/threat.js) each enemy fights the top of its threat table every tick: the hero, or a
+ * clone, totem or summon that taunted it or hurt it. A decoy pulls the enemy in regardless of the hero; styles
+ * chase, kite, flank, charge and surround whichever target it has. Without it (tests, tools) everyone fights the hero.
+ *
+ * Ranged shots: with `shots` (src/enemy_shots.js), non-melee attacks are not instant. The enemy stands still for
+ * WORLD.enemyShotWindup behind a lane telegraph along a locked direction, then fires a projectile down it; being
+ * stunned or leaving the "attack" state cancels the aim. Without it (tests, tools) they hit on the spot.
+ *
+ * Steering (src/steering.js): every move keeps enemies apart, walks them around props and village fences and
+ * eases them into their stop, except a charge, which holds its locked line. Neighbours come from a spatial hash of
+ * living enemies: `index` (main.js's per-frame enemy grid) or a private one that beginFrame() rebuilds.
+ *
+ * Flank sides, pack and charge grace times and wander targets roll on `rand` (default the seeded "ai" stream,
+ * src/rng.js), so `?seed=` runs and the simulator replay the same movement.
+ *
+ * update(en, dt, toPlayer) is called from updateEnemies (main.js) when no signature behavior
+ * (src/enemy_behaviors.js) or boss phase owns the enemy this tick. It returns the enemy's state.
+ */
+export function initEnemyAI({
+  player,
+  enemies,
+  effects,
+  audio,
+  villages = null,
+  getOccluders = () => null,
+  isSafeZone = null,
+  shouldSpawnVfx = () => true,
+  index = null,
+  shots = null,
+  threat = null,
+  rand = rngStream("ai"),
+} = {}) {
+  // Living enemies by position (separation neighbours): main.js shares its per-frame enemy grid, else a private
+  // one rebuilt in beginFrame(); village circles to walk around are refreshed there too
+  const hash = index || createSpatialHash(WORLD.aiSeparationRadius);
+  let fences = [];
+
+  const STYLES = {
+    chase: updateChase,
+    kite: updateKite,
+    flank: updateFlank,
+    charge: updateCharge,
+    pack: updatePack,
+  };
+
+  function state(en) {
+    if (!en._ai) {
+      en._ai = {
+        state: "idle",
+        since: now(),
+        // Flankers pick a side once per spawn
+        side: rand() < 0.5 ? -1 : 1,
+        // First charge not before this (spawn grace); kiteAt gates the next retreat
+        readyAt: now() + 1 + rand() * 2,
+        kiteAt: 0,
+        leader: null,
+        leaderAt: 0,
+        slot: 0,
+        // Who it fights (the hero or a decoy, set every tick) and the shot being aimed
+        target: null,
+        aim: null,
+      };
+    }
+    return en._ai;
+  }
+
+  function setState(s, name) {
+    if (s.state === name) return;
+    s.state = name;
+    s.since = now();
+    // Leaving "attack" (kiting off, chasing after a hero who left range) drops a shot being aimed
+    s.aim = null;
+  }
+
+  function canSee(en, to = player) {
+    let occ = null;
+    try { occ = getOccluders(); } catch (_) {}
+    return hasLineOfSight(occ, en.pos(), to.pos());
+  }
+
+  // Who the enemy fights this tick (threat table pick, else the hero)
+  function foe(s) {
+    return s.target || player;
+  }
+
+  function inSafeZone(pos) {
+    try { return typeof isSafeZone === "function" && !!isSafeZone(pos); } catch (_) { return false; }
+  }
+
+  function attackRange(en) {
+    return en.attackRange || WORLD.aiAttackRange;
+  }
+
+  // Ranged attackers need a clear line to the hero; melee hits land regardless
+  function shotBlocked(en, s) {
+    return en.attackEffect !== "melee" && !canSee(en, foe(s));
+  }
+
+  function faceTowards(en, v, k = 0.2) {
+    if (!v || (!v.x && !v.z)) return;
+    const q = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, Math.atan2(v.x, v.z), 0));
+    en.mesh.quaternion.slerp(q, k);
+  }
+
+  /**
+   * Step along `v` (unit XZ) at `speed`, steered around neighbours, props and fences unless `steer` is false;
+   * `goal`/`stop` ease the enemy into its stop. Villages stay closed to enemies (clamped to their fence).
+   */
+  function moveEnemy(en, v, speed, dt, { face = true, steer: steered = true, goal = null, stop = 0 } = {}) {
+    let step = speed * dt;
+    if (steered) {
+      let occ = null;
+      try { occ = getOccluders(); } catch (_) {}
+      const st = steer(en, v, { hash, occluders: occ, fences, goal, stop });
+      v = st;
+      step = Math.min(step * st.speedMul, st.maxStep);
+    }
+    const nx = en.mesh.position.x + v.x * step;
+    const nz = en.mesh.position.z + v.z * step;
+    const next = new THREE.Vector3(nx, 0, nz);
+    const nextDistToVillage = Math.hypot(nx - VILLAGE_POS.x, nz - VILLAGE_POS.z);
+    if (nextDistToVillage <= REST_RADIUS - 0.25) {
+      // Clamp to fence boundary so enemies cannot enter origin village; the step slides along the fence
+      const dirFromVillage = dir2D(VILLAGE_POS, next);
+      en.mesh.position.x = VILLAGE_POS.x + dirFromVillage.x * (REST_RADIUS - 0.25);
+      en.mesh.position.z = VILLAGE_POS.z + dirFromVillage.z * (REST_RADIUS - 0.25);
+    } else {
+      // Check dynamic villages
+      let clamped = false;
+      try {
+        const inside = villages?.isInsideAnyVillage?.(next);
+        if (inside && inside.inside && inside.key !== "origin") {
+          const dirFrom = dir2D(inside.center, next);
+          const rad = Math.max(0.25, (inside.radius || REST_RADIUS) - 0.25);
+          en.mesh.position.x = inside.center.x + dirFrom.x * rad;
+          en.mesh.position.z = inside.center.z + dirFrom.z * rad;
+          clamped = true;
+        }
+      } catch (_) {}
+      if (!clamped) {
+        en.mesh.position.x = nx;
+        en.mesh.position.z = nz;
+      }
+    }
+    if (face) faceTowards(en, v);
+  }
+
+  // Attackers standing in a crowd drift apart without turning away from their target or stepping onto it
+  function jostle(en, s, dt) {
+    const sep = separation(en, hash);
+    const to = toward(en, foe(s).pos());
+    const inward = sep.x * to.x + sep.z * to.z;
+    if (inward > 0) {
+      sep.x -= to.x * inward;
+      sep.z -= to.z * inward;
+    }
+    const len = Math.hypot(sep.x, sep.z);
+    if (len < 0.05) return;
+    const k = Math.min(1, len);
+    moveEnemy(en, { x: sep.x / len, z: sep.z / len }, en.currentSpeed() * 0.5 * k, dt, { face: false, steer: false });
+  }
+
+  // Direction from the enemy to a point
+  function toward(en, p) {
+    return dir2D(en.pos(), p);
+  }
+
+  /**
+   * Regular attack on cooldown: VFX per attack effect, then damage through src/damage.js. With `shots`, ranged
+   * attacks aim first (the lane is telegraphed along a locked direction) and then fire a projectile down it.
+   */
+  function tryAttack(en) {
+    const t = now();
+    const s = state(en);
+    if (s.aim) {
+      if (isStunned(en)) {
+        s.aim = null;
+        return false;
+      }
+      if (t < s.aim.until) return false;
+      const dir = s.aim.dir;
+      s.aim = null;
+      shots.fire(en, dir, en.currentAttackDamage());
+      return true;
+    }
+    if (t < (en.nextAttackReady || 0) || isStunned(en)) return false;
+    en.nextAttackReady = t + (en.attackCooldown || WORLD.aiAttackCooldown);
+    const target = foe(s);
+    if (shots && en.attackEffect !== "melee") {
+      const dir = toward(en, target.pos());
+      s.aim = { dir, until: t + WORLD.enemyShotWindup };
+      shots.telegraph(en, dir, WORLD.enemyShotWindup);
+      return false;
+    }
+    const from = en.pos().clone().add(new THREE.Vector3(0, 1.4, 0));
+    const to = target.pos().clone().add(new THREE.Vector3(0, 1.2, 0));
+    try {
+      // Centralized VFX gating: shouldSpawnVfx(kind, pos) decides whether to spawn heavy effects
+      if (en.attackEffect === "melee") {
+        effects.spawnStrike(target.pos(), 0.9, 0xff9955);
+      } else if (en.attackEffect === "electric") {
+        if (shouldSpawnVfx("electric", from)) effects.spawnElectricBeamAuto(from, to, en.beamColor || 0x9fd8ff, 0.1);
+      } else if (shouldSpawnVfx("largeBeam", from)) {
+        // default beam (archer/others)
+        effects.spawnBeam(from, to, en.beamColor || 0xff8080, 0.09);
+      }
+    } catch (_) {}
+    hitTarget(en, target, en.currentAttackDamage());
+    return true;
+  }
+
+  // Damage the hero, or a decoy (summons with takeDamage take it, clones and totems shrug it off)
+  function hitTarget(en, target, amount) {
+    if (target !== player) {
+      dealDamage(en, target, amount, { type: en.damageType, canCrit: false });
+      return;
+    }
+    const hit = dealDamage(en, player, amount, { type: en.damageType, canCrit: false });
+    try { audio && audio.sfx("player_hit"); } catch (_) {}
+    try { effects.spawnDamagePopup(player.pos(), hit.amount, 0xffd0d0); } catch (_) {}
+  }
+
+  function updateAggro(en, toPlayer, s) {
+    // Drawn by a decoy (taunt or its hits): fights it regardless of the hero
+    if (s.target !== player) {
+      en.aggro = true;
+      return true;
+    }
+    if (!player.alive || toPlayer >= WORLD.aiAggroRadius) {
+      en.aggro = false;
+      return false;
+    }
+    if (!en.aggro) {
+      const leader = s.leader;
+      en.aggro = toPlayer <= WORLD.aiHearRadius
+        || en.hp < en.maxHP
+        || !!en.shieldHitAt
+        || (!!leader && leader !== en && leader.alive && !!leader.aggro)
+        || canSee(en);
+    }
+    return en.aggro;
+  }
+
+  // In range: hold position (drifting out of the crowd, rooted while aiming a shot), face the target, attack
+  function standAndAttack(en, s, dt) {
+    setState(s, "attack");
+    if (!s.aim) jostle(en, s, dt);
+    faceTowards(en, s.aim ? s.aim.dir : toward(en, foe(s).pos()));
+    tryAttack(en);
+  }
+
+  // ---- chase: walk straight in, attack in range ----
+  function updateChase(en, ai, s, dt, d) {
+    const blocked = shotBlocked(en, s);
+    if (d > attackRange(en) || blocked) {
+      setState(s, "chase");
+      // Blocked ranged attackers walk right up; everyone else eases in just inside attack range
+      const stop = blocked ? 0 : Math.max(0, attackRange(en) - 0.2);
+      moveEnemy(en, toward(en, foe(s).pos()), en.currentSpeed(), dt, { goal: foe(s).pos(), stop });
+      return;
+    }
+    standAndAttack(en, s, dt);
+  }
+
+  // ---- kite: keep distance, back off when the hero closes in ----
+  function updateKite(en, ai, s, dt, d) {
+    const ar = attackRange(en);
+    const t = now();
+    if (s.state === "kite") {
+      if (d < ar * (ai.holdRange ?? 0.8) && t - s.since < (ai.kiteTime ?? 1.2) && !isStunned(en)) {
+        moveEnemy(en, dir2D(foe(s).pos(), en.pos()), en.currentSpeed() * (ai.speedMul ?? 1), dt);
+        return;
+      }
+      s.kiteAt = t + (ai.cooldown ?? 2);
+      setState(s, "attack");
+    } else if (d < ar * (ai.minRange ?? 0.45) && t >= (s.kiteAt || 0) && !isStunned(en)) {
+      setState(s, "kite");
+      moveEnemy(en, dir2D(foe(s).pos(), en.pos()), en.currentSpeed() * (ai.speedMul ?? 1), dt);
+      return;
+    }
+    updateChase(en, ai, s, dt, d);
+  }
+
+  // ---- flank: swing around to the hero's side before committing ----
+  function updateFlank(en, ai, s, dt, d) {
+    const commit = Math.max(attackRange(en), ai.commit ?? 6);
+    if (d <= commit) {
+      updateChase(en, ai, s, dt, d);
+      return;
+    }
+    // Goal: the hero→enemy bearing rotated by `angle` toward this enemy's side; it tightens as the enemy closes in
+    const away = dir2D(foe(s).pos(), en.pos());
+    const ang = ((ai.angle ?? 70) * Math.PI / 180) * s.side;
+    const c = Math.cos(ang);
+    const sn = Math.sin(ang);
+    const r = Math.max(commit, d * 0.7);
+    const goal = new THREE.Vector3(
+      foe(s).pos().x + (away.x * c - away.z * sn) * r,
+      0,
+      foe(s).pos().z + (away.x * sn + away.z * c) * r
+    );
+    setState(s, "flank");
+    moveEnemy(en, toward(en, goal), en.currentSpeed() * (ai.speedMul ?? 1), dt);
+  }
+
+  // ---- charge: wind up, dash along a locked line, recover ----
+  function updateCharge(en, ai, s, dt, d) {
+    const t = now();
+    if (s.state === "windup") {
+      faceTowards(en, s.dir, 0.3);
+      if (t >= s.until) {
+        setState(s, "charge");
+        s.until = t + (ai.duration ?? 0.7);
+        s.hit = false;
+      }
+      return;
+    }
+    if (s.state === "charge") {
+      moveEnemy(en, s.dir, en.currentSpeed() * (ai.speedMul ?? 2.5), dt, { steer: false });
+      if (!s.hit && distance2D(en.pos(), foe(s).pos()) <= attackRange(en) + 0.5) {
+        s.hit = true;
+        try { effects.spawnStrike(foe(s).pos(), 1.4, hexColor(ai.color, 0xff8844)); } catch (_) {}
+        hitTarget(en, foe(s), Math.max(1, Math.floor(en.currentAttackDamage() * (ai.dmgMul ?? 1.3))));
+        en.nextAttackReady = t + (en.attackCooldown || WORLD.aiAttackCooldown);
+        s.until = t;
+      }
+      if (t >= s.until) {
+        setState(s, "recover");
+        s.until = t + (ai.recover ?? 0.8);
+      }
+      return;
+    }
+    if (s.state === "recover") {
+      if (t < s.until) return;
+      setState(s, "chase");
+    }
+    const [minR, maxR] = Array.isArray(ai.range) ? ai.range : [6, 16];
+    if (t >= (s.readyAt || 0) && d >= minR && d <= maxR && !isStunned(en) && canSee(en, foe(s)) && !inSafeZone(foe(s).pos())) {
+      const windup = ai.windup ?? 0.6;
+      setState(s, "windup");
+      const v = toward(en, foe(s).pos());
+      s.dir = { x: v.x, z: v.z };
+      s.until = t + windup;
+      s.readyAt = t + windup + (ai.duration ?? 0.7) + (ai.cooldown ?? 6);
+      try { effects.spawnTelegraph(en.pos().clone().setY(0), 1.6, hexColor(ai.color, 0xff8844), windup); } catch (_) {}
+      return;
+    }
+    updateChase(en, ai, s, dt, d);
+  }
+
+  // ---- pack: the leader chases, the rest surround the hero in spread slots ----
+  function packLeader(en, ai, s) {
+    const t = now();
+    if (s.leader && s.leader.alive && t < s.leaderAt) return s.leader;
+    s.leaderAt = t + 1;
+    const radius = ai.radius ?? 18;
+    let leader = null;
+    let slot = 0;
+    for (const o of enemies) {
+      if (!o || !o.alive || o.kind !== en.kind || o.isBoss) continue;
+      if (o !== en && distance2D(o.pos(), en.pos()) > radius) continue;
+      if (!leader) leader = o;
+      if (o === en) break;
+      slot++;
+    }
+    s.leader = leader;
+    s.slot = slot;
+    return leader;
+  }
+
+  function updatePack(en, ai, s, dt, d) {
+    const leader = s.leader;
+    if (!leader || leader === en || !leader.alive) {
+      updateChase(en, ai, s, dt, d);
+      return;
+    }
+    const ar = attackRange(en);
+    if (d <= ar && !shotBlocked(en, s)) {
+      standAndAttack(en, s, dt);
+      return;
+    }
+    // Slots fan out on both sides of the leader's bearing: +1, -1, +2, -2, ...
+    const step = Math.ceil(s.slot / 2) * (s.slot % 2 ? 1 : -1);
+    const base = Math.atan2(leader.pos().x - foe(s).pos().x, leader.pos().z - foe(s).pos().z);
+    const ang = base + step * ((ai.spread ?? 50) * Math.PI / 180);
+    const ring = Math.max(1, ar * 0.9);
+    const slotPos = new THREE.Vector3(foe(s).pos().x + Math.sin(ang) * ring, 0, foe(s).pos().z + Math.cos(ang) * ring);
+    setState(s, "surround");
+    moveEnemy(en, toward(en, slotPos), en.currentSpeed(), dt, { goal: slotPos });
+  }
+
+  // ---- idle: wander around the spawn area; pack followers trail their leader ----
+  function wander(en, dt, s) {
+    setState(s, "idle");
+    const leader = s.leader;
+    if (leader && leader !== en && leader.alive) {
+      if (distance2D(en.pos(), leader.pos()) > 4 + s.slot) {
+        moveEnemy(en, toward(en, leader.pos()), en.currentSpeed() * 0.6, dt, { face: false, goal: leader.pos(), stop: 4 + s.slot });
+      }
+      return;
+    }
+    if (!en.moveTarget || rand() < 0.005) {
+      const ang = rand() * Math.PI * 2;
+      const r = rand() * WORLD.aiWanderRadius;
+      en.moveTarget = en.pos().clone().add(new THREE.Vector3(Math.cos(ang) * r, 0, Math.sin(ang) * r));
+    }
+    const d = distance2D(en.pos(), en.moveTarget);
+    if (d > 0.8) {
+      const v = toward(en, en.moveTarget);
+      en.mesh.position.x += v.x * en.currentSpeed() * 0.6 * dt;
+      en.mesh.position.z += v.z * en.currentSpeed() * 0.6 * dt;
+    }
+  }
+
+  /**
+   * Run one AI tick for a living enemy.
+   * @param {import("./entities.js").Enemy} en
+   * @param {number} dt
+   * @param {number} toPlayer - 2D distance to the hero (Infinity when the hero is dead)
+   * @returns {string} the enemy's AI state after the tick
+   */
+  function update(en, dt, toPlayer) {
+    if (!en || !en.alive) return "idle";
+    const s = state(en);
+    const ai = en.ai || {};
+    const style = STYLES[ai.style] ? ai.style : "chase";
+    if (style === "pack") packLeader(en, ai, s);
+    else s.leader = null;
+    s.target = threat ? threat.targetOf(en) : player;
+    if (!updateAggro(en, toPlayer, s)) {
+      wander(en, dt, s);
+      return s.state;
+    }
+    const d = s.target === player ? toPlayer : distance2D(en.pos(), s.target.pos());
+    try {
+      STYLES[style](en, ai, s, dt, d);
+    } catch (e) {
+      console.warn("enemy AI error", e);
+    }
+    return s.state;
+  }
+
+  /** Once per frame, before any update(): index living enemies (private grid only) and refresh the village circles. */
+  function beginFrame() {
+    if (!index) hash.rebuild(enemies);
+    const list = [{ x: VILLAGE_POS.x, z: VILLAGE_POS.z, r: REST_RADIUS }];
+    try {
+      for (const v of villages?.listVillages?.() || []) list.push({ x: v.center.x, z: v.center.z, r: v.radius || REST_RADIUS });
+    } catch (_) {}
+    fences = list;
+  }
+
+  /** Forget AI state (relocation, respawn): the enemy starts idle and unaware. */
+  function reset(en) {
+    if (!en) return;
+    en._ai = null;
+    en.aggro = false;
+    if (threat) threat.forget(en);
+  }
+
+  return { beginFrame, update, reset };
+}
@@ -0,0 +1,237 @@
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { distance2D, dir2D, hexColor, now } from "./utils.js";
+import { applyStatus, hasStatus } from "./status_effects.js";
+import { dealDamage } from "./damage.js";
+import { rngStream } from "./rng.js";
+
+/**
+ * Signature enemy behaviors — unique AI for act-exclusive archetypes.
+ * Behaviors are declared on ENEMY_ARCHETYPES entries ("behavior": { type, ... }) in src/enemies_pool.js.
+ *
+ * - dive: telegraphs the hero's position, leaps in an arc and damages everything under the landing ring
+ * - shield: keeps a visible barrier (Enemy.shieldHP); breaking it staggers the enemy and makes it vulnerable,
+ *           the barrier regenerates after regenDelay seconds without hits
+ * - slam: roots in place behind a growing ground telegraph, then slams the marked area (self or hero position)
+ * - support: periodically empowers nearby allies (damage/speed) while the hero is in aggro range
+ *
+ * update(en, dt, toPlayer) is called from updateEnemies before the generic chase/attack.
+ * It returns true when the behavior owns the enemy this frame (wind-up, leap, stagger) so the caller
+ * skips chase and the regular attack.
+ * isSafeZone(pos) (optional) keeps dives and targeted slams out of villages, like the chase fence clamp.
+ * getEnemiesNear(pos, r) (optional, main.js's per-frame enemy grid) finds the allies a support empowers; without it
+ * the whole enemy list is scanned.
+ * rand (default the seeded "ai" stream, src/rng.js) rolls each enemy's first-use grace, so `?seed=` runs replay it.
+ *
+ * Behaviors always aim at the hero, not at threat.targetOf (src/threat.js): they are telegraphed set pieces the
+ * hero has to dodge, and a standing clone or totem would soak every leap and slam.
+ */
+export function initEnemyBehaviors({
+  effects,
+  player,
+  enemies,
+  audio,
+  aggroRadius = 30,
+  isSafeZone = null,
+  getEnemiesNear = null,
+  rand = rngStream("ai"),
+} = {}) {
+  const HANDLERS = {
+    dive: updateDive,
+    shield: updateShield,
+    slam: updateSlam,
+    support: updateSupport,
+  };
+
+  function state(en) {
+    if (!en._bh) en._bh = { phase: "idle", readyAt: now() + 1 + rand() * 2 };
+    return en._bh;
+  }
+
+  function faceTowards(en, target) {
+    const v = dir2D(en.pos(), target);
+    if (!v.x && !v.z) return;
+    const q = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, Math.atan2(v.x, v.z), 0));
+    en.mesh.quaternion.slerp(q, 0.25);
+  }
+
+  function hitPlayerIfInside(center, radius, amount, color) {
+    if (!player || !player.alive) return;
+    if (distance2D(center, player.pos()) > radius) return;
+    const hit = dealDamage(null, player, amount, { type: "physical", canCrit: false });
+    try { audio && audio.sfx("player_hit"); } catch (_) {}
+    try { effects.spawnDamagePopup(player.pos(), hit.amount, color || 0xffd0d0); } catch (_) {}
+  }
+
+  function inSafeZone(pos) {
+    try { return typeof isSafeZone === "function" && !!isSafeZone(pos); } catch (_) { return false; }
+  }
+
+  function behaviorDamage(en, b) {
+    return Math.max(1, Math.floor(en.currentAttackDamage() * (b.dmgMul || 1)));
+  }
+
+  // ---- dive ----
+  function updateDive(en, b, toPlayer) {
+    const s = state(en);
+    const t = now();
+    if (s.phase === "windup") {
+      faceTowards(en, s.to);
+      if (t >= s.until) {
+        s.phase = "leap";
+        s.from = en.pos().clone();
+        s.start = t;
+      }
+      return true;
+    }
+    if (s.phase === "leap") {
+      const dur = Math.max(0.1, b.leapTime || 0.5);
+      const k = Math.min(1, (t - s.start) / dur);
+      en.mesh.position.x = s.from.x + (s.to.x - s.from.x) * k;
+      en.mesh.position.z = s.from.z + (s.to.z - s.from.z) * k;
+      en.liftY = Math.sin(k * Math.PI) * (b.arc || 2);
+      if (k >= 1) {
+        en.liftY = 0;
+        s.phase = "idle";
+        s.readyAt = t + (b.cooldown || 6);
+        en.nextAttackReady = t + 0.6;
+        try { effects.spawnStrike(s.to, b.radius || 2.5, hexColor(b.color, 0xffe08a)); } catch (_) {}
+        try { effects.spawnRingPulse(s.to, b.radius || 2.5, hexColor(b.color, 0xffe08a), 0.35, 0.5, 0.6); } catch (_) {}
+        hitPlayerIfInside(s.to, b.radius || 2.5, behaviorDamage(en, b), 0xffd0d0);
+      }
+      return true;
+    }
+    // idle: start a dive when the hero is within the dive band
+    const [minR, maxR] = Array.isArray(b.range) ? b.range : [8, 20];
+    if (player.alive && t >= s.readyAt && toPlayer >= minR && toPlayer <= maxR && !inSafeZone(player.pos())) {
+      s.phase = "windup";
+      s.to = player.pos().clone();
+      s.to.y = 0;
+      s.until = t + (b.windup || 0.6);
+      try { effects.spawnTelegraph(s.to, b.radius || 2.5, hexColor(b.color, 0xffe08a), b.windup || 0.6); } catch (_) {}
+      return true;
+    }
+    return false;
+  }
+
+  // ---- shield ----
+  function updateShield(en, b) {
+    const s = state(en);
+    const t = now();
+    // Broken this frame: stagger + expose
+    if (en.shieldBrokenAt && en.shieldBrokenAt !== s.brokenSeen) {
+      s.brokenSeen = en.shieldBrokenAt;
+      en.staggerUntil = t + (b.stagger || 1.5);
+      applyStatus(en, "vulnerable", { duration: b.stagger || 1.5, mul: b.vulnMul || 1.3 });
+      en.moveTarget = null;
+      try { effects.spawnRingPulse(en.pos(), 2.4, hexColor(b.color, 0x7fffe0), 0.45, 0.5, 0.7); } catch (_) {}
+      try { audio && audio.sfx("boom"); } catch (_) {}
+    }
+    // Regenerate after regenDelay seconds without taking a hit
+    if (en.shieldHP < en.shieldMax && t - Math.max(en.shieldHitAt || 0, en.shieldBrokenAt || 0) >= (b.regenDelay || 6)) {
+      en.shieldHP = Math.min(en.shieldMax, en.shieldHP + en.shieldMax * (b.regenPct || 0.2) * (s.lastT ? Math.max(0, t - s.lastT) : 0));
+    }
+    s.lastT = t;
+    syncShieldMesh(en, b);
+    return t < (en.staggerUntil || 0);
+  }
+
+  function syncShieldMesh(en, b) {
+    const up = en.shieldHP > 0;
+    if (!en._shieldMesh) {
+      if (!up) return;
+      try {
+        const mat = new THREE.MeshBasicMaterial({ color: hexColor(b.color, 0x7fffe0), transparent: true, opacity: 0.3, wireframe: true, depthWrite: false });
+        en._shieldMesh = new THREE.Mesh(new THREE.SphereGeometry(1.35, 16, 12), mat);
+        en._shieldMesh.position.y = 0.2;
+        en.mesh.add(en._shieldMesh);
+      } catch (_) { return; }
+    }
+    en._shieldMesh.visible = up;
+    if (up) {
+      const ratio = en.shieldMax > 0 ? en.shieldHP / en.shieldMax : 0;
+      en._shieldMesh.material.opacity = 0.12 + 0.28 * ratio;
+    }
+  }
+
+  // ---- slam ----
+  function updateSlam(en, b, toPlayer) {
+    const s = state(en);
+    const t = now();
+    if (s.phase === "windup") {
+      faceTowards(en, player.pos());
+      if (t >= s.until) {
+        s.phase = "idle";
+        s.readyAt = t + (b.cooldown || 5);
+        en.nextAttackReady = t + 0.8;
+        const col = hexColor(b.color, 0xff9a4a);
+        try { effects.spawnStrike(s.center, b.radius || 5, col); } catch (_) {}
+        try { effects.spawnRingPulse(s.center, b.radius || 5, col, 0.4, 0.8, 0.7); } catch (_) {}
+        try { audio && audio.sfx("boom"); } catch (_) {}
+        hitPlayerIfInside(s.center, b.radius || 5, behaviorDamage(en, b), 0xffd0d0);
+      }
+      return true;
+    }
+    if (player.alive && t >= s.readyAt && toPlayer <= (b.range || 5) && !(b.at === "target" && inSafeZone(player.pos()))) {
+      s.phase = "windup";
+      s.center = (b.at === "target" ? player.pos() : en.pos()).clone();
+      s.center.y = 0;
+      s.until = t + (b.windup || 1.2);
+      try { effects.spawnTelegraph(s.center, b.radius || 5, hexColor(b.color, 0xff9a4a), b.windup || 1.2); } catch (_) {}
+      return true;
+    }
+    return false;
+  }
+
+  // ---- support ----
+  function updateSupport(en, b, toPlayer) {
+    const s = state(en);
+    const t = now();
+    if (!player.alive || toPlayer >= aggroRadius || t < s.readyAt) return false;
+    s.readyAt = t + (b.cooldown || 7);
+    const radius = b.radius || 14;
+    const maxTargets = Math.max(1, b.maxTargets || 3);
+    const col = hexColor(b.color, 0xffe6a0);
+    let count = 0;
+    let near = null;
+    try { near = getEnemiesNear ? getEnemiesNear(en.pos(), radius) : enemies; } catch (_) { near = enemies; }
+    for (const ally of near || []) {
+      if (count >= maxTargets) break;
+      if (!ally || ally === en || !ally.alive) continue;
+      if (hasStatus(ally, "empower")) continue;
+      if (distance2D(en.pos(), ally.pos()) > radius) continue;
+      if (!applyStatus(ally, "empower", { duration: b.duration || 5, dmgMul: b.dmgMul || 1.3, speedMul: b.speedMul || 1.15 })) continue;
+      count++;
+      try {
+        const from = en.pos().clone().add(new THREE.Vector3(0, 1.8, 0));
+        const to = ally.pos().clone().add(new THREE.Vector3(0, 1.2, 0));
+        effects.spawnBeam(from, to, col, 0.25);
+        effects.spawnRingPulse(ally.pos(), 1.4, col, 0.5, 0.35, 0.6);
+      } catch (_) {}
+    }
+    if (count > 0) {
+      try { effects.spawnRingPulse(en.pos(), radius, col, 0.5, 0.6, 0.45); } catch (_) {}
+    }
+    return false;
+  }
+
+  /**
+   * Run the archetype's signature behavior for one AI tick.
+   * @param {import("./entities.js").Enemy} en
+   * @param {number} dt
+   * @param {number} toPlayer - 2D distance to the hero (Infinity when the hero is dead)
+   * @returns {boolean} true when the behavior controls the enemy this tick
+   */
+  function update(en, dt, toPlayer) {
+    const b = en && en.behavior;
+    if (!b || !en.alive) return false;
+    const fn = HANDLERS[b.type];
+    if (!fn) return false;
+    try {
+      return !!fn(en, b, toPlayer, dt);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  return { update };
+}
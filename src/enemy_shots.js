@@ -0,0 +1,148 @@
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { WORLD } from "./constants.js";
+import { ProjectileSystem } from "./projectiles.js";
+import { dealDamage } from "./damage.js";
+import { getStatus } from "./status_effects.js";
+
+/**
+ * Enemy shots — ranged enemy attacks as travelling projectiles the hero can see coming and dodge.
+ *
+ * The enemy AI (src/enemy_ai.js) locks a direction, calls telegraph(en, dir, windup) to draw the lane, and
+ * fire(en, dir, amount) when the wind-up ends. Shots fly along the locked line at the archetype's
+ * `attack.shotSpeed` (else WORLD.enemyShotSpeed) up to reach(en), stop at structures and hit the hero on contact,
+ * so stepping off the line, blinking or dashing avoids them.
+ *
+ * Shots hit the first of getTargets() they touch: the hero, or a decoy from the threat table (src/threat.js), which
+ * takes them like any other enemy attack.
+ *
+ * Hero shields: a "defense" status whose params carry `shots` (shield skills, SKILL_POOL "shots") stops a shot
+ * before it deals damage:
+ * - "block": it breaks on the bubble
+ * - "reflect": it flies back toward its shooter and hits the first enemy in its way for `reflectMul` x its damage
+ */
+
+// Shots fly at chest height
+const SHOT_Y = 1.3;
+// How far past its attack range a shot keeps flying
+const OVERSHOOT = 1.25;
+
+/**
+ * @param {object} deps
+ * @param {import("./entities.js").Player} deps.player
+ * @param {any[]} deps.enemies - live enemy list (reflected shots fall back to scanning it)
+ * @param {import("./effects.js").EffectsManager} deps.effects
+ * @param {{sfx:Function}} [deps.audio]
+ * @param {() => {x:number,z:number,r:number}[]} [deps.getColliders] - structure footprints that stop shots
+ * @param {(pos:THREE.Vector3, r:number) => any[]} [deps.getEnemiesNear] - enemy grid lookup for reflected shots
+ * @param {() => any[]} [deps.getTargets] - what hostile shots can hit (the hero and decoys; default the hero)
+ * @param {(en:any, amount:number, opts:object) => {amount:number}} [deps.dealHeroDamage] - hero-side damage for
+ *   reflected shots (SkillsSystem.dealHeroDamage, which also records threat)
+ */
+export function initEnemyShots({
+  player,
+  enemies = [],
+  effects,
+  audio = null,
+  getColliders = () => [],
+  getEnemiesNear = null,
+  getTargets = () => [player],
+  dealHeroDamage = (en, amount, opts) => dealDamage(player, en, amount, opts),
+} = {}) {
+  // Shots at the hero (and decoys), and shots a shield sent back at the enemies
+  const hostile = new ProjectileSystem({ getEnemies: getTargets, effects, getColliders });
+  const reflected = new ProjectileSystem({ getEnemies: () => enemies, getEnemiesNear, effects, getColliders });
+
+  /** Longest flight of a shot from `en` (world units). */
+  function reach(en) {
+    return (en.attackRange || WORLD.aiAttackRange) * OVERSHOOT + 2;
+  }
+
+  function origin(pos) {
+    return new THREE.Vector3(pos.x, SHOT_Y, pos.z);
+  }
+
+  function body(pos, color, physical) {
+    try { return effects.spawnProjectile(pos, color, physical ? 0.22 : 0.3, physical ? "bolt" : "orb"); } catch (_) { return null; }
+  }
+
+  /** Draw the lane a shot from `en` will travel along `dir` over the next `duration` seconds. */
+  function telegraph(en, dir, duration) {
+    try { effects.spawnAimLine(en.pos(), dir, reach(en), en.beamColor || 0xff8080, duration); } catch (_) {}
+  }
+
+  /** Launch a shot from `en` along `dir` (XZ); returns the projectile state. */
+  function fire(en, dir, amount) {
+    const from = origin(en.pos());
+    const speed = en.shotSpeed || WORLD.enemyShotSpeed;
+    const color = en.beamColor || 0xff8080;
+    const type = en.damageType || "physical";
+    return hostile.spawn({
+      from,
+      dir,
+      speed,
+      lifetime: reach(en) / speed,
+      hitRadius: 0.45,
+      mesh: body(from, color, type === "physical"),
+      color,
+      onHit: (target, p) => {
+        if (target === player) hitHero(en, amount, type, p);
+        else dealDamage(en, target, amount, { type, canCrit: false });
+      },
+    });
+  }
+
+  function hitHero(en, amount, type, p) {
+    const guard = getStatus(player, "defense");
+    const mode = guard && guard.params ? guard.params.shots : null;
+    if (mode === "block" || mode === "reflect") {
+      try { effects.spawnRingPulse(player.pos(), 1.8, p.color, 0.3, 0.5, 0.7); } catch (_) {}
+      try { audio && audio.sfx("aura_on"); } catch (_) {}
+      if (mode === "reflect") reflect(en, Math.max(1, Math.round(amount * (guard.params.reflectMul || 1))), type, p);
+      return;
+    }
+    const hit = dealDamage(en, player, amount, { type, canCrit: false });
+    try { audio && audio.sfx("player_hit"); } catch (_) {}
+    try { effects.spawnDamagePopup(player.pos(), hit.amount, 0xffd0d0); } catch (_) {}
+  }
+
+  // Send a blocked shot back: at its shooter while it lives, else straight back along its line
+  function reflect(en, amount, type, p) {
+    const from = origin(player.pos());
+    const dir = en && en.alive
+      ? { x: en.pos().x - from.x, z: en.pos().z - from.z }
+      : { x: -p.dir.x, z: -p.dir.z };
+    reflected.spawn({
+      from,
+      dir,
+      speed: p.speed * 1.2,
+      lifetime: p.lifetime,
+      hitRadius: 0.6,
+      mesh: body(from, p.color, type === "physical"),
+      color: p.color,
+      onHit: (target) => {
+        const hit = dealHeroDamage(target, amount, { type, canCrit: false });
+        try { effects.spawnDamagePopup(target.pos(), hit.amount, 0xffe085); } catch (_) {}
+      },
+    });
+  }
+
+  function update(dt) {
+    hostile.update(dt);
+    reflected.update(dt);
+  }
+
+  /** Drop every shot in flight (map change, hero respawn). */
+  function clear() {
+    hostile.clear();
+    reflected.clear();
+  }
+
+  return {
+    telegraph,
+    fire,
+    reach,
+    update,
+    clear,
+    get count() { return hostile.count + reflected.count; },
+  };
+}
@@ -1,7 +1,11 @@
 import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
 import { COLOR, WORLD, STATS_BASE, SCALING } from "./constants.js";
 import { createGoTMesh, createEnemyMesh, createBillboardHPBar } from "./meshes.js";
-import { distance2D, now } from "./utils.js";
+import { distance2D, hexColor, now } from "./utils.js";
+import { loadSection, saveSection } from "./save.js";
+import { getEnemyArchetype, getEnemyTier, pickArchetypeForAct, rollEnemyTier, isArchetypeOnAct } from "./enemies_pool.js";
+import { rngStream } from "./rng.js";
+import { isInvulnerable, damageTakenMul, damageDealtMul, moveSpeedMul, clearStatuses, serializeStatuses, restoreStatuses } from "./status_effects.js";
 
 export class Entity {
   constructor(mesh, radius = 1) {
@@ -11,26 +15,25 @@ export class Entity {
     this.maxHP = 100;
     this.hp = 100;
     this.team = "neutral";
+    // Damage taken per type is scaled by 1 - resist[type] (src/damage.js)
+    this.resist = {};
+    // Active buffs/debuffs keyed by STATUS_DEFS id (src/status_effects.js)
+    this.statuses = new Map();
+    this.statusImmune = null;
   }
   pos() {
     return this.mesh.position;
   }
+  /** Apply a hit after status multipliers. Returns the damage taken (0 when dead or invulnerable). */
   takeDamage(amount) {
-    if (!this.alive) return;
-    if (this.invulnUntil && now() < this.invulnUntil) return;
+    if (!this.alive) return 0;
+    if (isInvulnerable(this)) return 0;
 
-    // Optional defense reduction (e.g., from shield/buff)
+    // Defense reduction, vulnerability and shock amplification from active statuses
     let dmg = amount;
     try {
-      if (this.defenseUntil && now() < this.defenseUntil) {
-        const pct = Math.min(0.95, Math.max(0, this.defensePct || 0));
-        dmg = Math.max(0, Math.floor(dmg * (1 - pct)));
-      }
-      // Optional vulnerability amplification (e.g., Lightning Rod / Ionize)
-      if (this.vulnUntil && now() < this.vulnUntil) {
-        const mul = Math.max(1.05, Math.min(3.0, this.vulnMult || 1.25));
-        dmg = Math.max(0, Math.floor(dmg * mul));
-      }
+      const mul = damageTakenMul(this);
+      if (mul !== 1) dmg = Math.max(0, Math.floor(dmg * mul));
     } catch (_) {}
 
     this.hp -= dmg;
@@ -40,6 +43,7 @@ export class Entity {
       this.onDeath && this.onDeath();
       this.mesh.visible = false;
     }
+    return dmg;
   }
 }
 
@@ -58,6 +62,8 @@ export class Player extends Entity {
     this.hpRegen = STATS_BASE.hpRegen;
     this.mpRegen = STATS_BASE.mpRegen;
     this.baseDamage = WORLD.basicAttackDamage;
+    this.critChance = STATS_BASE.critChance;
+    this.critMult = STATS_BASE.critMult;
 
     this.moveTarget = null;
     this.speed = WORLD.playerSpeed;
@@ -79,26 +85,47 @@ export class Player extends Entity {
     this.aimModeSkill = null; // which skill initiated aim mode (e.g., 'W')
     this.staticField = { active: false, until: 0, nextTick: 0 };
 
-    // Optional transient combat modifiers (set by skills)
-    this.speedBoostMul = 1;
-    this.speedBoostUntil = 0;
-    this.atkSpeedMul = 1;
+    // Permanent attack speed growth from levels; timed buffs (speedBoost, atkSpeed, defense, regen) are statuses
     this.atkSpeedPerma = 1;
-    this.atkSpeedUntil = 0;
-    this.defensePct = 0;
-    this.defenseUntil = 0;
+    // Unspent skill points (granted per level, spent on skill ranks in the Skills tab)
+    this.skillPoints = 0;
 
     // Blue light glow on the character
     const light = new THREE.PointLight(0x66b3ff, 1.2, 45, 2);
     light.position.set(0, 3.5, 0);
     mesh.add(light);
-    // Load persisted level (if any) and apply stats
-    try { this.loadLevelFromStorage(); } catch (_) {}
+    // Load persisted progression (if any) and apply stats
+    try { this.loadProgressFromStorage(); } catch (_) {}
+  }
+
+  // Persist full progression (hero section of the save document)
+  saveProgressToStorage() {
+    try { saveSection("hero", this.serializeProgress()); } catch (_) {}
+  }
+
+  // Snapshot of level/xp plus timed buffs that should survive a reload (stored as remaining seconds)
+  serializeProgress() {
+    return {
+      level: this.level,
+      xp: this.xp,
+      xpToLevel: this.xpToLevel,
+      skillPoints: this.skillPoints,
+      buffs: serializeStatuses(this),
+    };
   }
 
-  // Persist just the level
-  saveLevelToStorage() {
-    try { localStorage.setItem("playerLevel", String(this.level)); } catch (_) {}
+  // Inverse of serializeProgress: rebuild level stats, then restore xp and buffs exactly (no save)
+  restoreProgress(st) {
+    if (!st) return;
+    const lvl = parseInt(st.level, 10);
+    if (Number.isFinite(lvl) && lvl > 1) this._applyLevel(lvl);
+    if (Number.isFinite(st.xpToLevel) && st.xpToLevel > 0) this.xpToLevel = st.xpToLevel;
+    if (Number.isFinite(st.xp) && st.xp >= 0 && st.xp < this.xpToLevel) this.xp = st.xp;
+    // Saves from before skill ranks have no points yet: grant the ones earned so far
+    this.skillPoints = Number.isFinite(st.skillPoints)
+      ? Math.max(0, Math.floor(st.skillPoints))
+      : (this.level - 1) * SCALING.hero.skillPointsPerLevel;
+    restoreStatuses(this, st.buffs);
   }
 
   // Reset stats back to STATS_BASE (level 1 baseline)
@@ -115,10 +142,20 @@ export class Player extends Entity {
     this.baseDamage = WORLD.basicAttackDamage;
     this.speed = WORLD.playerSpeed;
     this.atkSpeedPerma = 1;
+    this.critChance = STATS_BASE.critChance;
+    this.critMult = STATS_BASE.critMult;
   }
 
-  // Deterministically set level and recompute stats from base using SCALING
+  // Deterministically set level and recompute stats from base using SCALING (resets xp, persists).
+  // Levels gained this way grant skill points; lowering the level keeps the points already earned.
   setLevel(level) {
+    const prev = this.level;
+    this._applyLevel(level);
+    if (this.level > prev) this.skillPoints += (this.level - prev) * SCALING.hero.skillPointsPerLevel;
+    this.saveProgressToStorage();
+  }
+
+  _applyLevel(level) {
     const lvl = Math.max(1, Math.floor(level || 1));
     this._recomputeBaseStats();
     if (lvl > 1) {
@@ -137,18 +174,12 @@ export class Player extends Entity {
       this.speed = WORLD.playerSpeed * Math.pow(SCALING.hero.moveSpeedGrowth, lvl - 1);
       this.atkSpeedPerma = Math.pow(SCALING.hero.atkSpeedGrowth, lvl - 1);
     }
-    this.saveLevelToStorage();
   }
 
-  // Load persisted level (simple persistence)
-  loadLevelFromStorage() {
+  // Load persisted progression (level, xp, surviving buffs)
+  loadProgressFromStorage() {
     try {
-      const raw = localStorage.getItem("playerLevel");
-      if (!raw) return;
-      const lvl = parseInt(raw, 10);
-      if (Number.isFinite(lvl) && lvl > 1) {
-        this.setLevel(lvl);
-      }
+      this.restoreProgress(loadSection("hero"));
     } catch (_) {}
   }
 
@@ -171,11 +202,12 @@ export class Player extends Entity {
       // Increment permanent movement and attack speed multipliers
       this.speed *= SCALING.hero.moveSpeedGrowth;
       this.atkSpeedPerma *= SCALING.hero.atkSpeedGrowth;
+      this.skillPoints += SCALING.hero.skillPointsPerLevel;
     }
 
-    // Persist level if changed
+    // Persist on level change (xp within a level is picked up by the autosave tick)
     if (gained > 0) {
-      try { this.saveLevelToStorage(); } catch (_) {}
+      try { this.saveProgressToStorage(); } catch (_) {}
     }
 
     // Dispatch a level-up event for UI to react (e.g., glow skill buttons)
@@ -199,138 +231,142 @@ export class Player extends Entity {
 }
 
 export class Enemy extends Entity {
-  constructor(position, level = 1) {
-    // Determine tier for visual variety and scaling (normal, tough, elite, boss)
-    const r = Math.random();
-    let tier = "normal";
-    if (r < 0.005) tier = "boss";
-    else if (r < 0.04) tier = "elite";
-    else if (r < 0.22) tier = "tough";
-
-    const TIER_COLOR = {
-      normal: COLOR.enemyDark,
-      tough: 0xff8a50,
-      elite: 0xffd86a,
-      boss: 0xffeb99,
-    };
-    const TIER_EYE = {
-      normal: 0x550000,
-      tough: 0xff5500,
-      elite: 0xffaa00,
-      boss: 0xffee88,
-    };
-
-    const mesh = createEnemyMesh({ color: TIER_COLOR[tier], eyeEmissive: TIER_EYE[tier] });
+  /**
+   * @param {THREE.Vector3} position
+   * @param {number} level - hero level used for stat scaling
+   * @param {{actIndex?: number, archetype?: string, tier?: string, rand?: () => number}} [opts]
+   *  - actIndex: act whose roster to roll from (see ENEMY_ARCHETYPES.maps)
+   *  - archetype / tier: force a specific archetype id / tier id instead of rolling
+   *  - rand: uniform [0,1) source for rolls (defaults to the seeded "enemy" stream, src/rng.js)
+   */
+  constructor(position, level = 1, opts = {}) {
+    const rand = opts.rand || rngStream("enemy");
+    const tier = opts.tier ? getEnemyTier(opts.tier) : rollEnemyTier(rand);
+    const arch = getEnemyArchetype(opts.archetype) || pickArchetypeForAct(opts.actIndex || 1, rand);
+
+    const mesh = createEnemyMesh({ color: hexColor(tier.color), eyeEmissive: hexColor(tier.eye) });
     super(mesh, 1.1);
     this.team = "enemy";
-    this.tier = tier;
+    this.moveTarget = null;
+    this.nextAttackReady = 0;
+    // Chasing the hero (src/enemy_ai.js)
+    this.aggro = false;
+
+    mesh.position.copy(position);
+
+    // small billboard hp bar (scaled/colored per tier in _applyArchetype)
+    this.hpBar = createBillboardHPBar();
+    mesh.add(this.hpBar.container);
+
+    this._applyArchetype(arch, tier, level, rand);
+  }
+
+  /**
+   * Apply archetype + tier stats and appearance, scaled by hero level.
+   * Shared by the constructor and respawn so the tables live only in src/enemies_pool.js.
+   */
+  _applyArchetype(arch, tier, level = 1, rand = Math.random) {
+    this.archetype = arch;
+    this.kind = arch.id;
+    this.tier = tier.id;
 
     // HP scaled by tier so stronger tiers are noticeably tougher
-    const tierMult = { normal: 1, tough: 3, elite: 8, boss: 30 };
-    const baseHP = randBetween(60, 120);
+    const [hpMin, hpMax] = Array.isArray(arch.hp) ? arch.hp : [60, 120];
+    const baseHP = randBetween(hpMin, hpMax, rand);
     const levelHpMul = Math.pow(SCALING.enemy.hpGrowthPerLevel, Math.max(0, (level || 1) - 1));
-    this.maxHP = Math.max(8, Math.floor(baseHP * tierMult[tier] * levelHpMul));
+    this.maxHP = Math.max(8, Math.floor(baseHP * tier.hpMul * levelHpMul));
     this.hp = this.maxHP;
 
-    this.moveTarget = null;
-    this.speed = WORLD.aiSpeed * (tier === "boss" ? 0.9 : tier === "elite" ? 1.05 : 1);
-    this.nextAttackReady = 0;
+    this.speed = WORLD.aiSpeed * (tier.speedMul || 1) * (arch.speedMul || 1);
 
-    // Attack damage scales with tier (used in combat)
-    const dmgMult = { normal: 1, tough: 1.8, elite: 3.2, boss: 6 };
+    // Attack damage scales with tier and level, then archetype
     const levelDmgMul = Math.pow(SCALING.enemy.dmgGrowthPerLevel, Math.max(0, (level || 1) - 1));
-    this.attackDamage = Math.max(1, Math.floor(WORLD.aiAttackDamage * dmgMult[tier] * levelDmgMul));
-
-    // Kind/species: melee or ranged with distinct size/speed/range/effects
-    const kr = Math.random();
-    let kind = "brute"; // default melee heavy
-    if (kr < 0.25) kind = "brute";
-    else if (kr < 0.5) kind = "raider";
-    else if (kr < 0.75) kind = "archer";
-    else kind = "shocker";
-    this.kind = kind;
-
-    if (kind === "brute") {
-      // Big melee
-      this.attackRange = 2.4;
-      this.attackCooldown = (WORLD.aiAttackCooldown || 1.6) * 0.95;
-      this.attackEffect = "melee";
-      this.beamColor = 0xff8844;
-      this.speed *= 0.9;
-      this.attackDamage = Math.floor(this.attackDamage * 1.2);
-      this.mesh.scale.multiplyScalar(1.25);
-    } else if (kind === "raider") {
-      // Fast melee
-      this.attackRange = 2.2;
-      this.attackCooldown = (WORLD.aiAttackCooldown || 1.6) * 0.85;
-      this.attackEffect = "melee";
-      this.beamColor = 0xffaa66;
-      this.speed *= 1.15;
-      this.attackDamage = Math.floor(this.attackDamage * 0.9);
-      this.mesh.scale.multiplyScalar(1.05);
-    } else if (kind === "archer") {
-      // Ranged physical
-      this.attackRange = 18;
-      this.attackCooldown = (WORLD.aiAttackCooldown || 1.6) * 1.1;
-      this.attackEffect = "beam";
-      this.beamColor = 0xffcc88;
-      this.speed *= 1.0;
-      this.attackDamage = Math.floor(this.attackDamage * 1.0);
-      this.mesh.scale.multiplyScalar(0.95);
-    } else if (kind === "shocker") {
-      // Ranged arcane (no thunder – hero-exclusive). Use non-electric beam.
-      this.attackRange = 24;
-      this.attackCooldown = (WORLD.aiAttackCooldown || 1.6) * 1.25;
-      this.attackEffect = "beam";
-      this.beamColor = 0xc070ff; // arcane/magenta
-      this.speed *= 0.95;
-      this.attackDamage = Math.floor(this.attackDamage * 0.95);
-      this.mesh.scale.multiplyScalar(1.1);
-    }
+    const tierDamage = Math.max(1, Math.floor(WORLD.aiAttackDamage * tier.dmgMul * levelDmgMul));
+    this.attackDamage = Math.max(1, Math.floor(tierDamage * (arch.dmgMul || 1)));
+
+    const atk = arch.attack || {};
+    this.attackRange = atk.range || WORLD.aiAttackRange;
+    this.attackCooldown = (WORLD.aiAttackCooldown || 1.6) * (atk.cooldownMul || 1);
+    this.attackEffect = atk.effect || "melee";
+    this.damageType = atk.damageType || "physical";
+    this.beamColor = hexColor(atk.color, 0xff8080);
+    // Ranged shot flight speed (0 = WORLD.enemyShotSpeed, src/enemy_shots.js)
+    this.shotSpeed = Number(atk.shotSpeed) || 0;
 
     // XP reward scales with HP so killing stronger enemies is rewarding
-    this.xpOnDeath = Math.max(8, Math.floor(this.maxHP / 10));
+    this.xpOnDeath = Math.max(8, Math.floor((this.maxHP / 10) * (arch.xpMul || 1)));
+
+    // Signature behavior (src/enemy_behaviors.js); runtime state lives in _bh and is reset per spawn
+    this.behavior = arch.behavior || null;
+    this._bh = null;
+    // AI style (src/enemy_ai.js); state machine lives in _ai
+    this.ai = arch.ai || null;
+    this._ai = null;
+    this.shieldMax = this.behavior && this.behavior.type === "shield"
+      ? Math.max(1, Math.floor(this.maxHP * (this.behavior.shieldPct || 0.5)))
+      : 0;
+    this.shieldHP = this.shieldMax;
+    this.shieldHitAt = 0;
+    this.shieldBrokenAt = 0;
+    this.staggerUntil = 0;
+    this.liftY = 0;
+    // Tier and archetype immunities (e.g. bosses shrug off stuns)
+    const immune = [...(tier.immune || []), ...(arch.immune || [])];
+    this.statusImmune = immune.length ? new Set(immune) : null;
+    // Resistances: archetype values add to the tier's
+    this.resist = {};
+    for (const src of [tier.resist, arch.resist]) {
+      for (const [type, r] of Object.entries(src || {})) this.resist[type] = (this.resist[type] || 0) + r;
+    }
+    if (this._shieldMesh) this._shieldMesh.visible = false;
 
-    mesh.position.copy(position);
+    // Appearance: body/eye color per tier (optionally tinted per archetype), size per archetype
+    const m = arch.mesh || {};
+    const scale = m.scale || 1;
+    this.mesh.scale.set(scale, scale * (m.stretch || 1), scale);
+    try {
+      const body = this.mesh.material;
+      if (body && body.color) {
+        body.color.setHex(hexColor(tier.color));
+        if (m.tint) body.color.lerp(new THREE.Color(hexColor(m.tint)), m.tintAmount ?? 0.45);
+      }
+      const eye = this.mesh.userData && this.mesh.userData.eye;
+      if (eye && eye.material && eye.material.emissive) eye.material.emissive.setHex(hexColor(tier.eye));
+    } catch (_) {}
 
-    // small billboard hp bar (scaled by tier for readability)
-    this.hpBar = createBillboardHPBar();
-    const barScale = tier === "boss" ? 2.2 : tier === "elite" ? 1.5 : tier === "tough" ? 1.15 : 1;
+    const barScale = tier.barScale || 1;
     this.hpBar.container.scale.set(barScale, barScale, barScale);
-    mesh.add(this.hpBar.container);
-
-    // color HP fill per tier
-    const BAR_COLOR = {
-      normal: COLOR.enemy,
-      tough: 0xffa65a,
-      elite: 0xffe085,
-      boss: 0xfff0b3,
-    };
-    if (this.hpBar && this.hpBar.fill && this.hpBar.fill.material) {
-      this.hpBar.fill.material.color.setHex(BAR_COLOR[tier]);
+    if (this.hpBar.fill && this.hpBar.fill.material) {
+      this.hpBar.fill.material.color.setHex(hexColor(tier.bar, COLOR.enemy));
     }
   }
 
-  respawn(position, level = 1) {
+  /**
+   * Revive at a new position with stats rescaled to the current hero level.
+   * Keeps archetype and tier unless the archetype cannot spawn on opts.actIndex (map switched),
+   * in which case both are rerolled for that act.
+   * @param {THREE.Vector3} position
+   * @param {number} level
+   * @param {{actIndex?: number, rand?: () => number}} [opts]
+   */
+  respawn(position, level = 1, opts = {}) {
     // Reset core state
     this.alive = true;
     this.mesh.visible = true;
     this.moveTarget = null;
     this.nextAttackReady = 0;
-    this.slowUntil = 0;
-    this.slowFactor = 1;
+    this.aggro = false;
+    clearStatuses(this);
     if (position) this.mesh.position.copy(position);
 
-    // Recalculate stats based on tier and current hero level
-    const tierMult = { normal: 1, tough: 3, elite: 8, boss: 30 };
-    const dmgMult = { normal: 1, tough: 1.8, elite: 3.2, boss: 6 };
-    const baseHP = randBetween(60, 120);
-    const levelHpMul = Math.pow(SCALING.enemy.hpGrowthPerLevel, Math.max(0, (level || 1) - 1));
-    const levelDmgMul = Math.pow(SCALING.enemy.dmgGrowthPerLevel, Math.max(0, (level || 1) - 1));
-    this.maxHP = Math.max(8, Math.floor(baseHP * tierMult[this.tier] * levelHpMul));
-    this.hp = this.maxHP;
-    this.attackDamage = Math.max(1, Math.floor(WORLD.aiAttackDamage * dmgMult[this.tier] * levelDmgMul));
-    this.xpOnDeath = Math.max(8, Math.floor(this.maxHP / 10));
+    const rand = opts.rand || rngStream("enemy");
+    let arch = this.archetype;
+    let tier = getEnemyTier(this.tier);
+    if (!arch || (opts.actIndex && !isArchetypeOnAct(arch, opts.actIndex))) {
+      arch = pickArchetypeForAct(opts.actIndex || 1, rand);
+      tier = rollEnemyTier(rand);
+    }
+    this._applyArchetype(arch, tier, level, rand);
     this._xpGranted = false;
 
     // Refresh HP bar visual
@@ -339,6 +375,33 @@ export class Enemy extends Entity {
     }
   }
 
+  /**
+   * Shielded archetypes soak hits with shieldHP first. The hit that breaks the barrier is fully
+   * absorbed so the shield always has to be broken before HP can be damaged.
+   * Returns the HP damage taken (0 for a hit the shield soaked).
+   */
+  takeDamage(amount) {
+    if (!this.alive) return 0;
+    if (this.shieldHP > 0 && amount > 0) {
+      const t = now();
+      this.shieldHP = Math.max(0, this.shieldHP - amount);
+      this.shieldHitAt = t;
+      if (this.shieldHP <= 0) this.shieldBrokenAt = t;
+      return 0;
+    }
+    return super.takeDamage(amount);
+  }
+
+  /** Movement speed including statuses (slow, stun, empowerment from e.g. Thunder Shaman support). */
+  currentSpeed() {
+    return this.speed * moveSpeedMul(this);
+  }
+
+  /** Outgoing attack damage including temporary empowerment. */
+  currentAttackDamage() {
+    return Math.max(1, Math.floor(this.attackDamage * damageDealtMul(this)));
+  }
+
   updateHPBar() {
     const ratio = clamp01(this.hp / this.maxHP);
     this.hpBar.fill.scale.x = Math.max(0.001, ratio);
@@ -350,8 +413,8 @@ function clamp01(v) {
   return Math.max(0, Math.min(1, v));
 }
 
-function randBetween(min, max) {
-  return Math.random() * (max - min) + min;
+function randBetween(min, max, rand = Math.random) {
+  return rand() * (max - min) + min;
 }
 
 /**
@@ -360,9 +423,11 @@ function randBetween(min, max) {
  * @param {THREE.Vector3} origin
  * @param {number} maxDist
  * @param {Enemy[]} enemies
+ * @param {{nearest:Function}|null} [index] - per-frame enemy grid (src/spatial_hash.js); scans `enemies` without it
  * @returns {Enemy|null}
  */
-export function getNearestEnemy(origin, maxDist, enemies) {
+export function getNearestEnemy(origin, maxDist, enemies, index = null) {
+  if (index && typeof index.nearest === "function") return index.nearest(origin.x, origin.z, maxDist);
   let nearest = null;
   let best = Infinity;
   for (const en of enemies) {
@@ -3,6 +3,7 @@ import { makeNoiseTexture, createSeededRNG, seededRange } from "./utils.js";
 import { WORLD } from "./constants.js";
 import { createHouse, createGreekTemple, createVilla, createGreekColumn, createCypressTree, createOliveTree, createGreekStatue, createObelisk } from "./meshes.js";
 import { placeStructures } from "./environment/structures.js";
+import { createOccluderSet } from "./los.js";
 
 /**
  * initEnvironment(scene, options)
@@ -12,6 +13,8 @@ import { placeStructures } from "./environment/structures.js";
  * Returns an object with:
  *  - update(t, dt)  -> call each frame to animate rain / water
  *  - toggleRain(enabled)
+ *  - colliders      -> [{ x, z, r, kind }] footprint circles of placed structures
+ *  - occluders      -> line-of-sight set (src/los.js): structures, village houses and trees
  *
  * Implementation notes:
  * - Uses simple low-poly primitives (fast, no external assets).
@@ -228,6 +231,9 @@ export function initEnvironment(scene, options = {}) {
   const _s = new THREE.Vector3();
   const _p = new THREE.Vector3();
 
+  // Props that block line of sight (trees here, houses in generateVillage, structures in placeStructures)
+  const occluders = createOccluderSet();
+
   // Store per-tree base transforms for lightweight sway updates
   const treeBases = new Array(cfg.treeCount);
   // Sway stride by quality (0 disables)
@@ -267,6 +273,7 @@ export function initEnvironment(scene, options = {}) {
       swayPhase: Math.random() * Math.PI * 2,
       swayAmp: 0.004 + Math.random() * 0.01
     };
+    occluders.add({ x: p.x, z: p.z, r: foliageXZ * 0.45, kind: "tree" });
   }
   trunkInst.instanceMatrix.needsUpdate = true;
   foliageInst.instanceMatrix.needsUpdate = true;
@@ -324,6 +331,7 @@ export function initEnvironment(scene, options = {}) {
         // small variant: scale slightly
         const sc = 0.9 + Math.random() * 0.5;
         house.scale.setScalar(sc);
+        occluders.add({ x: house.position.x, z: house.position.z, r: 2.8 * sc, kind: "house" });
 
         // Add a warm lantern and small emissive bulb near each house to match village ambiance
         let __hasLanternLight = false;
@@ -375,6 +383,8 @@ export function initEnvironment(scene, options = {}) {
     villageCenters.push(c);
   }
 
+  // Structure footprints (filled by placeStructures) for projectile collision
+  const colliders = [];
   try {
     placeStructures({
       rng,
@@ -392,6 +402,8 @@ export function initEnvironment(scene, options = {}) {
       createOliveTree,
       createGreekStatue,
       createObelisk,
+      colliders,
+      occluders,
       pickPos: (minVillage = 12, minWater = 10, minBetween = 10, maxTries = 60) => {
         let tries = maxTries;
         while (tries-- > 0) {
@@ -574,5 +586,7 @@ export function initEnvironment(scene, options = {}) {
     setRainCount,
     setRainLevel,
     addVillage: (center, n, r) => generateVillage(center, n, r),
+    colliders,
+    occluders,
   };
 }
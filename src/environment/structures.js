@@ -20,7 +20,9 @@ import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
  *   createObelisk,
  *   createCypressTree,
  *   createOliveTree,
- *   pickPos           // function to choose a placement Vector3
+ *   pickPos,          // function to choose a placement Vector3
+ *   colliders,        // optional array; receives { x, z, r, kind } footprint circles of placed structures
+ *   occluders         // optional line-of-sight set (src/los.js); receives the structures and the cypress/olive trees
  * }
  *
  * This module performs placement and side-effects on the provided root group.
@@ -43,6 +45,8 @@ export function placeStructures(params = {}) {
     createCypressTree,
     createOliveTree,
     pickPos,
+    colliders = null,
+    occluders = null,
   } = params;
 
   if (!root || !rng || !seededRange || !pickPos) return;
@@ -53,6 +57,15 @@ export function placeStructures(params = {}) {
   natureExtraGroup.name = "nature-extras";
 
   const placed = [];
+  // Footprint circles for projectile collision and line of sight (rough: structures are rotated boxes/colonnades)
+  function addCollider(pos, r, kind) {
+    const c = { x: pos.x, z: pos.z, r, kind };
+    if (Array.isArray(colliders)) colliders.push(c);
+    addOccluder(c);
+  }
+  function addOccluder(o) {
+    try { if (occluders && typeof occluders.add === "function") occluders.add(o); } catch (_) {}
+  }
   const waterCenter = (cfg.enableWater && water) ? water.position.clone().setY(0) : null;
 
   function farFromVillages(p, minD) {
@@ -104,16 +117,19 @@ export function placeStructures(params = {}) {
       place() {
         const pos = pickPosWrapped(16, 14, 24);
         if (!pos) return;
-        const t = createGreekTemple({
+        const opts = {
           cols: Math.max(5, Math.floor(seededRange(rng, 6, 9))),
           rows: Math.max(7, Math.floor(seededRange(rng, 9, 12))),
           columnHeight: seededRange(rng, 5.2, 6.2),
           colSpacingX: seededRange(rng, 2.2, 2.8),
           colSpacingZ: seededRange(rng, 2.3, 3.0),
-        });
+        };
+        const t = createGreekTemple(opts);
         t.position.set(pos.x, 0, pos.z);
         t.rotation.y = seededRange(rng, 0, Math.PI * 2);
         archGroup.add(t);
+        // cella only: the short side of the colonnade
+        addCollider(pos, 0.45 * (opts.cols - 1) * opts.colSpacingX, "temple");
 
         if (__q !== "low" && acquireLight(2)) {
           const torchL = new THREE.PointLight(0xffd8a8, __q === "medium" ? 0.5 : 0.8, 14, 2);
@@ -129,15 +145,19 @@ export function placeStructures(params = {}) {
       place() {
         const pos = pickPosWrapped(10, 10, 12);
         if (!pos) return;
+        const width = seededRange(rng, 10, 16);
+        const depth = seededRange(rng, 8, 12);
         const v = createVilla({
-          width: seededRange(rng, 10, 16),
-          depth: seededRange(rng, 8, 12),
+          width,
+          depth,
           height: seededRange(rng, 3.5, 5.2),
         });
         v.position.set(pos.x, 0, pos.z);
         v.rotation.y = seededRange(rng, 0, Math.PI * 2);
-        v.scale.setScalar(seededRange(rng, 0.9, 1.2));
+        const scale = seededRange(rng, 0.9, 1.2);
+        v.scale.setScalar(scale);
         archGroup.add(v);
+        addCollider(pos, 0.5 * Math.min(width, depth) * scale, "villa");
       }
     },
     {
@@ -145,14 +165,17 @@ export function placeStructures(params = {}) {
       place() {
         const pos = pickPosWrapped(8, 8, 8);
         if (!pos) return;
+        const height = seededRange(rng, 4.2, 6.2);
+        const radius = seededRange(rng, 0.24, 0.34);
         const c = createGreekColumn({
-          height: seededRange(rng, 4.2, 6.2),
-          radius: seededRange(rng, 0.24, 0.34),
+          height,
+          radius,
           order: orders[Math.floor(seededRange(rng, 0, orders.length)) | 0],
         });
         c.position.set(pos.x, 0, pos.z);
         c.rotation.y = seededRange(rng, 0, Math.PI * 2);
         archGroup.add(c);
+        addCollider(pos, radius + 0.25, "column");
       }
     },
     {
@@ -164,6 +187,7 @@ export function placeStructures(params = {}) {
         s.position.set(pos.x, 0, pos.z);
         s.rotation.y = seededRange(rng, -Math.PI, Math.PI);
         archGroup.add(s);
+        addCollider(pos, 0.9, "statue");
         if (__q !== "low" && acquireLight(1)) {
           const l = new THREE.PointLight(0xffe0b8, __q === "medium" ? 0.35 : 0.55, 10, 2);
           l.position.set(pos.x, 1.0, pos.z);
@@ -180,6 +204,7 @@ export function placeStructures(params = {}) {
         o.position.set(pos.x, 0, pos.z);
         o.rotation.y = seededRange(rng, 0, Math.PI * 2);
         archGroup.add(o);
+        addCollider(pos, 0.9, "obelisk");
       }
     }
   ];
@@ -239,14 +264,18 @@ export function placeStructures(params = {}) {
       const t = createCypressTree();
       t.position.set(p.x, 0, p.z);
       t.rotation.y = seededRange(rng, 0, Math.PI * 2);
-      t.scale.setScalar(seededRange(rng, 0.85, 1.25));
+      const sc = seededRange(rng, 0.85, 1.25);
+      t.scale.setScalar(sc);
       cypressGroup.add(t);
+      addOccluder({ x: p.x, z: p.z, r: 0.5 * sc, kind: "tree" });
     } else {
       const t = createOliveTree();
       t.position.set(p.x, 0, p.z);
       t.rotation.y = seededRange(rng, 0, Math.PI * 2);
-      t.scale.setScalar(seededRange(rng, 0.85, 1.2));
+      const sc = seededRange(rng, 0.85, 1.2);
+      t.scale.setScalar(sc);
       oliveGroup.add(t);
+      addOccluder({ x: p.x, z: p.z, r: 0.8 * sc, kind: "tree" });
     }
   });
   natureExtraGroup.add(cypressGroup, oliveGroup);
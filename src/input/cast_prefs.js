@@ -0,0 +1,39 @@
+/**
+ * Cast assist preferences (device-level, localStorage "inputPrefs"):
+ * - buffer: seconds before a skill is ready (or while a held skill is busy) in which a press is queued and
+ *   cast automatically once possible; 0 turns the buffer off
+ * - castInRange: a targeted skill pressed with no enemy in reach walks the hero toward one and casts on arrival
+ *
+ * Settings → General edits them; main.js applies them to SkillsSystem.setCastPrefs and listens for
+ * the "cast-prefs-changed" window event.
+ */
+import { WORLD } from "../constants.js";
+
+const STORAGE_KEY = "inputPrefs";
+
+/** Buffer windows offered in Settings (seconds). */
+export const CAST_BUFFER_OPTIONS = [0, 0.2, 0.4, 0.6];
+
+export function defaultCastPrefs() {
+  return { buffer: WORLD.castBufferWindow, castInRange: true };
+}
+
+/** Stored prefs merged over the defaults; out-of-range values fall back to them. */
+export function loadCastPrefs() {
+  const prefs = defaultCastPrefs();
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}") || {};
+    const buffer = Number(raw.buffer);
+    if (Number.isFinite(buffer) && buffer >= 0 && buffer <= 1) prefs.buffer = buffer;
+    if (typeof raw.castInRange === "boolean") prefs.castInRange = raw.castInRange;
+  } catch (_) {}
+  return prefs;
+}
+
+/** Persist a partial update and announce it; returns the merged prefs. */
+export function saveCastPrefs(patch = {}) {
+  const prefs = { ...loadCastPrefs(), ...patch };
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs)); } catch (_) {}
+  try { window.dispatchEvent(new CustomEvent("cast-prefs-changed", { detail: prefs })); } catch (_) {}
+  return prefs;
+}
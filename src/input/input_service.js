@@ -6,6 +6,8 @@
  *   into domain actions (move, basic attack, cast skills, aim/confirm AOE).
  * - Adapters (keyboard, mouse, touch) feed events into this service via attachCaptureListeners.
  * - Main loop calls inputService.update(t, dt) to process continuous holds/movement.
+ * - Skill keys cast on key-down and call skills.releaseSkill on key-up (charge / channel types).
+ * - Projectile skills are aimed at the mouse ground point (raycastGround) at the moment of the key press.
  *
  * Non-goals (initial cut):
  * - Full removal of all listeners from main.js (will be phased out after verifying behavior).
@@ -14,6 +16,8 @@
 
 import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
 import { distance2D, dir2D, now } from "../utils.js";
+import { SLOT_KEYS } from "../loadout.js";
+import { getNearestEnemy as nearestEnemy } from "../entities.js";
 
 export function createInputService({
   renderer,
@@ -22,18 +26,21 @@ export function createInputService({
   portals,
   player,
   enemies,
+  enemyIndex = null,
   effects,
   skills,
   WORLD,
   DEBUG,
   setCenterMsg,
   clearCenterMsg,
+  onNextSkillPage = null,
 }) {
   // ---- Internal State ----
   const state = {
     holdA: false,
     moveKeys: { up: false, down: false, left: false, right: false },
     lastMouseGroundPoint: new THREE.Vector3(),
+    hasMouseGround: false,   // set once the mouse has moved over the renderer
     touch: null, // optional adapter from touch.js
     // movement release handling
     prevKeyActive: false,
@@ -48,6 +55,18 @@ export function createInputService({
     return WORLD.attackRange * (WORLD.attackRangeMult || 1);
   }
 
+  // Skillshots fly toward the cursor; other skills choose their own targets
+  function castSlot(slot) {
+    let point = null;
+    try {
+      if (state.hasMouseGround && skills.isAimedSkill?.(slot)) {
+        const p = raycast.raycastGround?.();
+        point = (p || state.lastMouseGroundPoint).clone();
+      }
+    } catch (_) {}
+    try { skills.castSkill(slot, point); } catch (_) {}
+  }
+
   function getKeyMoveDir() {
     const x = (state.moveKeys.right ? 1 : 0) + (state.moveKeys.left ? -1 : 0);
     const y = (state.moveKeys.down ? 1 : 0) + (state.moveKeys.up ? -1 : 0);
@@ -75,17 +94,9 @@ export function createInputService({
     } catch (e) {}
   }
 
+  // Nearest living enemy, from the per-frame enemy grid when main.js provides one
   function getNearestEnemy(origin, maxDist, list) {
-    let best = null;
-    let bestD = Infinity;
-    for (const en of list) {
-      if (!en.alive) continue;
-      const d = distance2D(origin, en.pos());
-      if (d <= maxDist && d < bestD) {
-        best = en; bestD = d;
-      }
-    }
-    return best;
+    return nearestEnemy(origin, maxDist, list, enemyIndex);
   }
 
   function cancelAim() { /* no-op: aiming removed */ }
@@ -147,11 +158,11 @@ export function createInputService({
             point = player.pos().clone().add(forward.multiplyScalar(10));
           }
         }
-        try { skills.castSkill("Q"); } catch (_) {}
+        castSlot("Q");
         try { skills.castSkill("W", point); } catch (_) {}
         // Only turn aura on; avoid toggling it off if already active
-        if (!player.staticField?.active) { try { skills.castSkill("E"); } catch (_) {} }
-        try { skills.castSkill("R"); } catch (_) {}
+        if (!player.staticField?.active) castSlot("E");
+        castSlot("R");
       } catch (_) {}
       return;
     }
@@ -167,13 +178,23 @@ export function createInputService({
     }
 
     // Skill keys, stop propagation so legacy handlers don't conflict
-    if (k === "q") { e.preventDefault(); e.stopImmediatePropagation(); try { skills.castSkill("Q"); } catch(_) {} return; }
-    if (k === "e") { e.preventDefault(); e.stopImmediatePropagation(); try { skills.castSkill("E"); } catch(_) {} return; }
-    if (k === "r") { e.preventDefault(); e.stopImmediatePropagation(); try { skills.castSkill("R"); } catch(_) {} return; }
+    if (k === "q") { e.preventDefault(); e.stopImmediatePropagation(); castSlot("Q"); return; }
+    if (k === "e") { e.preventDefault(); e.stopImmediatePropagation(); castSlot("E"); return; }
+    if (k === "r") { e.preventDefault(); e.stopImmediatePropagation(); castSlot("R"); return; }
+    // Extra slots (SkillsSystem ignores them while locked)
+    if (k === "d") { e.preventDefault(); e.stopImmediatePropagation(); castSlot("D"); return; }
+    if (k === "f") { e.preventDefault(); e.stopImmediatePropagation(); castSlot("F"); return; }
+
+    // Tab: next skill page
+    if (kraw === "Tab") {
+      e.preventDefault(); e.stopImmediatePropagation();
+      if (!e.repeat) { try { onNextSkillPage && onNextSkillPage(); } catch (_) {} }
+      return;
+    }
 
     if (k === "w") {
       e.preventDefault(); e.stopImmediatePropagation();
-      try { skills.castSkill("W"); } catch(_) {}
+      castSlot("W");
       return;
     }
 
@@ -230,6 +251,10 @@ export function createInputService({
       state.holdA = false;
       return;
     }
+    // Held skills (charge / channel) fire or stop on key-up; Space releases whatever it started
+    const slot = SLOT_KEYS.find((s) => s.toLowerCase() === k);
+    if (slot) { try { skills.releaseSkill(slot); } catch (_) {} return; }
+    if (e.code === "Space" || kraw === " ") { try { skills.releaseSkill(); } catch (_) {} return; }
     if (kraw === "ArrowUp") state.moveKeys.up = false;
     if (kraw === "ArrowDown") state.moveKeys.down = false;
     if (kraw === "ArrowLeft") state.moveKeys.left = false;
@@ -242,6 +267,7 @@ export function createInputService({
     const p = raycast.raycastGround?.();
     if (p) {
       state.lastMouseGroundPoint.copy(p);
+      state.hasMouseGround = true;
     }
     // Aiming removed
     // Capture only updates state; do not stopPropagation to allow hover elsewhere
@@ -401,8 +427,7 @@ export function createInputService({
         // Unified continuous casting for skills:
         // - If a held skill is AOE, touch.getHoldState() provides { aoeKey, aoePoint }.
         // - Non-AOE held skills cast instantly each frame (respecting internal cooldowns).
-        const keys = ["Q", "W", "E", "R"];
-        for (const k of keys) {
+        for (const k of SLOT_KEYS) {
           if (!hold["skill" + k]) continue;
           if (hold.aoeKey === k) {
             const pos = hold.aoePoint || state.lastMouseGroundPoint || player.pos().clone().add(new THREE.Vector3(0, 0, 10));
@@ -0,0 +1,160 @@
+/**
+ * Inventory
+ * - Persists carried items, gold and equipped charms in the save document ("inventory" section)
+ * - Pickups (src/loot.js) call addItem; the Inventory tab calls useItem / equipItem / unequipItem / discardItem
+ * - Exposes getItemBonuses() so combat (skills.js) and regen (main.js) can apply equipped charms; the totals are
+ *   kept in memory and only recomputed when the inventory changes
+ * - Every change dispatches "inventory-changed" (detail: the new state)
+ */
+
+import { loadSection, saveSection } from "./save.js";
+import { getItemDef } from "./items_pool.js";
+
+export const MAX_EQUIPPED = 2;
+
+// getItemBonuses() result: built on first use (the slot loaded at boot; switching slots reloads the page)
+// and rebuilt by commit(), since it is read every frame and on every hit
+let _bonuses = null;
+
+function emptyState() {
+  return { gold: 0, items: [], equipped: [] };
+}
+
+// Drop entries whose item id no longer exists (removed from ITEMS) and equipped ids not carried
+function normalize(st) {
+  const items = (st.items || []).filter((e) => getItemDef(e.id) && e.qty > 0);
+  const carried = new Set(items.map((e) => e.id));
+  const equipped = (st.equipped || []).filter((id) => carried.has(id) && getItemDef(id).kind === "charm").slice(0, MAX_EQUIPPED);
+  return { gold: st.gold || 0, items, equipped };
+}
+
+export function getInventory() {
+  try {
+    const data = loadSection("inventory");
+    if (!data || !Array.isArray(data.items)) return emptyState();
+    return normalize(data);
+  } catch {
+    return emptyState();
+  }
+}
+
+function commit(st) {
+  try { saveSection("inventory", st); } catch (_) {}
+  _bonuses = sumBonuses(st.equipped);
+  try { window.dispatchEvent(new CustomEvent("inventory-changed", { detail: st })); } catch (_) {}
+}
+
+export function getItemCount(id) {
+  const e = getInventory().items.find((x) => x.id === id);
+  return e ? e.qty : 0;
+}
+
+/**
+ * Add `qty` of an item (gold goes to the gold counter).
+ * @returns {number} quantity actually added (less than qty when the stack is full; 0 for unknown ids)
+ */
+export function addItem(id, qty = 1) {
+  const def = getItemDef(id);
+  const n = Math.max(0, Math.floor(qty));
+  if (!def || n <= 0) return 0;
+  const st = getInventory();
+  if (def.kind === "currency") {
+    st.gold += n;
+    commit(st);
+    return n;
+  }
+  let entry = st.items.find((x) => x.id === id);
+  const have = entry ? entry.qty : 0;
+  const added = Math.min(n, Math.max(0, (def.stack || 99) - have));
+  if (added <= 0) return 0;
+  if (entry) entry.qty += added;
+  else st.items.push({ id, qty: added });
+  commit(st);
+  return added;
+}
+
+/** Remove up to `qty`; unequips the item when none are left. Returns the quantity removed. */
+export function removeItem(id, qty = 1) {
+  const st = getInventory();
+  const entry = st.items.find((x) => x.id === id);
+  if (!entry) return 0;
+  const removed = Math.min(entry.qty, Math.max(0, Math.floor(qty)));
+  entry.qty -= removed;
+  if (entry.qty <= 0) {
+    st.items = st.items.filter((x) => x !== entry);
+    st.equipped = st.equipped.filter((x) => x !== id);
+  }
+  commit(st);
+  return removed;
+}
+
+/** Throw away a whole stack. */
+export function discardItem(id) {
+  return removeItem(id, getItemCount(id));
+}
+
+/**
+ * Drink a consumable: restores its hpPct/mpPct of max HP/MP.
+ * @returns {boolean} false when not carried, not a consumable, or the hero is dead / already full
+ */
+export function useItem(id, player) {
+  const def = getItemDef(id);
+  if (!def || def.kind !== "consumable" || !player || !player.alive) return false;
+  if (getItemCount(id) <= 0) return false;
+  const u = def.use || {};
+  const hpGain = (u.hpPct || 0) * player.maxHP;
+  const mpGain = (u.mpPct || 0) * player.maxMP;
+  const useful = (hpGain > 0 && player.hp < player.maxHP) || (mpGain > 0 && player.mp < player.maxMP);
+  if (!useful) return false;
+  player.hp = Math.min(player.maxHP, player.hp + hpGain);
+  player.mp = Math.min(player.maxMP, player.mp + mpGain);
+  removeItem(id, 1);
+  return true;
+}
+
+export function isEquipped(id) {
+  return getInventory().equipped.includes(id);
+}
+
+/** Equip a carried charm. Returns false when all MAX_EQUIPPED slots are taken. */
+export function equipItem(id) {
+  const def = getItemDef(id);
+  if (!def || def.kind !== "charm") return false;
+  const st = getInventory();
+  if (st.equipped.includes(id)) return true;
+  if (!st.items.some((x) => x.id === id)) return false;
+  if (st.equipped.length >= MAX_EQUIPPED) return false;
+  st.equipped.push(id);
+  commit(st);
+  return true;
+}
+
+export function unequipItem(id) {
+  const st = getInventory();
+  if (!st.equipped.includes(id)) return false;
+  st.equipped = st.equipped.filter((x) => x !== id);
+  commit(st);
+  return true;
+}
+
+function sumBonuses(equipped) {
+  const out = { dmgMul: 1, hpRegenMul: 1, mpRegenMul: 1 };
+  for (const id of equipped || []) {
+    const b = (getItemDef(id) || {}).bonus || {};
+    out.dmgMul += b.dmgMul || 0;
+    out.hpRegenMul += b.hpRegenMul || 0;
+    out.mpRegenMul += b.mpRegenMul || 0;
+  }
+  return Object.freeze(out);
+}
+
+/**
+ * Aggregate bonuses of equipped charms as multipliers (1 = no bonus):
+ * - dmgMul: basic attack and skill damage
+ * - hpRegenMul / mpRegenMul: per-second HP/MP regeneration
+ * Returns the cached (frozen) totals; they follow every "inventory-changed" without reading the save.
+ */
+export function getItemBonuses() {
+  if (!_bonuses) _bonuses = sumBonuses(getInventory().equipped);
+  return _bonuses;
+}
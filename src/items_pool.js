@@ -0,0 +1,144 @@
+/**
+ * Items and loot tables (data only; rolled by src/loot.js, owned by src/inventory.js).
+ *
+ * ITEM_RARITIES (ordered common -> legendary):
+ *  - id: rarity id; color: pickup gem/glow color and UI accent (hex string)
+ *
+ * ITEMS:
+ *  - id: stable id (persisted in the "inventory" save section); display name is the locale key items.<id>
+ *  - kind: "currency" (adds to gold) | "consumable" (used from the Inventory tab) | "charm" (equipped, passive bonus)
+ *  - rarity: ITEM_RARITIES id
+ *  - icon: emoji shown in the Inventory tab
+ *  - stack: max quantity carried (pickups are left on the ground when full)
+ *  - use: consumables only { hpPct, mpPct } fraction of max HP/MP restored
+ *  - bonus: charms only, additive while equipped { dmgMul, hpRegenMul, mpRegenMul } (0.06 = +6%)
+ *
+ * LOOT_TABLES (keyed by ENEMY_TIERS id):
+ *  - chance: probability that a kill drops anything
+ *  - rolls: entries rolled when it does
+ *  - entries: [{ item, weight, qty: [min, max] }]
+ *
+ * LOOT_MAP_SCALING (applied per map index above 1; endless depths keep growing):
+ *  - chance: added drop chance per map (capped at 1)
+ *  - gold: gold quantity multiplier per map
+ *  - rare: weight multiplier per map for entries above common rarity
+ */
+export const ITEM_RARITIES = [
+  { "id": "common", "color": "0xd8e2ee" },
+  { "id": "rare", "color": "0x6ab0ff" },
+  { "id": "epic", "color": "0xc07aff" },
+  { "id": "legendary", "color": "0xffb347" }
+];
+
+export const ITEMS = [
+  { "id": "gold", "kind": "currency", "rarity": "common", "icon": "🪙" },
+  { "id": "potion_hp", "kind": "consumable", "rarity": "common", "icon": "❤️", "stack": 20, "use": { "hpPct": 0.35 } },
+  { "id": "potion_mp", "kind": "consumable", "rarity": "common", "icon": "💧", "stack": 20, "use": { "mpPct": 0.35 } },
+  { "id": "elixir", "kind": "consumable", "rarity": "rare", "icon": "🧪", "stack": 5, "use": { "hpPct": 1, "mpPct": 1 } },
+  { "id": "charm_spark", "kind": "charm", "rarity": "rare", "icon": "⚡", "stack": 3, "bonus": { "dmgMul": 0.06 } },
+  { "id": "charm_vigor", "kind": "charm", "rarity": "rare", "icon": "💚", "stack": 3, "bonus": { "hpRegenMul": 0.3 } },
+  { "id": "charm_focus", "kind": "charm", "rarity": "rare", "icon": "🔷", "stack": 3, "bonus": { "mpRegenMul": 0.3 } },
+  { "id": "charm_titan", "kind": "charm", "rarity": "epic", "icon": "🛡️", "stack": 3, "bonus": { "dmgMul": 0.1, "hpRegenMul": 0.3 } },
+  { "id": "charm_olympus", "kind": "charm", "rarity": "legendary", "icon": "👑", "stack": 3, "bonus": { "dmgMul": 0.15, "mpRegenMul": 0.5 } }
+];
+
+export const LOOT_TABLES = {
+  "normal": {
+    "chance": 0.16,
+    "rolls": 1,
+    "entries": [
+      { "item": "gold", "weight": 70, "qty": [1, 4] },
+      { "item": "potion_hp", "weight": 15, "qty": [1, 1] },
+      { "item": "potion_mp", "weight": 15, "qty": [1, 1] }
+    ]
+  },
+  "tough": {
+    "chance": 0.4,
+    "rolls": 1,
+    "entries": [
+      { "item": "gold", "weight": 55, "qty": [3, 8] },
+      { "item": "potion_hp", "weight": 18, "qty": [1, 2] },
+      { "item": "potion_mp", "weight": 18, "qty": [1, 2] },
+      { "item": "elixir", "weight": 4, "qty": [1, 1] },
+      { "item": "charm_spark", "weight": 1.5, "qty": [1, 1] },
+      { "item": "charm_vigor", "weight": 1.5, "qty": [1, 1] },
+      { "item": "charm_focus", "weight": 1.5, "qty": [1, 1] }
+    ]
+  },
+  "elite": {
+    "chance": 1,
+    "rolls": 2,
+    "entries": [
+      { "item": "gold", "weight": 40, "qty": [10, 24] },
+      { "item": "potion_hp", "weight": 15, "qty": [1, 3] },
+      { "item": "potion_mp", "weight": 15, "qty": [1, 3] },
+      { "item": "elixir", "weight": 10, "qty": [1, 1] },
+      { "item": "charm_spark", "weight": 5, "qty": [1, 1] },
+      { "item": "charm_vigor", "weight": 5, "qty": [1, 1] },
+      { "item": "charm_focus", "weight": 5, "qty": [1, 1] },
+      { "item": "charm_titan", "weight": 2, "qty": [1, 1] },
+      { "item": "charm_olympus", "weight": 0.3, "qty": [1, 1] }
+    ]
+  },
+  "boss": {
+    "chance": 1,
+    "rolls": 4,
+    "entries": [
+      { "item": "gold", "weight": 30, "qty": [40, 80] },
+      { "item": "elixir", "weight": 20, "qty": [1, 2] },
+      { "item": "charm_spark", "weight": 10, "qty": [1, 1] },
+      { "item": "charm_vigor", "weight": 10, "qty": [1, 1] },
+      { "item": "charm_focus", "weight": 10, "qty": [1, 1] },
+      { "item": "charm_titan", "weight": 8, "qty": [1, 1] },
+      { "item": "charm_olympus", "weight": 2, "qty": [1, 1] }
+    ]
+  }
+};
+
+export const LOOT_MAP_SCALING = { "chance": 0.02, "gold": 0.25, "rare": 0.15 };
+
+const ITEM_BY_ID = new Map(ITEMS.map((it) => [it.id, it]));
+
+export function getItemDef(id) {
+  return ITEM_BY_ID.get(id) || null;
+}
+
+export function getRarity(id) {
+  return ITEM_RARITIES.find((r) => r.id === id) || ITEM_RARITIES[0];
+}
+
+/**
+ * Roll one kill's drops.
+ * @param {string} tierId - ENEMY_TIERS id of the killed enemy (unknown tiers use "normal")
+ * @param {number} mapIndex - current map index (1-based)
+ * @param {() => number} [rand] - RNG in [0, 1) (use rngStream("loot") for reproducible drops)
+ * @returns {Array<{id: string, qty: number}>} merged by item id; empty when nothing dropped
+ */
+export function rollLoot(tierId, mapIndex = 1, rand = Math.random) {
+  const table = LOOT_TABLES[tierId] || LOOT_TABLES.normal;
+  const depth = Math.max(0, Math.floor(mapIndex || 1) - 1);
+  const chance = Math.min(1, table.chance + depth * LOOT_MAP_SCALING.chance);
+  if (rand() >= chance) return [];
+
+  const rareMul = 1 + depth * LOOT_MAP_SCALING.rare;
+  const weighted = table.entries
+    .filter((e) => getItemDef(e.item))
+    .map((e) => ({ e, w: e.weight * (getItemDef(e.item).rarity === "common" ? 1 : rareMul) }));
+  const total = weighted.reduce((s, x) => s + x.w, 0);
+  if (total <= 0) return [];
+
+  const out = new Map();
+  for (let i = 0; i < (table.rolls || 1); i++) {
+    let r = rand() * total;
+    let pick = weighted[weighted.length - 1].e;
+    for (const x of weighted) {
+      r -= x.w;
+      if (r < 0) { pick = x.e; break; }
+    }
+    const [lo, hi] = pick.qty || [1, 1];
+    let qty = lo + Math.floor(rand() * (hi - lo + 1));
+    if (pick.item === "gold") qty = Math.round(qty * (1 + depth * LOOT_MAP_SCALING.gold));
+    if (qty > 0) out.set(pick.item, (out.get(pick.item) || 0) + qty);
+  }
+  return Array.from(out, ([id, qty]) => ({ id, qty }));
+}
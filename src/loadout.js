@@ -1,23 +1,56 @@
 /**
  * src/loadout.js
  *
- * Helpers for persisting and resolving the player's chosen 4-skill loadout.
+ * Helpers for persisting and resolving the player's skill loadout.
  *
  * Responsibilities:
- * - Save / load a simple array of 4 skill id strings to localStorage ("zeus_loadout")
+ * - Define the skill slots (Q/W/E/R plus D/F unlocked by hero level) shared by SkillsSystem, input and the HUD
+ * - Save / load a simple array of skill id strings (one per slot) in the save document ("loadout" section, see src/save.js)
  * - Validate saved data and gracefully fallback to defaults
- * - Resolve a final runtime loadout (array of 4 valid skill ids) given the SKILL_POOL
+ * - Resolve a final runtime loadout (array of LOADOUT_SIZE valid skill ids) given the SKILL_POOL
+ * - Keep named skill pages ("skillPages" section); the "loadout" section always mirrors the active page
+ * - Save / load the skill ranks that go with it ("skillRanks" section; rules in src/skill_ranks.js)
  *
- * This module is intentionally dependency-free (does not import SKILL_POOL)
+ * This module intentionally does not import SKILL_POOL (only the dependency-free save store)
  * so it can be used from anywhere (eg. src/main.js) by passing the skill pool array.
  */
 
-const STORAGE_KEY = "zeus_loadout";
+import { loadSection, saveSection } from "./save.js";
 
 /**
- * Save a loadout (array of skill id strings) to localStorage.
+ * Skill slots in loadout order. `unlockLevel` is the hero level that opens the slot;
+ * locked slots keep their skill but cannot be cast.
+ */
+export const SKILL_SLOTS = [
+  { key: "Q", unlockLevel: 1 },
+  { key: "W", unlockLevel: 1 },
+  { key: "E", unlockLevel: 1 },
+  { key: "R", unlockLevel: 1 },
+  { key: "D", unlockLevel: 15 },
+  { key: "F", unlockLevel: 30 },
+];
+export const SLOT_KEYS = SKILL_SLOTS.map((s) => s.key);
+export const LOADOUT_SIZE = SKILL_SLOTS.length;
+
+// Number of skill pages the hero can fill and switch between
+export const SKILL_PAGE_COUNT = 3;
+
+/**
+ * Whether slot `key` is open at hero `level` (unknown keys are never open).
+ * @param {string} key
+ * @param {number} level
+ * @returns {boolean}
+ */
+export function isSlotUnlocked(key, level) {
+  const slot = SKILL_SLOTS.find((s) => s.key === key);
+  return !!slot && (Number(level) || 1) >= slot.unlockLevel;
+}
+
+/**
+ * Save a loadout (array of skill id strings) to the active save slot.
+ * The active skill page (if pages were created) is updated to the same ids.
  * Returns true on success, false on failure.
- * @param {string[]} ids - expected to be an array (length 4 ideally) of skill id strings
+ * @param {string[]} ids - expected to be an array (length LOADOUT_SIZE ideally) of skill id strings
  * @returns {boolean}
  */
 export function saveLoadout(ids) {
@@ -26,8 +59,12 @@ export function saveLoadout(ids) {
       console.warn("saveLoadout: expected array:", ids);
       return false;
     }
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
-    return true;
+    const pages = loadSection("skillPages");
+    if (pages && pages.pages[pages.active]) {
+      pages.pages[pages.active].ids = ids.slice();
+      saveSection("skillPages", pages);
+    }
+    return saveSection("loadout", ids);
   } catch (err) {
     console.warn("saveLoadout error", err);
     return false;
@@ -35,16 +72,13 @@ export function saveLoadout(ids) {
 }
 
 /**
- * Load a raw saved loadout from localStorage.
+ * Load a raw saved loadout from the active save slot.
  * Returns parsed value or null if nothing valid was found.
  * @returns {any|null}
  */
 export function loadLoadout() {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    return parsed;
+    return loadSection("loadout");
   } catch (err) {
     console.warn("loadLoadout parse error", err);
     return null;
@@ -52,46 +86,49 @@ export function loadLoadout() {
 }
 
 /**
- * Validate that an array of ids is a proper loadout (length 4 and ids exist in pool).
+ * Validate that an array of ids is a proper loadout (`size` ids that exist in pool).
  * @param {Array<{id:string}>} skillPool
  * @param {string[]} ids
+ * @param {number} [size=LOADOUT_SIZE]
  * @returns {boolean}
  */
-export function validateLoadoutIds(skillPool, ids) {
-  if (!Array.isArray(ids) || ids.length !== 4) return false;
+export function validateLoadoutIds(skillPool, ids, size = LOADOUT_SIZE) {
+  if (!Array.isArray(ids) || ids.length !== size) return false;
   const poolSet = new Set(skillPool.map((s) => s.id));
   return ids.every((id) => typeof id === "string" && poolSet.has(id));
 }
 
 /**
- * Resolve a final loadout of 4 valid skill ids.
+ * Resolve a final loadout of `size` valid skill ids.
  *
  * - skillPool: array of skill objects with at least an `id` field (eg. SKILL_POOL)
- * - ids: optional saved ids from localStorage (may be null/invalid)
- * - defaultIds: optional fallback array of 4 ids (eg. DEFAULT_LOADOUT)
+ * - ids: optional saved ids from the save document (may be null/invalid; 4-id saves get D/F filled)
+ * - defaultIds: optional fallback array of ids (eg. DEFAULT_LOADOUT)
+ * - size: number of slots (LOADOUT_SIZE by default)
  *
  * Resolution rules:
  * 1. If ids is an array and each id exists in skillPool, use it (preserving order).
  * 2. For any missing/invalid slot, fall back to defaultIds if provided and valid.
  * 3. For still-missing slots, pick the first skill(s) from skillPool that aren't already used.
  *
- * Always returns an array of 4 strings (may include null if pool is too small).
+ * Always returns an array of `size` strings (may include null if pool is too small).
  *
  * @param {Array<{id:string}>} skillPool
  * @param {string[]|null} ids
  * @param {string[]|null} defaultIds
+ * @param {number} [size=LOADOUT_SIZE]
  * @returns {string[]}
  */
-export function resolveLoadout(skillPool, ids, defaultIds = null) {
+export function resolveLoadout(skillPool, ids, defaultIds = null, size = LOADOUT_SIZE) {
   const poolMap = new Map(skillPool.map((s) => [s.id, s]));
   const poolIds = skillPool.map((s) => s.id);
 
   const result = [];
 
-  const src = Array.isArray(ids) ? ids.slice(0, 4) : [];
-  const fallback = Array.isArray(defaultIds) ? defaultIds.slice(0, 4) : [];
+  const src = Array.isArray(ids) ? ids.slice(0, size) : [];
+  const fallback = Array.isArray(defaultIds) ? defaultIds.slice(0, size) : [];
 
-  for (let i = 0; i < 4; i++) {
+  for (let i = 0; i < size; i++) {
     const candidateFromSave = src[i];
     if (candidateFromSave && poolMap.has(candidateFromSave)) {
       result.push(candidateFromSave);
@@ -114,7 +151,7 @@ export function resolveLoadout(skillPool, ids, defaultIds = null) {
 
 /**
  * Convenience: load saved loadout and resolve against pool+defaults in one call.
- * Returns array of 4 ids.
+ * Returns array of LOADOUT_SIZE ids.
  * @param {Array<{id:string}>} skillPool
  * @param {string[]|null} defaultIds
  * @returns {string[]}
@@ -124,12 +161,103 @@ export function loadOrDefault(skillPool, defaultIds = null) {
   return resolveLoadout(skillPool, saved, defaultIds);
 }
 
+/**
+ * Load the skill pages, resolved against the pool.
+ * Saves from before pages (or a fresh hero) get SKILL_PAGE_COUNT pages that all start as the current loadout.
+ * @param {Array<{id:string}>} skillPool
+ * @param {string[]|null} defaultIds
+ * @returns {{active: number, pages: Array<{name: string, ids: string[]}>}}
+ */
+export function loadSkillPages(skillPool, defaultIds = null) {
+  const current = loadOrDefault(skillPool, defaultIds);
+  let saved = null;
+  try {
+    saved = loadSection("skillPages");
+  } catch (err) {
+    console.warn("loadSkillPages error", err);
+  }
+  const pages = [];
+  for (let i = 0; i < SKILL_PAGE_COUNT; i++) {
+    const pg = saved && saved.pages[i];
+    const ids = saved && i === saved.active ? current : (pg ? resolveLoadout(skillPool, pg.ids, current) : current.slice());
+    pages.push({ name: (pg && pg.name) || "", ids });
+  }
+  const active = saved ? Math.min(saved.active, SKILL_PAGE_COUNT - 1) : 0;
+  return { active, pages };
+}
+
+/**
+ * Make page `index` active: the current loadout is kept on the old page and the new page's ids
+ * become the "loadout" section. Callers fire "loadout-changed" to re-apply SKILLS.
+ * @param {Array<{id:string}>} skillPool
+ * @param {number} index
+ * @param {string[]|null} defaultIds
+ * @returns {string[]|null} the new loadout, or null for an invalid index
+ */
+export function switchSkillPage(skillPool, index, defaultIds = null) {
+  try {
+    const i = Math.floor(Number(index));
+    if (!Number.isFinite(i) || i < 0 || i >= SKILL_PAGE_COUNT) return null;
+    const state = loadSkillPages(skillPool, defaultIds);
+    state.active = i;
+    saveSection("skillPages", state);
+    saveSection("loadout", state.pages[i].ids);
+    return state.pages[i].ids.slice();
+  } catch (err) {
+    console.warn("switchSkillPage error", err);
+    return null;
+  }
+}
+
+/**
+ * Rename page `index` (trimmed, max 24 chars; empty = default "Page N" label).
+ * @returns {boolean}
+ */
+export function renameSkillPage(skillPool, index, name, defaultIds = null) {
+  try {
+    const state = loadSkillPages(skillPool, defaultIds);
+    if (!state.pages[index]) return false;
+    state.pages[index].name = String(name || "").trim().slice(0, 24);
+    return saveSection("skillPages", state);
+  } catch (err) {
+    console.warn("renameSkillPage error", err);
+    return false;
+  }
+}
+
+/**
+ * Load saved skill ranks ({ [skillId]: rank }, ranks above 1 only).
+ * @returns {Object<string, number>}
+ */
+export function loadSkillRanks() {
+  try {
+    return loadSection("skillRanks") || {};
+  } catch (err) {
+    console.warn("loadSkillRanks error", err);
+    return {};
+  }
+}
+
+/**
+ * Save skill ranks to the active save slot.
+ * @param {Object<string, number>} ranks
+ * @returns {boolean}
+ */
+export function saveSkillRanks(ranks) {
+  try {
+    return saveSection("skillRanks", ranks || {});
+  } catch (err) {
+    console.warn("saveSkillRanks error", err);
+    return false;
+  }
+}
+
 /**
  * Remove saved loadout from storage.
  */
 export function clearLoadout() {
   try {
-    localStorage.removeItem(STORAGE_KEY);
+    saveSection("loadout", null);
   } catch (err) {
     console.warn("clearLoadout error", err);
   }
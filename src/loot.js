@@ -0,0 +1,110 @@
+import { createLootMesh } from "./meshes.js";
+import { distance2D, hexColor, now } from "./utils.js";
+import { rollLoot, getItemDef, getRarity } from "./items_pool.js";
+import { addItem } from "./inventory.js";
+import { rngStream } from "./rng.js";
+
+/**
+ * Loot drops — kills roll LOOT_TABLES (src/items_pool.js) and leave pickups on the ground.
+ *
+ * - dropFrom(enemy, mapIndex): roll the enemy's tier table (map-scaled) at its position; one pickup per item stack
+ * - dropAt(pos, tierId, mapIndex): same roll at an explicit point (bosses drop after their mesh is removed)
+ * - update(dt): bob/spin pickups, pull them towards the hero inside magnetRadius and collect them inside
+ *   pickupRadius. Items that do not fit (full stack) stay on the ground; pickups expire after `lifetime` seconds.
+ * - clear(): remove every pickup (map switch)
+ *
+ * Rolls and scatter offsets use the seeded "loot" stream so a replayed seed drops the same items.
+ * Each collected stack dispatches "loot-pickup" (detail: { id, qty }).
+ */
+export function initLoot({ scene, player, effects, audio, magnetRadius = 4.5, pickupRadius = 1.1, lifetime = 90, maxOnGround = 60 } = {}) {
+  const rand = rngStream("loot");
+  const drops = []; // { id, qty, mesh, gem, glow, color, bornAt, phase }
+
+  function spawnPickup(pos, id, qty) {
+    const def = getItemDef(id);
+    if (!def) return;
+    const color = hexColor(getRarity(def.rarity).color, 0xd8e2ee);
+    const { group, gem, glow } = createLootMesh(color);
+    const a = rand() * Math.PI * 2;
+    const r = 0.6 + rand() * 1.4;
+    group.position.set(pos.x + Math.sin(a) * r, 0, pos.z + Math.cos(a) * r);
+    scene.add(group);
+    drops.push({ id, qty, mesh: group, gem, glow, color, bornAt: now(), phase: rand() * Math.PI * 2 });
+    // Keep the ground readable during long fights: oldest pickups vanish first
+    while (drops.length > maxOnGround) removeAt(0);
+  }
+
+  function dropAt(pos, tierId, mapIndex = 1) {
+    if (!pos) return [];
+    const rolled = rollLoot(tierId, mapIndex, rand);
+    for (const it of rolled) spawnPickup(pos, it.id, it.qty);
+    return rolled;
+  }
+
+  function dropFrom(enemy, mapIndex = 1) {
+    if (!enemy || typeof enemy.pos !== "function") return [];
+    return dropAt(enemy.pos(), enemy.tier, mapIndex);
+  }
+
+  function removeAt(i) {
+    const d = drops[i];
+    drops.splice(i, 1);
+    try {
+      scene.remove(d.mesh);
+      d.mesh.traverse((o) => {
+        if (o.geometry) o.geometry.dispose();
+        if (o.material) o.material.dispose();
+      });
+    } catch (_) {}
+  }
+
+  function collect(i) {
+    const d = drops[i];
+    const added = addItem(d.id, d.qty);
+    if (added <= 0) return false;
+    d.qty -= added;
+    try { audio && audio.sfx("pickup"); } catch (_) {}
+    try { effects && effects.spawnDamagePopup(player.pos(), added, d.color); } catch (_) {}
+    try { window.dispatchEvent(new CustomEvent("loot-pickup", { detail: { id: d.id, qty: added } })); } catch (_) {}
+    if (d.qty <= 0) removeAt(i);
+    return true;
+  }
+
+  function update(dt) {
+    if (!drops.length) return;
+    const t = now();
+    const hero = player && player.alive ? player.pos() : null;
+    for (let i = drops.length - 1; i >= 0; i--) {
+      const d = drops[i];
+      if (t - d.bornAt > lifetime) {
+        removeAt(i);
+        continue;
+      }
+      d.gem.position.y = 0.7 + Math.sin(t * 3 + d.phase) * 0.12;
+      d.gem.rotation.y += dt * 2.2;
+      if (!hero) continue;
+      const dist = distance2D(d.mesh.position, hero);
+      if (dist <= pickupRadius) {
+        if (collect(i)) continue;
+        d.full = true;
+      } else if (dist <= magnetRadius && !d.full) {
+        // Pull faster as the hero gets closer
+        const k = Math.min(1, dt * (6 + (magnetRadius - dist) * 3) / Math.max(0.001, dist));
+        d.mesh.position.x += (hero.x - d.mesh.position.x) * k;
+        d.mesh.position.z += (hero.z - d.mesh.position.z) * k;
+      } else if (dist > magnetRadius) {
+        d.full = false; // retry once the hero walks back (a potion may have been drunk meanwhile)
+      }
+    }
+  }
+
+  function clear() {
+    while (drops.length) removeAt(drops.length - 1);
+  }
+
+  function list() {
+    return drops.map((d) => ({ id: d.id, qty: d.qty, pos: d.mesh.position.clone() }));
+  }
+
+  return { dropFrom, dropAt, update, clear, list };
+}
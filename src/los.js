@@ -0,0 +1,128 @@
+/**
+ * Line of sight — a lightweight occluder set built from environment props.
+ *
+ * Occluders are footprint circles on the ground plane ({ x, z, r, kind }): temples, villas, columns, statues,
+ * obelisks (src/environment/structures.js), village houses and trees (src/environment.js). They are bucketed in a
+ * uniform grid so a sight line only tests the props near it.
+ *
+ * A circle that contains either end of the line is ignored: a hero standing in the temple colonnade or an enemy
+ * brushing a tree can still see out.
+ *
+ * Users: SkillsSystem targeted skills (chain, beam, channel, mark, projectile auto-aim) and enemy AI
+ * (src/enemy_ai.js: aggro acquisition, ranged attacks, charges; src/steering.js walks around the same props).
+ */
+
+const DEFAULT_CELL = 8;
+
+/**
+ * @param {{x:number,z:number,r:number,kind?:string}[]} [list] initial occluders
+ * @param {number} [cellSize] grid cell size in world units
+ */
+export function createOccluderSet(list = [], cellSize = DEFAULT_CELL) {
+  const cell = Math.max(1, cellSize);
+  const items = [];
+  const grid = new Map();
+
+  const keyOf = (cx, cz) => cx + "," + cz;
+
+  function add(o) {
+    if (!o || !Number.isFinite(o.x) || !Number.isFinite(o.z) || !(o.r > 0)) return;
+    items.push(o);
+    // Bucket by every cell the footprint overlaps
+    const x0 = Math.floor((o.x - o.r) / cell), x1 = Math.floor((o.x + o.r) / cell);
+    const z0 = Math.floor((o.z - o.r) / cell), z1 = Math.floor((o.z + o.r) / cell);
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cz = z0; cz <= z1; cz++) {
+        const k = keyOf(cx, cz);
+        let b = grid.get(k);
+        if (!b) grid.set(k, (b = []));
+        b.push(o);
+      }
+    }
+  }
+
+  function clear() {
+    items.length = 0;
+    grid.clear();
+  }
+
+  /** First occluder crossing the segment a→b ({x, z} points), or null when the line is clear. */
+  function firstBlocker(a, b) {
+    if (!items.length || !a || !b) return null;
+    const x0 = Math.floor(Math.min(a.x, b.x) / cell), x1 = Math.floor(Math.max(a.x, b.x) / cell);
+    const z0 = Math.floor(Math.min(a.z, b.z) / cell), z1 = Math.floor(Math.max(a.z, b.z) / cell);
+    const seen = new Set();
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cz = z0; cz <= z1; cz++) {
+        const bucket = grid.get(keyOf(cx, cz));
+        if (!bucket) continue;
+        for (const o of bucket) {
+          if (seen.has(o)) continue;
+          seen.add(o);
+          if (segmentHitsCircle(a, b, o)) return o;
+        }
+      }
+    }
+    return null;
+  }
+
+  /** Call fn(o) once for every occluder whose footprint comes within `r` of (x, z). */
+  function forEachNear(x, z, r, fn) {
+    if (!items.length) return;
+    const x0 = Math.floor((x - r) / cell), x1 = Math.floor((x + r) / cell);
+    const z0 = Math.floor((z - r) / cell), z1 = Math.floor((z + r) / cell);
+    const seen = new Set();
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cz = z0; cz <= z1; cz++) {
+        const bucket = grid.get(keyOf(cx, cz));
+        if (!bucket) continue;
+        for (const o of bucket) {
+          if (seen.has(o)) continue;
+          seen.add(o);
+          if (Math.hypot(o.x - x, o.z - z) <= o.r + r) fn(o);
+        }
+      }
+    }
+  }
+
+  for (const o of list || []) add(o);
+
+  return {
+    items,
+    add,
+    clear,
+    firstBlocker,
+    forEachNear,
+    get size() { return items.length; },
+  };
+}
+
+/**
+ * True when nothing in `occluders` (an occluder set, or null for "no environment") blocks the line a→b.
+ * @param {ReturnType<typeof createOccluderSet>|null} occluders
+ * @param {{x:number,z:number}} a
+ * @param {{x:number,z:number}} b
+ */
+export function hasLineOfSight(occluders, a, b) {
+  if (!occluders || typeof occluders.firstBlocker !== "function") return true;
+  try {
+    return !occluders.firstBlocker(a, b);
+  } catch (_) {
+    return true;
+  }
+}
+
+// Segment a→b crosses circle o, unless o contains an end of the segment
+function segmentHitsCircle(a, b, o) {
+  const r2 = o.r * o.r;
+  const ax = a.x - o.x, az = a.z - o.z;
+  const bx = b.x - o.x, bz = b.z - o.z;
+  if (ax * ax + az * az <= r2 || bx * bx + bz * bz <= r2) return false;
+  const dx = bx - ax, dz = bz - az;
+  const len2 = dx * dx + dz * dz;
+  if (len2 < 1e-9) return false;
+  // Closest point of the segment to the circle centre
+  const t = Math.max(0, Math.min(1, -(ax * dx + az * dz) / len2));
+  const px = ax + dx * t, pz = az + dz * t;
+  return px * px + pz * pz < r2;
+}
@@ -8,28 +8,41 @@ import { COLOR, WORLD, SKILLS, VILLAGE_POS, REST_RADIUS, SCALING } from "./const
 import { initWorld, updateCamera, updateGridFollow, updateEnvironmentFollow, addResizeHandler, getTargetPixelRatio } from "./world.js";
 import { UIManager } from "./ui/hud.js";
 import { Player, Enemy, getNearestEnemy, handWorldPos } from "./entities.js";
+import { isArchetypeOnAct } from "./enemies_pool.js";
 import { EffectsManager, createGroundRing } from "./effects.js";
 import { SkillsSystem } from "./skills.js";
 import { createRaycast } from "./raycast.js";
-import { createHouse, createHeroOverheadBars } from "./meshes.js";
+import { createHouse, createHeroOverheadBars, createStatusIconSprite } from "./meshes.js";
 import { initEnvironment } from "./environment.js";
-import { distance2D, dir2D, now, clamp01 } from "./utils.js";
+import { distance2D, dir2D, now, clamp01, hexColor } from "./utils.js";
 import { initPortals } from "./portals.js";
 import { initI18n, setLanguage, getLanguage, t } from "./i18n.js";
 import { initSplash } from "./splash.js";
 import { initTouchControls } from "./touch.js";
 import { createInputService } from "./input/input_service.js";
 import { SKILL_POOL, DEFAULT_LOADOUT } from "./skills_pool.js";
-import { loadOrDefault, saveLoadout, resolveLoadout } from "./loadout.js";
+import { loadOrDefault, saveLoadout, resolveLoadout, loadSkillRanks, SLOT_KEYS, SKILL_PAGE_COUNT, loadSkillPages, switchSkillPage } from "./loadout.js";
+import { applySkillRank } from "./skill_ranks.js";
 import { audio } from "./audio.js";
 import { createVillagesSystem } from "./villages.js";
 import { createMapManager } from "./maps.js";
+import { initEnemyBehaviors } from "./enemy_behaviors.js";
+import { initEnemyAI } from "./enemy_ai.js";
+import { initEnemyShots } from "./enemy_shots.js";
+import { initThreat } from "./threat.js";
+import { createSpatialHash } from "./spatial_hash.js";
+import { initBossSystem } from "./bosses.js";
+import { initLoot } from "./loot.js";
+import { getItemBonuses } from "./inventory.js";
+import { applyStatus, hasStatus, moveSpeedMul, tickStatuses, statusIconText } from "./status_effects.js";
+import { loadCastPrefs } from "./input/cast_prefs.js";
+import { rngStream, setRngMapIndex } from "./rng.js";
 import { initHeroPreview } from "./ui/hero/preview.js";
 import { startInstructionGuide as startInstructionGuideOverlay } from "./ui/guide.js";
 import { setupSettingsScreen } from "./ui/settings/index.js";
 import { renderHeroScreen as renderHeroScreenUI } from "./ui/hero/index.js";
-import { updateSkillBarLabels } from "./ui/skillbar.js";
-import { promptBasicUpliftIfNeeded } from "./uplift.js";
+import { updateSkillBarLabels, updateSkillSlotLocks, skillPageLabel } from "./ui/skillbar.js";
+import { promptUpliftIfNeeded, applySkillUplifts, getHeroUplift, getUpliftState } from "./uplift.js";
 import { setupDesktopControls } from "./ui/deskop-controls.js"
 import * as payments from './payments.js';
 
@@ -121,6 +134,7 @@ if (isMobile && !_renderPrefs.quality) {
 
 const effects = new EffectsManager(scene, { quality: renderQuality });
 const mapManager = createMapManager();
+setRngMapIndex(mapManager.getCurrentIndex());
 
 
 // Perf collector: smoothed FPS, 1% low, frame ms, and renderer.info snapshot
@@ -185,9 +199,13 @@ try {
   window.__IS_MOBILE = isMobile;
 } catch (_) {}
 
+// Autosave cadence (ms) for progression that changes continuously (xp within a level, timed buffs)
+const AUTOSAVE_MS = 15000;
+
 // last-update timestamps (initialized lazily in the loop)
 if (!window.__lastHudT) window.__lastHudT = 0;
 if (!window.__lastMinimapT) window.__lastMinimapT = 0;
+if (!window.__lastAutosaveT) window.__lastAutosaveT = 0;
 function __computePerf(nowMs) {
   const dtMs = Math.max(0.1, Math.min(1000, nowMs - (__perf.prevMs || nowMs)));
   __perf.prevMs = nowMs;
@@ -582,6 +600,7 @@ function showHeroScreen(initialTab = "skills") {
     DEFAULT_LOADOUT,
     currentLoadout,
     setLoadoutAndSave,
+    setSkillPage,
     updateSkillBarLabels,
     mapManager,
     portals,
@@ -591,6 +610,7 @@ function showHeroScreen(initialTab = "skills") {
     setCenterMsg,
     clearCenterMsg,
     applyMapModifiersToEnemy,
+    applyMapSwitchToEnemies,
     adjustEnemyCountForMap: adjustEnemyCountForCurrentMap,
   };
   try { audio.ensureBackgroundMusic("audio/Ice and Snow.mp3", { volume: 0.35, loop: true }); } catch (_) {}
@@ -841,25 +861,50 @@ if (sfxToggle) {
 // Settings UI initialized via setupSettingsScreen()
 
 // Selection/aim indicators
-/* Load and apply saved loadout so runtime SKILLS.Q/W/E/R reflect player's choice */
+/* Load and apply saved loadout so runtime SKILLS (one entry per SLOT_KEYS key) reflect player's choice */
 let currentLoadout = loadOrDefault(SKILL_POOL, DEFAULT_LOADOUT);
 
 /**
- * Apply an array of 4 skill ids to the SKILLS mapping (mutates exported SKILLS).
+ * Apply an array of skill ids (one per SLOT_KEYS key) to the SKILLS mapping (mutates exported SKILLS).
+ * Each slot gets the pool definition with its saved rank (src/skill_ranks.js) and uplift picks (src/uplift.js) applied.
  */
 function applyLoadoutToSKILLS(loadoutIds) {
   const idMap = new Map(SKILL_POOL.map((s) => [s.id, s]));
-  const keys = ["Q", "W", "E", "R"];
-  for (let i = 0; i < 4; i++) {
+  const ranks = loadSkillRanks();
+  const choices = getUpliftState().choices;
+  for (let i = 0; i < SLOT_KEYS.length; i++) {
     const id = loadoutIds[i];
     const def = idMap.get(id);
     if (def) {
-      // shallow copy to avoid accidental shared references
-      SKILLS[keys[i]] = Object.assign({}, def);
+      // applySkillRank returns a copy, so runtime edits never touch SKILL_POOL
+      SKILLS[SLOT_KEYS[i]] = applySkillUplifts(applySkillRank(def, ranks[id] || 1), choices);
     }
   }
 }
 
+/**
+ * Make skill page `index` active and re-apply SKILLS (Hero → Skills page pills).
+ * Cooldowns carry over per skill (SkillsSystem.refreshSkills via "loadout-changed").
+ */
+function setSkillPage(index) {
+  const ids = switchSkillPage(SKILL_POOL, index, DEFAULT_LOADOUT);
+  if (!ids) return false;
+  try { window.dispatchEvent(new Event("loadout-changed")); } catch (_) {}
+  return true;
+}
+
+/** Switch to the next skill page (Tab key, 📑 button) and flash its name. */
+function cycleSkillPage() {
+  const { active } = loadSkillPages(SKILL_POOL, DEFAULT_LOADOUT);
+  const next = (active + 1) % SKILL_PAGE_COUNT;
+  if (!setSkillPage(next)) return;
+  try {
+    const { pages } = loadSkillPages(SKILL_POOL, DEFAULT_LOADOUT);
+    setCenterMsg(`📑 ${skillPageLabel(pages[next], next)}`);
+    setTimeout(() => clearCenterMsg(), 900);
+  } catch (_) {}
+}
+
 /**
  * Persist and apply a new loadout.
  */
@@ -932,31 +977,48 @@ try {
       const lvl = ev?.detail?.level || player.level;
       const unlockedChanged = mapManager.unlockByLevel(lvl);
       // Auto-advance to highest unlocked map when new map unlocks
-      if (unlockedChanged) {
-        const prevIdx = mapManager.getCurrentIndex?.() || 1;
-        const maxIdx = mapManager.getUnlockedMax?.() || prevIdx;
-        if (maxIdx > prevIdx) {
-          if (mapManager.setCurrent?.(maxIdx)) {
-            // Reapply modifiers to existing enemies on map switch and adjust density
-            enemies.forEach((en) => applyMapModifiersToEnemy(en));
-            try { adjustEnemyCountForCurrentMap(); } catch (_) {}
-            setCenterMsg && setCenterMsg(`Unlocked and switched to MAP ${maxIdx}`);
-            setTimeout(() => clearCenterMsg(), 1400);
-          }
-        }
-      }
+      if (unlockedChanged) switchToHighestUnlockedMap();
     } catch (_) {}
   });
 } catch (_) {}
-try { promptBasicUpliftIfNeeded(player); } catch (_) {}
+
+function switchToHighestUnlockedMap() {
+  const prevIdx = mapManager.getCurrentIndex?.() || 1;
+  const maxIdx = mapManager.getUnlockedMax?.() || prevIdx;
+  if (maxIdx > prevIdx) {
+    if (mapManager.setCurrent?.(maxIdx)) {
+      // Re-roll off-act enemies, reapply modifiers on map switch and adjust density
+      applyMapSwitchToEnemies();
+      try { adjustEnemyCountForCurrentMap(); } catch (_) {}
+      setCenterMsg && setCenterMsg(`Unlocked and switched to MAP ${maxIdx}`);
+      setTimeout(() => clearCenterMsg(), 1400);
+    }
+  }
+}
+try { promptUpliftIfNeeded(player); } catch (_) {}
+try { updateSkillSlotLocks(player.level); } catch (_) {}
 try { 
   window.addEventListener("player-levelup", () => { 
-    try { promptBasicUpliftIfNeeded(player); } catch (_) {}
+    try { promptUpliftIfNeeded(player); } catch (_) {}
+    // D/F skill slots open at their unlock levels
+    try { updateSkillSlotLocks(player.level); } catch (_) {}
     // Adjust enemy count when player levels up (spawn more, stronger enemies)
     try { adjustEnemyCountForCurrentMap(); } catch (_) {}
   }); 
 } catch (_) {}
 
+// Save progression when the page is backgrounded or closed (mobile may kill hidden tabs without unload)
+try {
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+      try { player.saveProgressToStorage(); } catch (_) {}
+    }
+  });
+  window.addEventListener("pagehide", () => {
+    try { player.saveProgressToStorage(); } catch (_) {}
+  });
+} catch (_) {}
+
 // Hero overhead HP/MP bars
 const heroBars = createHeroOverheadBars();
 player.mesh.add(heroBars.container);
@@ -971,6 +1033,13 @@ player.onDeath = () => {
   player.target = null;
 };
 
+/** Bring a dead or off-act enemy back at `pos` for the hero's level and act, with no AI state or threat. */
+function respawnEnemy(en, pos) {
+  en.respawn(pos, player.level, { actIndex: mapManager.getActIndex() });
+  // Also drops its threat table (threat.forget)
+  try { enemyAI.reset(en); } catch (_) {}
+}
+
 /* Map modifiers helper */
 function applyMapModifiersToEnemy(en) {
   try {
@@ -993,6 +1062,28 @@ function applyMapModifiersToEnemy(en) {
     }
   } catch (_) {}
 }
+/**
+ * Map switch: resets the boss encounter, re-rolls living enemies whose archetype cannot spawn on
+ * the new act (signature foes stay on their act), then reapplies map modifiers to everyone.
+ */
+function applyMapSwitchToEnemies() {
+  // Seeded rolls follow the map; any engaged boss belongs to the previous map
+  setRngMapIndex(mapManager.getCurrentIndex());
+  try { bosses.onMapChanged(); } catch (_) {}
+  try { loot.clear(); } catch (_) {}
+  try { enemyShots.clear(); } catch (_) {}
+  // Decoys and threat tables belong to the previous map
+  try { threat.clear(); } catch (_) {}
+  const act = mapManager.getActIndex();
+  enemies.forEach((en) => {
+    try {
+      if (en.alive && !isArchetypeOnAct(en.archetype, act)) {
+        respawnEnemy(en, en.pos().clone());
+      }
+    } catch (_) {}
+    applyMapModifiersToEnemy(en);
+  });
+}
 // Enemy count scaling with player level
 // Base: 50 enemies at level 1
 // Scaling: +2 enemies per level (50→52→54... up to 100 max)
@@ -1028,21 +1119,66 @@ const enemyCountTarget = calculateEnemyCountForLevel(player.level);
 
 console.info(`[Enemy Spawn] Level ${player.level}: ${enemyCountTarget} enemies (base: ${MIN_ENEMY_COUNT}, max: ${MAX_ENEMY_COUNT})`);
 const enemies = [];
+// Spawn positions come from the seeded "spawn" stream (tier/kind/stats use "enemy" inside Enemy)
+const spawnRand = rngStream("spawn");
 for (let i = 0; i < enemyCountTarget; i++) {
-  const angle = Math.random() * Math.PI * 2;
-  const r = WORLD.enemySpawnRadius * (0.4 + Math.random() * 0.8);
+  const angle = spawnRand() * Math.PI * 2;
+  const r = WORLD.enemySpawnRadius * (0.4 + spawnRand() * 0.8);
   const pos = new THREE.Vector3(
     VILLAGE_POS.x + Math.cos(angle) * r,
     0,
     VILLAGE_POS.z + Math.sin(angle) * r
   );
-  const e = new Enemy(pos, player.level);
+  const e = new Enemy(pos, player.level, { actIndex: mapManager.getActIndex() });
   applyMapModifiersToEnemy(e);
   e.mesh.userData.enemyRef = e;
   scene.add(e.mesh);
   enemies.push(e);
 }
 
+// Villages are safe zones: no dives, targeted slams or boss attacks/summons inside them
+function isInSafeZone(pos) {
+  if (distance2D(pos, VILLAGE_POS) <= REST_RADIUS) return true;
+  const inside = villages?.isInsideAnyVillage?.(pos);
+  return !!(inside && inside.inside);
+}
+
+// Signature AI for act-exclusive archetypes (dives, shields, slams, support casters)
+const enemyBehaviors = initEnemyBehaviors({
+  effects,
+  player,
+  enemies,
+  audio,
+  aggroRadius: WORLD.aiAggroRadius,
+  isSafeZone: isInSafeZone,
+  // enemyIndex is created below; behaviors only run once the loop has rebuilt it
+  getEnemiesNear: (pos, r) => enemyIndex.query(pos.x, pos.z, r),
+});
+
+// Boss encounters: arena/kill-count summon, phases, HUD bar; defeating the boss gates the next map
+const loot = initLoot({ scene, player, effects, audio });
+
+const bosses = initBossSystem({
+  scene,
+  effects,
+  player,
+  enemies,
+  mapManager,
+  audio,
+  ui,
+  applyMapModifiersToEnemy,
+  setCenterMsg,
+  clearCenterMsg,
+  isSafeZone: isInSafeZone,
+  onBossDefeated: ({ unlocked, mapIndex, pos }) => {
+    try { loot.dropAt(pos, "boss", mapIndex); } catch (_) {}
+    // Same auto-advance as a level-up unlock, after the victory message
+    if (unlocked) setTimeout(() => { try { switchToHighestUnlockedMap(); } catch (_) {} }, 2600);
+  },
+  // Same cleanup as respawnEnemy: AI state and threat table (enemyAI is created below, before the loop runs)
+  onDespawn: (en) => { try { enemyAI.reset(en); } catch (_) {} },
+});
+
 /**
  * Dynamically adjust enemy count based on player level, map modifiers, quality, and performance.
  * Scales enemy count as player levels up (50→100 enemies from level 1→25+).
@@ -1059,22 +1195,26 @@ function adjustEnemyCountForCurrentMap() {
     // Enforce minimum
     desired = Math.max(MIN_ENEMY_COUNT, desired);
     
-    if (enemies.length < desired) {
-      const toAdd = desired - enemies.length;
+    // Bosses are managed by src/bosses.js and never count toward (or get trimmed by) density
+    const regularCount = enemies.reduce((n, e) => n + (e.isBoss ? 0 : 1), 0);
+    if (regularCount < desired) {
+      const toAdd = desired - regularCount;
       console.info(`[Enemy Scaling] Adding ${toAdd} enemies (Level ${player.level}, Total: ${desired})`);
       for (let i = 0; i < toAdd; i++) {
         const pos = randomEnemySpawnPos();
-        const e = new Enemy(pos, player.level); // Spawn at current level (stronger)
+        const e = new Enemy(pos, player.level, { actIndex: mapManager.getActIndex() }); // Spawn at current level (stronger)
         applyMapModifiersToEnemy(e);
         e.mesh.userData.enemyRef = e;
         scene.add(e.mesh);
         enemies.push(e);
       }
-    } else if (enemies.length > desired) {
-      const toRemove = enemies.length - desired;
+    } else if (regularCount > desired) {
+      const toRemove = regularCount - desired;
       console.info(`[Enemy Scaling] Removing ${toRemove} enemies (Level ${player.level}, Total: ${desired})`);
-      for (let i = 0; i < toRemove; i++) {
-        const e = enemies.pop();
+      for (let i = enemies.length - 1, removed = 0; i >= 0 && removed < toRemove; i--) {
+        if (enemies[i].isBoss) continue;
+        const [e] = enemies.splice(i, 1);
+        removed++;
         try { scene.remove(e.mesh); } catch (_) {}
       }
     }
@@ -1198,15 +1338,65 @@ const portals = initPortals(scene);
 // Villages system (dynamic villages, roads, rest)
 const villages = createVillagesSystem(scene, portals);
 
+// Per-frame enemy grid, rebuilt at the top of animate(): targeting, area hits and steering query it
+const enemyIndex = createSpatialHash(WORLD.enemyGridCell, { slack: WORLD.enemyGridSlack });
+
+// Threat tables: enemies fight the hero or whichever clone, totem or summon has drawn them
+const threat = initThreat({
+  player,
+  enemies,
+  getEnemiesNear: (pos, r) => enemyIndex.query(pos.x, pos.z, r),
+});
+
+// Ranged enemy attacks fly as dodgeable projectiles; hero shields block or reflect them
+const enemyShots = initEnemyShots({
+  player,
+  enemies,
+  effects,
+  audio,
+  getColliders: () => (env && env.colliders) || [],
+  getEnemiesNear: (pos, r) => enemyIndex.query(pos.x, pos.z, r),
+  getTargets: () => threat.targets(),
+  // Reflected shots are hero damage: same pipeline and threat as skill hits
+  dealHeroDamage: (en, amount, opts) => skills.dealHeroDamage(en, amount, opts),
+});
+
+// Per-kind enemy AI: aggro, kiting archers, flanking raiders, charging brutes, packs around a leader
+const enemyAI = initEnemyAI({
+  player,
+  enemies,
+  effects,
+  audio,
+  villages,
+  getOccluders: () => (env && env.occluders) || null,
+  isSafeZone: isInSafeZone,
+  shouldSpawnVfx,
+  index: enemyIndex,
+  shots: enemyShots,
+  threat,
+});
+
 // ------------------------------------------------------------
 // Skills system (cooldowns, abilities, storms) and UI
 // ------------------------------------------------------------
 const skills = new SkillsSystem(player, enemies, effects, ui.getCooldownElements(), villages);
 try { window.__skillsRef = skills; } catch (_) {}
+// Projectiles stop at structures of the current environment (env is rebuilt when density changes)
+skills.setColliders(() => (env && env.colliders) || []);
+skills.setThreat(threat);
+// Trees, houses and structures block targeted skills
+skills.setOccluders(() => (env && env.occluders) || null);
+// Target picks and area hits read the per-frame enemy grid
+skills.setEnemyIndex(() => enemyIndex);
+// Press buffer and cast-when-in-range (Settings → General)
+skills.setCastPrefs(loadCastPrefs());
+window.addEventListener("cast-prefs-changed", (ev) => {
+  try { skills.setCastPrefs((ev && ev.detail) || loadCastPrefs()); } catch (_) {}
+});
 try { initHeroPreview(skills, { heroScreen }); } catch (_) {}
 
 // Touch controls (joystick + skill wheel)
-const touch = initTouchControls({ player, skills, effects, aimPreview, attackPreview, enemies, getNearestEnemy, WORLD, SKILLS });
+const touch = initTouchControls({ player, skills, effects, aimPreview, attackPreview, enemies, enemyIndex, getNearestEnemy, WORLD, SKILLS });
 
 // ------------------------------------------------------------
 // Raycasting
@@ -1242,6 +1432,7 @@ const inputService = createInputService({
   portals,
   player,
   enemies,
+  enemyIndex,
   effects,
   skills,
   WORLD,
@@ -1250,8 +1441,10 @@ const inputService = createInputService({
   attackPreview,
   setCenterMsg,
   clearCenterMsg,
+  onNextSkillPage: cycleSkillPage,
 });
 inputService.attachCaptureListeners();
+try { document.getElementById("btnSkillPage")?.addEventListener("click", cycleSkillPage); } catch (_) {}
 if (typeof touch !== "undefined" && touch) inputService.setTouchAdapter(touch);
 
 // ------------------------------------------------------------
@@ -1271,7 +1464,7 @@ function attemptAutoBasic() {
   if (!player.alive || player.frozen) return;
   try {
     const effRange = WORLD.attackRange * (WORLD.attackRangeMult || 1);
-    const nearest = getNearestEnemy(player.pos(), effRange, enemies);
+    const nearest = getNearestEnemy(player.pos(), effRange, enemies, enemyIndex);
     if (!nearest) return;
     player.target = nearest;
     player.moveTarget = null;
@@ -1366,7 +1559,7 @@ window.addEventListener("keydown", (e) => {
 
     keyHoldA = true; // enable autofire while held
     // Auto-select nearest enemy and attempt basic attack.
-    const nearest = getNearestEnemy(player.pos(), WORLD.attackRange * (WORLD.attackRangeMult || 1), enemies);
+    const nearest = getNearestEnemy(player.pos(), WORLD.attackRange * (WORLD.attackRangeMult || 1), enemies, enemyIndex);
     if (nearest) {
       // select and perform basic attack immediately
       player.target = nearest;
@@ -1500,6 +1693,9 @@ function animate() {
   const __frameBudgetMs = window.__FRAME_BUDGET_MS || (isMobile ? MOBILE_OPTIMIZATIONS.frameBudgetMs : 10.0);
   const __overBudget = () => (performance.now() - __frameStartMs) > __frameBudgetMs;
 
+  // Enemy grid for this frame's targeting, area hits and steering
+  enemyIndex.rebuild(enemies);
+
   // Unified input (Hexagonal service): movement, holds, skills
   inputService.update(t, dt);
 
@@ -1569,6 +1765,9 @@ function animate() {
 
   updatePlayer(dt);
   updateEnemies(dt);
+  updateStatuses();
+  try { bosses.update(dt); } catch (_) {}
+  try { loot.update(dt); } catch (_) {}
   if (firstPerson && typeof player !== "undefined") {
     // Reuse temp vectors to avoid per-frame allocations in the FP hand code.
     // left/right are aliases into the shared pool (copied into mid when needed).
@@ -1684,16 +1883,26 @@ function animate() {
       if (!window.__lastMinimapT) window.__lastMinimapT = 0;
       if ((nowMs - window.__lastMinimapT) >= (window.__MINIMAP_UPDATE_MS || MINIMAP_UPDATE_MS)) {
         window.__lastMinimapT = nowMs;
-        try { ui.updateMinimap(player, enemies, portals, villages); } catch (_) {}
+        try { ui.updateMinimap(player, enemies, portals, villages, bosses); } catch (_) {}
       }
     } catch (_) {}
   } catch (_) {
     // Fallback: if anything goes wrong, keep original per-frame updates to preserve behavior.
     try { ui.updateHUD(player); } catch (_) {}
-    try { ui.updateMinimap(player, enemies, portals, villages); } catch (_) {}
+    try { ui.updateMinimap(player, enemies, portals, villages, bosses); } catch (_) {}
   }
 
+  // Periodic autosave of hero progression
+  try {
+    const nowMs = performance.now();
+    if ((nowMs - window.__lastAutosaveT) >= AUTOSAVE_MS) {
+      window.__lastAutosaveT = nowMs;
+      player.saveProgressToStorage();
+    }
+  } catch (_) {}
+
   skills.update(t, dt, cameraShake);
+  try { ui.updateCastBar(skills.getCastInfo()); } catch (_) {}
   effects.update(t, dt);
   if (env && typeof env.update === "function") env.update(t, dt);
 
@@ -1794,11 +2003,11 @@ animate();
 // Pick a random valid spawn position for enemies around the village ring.
 // Ensures spawns are outside the village rest radius and within the world enemy spawn radius.
 function randomEnemySpawnPos() {
-  // Dynamic enemy spawn around the hero for continuous gameplay.
-  const angle = Math.random() * Math.PI * 2;
+  // Dynamic enemy spawn around the hero for continuous gameplay (seeded "spawn" stream).
+  const angle = spawnRand() * Math.PI * 2;
   const minR = Math.max(30, WORLD.enemySpawnRadius * 0.5);
   const maxR = Math.max(minR + 1, WORLD.enemySpawnRadius);
-  const r = minR + Math.random() * (maxR - minR);
+  const r = minR + spawnRand() * (maxR - minR);
 
   // Base candidate around player's current position
   const center = player.pos();
@@ -1846,6 +2055,7 @@ function stopPlayer() {
   player.moveTarget = null;
   player.attackMove = false;
   player.target = null;
+  skills.cancelQueuedCast();
 
   // ensure no aim-related UI or state (aiming removed)
   player.aimMode = false;
@@ -1861,9 +2071,11 @@ function stopPlayer() {
 }
 
 function updatePlayer(dt) {
-  // Regen
-  player.hp = Math.min(player.maxHP, player.hp + player.hpRegen * dt);
-  player.mp = Math.min(player.maxMP, player.mp + player.mpRegen * dt);
+  // Regen (equipped charms and hero uplifts scale it)
+  const itemBonus = getItemBonuses();
+  const heroUp = getHeroUplift();
+  player.hp = Math.min(player.maxHP, player.hp + player.hpRegen * itemBonus.hpRegenMul * heroUp.hpRegenMul * dt);
+  player.mp = Math.min(player.maxMP, player.mp + player.mpRegen * itemBonus.mpRegenMul * heroUp.mpRegenMul * dt);
   player.idlePhase += dt;
 
   // Dead state
@@ -1882,7 +2094,7 @@ function updatePlayer(dt) {
   // Automatic target acquisition was removed so the player fully controls targeting and attacking.
   /*
   if (!player.moveTarget && (!player.target || !player.target.alive) && (!player.holdUntil || now() >= player.holdUntil)) {
-    const nearest = getNearestEnemy(player.pos(), WORLD.attackRange + 0.5, enemies);
+    const nearest = getNearestEnemy(player.pos(), WORLD.attackRange + 0.5, enemies, enemyIndex);
     if (nearest) player.target = nearest;
   }
   */
@@ -1895,7 +2107,15 @@ function updatePlayer(dt) {
 
   // Movement towards target or moveTarget
   let moveDir = null;
-  if (player.target && player.target.alive) {
+  // Cast-when-in-range: walk to the enemy a queued skill waits on (a new move or attack order cancels it)
+  let approach = skills.getCastApproach();
+  if (approach && (player.moveTarget || player.target !== approach)) {
+    skills.cancelQueuedCast();
+    approach = null;
+  }
+  if (approach) {
+    moveDir = dir2D(player.pos(), approach.pos());
+  } else if (player.target && player.target.alive) {
     const d = distance2D(player.pos(), player.target.pos());
     // Do NOT auto-move or auto-basic-attack when a target is set.
     // If the player explicitly used attack-move (player.attackMove) then allow moving toward the target.
@@ -1922,8 +2142,7 @@ function updatePlayer(dt) {
   }
 
   if (moveDir) {
-    const spMul = (player.speedBoostUntil && now() < player.speedBoostUntil && player.speedBoostMul) ? player.speedBoostMul : 1;
-    const effSpeed = player.speed * spMul;
+    const effSpeed = player.speed * moveSpeedMul(player) * heroUp.moveSpeedMul;
     player.mesh.position.x += moveDir.x * effSpeed * dt;
     player.mesh.position.z += moveDir.z * effSpeed * dt;
 
@@ -1971,6 +2190,10 @@ function updatePlayer(dt) {
 
 function updateEnemies(dt) {
   __aiOffset = (__aiOffset + 1) % __aiStride;
+  // Spatial hash for steering (separation) and village circles, shared by this frame's AI updates
+  enemyAI.beginFrame();
+  threat.update(dt);
+  enemyShots.update(dt);
   
   // Mobile: Periodic culling check to freeze distant enemies
   if (isMobile && MOBILE_OPTIMIZATIONS.cullDistance) {
@@ -2005,18 +2228,22 @@ function updateEnemies(dt) {
     
     if ((__idx % __aiStride) !== __aiOffset) return;
     if (!en.alive) {
+      // Boss death/XP/removal is handled by bosses.update (never respawns here)
+      if (en.isBoss) return;
       // Death cleanup, SFX, and XP grant + schedule respawn
       if (!en._xpGranted) {
         try { audio.sfx("enemy_die"); } catch (e) {}
         en._xpGranted = true;
         player.gainXP(en.xpOnDeath);
+        try { loot.dropFrom(en, mapManager.getCurrentIndex()); } catch (_) {}
+        try { bosses.onEnemyKilled(en); } catch (_) {}
         // schedule respawn to maintain density
         en._respawnAt = now() + (WORLD.enemyRespawnDelay || 8);
       }
       // Handle respawn to maintain enemy density; scale stats with current hero level
       if (en._respawnAt && now() >= en._respawnAt) {
         const pos = randomEnemySpawnPos();
-        en.respawn(pos, player.level);
+        respawnEnemy(en, pos);
         applyMapModifiersToEnemy(en);
       }
       return;
@@ -2025,132 +2252,68 @@ function updateEnemies(dt) {
 
     // Stream/recycle enemies that are far away to maintain density around the hero
     const STREAM_DESPAWN_DIST = (WORLD.enemySpawnRadius || 220) * 1.6;
-    if (toPlayer > STREAM_DESPAWN_DIST) {
+    if (toPlayer > STREAM_DESPAWN_DIST && !en.isBoss) {
       const pos = randomEnemySpawnPos();
       en.mesh.position.copy(pos);
       en.moveTarget = null;
       en.nextAttackReady = now() + 0.8;
+      en.liftY = 0;
+      if (en._bh) en._bh.phase = "idle";
+      enemyAI.reset(en);
       // skip AI this frame after relocation
       return;
     }
 
-    if (toPlayer < WORLD.aiAggroRadius) {
-      // chase player
-      const d = toPlayer;
-      const ar = en.attackRange || WORLD.aiAttackRange;
-      if (d > ar) {
-        const v = dir2D(en.pos(), player.pos());
-        const spMul = en.slowUntil && now() < en.slowUntil ? en.slowFactor || 0.5 : 1;
-        // Tentative next position
-        const nx = en.mesh.position.x + v.x * en.speed * spMul * dt;
-        const nz = en.mesh.position.z + v.z * en.speed * spMul * dt;
-        const nextDistToVillage = Math.hypot(nx - VILLAGE_POS.x, nz - VILLAGE_POS.z);
-        if (nextDistToVillage <= REST_RADIUS - 0.25) {
-          // Clamp to fence boundary so enemies cannot enter origin village
-          const dirFromVillage = dir2D(VILLAGE_POS, en.pos());
-          en.mesh.position.x = VILLAGE_POS.x + dirFromVillage.x * (REST_RADIUS - 0.25);
-          en.mesh.position.z = VILLAGE_POS.z + dirFromVillage.z * (REST_RADIUS - 0.25);
-        } else {
-          // Check dynamic villages
-          const nextPos = new THREE.Vector3(nx, 0, nz);
-          let clamped = false;
-          try {
-            const inside = villages?.isInsideAnyVillage?.(nextPos);
-            if (inside && inside.inside && inside.key !== "origin") {
-              const dirFrom = dir2D(inside.center, en.pos());
-              const rad = Math.max(0.25, (inside.radius || REST_RADIUS) - 0.25);
-              en.mesh.position.x = inside.center.x + dirFrom.x * rad;
-              en.mesh.position.z = inside.center.z + dirFrom.z * rad;
-              clamped = true;
-            }
-          } catch (_) {}
-          if (!clamped) {
-            en.mesh.position.x = nx;
-            en.mesh.position.z = nz;
-          }
-        }
-        // face
-        const yaw = Math.atan2(v.x, v.z);
-        const q = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, yaw, 0));
-        en.mesh.quaternion.slerp(q, 0.2);
-      } else {
-        // Attack
-        const t = now();
-        if (t >= (en.nextAttackReady || 0)) {
-          const cd = en.attackCooldown || WORLD.aiAttackCooldown;
-          en.nextAttackReady = t + cd;
-          // Visual / Effect per enemy kind
-          // Reuse temp vectors to avoid allocations in hot attack path
-          __tempVecA.copy(en.pos()).add(__tempVecB.set(0, 1.4, 0)); // from
-          __tempVecC.copy(player.pos()).add(__tempVecB.set(0, 1.2, 0)); // to
+    // Signature behaviors (wind-ups, leaps, stagger) take over from chase/attack while active
+    const behaviorOwned = en.isBoss ? bosses.updateBoss(en, dt, toPlayer) : enemyBehaviors.update(en, dt, toPlayer);
 
-          try {
-            // Centralized VFX gating: use shouldSpawnVfx(kind, pos) to decide whether to spawn heavy effects.
-            if (en.attackEffect === "melee") {
-              // impact strike at player (light-weight)
-              try { effects.spawnStrike(player.pos(), 0.9, 0xff9955); } catch (_) {}
-            } else if (en.attackEffect === "electric") {
-              try {
-                if (shouldSpawnVfx("electric", __tempVecA)) {
-                  effects.spawnElectricBeamAuto(__tempVecA, __tempVecC, en.beamColor || 0x9fd8ff, 0.1);
-                }
-              } catch (_) {}
-            } else {
-              // default beam (archer/others)
-              try {
-                if (shouldSpawnVfx("largeBeam", __tempVecA)) {
-                  effects.spawnBeam(__tempVecA, __tempVecC, en.beamColor || 0xff8080, 0.09);
-                }
-              } catch (_) {}
-            }
-          } catch (e) {}
-          // Damage
-          player.takeDamage(en.attackDamage);
-          // SFX: player hit by enemy
-          try { audio.sfx("player_hit"); } catch (e) {}
-          // floating damage popup on player
-          try { effects.spawnDamagePopup(player.pos(), en.attackDamage, 0xffd0d0); } catch (e) {}
-        }
-      }
-    } else {
-      // Wander around their spawn origin
-      if (!en.moveTarget || Math.random() < 0.005) {
-        const ang = Math.random() * Math.PI * 2;
-        const r = Math.random() * WORLD.aiWanderRadius;
-        __tempVecA.copy(en.pos()).add(__tempVecB.set(Math.cos(ang) * r, 0, Math.sin(ang) * r));
-        en.moveTarget = __tempVecA.clone();
-      }
-      const d = distance2D(en.pos(), en.moveTarget);
-      if (d > 0.8) {
-        const v = dir2D(en.pos(), en.moveTarget);
-        const spMul = en.slowUntil && now() < en.slowUntil ? en.slowFactor || 0.5 : 1;
-        en.mesh.position.x += v.x * en.speed * spMul * 0.6 * dt;
-        en.mesh.position.z += v.z * en.speed * spMul * 0.6 * dt;
-      }
+    if (!behaviorOwned) {
+      // Aggro, chase/kite/flank/charge/pack movement, regular attacks and wandering (src/enemy_ai.js)
+      enemyAI.update(en, dt, toPlayer);
     }
 
-    // keep y
-    en.mesh.position.y = 1.0;
+    // keep y (liftY: dive arc)
+    en.mesh.position.y = 1.0 + (en.liftY || 0);
 
     // Update HP bar
     en.updateHPBar();
 
     // Death cleanup, SFX, and XP grant + schedule respawn
-    if (!en.alive && !en._xpGranted) {
+    if (!en.alive && !en._xpGranted && !en.isBoss) {
       try { audio.sfx("enemy_die"); } catch (e) {}
       en._xpGranted = true;
       player.gainXP(en.xpOnDeath);
+      try { loot.dropFrom(en, mapManager.getCurrentIndex()); } catch (_) {}
+      try { bosses.onEnemyKilled(en); } catch (_) {}
       // schedule respawn to maintain enemy density
       en._respawnAt = now() + (WORLD.enemyRespawnDelay || 8);
     }
     // Handle respawn to maintain enemy density; scale stats with current hero level
-    if (!en.alive && en._respawnAt && now() >= en._respawnAt) {
+    if (!en.alive && !en.isBoss && en._respawnAt && now() >= en._respawnAt) {
       const pos = randomEnemySpawnPos();
-      en.respawn(pos, player.level);
+      respawnEnemy(en, pos);
     }
   });
 }
 
+/**
+ * Expire statuses and run ticking effects (burn/shock damage, regen) on the hero and every enemy.
+ * Kills from ticks are picked up by the regular death handling in updateEnemies / bosses.update.
+ */
+function updateStatuses() {
+  const onTick = (ent, s, amount, def) => {
+    try { effects.spawnDamagePopup(ent.pos(), amount, hexColor(def.color)); } catch (_) {}
+    // Burn/shock on an enemy counts as damage from whoever applied it (the hero or a decoy)
+    if (ent !== player && s.owner && s.id !== "regen") threat.onDamage(ent, s.owner, amount);
+  };
+  try { tickStatuses(player, onTick); } catch (_) {}
+  for (const en of enemies) {
+    if (en.statuses && en.statuses.size) {
+      try { tickStatuses(en, onTick); } catch (_) {}
+    }
+  }
+}
+
 function updateIndicators(dt) {
   // Selection ring: follow currently selected unit
   if (selectedUnit && selectedUnit.alive) {
@@ -2168,9 +2331,8 @@ function updateIndicators(dt) {
   // Mobile: Skip slow debuff indicators (expensive CPU work)
   if (!isMobile || !MOBILE_OPTIMIZATIONS.skipSlowUpdates) {
     // Slow debuff indicator rings
-    const t = now();
     enemies.forEach((en) => {
-      const slowed = en.slowUntil && t < en.slowUntil;
+      const slowed = en.alive && hasStatus(en, "slow");
       if (slowed) {
         if (!en._slowRing) {
           const r = createGroundRing(0.6, 0.9, 0x66aaff, 0.7);
@@ -2188,6 +2350,25 @@ function updateIndicators(dt) {
     });
   }
 
+  // Status icons over enemies; the sprite is created on first status and redrawn only when the icons change
+  enemies.forEach((en) => {
+    const text = en.alive ? statusIconText(en) : "";
+    if (!en._statusIcons) {
+      if (!text) return;
+      try {
+        en._statusIcons = createStatusIconSprite();
+        en._statusIcons.key = "";
+        en.mesh.add(en._statusIcons.sprite);
+      } catch (_) { return; }
+    }
+    const icons = en._statusIcons;
+    if (icons.key !== text) {
+      icons.key = text;
+      if (text) icons.setText(text);
+      icons.sprite.visible = !!text;
+    }
+  });
+
   // Hand charged micro-sparks when any skill is ready
   const anyReady = !(skills.isOnCooldown("Q") && skills.isOnCooldown("W") && skills.isOnCooldown("E") && skills.isOnCooldown("R"));
   const t = now();
@@ -2213,7 +2394,8 @@ function updateDeathRespawn() {
     player.mp = player.maxMP;
     player.moveTarget = null;
     player.target = null;
-    player.invulnUntil = now() + 2;
+    applyStatus(player, "invulnerable", { duration: 2 });
+    try { enemyShots.clear(); } catch (_) {}
     clearCenterMsg();
   }
 }
@@ -1,12 +1,14 @@
 /**
  * Map Manager
  * - Defines MAP 1..N with unlock requirements and enemy modifiers per map
- * - Persists current map index and unlocked max to localStorage
+ * - Map N+1 unlocks once the hero meets its requiredLevel AND has defeated MAP N's boss (src/bosses.js)
+ * - Persists current map index, unlocked max and defeated bosses in the save document ("maps" section)
  * - Provides a simple API to integrate with UI and enemy spawning
  */
+import { loadSection, saveSection } from "./save.js";
+import { getEnemyArchetype, getBossForMap } from "./enemies_pool.js";
+
 export function createMapManager() {
-  const LS_CUR = "mapCurrentIndex";
-  const LS_MAX = "mapUnlockedMax";
 
   // Endless tuning beyond the defined Acts
   const ENDLESS = {
@@ -35,7 +37,7 @@ export function createMapManager() {
       enemySpeedMul: 1.0,
       enemyCountMul: 1.0,
       desc: "A storm-stained grove outside the origin village. Fallen scouts and skittering beasts swarm the woods.",
-      strongEnemies: ["Ravagers (fast melee)", "Wispcasters (ranged shock)"],
+      signatureEnemies: ["ravager", "wispcaster"],
       imgHint: "Square art: dark forest clearing under a thundercloud sky; faint ruins; red-tinted foes.",
     },
     {
@@ -48,7 +50,7 @@ export function createMapManager() {
       enemySpeedMul: 1.02,
       enemyCountMul: 1.1,
       desc: "Open grasslands where thunder never fades. Raiding packs and lightning-touched archers roam freely.",
-      strongEnemies: ["Storm Hounds (pack hunters)", "Ballistarii (armored archers)"],
+      signatureEnemies: ["storm_hound", "ballistarius"],
       imgHint: "Square art: windswept plains with distant thunderheads; orange-tinted foes.",
     },
     {
@@ -61,7 +63,7 @@ export function createMapManager() {
       enemySpeedMul: 1.05,
       enemyCountMul: 1.25,
       desc: "Knife-edged ridgelines where the wind howls like a beast. Altitude and storm converge to test your mettle.",
-      strongEnemies: ["Harpy Matrons (dive assaults)", "Thunder Shamans (support casters)"],
+      signatureEnemies: ["harpy_matron", "thunder_shaman"],
       imgHint: "Square art: lightning-struck mountain ridge; golden-tinted foes, dark sky.",
     },
     {
@@ -74,7 +76,7 @@ export function createMapManager() {
       enemySpeedMul: 1.08,
       enemyCountMul: 1.45,
       desc: "A floating bastion crackling with bound sigils. Only the resolute can breach its shining walls.",
-      strongEnemies: ["Sentinel Constructs (shielded)", "Zealous Templars (coordinated strikes)"],
+      signatureEnemies: ["sentinel_construct", "zealous_templar"],
       imgHint: "Square art: floating fortress with crackling runes; teal-tinted foes.",
     },
     {
@@ -87,11 +89,19 @@ export function createMapManager() {
       enemySpeedMul: 1.12,
       enemyCountMul: 1.7,
       desc: "An eldritch foundry where power is hammered into being. Sparks of divinity burn those who trespass.",
-      strongEnemies: ["Forge Colossus (heavy slam)", "Aether Smiths (channeling blasts)"],
+      signatureEnemies: ["forge_colossus", "aether_smith"],
       imgHint: "Square art: colossal heavenly forge, molten channels, pale-blue aura; azure-tinted foes.",
     },
   ];
 
+  // Signature foes are archetype ids (src/enemies_pool.js); strongEnemies is the display list "Name (role)"
+  for (const m of maps) {
+    m.strongEnemies = (m.signatureEnemies || [])
+      .map((id) => getEnemyArchetype(id))
+      .filter(Boolean)
+      .map((a) => `${a.name} (${a.role})`);
+  }
+
   // Allow endless indices (no upper clamp)
   function clampIndex(i) {
     const idx = Math.max(1, Math.floor(i || 1));
@@ -108,28 +118,35 @@ export function createMapManager() {
     return idx > maps.length ? (idx - maps.length) : 0;
   }
 
-  function loadInt(key, def = 1) {
+  function loadState() {
     try {
-      const v = parseInt(localStorage.getItem(key) || "", 10);
-      return Number.isFinite(v) ? v : def;
+      return loadSection("maps");
     } catch {
-      return def;
+      return { currentIndex: 1, unlockedMax: 1 };
     }
   }
 
-  function saveInt(key, v) {
+  function saveState() {
     try {
-      localStorage.setItem(key, String(Math.floor(v)));
+      saveSection("maps", { currentIndex, unlockedMax, bossesDefeated: Array.from(bossesDefeated) });
     } catch {}
   }
 
-  let currentIndex = clampIndex(loadInt(LS_CUR, 1));
-  let unlockedMax = clampIndex(loadInt(LS_MAX, 1));
+  const saved = loadState();
+  let currentIndex = clampIndex(saved.currentIndex);
+  let unlockedMax = clampIndex(saved.unlockedMax);
+  const bossesDefeated = new Set(Array.isArray(saved.bossesDefeated) ? saved.bossesDefeated : []);
+  let lastHeroLevel = 1;
 
   function getCurrentIndex() {
     return currentIndex;
   }
 
+  // Act (1..maps.length) whose enemy roster applies; endless depths reuse the last act
+  function getActIndex() {
+    return Math.min(currentIndex, maps.length);
+  }
+
   function getUnlockedMax() {
     return unlockedMax;
   }
@@ -158,6 +175,7 @@ export function createMapManager() {
       enemyDmgMul: base.enemyDmgMul,
       desc: `Endless Depth ${depth}. Enemies grow stronger with each depth.`,
       strongEnemies: base.strongEnemies,
+      signatureEnemies: base.signatureEnemies,
       emoji: emojiForIndex(currentIndex),
       imgHint: base.imgHint,
       _endlessDepth: depth,
@@ -192,44 +210,77 @@ export function createMapManager() {
     const idx = clampIndex(index);
     if (!canSelect(idx)) return false;
     currentIndex = idx;
-    saveInt(LS_CUR, currentIndex);
+    saveState();
     return true;
   }
 
+  // Defined maps use their requiredLevel; endless depths need +5 hero levels per depth
+  function requiredLevelFor(index) {
+    const idx = clampIndex(index);
+    const m = maps.find((x) => x.index === idx);
+    if (m) return m.requiredLevel;
+    return (maps[maps.length - 1]?.requiredLevel || 1) + depthForIndex(idx) * 5;
+  }
+
+  function isBossDefeated(index) {
+    return bossesDefeated.has(clampIndex(index));
+  }
+
+  // Designed boss guarding a map index (endless depths reuse the last act's boss)
+  function getBoss(index = currentIndex) {
+    return getBossForMap(clampIndex(index));
+  }
+
+  /**
+   * Unlock maps in order while the hero meets the next map's requiredLevel and the
+   * previous map's boss has been defeated. Already-unlocked maps stay unlocked.
+   * @returns {boolean} true when unlockedMax changed
+   */
   function unlockByLevel(heroLevel) {
-    // Unlock all defined maps whose requiredLevel is met
+    lastHeroLevel = Math.max(1, Math.floor(heroLevel || 1));
     let maxIdx = unlockedMax;
-    for (const m of maps) {
-      if (heroLevel >= m.requiredLevel) {
-        maxIdx = Math.max(maxIdx, m.index);
-      }
+    while (lastHeroLevel >= requiredLevelFor(maxIdx + 1) && isBossDefeated(maxIdx)) {
+      maxIdx++;
     }
-    // Additionally unlock endless depths gradually (every 5 hero levels adds +1 depth)
-    const extraDepth = Math.max(0, Math.floor((heroLevel - (maps[maps.length - 1]?.requiredLevel || 1)) / 5));
-    const endlessMaxIndex = maps.length + extraDepth;
-    maxIdx = Math.max(maxIdx, endlessMaxIndex);
 
     if (maxIdx !== unlockedMax) {
       unlockedMax = maxIdx;
-      saveInt(LS_MAX, unlockedMax);
       if (currentIndex > unlockedMax) {
         currentIndex = unlockedMax;
-        saveInt(LS_CUR, currentIndex);
       }
+      saveState();
       return true;
     }
     return false;
   }
 
+  /**
+   * Record a boss kill for a map and re-run the unlock check with the last known hero level.
+   * @returns {boolean} true when a new map was unlocked
+   */
+  function markBossDefeated(index = currentIndex) {
+    const idx = clampIndex(index);
+    if (!bossesDefeated.has(idx)) {
+      bossesDefeated.add(idx);
+      saveState();
+    }
+    return unlockByLevel(lastHeroLevel);
+  }
+
   return {
     listMaps,
     getCurrent,
     getCurrentIndex,
+    getActIndex,
     getUnlockedMax,
     getModifiers,
     canSelect,
     setCurrent,
     unlockByLevel,
+    requiredLevelFor,
+    getBoss,
+    isBossDefeated,
+    markBossDefeated,
     emojiForIndex,
   };
 }
@@ -238,6 +238,7 @@ export function createGoTMesh() {
    );
    eye.position.set(0, 1.2, 0.45);
    mesh.add(eye);
+   mesh.userData.eye = eye;
 
    return mesh;
  }
@@ -263,6 +264,35 @@ export function createBillboardHPBar() {
   return { container, fill };
 }
 
+// Status icon strip above an enemy HP bar (sprites always face the camera); setText("🔥3 🐌") redraws it
+export function createStatusIconSprite() {
+  const w = 256;
+  const h = 64;
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  const tex = new THREE.CanvasTexture(canvas);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: tex, transparent: true, depthTest: true }));
+  sprite.scale.set(2.4, 0.6, 1);
+  sprite.position.set(0, 2.75, 0);
+
+  function setText(text) {
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = "bold 38px Arial, sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = "rgba(0,0,0,0.6)";
+    ctx.strokeText(text, w / 2, h / 2);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillText(text, w / 2, h / 2);
+    tex.needsUpdate = true;
+  }
+
+  return { sprite, setText };
+}
+
 // Portal geometry; returns group and ring so caller can animate ring rotation
 export function createPortalMesh(color = COLOR.portal) {
   // Outer ring (vertical gate)
@@ -328,6 +358,41 @@ export function createPortalMesh(color = COLOR.portal) {
   return { group, ring, swirl, glow };
 }
 
+// Ground loot pickup: a floating gem over a flat glow disc (no light, so many drops stay cheap)
+export function createLootMesh(color = 0xd8e2ee) {
+  const gem = new THREE.Mesh(
+    new THREE.OctahedronGeometry(0.32, 0),
+    new THREE.MeshStandardMaterial({
+      color,
+      emissive: color,
+      emissiveIntensity: 0.8,
+      metalness: 0.4,
+      roughness: 0.3
+    })
+  );
+  gem.position.y = 0.7;
+
+  const glow = new THREE.Mesh(
+    new THREE.CircleGeometry(0.7, 24),
+    new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.35,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    })
+  );
+  glow.rotation.x = -Math.PI / 2;
+  glow.position.y = 0.03;
+
+  const group = new THREE.Group();
+  group.add(gem);
+  group.add(glow);
+
+  // Expose parts for animation
+  return { group, gem, glow };
+}
+
 // Simple house composed of a base and roof
 export function createHouse() {
   const house = new THREE.Group();
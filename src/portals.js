@@ -2,6 +2,7 @@ import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
 import { COLOR, VILLAGE_POS, REST_RADIUS } from "./constants.js";
 import { createPortalMesh } from "./meshes.js";
 import { distance2D, now } from "./utils.js";
+import { loadSection, saveSection } from "./save.js";
 
 /**
  * Portals/Recall system:
@@ -18,8 +19,6 @@ export function initPortals(scene) {
 
   // Persistent Marks/Flags (user-placed permanent teleport portals)
   const MARK_COLOR = 0x66ffd1;
-  const LS_KEY_MARKS = "persistentMarks";
-  const LS_KEY_MARK_READY = "markNextReadyAt";
   const MARK_COOLDOWN_MS = 3 * 60 * 1000; // 3 minutes
   let persistentMarks = []; // [{ portal, x, z, createdAt }]
 
@@ -32,12 +31,10 @@ export function initPortals(scene) {
   }
   ensureVillagePortal();
 
-  // Load persistent marks from localStorage on init
+  // Load persistent marks from the save document on init
   (function loadPersistentMarks() {
     try {
-      const raw = localStorage.getItem(LS_KEY_MARKS);
-      if (!raw) return;
-      const arr = JSON.parse(raw);
+      const arr = loadSection("marks").list;
       if (!Array.isArray(arr)) return;
       arr.forEach((m, i) => {
         if (!m || typeof m.x !== "number" || typeof m.z !== "number") return;
@@ -177,19 +174,18 @@ export function initPortals(scene) {
         name: m.name || "",
         createdAt: m.createdAt || Date.now()
       }));
-      localStorage.setItem(LS_KEY_MARKS, JSON.stringify(data));
+      const st = loadSection("marks");
+      saveSection("marks", { ...st, list: data });
     } catch (_) {}
   }
 
   function getMarkCooldownMs() {
+    let next = 0;
     try {
-      const t = parseInt(localStorage.getItem(LS_KEY_MARK_READY) || "0", 10) || 0;
-      const remain = Math.max(0, t - now() * 1000); // now() is seconds? Our now() returns seconds or ms?
+      next = loadSection("marks").nextReadyAt || 0;
     } catch (_) {}
-    // Fallback: compute with Date.now()
-    const next = parseInt(localStorage.getItem(LS_KEY_MARK_READY) || "0", 10) || 0;
-    const remain = Math.max(0, next - Date.now());
-    return remain;
+    // Wall-clock (Date.now) so the cooldown survives reloads
+    return Math.max(0, next - Date.now());
   }
 
   function addPersistentMarkAt(position, name = "") {
@@ -206,7 +202,10 @@ export function initPortals(scene) {
     persistentMarks.push({ portal, x, z, name: defName, createdAt: Date.now() });
     extraPortals.push(portal);
     savePersistentMarks();
-    try { localStorage.setItem(LS_KEY_MARK_READY, String(Date.now() + MARK_COOLDOWN_MS)); } catch (_) {}
+    try {
+      const st = loadSection("marks");
+      saveSection("marks", { ...st, nextReadyAt: Date.now() + MARK_COOLDOWN_MS });
+    } catch (_) {}
     return portal;
   }
 
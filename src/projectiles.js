@@ -0,0 +1,225 @@
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { distance2D } from "./utils.js";
+
+/**
+ * ProjectileSystem — travelling hero projectiles (orbs, bolts, bouncing spheres) for "projectile" skills.
+ * Owned by SkillsSystem (src/skills.js), which spawns them in _castProjectile and runs update(dt) every frame.
+ *
+ * spawn(opts):
+ *  - from: start point (hand height is kept for the whole flight); dir: direction (flattened to XZ)
+ *  - speed: units/s; lifetime: seconds before it fizzles; hitRadius: collision radius
+ *  - pierce: extra enemies it passes through (0 = stops on the first hit)
+ *  - bounces: ricochets left — off a structure it reflects, after its last enemy hit it turns to the nearest
+ *    enemy not hit yet within bounceRange (ends when there is none)
+ *  - onHit(enemy, proj): deals the damage; every enemy is hit at most once per projectile
+ *  - mesh: optional Object3D from EffectsManager.spawnProjectile, moved along and released through endProjectile
+ *  - color / impact: trail and impact colors
+ *
+ * Structures block projectiles: getColliders() returns footprint circles [{ x, z, r }] (initEnvironment().colliders).
+ * Enemies come from getEnemiesNear(pos, r) when given (SkillsSystem answers from the per-frame enemy grid), so a
+ * shot only tests the enemies around its path this frame; otherwise from getEnemies().
+ * Movement is sub-stepped so fast bolts do not tunnel through enemies or columns.
+ */
+
+// Longest sub-step (world units) of a projectile move
+const MAX_STEP = 0.5;
+// Seconds between trail segments
+const TRAIL_EVERY = 0.05;
+// Extra search reach for enemy bodies (collision uses half the enemy radius)
+const ENEMY_REACH = 3;
+
+export class ProjectileSystem {
+  /**
+   * @param {{ getEnemies?: () => any[], getEnemiesNear?: (pos:THREE.Vector3, r:number) => any[], effects?: import("./effects.js").EffectsManager, getColliders?: () => {x:number,z:number,r:number}[] }} opts
+   */
+  constructor({ getEnemies = () => [], getEnemiesNear = null, effects = null, getColliders = () => [] } = {}) {
+    this.getEnemies = getEnemies;
+    this.getEnemiesNear = getEnemiesNear;
+    this.effects = effects;
+    this.getColliders = getColliders;
+    this.list = [];
+  }
+
+  get count() {
+    return this.list.length;
+  }
+
+  /** Launch a projectile; returns its state object (pos, dir, hits, done, endReason, ...). */
+  spawn(opts = {}) {
+    const from = opts.from || new THREE.Vector3();
+    const dir = new THREE.Vector3(opts.dir ? opts.dir.x : 0, 0, opts.dir ? opts.dir.z : 1);
+    if (dir.lengthSq() < 1e-8) dir.set(0, 0, 1);
+    dir.normalize();
+    const p = {
+      pos: new THREE.Vector3(from.x, from.y, from.z),
+      dir,
+      speed: Math.max(0.1, Number(opts.speed) || 20),
+      lifetime: Math.max(0.05, Number(opts.lifetime) || 1.5),
+      hitRadius: Math.max(0.05, Number(opts.hitRadius) || 0.6),
+      pierce: Math.max(0, Math.floor(Number(opts.pierce) || 0)),
+      bounces: Math.max(0, Math.floor(Number(opts.bounces) || 0)),
+      bounceRange: Math.max(0, Number(opts.bounceRange) || 12),
+      onHit: typeof opts.onHit === "function" ? opts.onHit : null,
+      mesh: opts.mesh || null,
+      color: opts.color,
+      impact: opts.impact ?? opts.color,
+      sk: opts.sk || null,
+      age: 0,
+      travelled: 0,
+      hit: new Set(),
+      hits: 0,
+      done: false,
+      endReason: null,
+      _trailAt: 0,
+      _trailFrom: new THREE.Vector3(from.x, from.y, from.z),
+      // Footprints the caster stands in (e.g. inside the temple colonnade) do not stop their own shots
+      inside: new Set(),
+    };
+    try {
+      for (const c of this.getColliders() || []) {
+        if (c && Math.hypot(p.pos.x - c.x, p.pos.z - c.z) < (c.r || 0) + p.hitRadius * 0.5) p.inside.add(c);
+      }
+    } catch (_) {}
+    syncMesh(p);
+    this.list.push(p);
+    return p;
+  }
+
+  update(dt) {
+    if (!this.list.length || !(dt > 0)) return;
+    const all = this.getEnemiesNear ? null : this.getEnemies() || [];
+    let colliders = [];
+    try { colliders = this.getColliders() || []; } catch (_) {}
+    for (let i = this.list.length - 1; i >= 0; i--) {
+      const p = this.list[i];
+      p.age += dt;
+      let remaining = p.speed * dt;
+      // Enemies within this frame's travel (plus hit and body radii) of the shot
+      const enemies = all || this._near(p.pos, remaining + p.hitRadius + ENEMY_REACH);
+      while (remaining > 1e-6 && !p.done) {
+        const step = Math.min(MAX_STEP, remaining);
+        remaining -= step;
+        p.pos.x += p.dir.x * step;
+        p.pos.z += p.dir.z * step;
+        p.travelled += step;
+        this._collideStructures(p, colliders);
+        if (!p.done) this._collideEnemies(p, enemies);
+      }
+      if (!p.done && p.age >= p.lifetime) this._end(p, "expired");
+      syncMesh(p);
+      this._trail(p, dt);
+      if (p.done) this.list.splice(i, 1);
+    }
+  }
+
+  /** Drop every projectile in flight (run reset, hero death). */
+  clear() {
+    for (const p of this.list) this._end(p, "cleared");
+    this.list.length = 0;
+  }
+
+  _collideStructures(p, colliders) {
+    for (const c of colliders) {
+      if (!c || p.inside.has(c)) continue;
+      const dx = p.pos.x - c.x;
+      const dz = p.pos.z - c.z;
+      const reach = (c.r || 0) + p.hitRadius * 0.5;
+      const d2 = dx * dx + dz * dz;
+      if (d2 >= reach * reach) continue;
+      if (p.bounces <= 0) {
+        this._impact(p);
+        this._end(p, "structure");
+        return;
+      }
+      // Reflect off the footprint circle and step back outside it
+      const d = Math.sqrt(d2) || 1;
+      const nx = dx / d;
+      const nz = dz / d;
+      const dot = p.dir.x * nx + p.dir.z * nz;
+      if (dot < 0) {
+        p.dir.x -= 2 * dot * nx;
+        p.dir.z -= 2 * dot * nz;
+        p.dir.normalize();
+      }
+      p.pos.x = c.x + nx * (reach + 0.01);
+      p.pos.z = c.z + nz * (reach + 0.01);
+      p.bounces--;
+      this._impact(p);
+      return;
+    }
+  }
+
+  _collideEnemies(p, enemies) {
+    for (const en of enemies) {
+      if (!en || !en.alive || p.hit.has(en)) continue;
+      const reach = p.hitRadius + (en.radius || 1) * 0.5;
+      if (distance2D(p.pos, en.pos()) > reach) continue;
+      p.hit.add(en);
+      p.hits++;
+      try { p.onHit && p.onHit(en, p); } catch (e) { console.warn("projectile onHit error", e); }
+      if (p.pierce > 0) {
+        p.pierce--;
+        continue;
+      }
+      if (p.bounces > 0) {
+        const next = this._nextBounceTarget(p, this.getEnemiesNear ? this._near(p.pos, p.bounceRange) : enemies);
+        if (next) {
+          p.dir.set(next.pos().x - p.pos.x, 0, next.pos().z - p.pos.z).normalize();
+          p.bounces--;
+          return;
+        }
+      }
+      this._end(p, "spent");
+      return;
+    }
+  }
+
+  _near(pos, r) {
+    try { return this.getEnemiesNear(pos, r) || []; } catch (_) { return []; }
+  }
+
+  _nextBounceTarget(p, enemies) {
+    let best = null;
+    let bestD = Infinity;
+    for (const en of enemies) {
+      if (!en || !en.alive || p.hit.has(en)) continue;
+      const d = distance2D(p.pos, en.pos());
+      if (d <= p.bounceRange && d < bestD) {
+        bestD = d;
+        best = en;
+      }
+    }
+    return best;
+  }
+
+  _trail(p, dt) {
+    if (!this.effects || p.color == null) return;
+    p._trailAt += dt;
+    if (p._trailAt < TRAIL_EVERY && !p.done) return;
+    p._trailAt = 0;
+    try { this.effects.spawnBeam(p._trailFrom.clone(), p.pos.clone(), p.color, 0.1); } catch (_) {}
+    p._trailFrom.copy(p.pos);
+  }
+
+  _impact(p) {
+    try { this.effects && this.effects.spawnHitDecal(p.pos, p.impact); } catch (_) {}
+  }
+
+  _end(p, reason) {
+    if (p.done) return;
+    p.done = true;
+    p.endReason = reason;
+    if (p.mesh) {
+      try { this.effects && this.effects.endProjectile(p.mesh); } catch (_) {}
+    }
+  }
+}
+
+// Keep the body on the projectile and facing its flight direction (bolts are stretched along Z)
+function syncMesh(p) {
+  if (!p.mesh) return;
+  try {
+    p.mesh.position.copy(p.pos);
+    p.mesh.rotation.y = Math.atan2(p.dir.x, p.dir.z);
+  } catch (_) {}
+}
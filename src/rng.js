@@ -0,0 +1,112 @@
+/**
+ * Seeded RNG service — reproducible spawn/tier/kind/loot rolls.
+ *
+ * Every roll comes from a named stream ("spawn", "enemy", "boss", "loot", ...) whose sequence is
+ * derived from hash(sessionSeed | map index | stream name). The same session seed and the same
+ * actions therefore replay the same enemy positions, tiers, archetypes and drops, and streams do
+ * not disturb each other (a loot roll never shifts the next spawn).
+ *
+ * - Session seed: `?seed=<text>` URL param, otherwise a random 8-char base36 string per page load.
+ * - Map index: set by main.js on startup and on every map switch (setRngMapIndex). Each map keeps
+ *   its own streams, so returning to a map continues where its sequence left off.
+ * - stream(name) returns a stable () => number in [0, 1) that always draws from the current map.
+ *
+ * createRngService(seed) builds isolated instances (e.g. for headless tools); the module-level
+ * helpers below use the shared session instance.
+ */
+import { createSeededRNG, hashStringToInt } from "./utils.js";
+
+export const RNG_STREAMS = ["spawn", "enemy", "boss", "loot", "crit", "uplift", "ai"];
+
+/**
+ * @param {string|number} [seed] - session seed; random when omitted
+ */
+export function createRngService(seed) {
+  let sessionSeed = normalizeSeed(seed);
+  let mapIndex = 1;
+  let streams = new Map(); // "map|name" -> rng
+  const facades = new Map(); // name -> stable function
+
+  function current(name) {
+    const key = `${mapIndex}|${name}`;
+    let r = streams.get(key);
+    if (!r) {
+      r = createSeededRNG(hashStringToInt(`${sessionSeed}|map${mapIndex}|${name}`));
+      streams.set(key, r);
+    }
+    return r;
+  }
+
+  function stream(name) {
+    let f = facades.get(name);
+    if (!f) {
+      f = () => current(name)();
+      facades.set(name, f);
+    }
+    return f;
+  }
+
+  function setMapIndex(index) {
+    mapIndex = Math.max(1, Math.floor(index || 1));
+  }
+
+  function getMapIndex() {
+    return mapIndex;
+  }
+
+  // Restart every stream from the beginning with a new seed
+  function setSeed(next) {
+    sessionSeed = normalizeSeed(next);
+    streams = new Map();
+  }
+
+  function getSeed() {
+    return sessionSeed;
+  }
+
+  return { stream, setMapIndex, getMapIndex, setSeed, getSeed };
+}
+
+function normalizeSeed(seed) {
+  const s = seed === undefined || seed === null ? "" : String(seed).trim();
+  if (s) return s.slice(0, 64);
+  return Math.floor(Math.random() * 0xffffffff).toString(36).padStart(7, "0");
+}
+
+function seedFromUrl() {
+  try {
+    return new URLSearchParams(location.search).get("seed") || undefined;
+  } catch (_) {
+    return undefined;
+  }
+}
+
+const session = createRngService(seedFromUrl());
+
+/** Shared session stream by name (see RNG_STREAMS). */
+export function rngStream(name) {
+  return session.stream(name);
+}
+
+export function setRngMapIndex(index) {
+  session.setMapIndex(index);
+}
+
+export function getSessionSeed() {
+  return session.getSeed();
+}
+
+export function setSessionSeed(seed) {
+  session.setSeed(seed);
+}
+
+/** URL that replays the current session seed. */
+export function getSeedReplayUrl() {
+  try {
+    const u = new URL(location.href);
+    u.searchParams.set("seed", session.getSeed());
+    return u.toString();
+  } catch (_) {
+    return `?seed=${encodeURIComponent(session.getSeed())}`;
+  }
+}
@@ -0,0 +1,637 @@
+/**
+ * src/save.js
+ *
+ * Unified, versioned save-game storage.
+ *
+ * Responsibilities:
+ * - Keep all hero progress in ONE document per named slot (localStorage "zeus_save.slot.<name>")
+ * - Track the slot list and active slot in a small index (localStorage "zeus_save")
+ * - Sanitize every section against SAVE_SCHEMA so bad/partial data falls back to defaults
+ * - Migrate older documents step by step (MIGRATIONS[v] upgrades v -> v + 1) up to SAVE_VERSION
+ * - One-time import of the legacy scattered keys (playerLevel, mapCurrentIndex, zeus_loadout, ...)
+ *
+ * Modules never touch localStorage for progress directly; they go through
+ * loadSection(name) / saveSection(name, value). Sections:
+ * - hero:    { level, xp, xpToLevel, skillPoints (null = derive from level), buffs: { [id]: { remaining, ...params } } }
+ * - maps:    { currentIndex, unlockedMax, bossesDefeated: number[] (map indices) }
+ * - uplift:  { choices: [{ level, kind }], offer: { level, ids } | null, rerollsUsed }
+ * - loadout: string[] | null
+ * - skillRanks: { [skillId]: rank } (ranks above 1 only; see src/skill_ranks.js)
+ * - skillPages: { active, pages: [{ name, ids: string[] }] } | null (null = one page from the loadout; see src/loadout.js)
+ * - marks:   { list: [{ x, z, name, createdAt }], nextReadyAt }
+ * - inventory: { gold, items: [{ id, qty }], equipped: string[] (charm ids) }
+ * - world:   { villages: string[], roads: string[], roadGeoms: { [canonical]: geom } }
+ *
+ * Dependency-free so it can be imported from anywhere (entities, maps, ui, tools).
+ */
+
+export const SAVE_VERSION = 1;
+export const DEFAULT_SLOT = "default";
+
+const INDEX_KEY = "zeus_save";
+const SLOT_PREFIX = "zeus_save.slot.";
+
+// Keys used before the unified save existed (read once by the legacy migration, then removed)
+const LEGACY_KEYS = {
+  playerLevel: "playerLevel",
+  mapCurrentIndex: "mapCurrentIndex",
+  mapUnlockedMax: "mapUnlockedMax",
+  upliftChoices: "upliftChoices_v1",
+  loadout: "zeus_loadout",
+  persistentMarks: "persistentMarks",
+  markNextReadyAt: "markNextReadyAt",
+  villages: "got.dynamic.villages.v1",
+  roads: "got.dynamic.roads.v1",
+  roadGeoms: "got.dynamic.roads_geom.v1",
+};
+
+/* ---------------- Schema ---------------- */
+
+function toInt(v, def, min = -Infinity) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.max(min, n) : def;
+}
+
+function toNum(v, def, min = -Infinity) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(min, n) : def;
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// Keep only active buffs ({ remaining > 0, ...numeric params })
+function sanitizeBuffs(v) {
+  const out = {};
+  if (!isPlainObject(v)) return out;
+  for (const id of Object.keys(v)) {
+    const b = v[id];
+    if (!isPlainObject(b) || !(Number(b.remaining) > 0)) continue;
+    const clean = {};
+    for (const k of Object.keys(b)) {
+      if (Number.isFinite(b[k])) clean[k] = b[k];
+    }
+    out[id] = clean;
+  }
+  return out;
+}
+
+/**
+ * Each section declares a default factory, a sanitizer that coerces any
+ * input into a valid value (never throws, never returns undefined), and a preview
+ * that sums it up as { key: string|number } rows for the import diff (diffSaves;
+ * every key needs a settings.save.changes.<key> label).
+ */
+export const SAVE_SCHEMA = {
+  hero: {
+    // xpToLevel 0 = derive from level; skillPoints null = grant per level (saves from before skill ranks);
+    // buffs hold remaining seconds per timed buff id
+    def: () => ({ level: 1, xp: 0, xpToLevel: 0, skillPoints: null, buffs: {} }),
+    sanitize: (v) => ({
+      level: toInt(v?.level, 1, 1),
+      xp: toNum(v?.xp, 0, 0),
+      xpToLevel: toNum(v?.xpToLevel, 0, 0),
+      skillPoints: v?.skillPoints == null ? null : toInt(v.skillPoints, 0, 0),
+      buffs: sanitizeBuffs(v?.buffs),
+    }),
+    preview: (v) => ({
+      level: v.level,
+      xp: Math.floor(v.xp),
+      skillPoints: v.skillPoints == null ? "" : v.skillPoints,
+      buffs: Object.keys(v.buffs).sort().join(", "),
+    }),
+  },
+  maps: {
+    def: () => ({ currentIndex: 1, unlockedMax: 1, bossesDefeated: [] }),
+    sanitize: (v) => ({
+      currentIndex: toInt(v?.currentIndex, 1, 1),
+      unlockedMax: toInt(v?.unlockedMax, 1, 1),
+      bossesDefeated: Array.isArray(v?.bossesDefeated)
+        ? Array.from(new Set(v.bossesDefeated.map((i) => toInt(i, 0, 0)).filter((i) => i >= 1))).sort((x, y) => x - y)
+        : [],
+    }),
+    preview: (v) => ({ mapUnlocked: v.unlockedMax, mapCurrent: v.currentIndex, bosses: v.bossesDefeated.length }),
+  },
+  uplift: {
+    def: () => ({ choices: [], offer: null, rerollsUsed: 0 }),
+    sanitize: (v) => ({
+      choices: Array.isArray(v?.choices)
+        ? v.choices
+            .filter((c) => c && Number.isFinite(Number(c.level)) && typeof c.kind === "string")
+            .map((c) => ({ ...c, level: Math.floor(Number(c.level)) }))
+        : [],
+      offer: v?.offer && Number.isFinite(Number(v.offer.level)) && Array.isArray(v.offer.ids)
+        ? { level: Math.floor(Number(v.offer.level)), ids: v.offer.ids.filter((id) => typeof id === "string") }
+        : null,
+      rerollsUsed: toInt(v?.rerollsUsed, 0, 0),
+    }),
+    preview: (v) => ({ uplift: v.choices.length }),
+  },
+  loadout: {
+    def: () => null,
+    sanitize: (v) => (Array.isArray(v) ? v.map((id) => (typeof id === "string" ? id : null)) : null),
+    preview: (v) => ({ loadout: (v || []).join(", ") }),
+  },
+  skillPages: {
+    def: () => null,
+    sanitize: (v) => {
+      if (!isPlainObject(v) || !Array.isArray(v.pages) || !v.pages.length) return null;
+      const pages = v.pages.map((pg) => ({
+        name: typeof pg?.name === "string" ? pg.name.slice(0, 24) : "",
+        ids: Array.isArray(pg?.ids) ? pg.ids.map((id) => (typeof id === "string" ? id : null)) : [],
+      }));
+      return { active: Math.min(toInt(v.active, 0, 0), pages.length - 1), pages };
+    },
+    preview: (v) => ({
+      skillPages: v ? v.pages.map((pg, i) => `${pg.name || i + 1}: ${pg.ids.filter(Boolean).join(", ")}`).join(" / ") : "",
+    }),
+  },
+  skillRanks: {
+    def: () => ({}),
+    sanitize: (v) => {
+      const out = {};
+      if (!isPlainObject(v)) return out;
+      for (const id of Object.keys(v)) {
+        const r = toInt(v[id], 1, 1);
+        if (r > 1) out[id] = r;
+      }
+      return out;
+    },
+    preview: (v) => ({ skillRanks: Object.values(v).reduce((n, r) => n + r - 1, 0) }),
+  },
+  marks: {
+    def: () => ({ list: [], nextReadyAt: 0 }),
+    sanitize: (v) => ({
+      list: Array.isArray(v?.list)
+        ? v.list
+            .filter((m) => m && typeof m.x === "number" && typeof m.z === "number")
+            .map((m) => ({
+              x: m.x,
+              z: m.z,
+              name: typeof m.name === "string" ? m.name : "",
+              createdAt: toInt(m.createdAt, Date.now(), 0),
+            }))
+        : [],
+      nextReadyAt: toInt(v?.nextReadyAt, 0, 0),
+    }),
+    preview: (v) => ({ marks: v.list.length }),
+  },
+  inventory: {
+    // Unknown item ids are kept here (save.js has no item data); src/inventory.js filters them on read
+    def: () => ({ gold: 0, items: [], equipped: [] }),
+    sanitize: (v) => ({
+      gold: toInt(v?.gold, 0, 0),
+      items: Array.isArray(v?.items)
+        ? v.items
+            .filter((e) => e && typeof e.id === "string" && toInt(e.qty, 0, 0) > 0)
+            .map((e) => ({ id: e.id, qty: toInt(e.qty, 1, 1) }))
+        : [],
+      equipped: Array.isArray(v?.equipped) ? Array.from(new Set(v.equipped.filter((id) => typeof id === "string"))) : [],
+    }),
+    preview: (v) => ({ gold: v.gold, items: v.items.reduce((n, e) => n + e.qty, 0), charms: v.equipped.join(", ") }),
+  },
+  world: {
+    def: () => ({ villages: [], roads: [], roadGeoms: {} }),
+    sanitize: (v) => ({
+      villages: Array.isArray(v?.villages) ? v.villages.filter((k) => typeof k === "string") : [],
+      roads: Array.isArray(v?.roads) ? v.roads.filter((k) => typeof k === "string") : [],
+      roadGeoms: isPlainObject(v?.roadGeoms) ? v.roadGeoms : {},
+    }),
+    // roadGeoms is a cache rebuilt from roads
+    preview: (v) => ({ villages: v.villages.length, roads: v.roads.length }),
+  },
+};
+
+/**
+ * Create a fresh document with defaults for every section.
+ * @param {string} [name]
+ */
+export function createEmptySave(name = DEFAULT_SLOT) {
+  const data = {};
+  for (const key of Object.keys(SAVE_SCHEMA)) data[key] = SAVE_SCHEMA[key].def();
+  const ts = Date.now();
+  return { version: SAVE_VERSION, name, createdAt: ts, updatedAt: ts, data };
+}
+
+function sanitizeData(data) {
+  const out = {};
+  const src = isPlainObject(data) ? data : {};
+  for (const key of Object.keys(SAVE_SCHEMA)) {
+    try {
+      out[key] = key in src ? SAVE_SCHEMA[key].sanitize(src[key]) : SAVE_SCHEMA[key].def();
+    } catch (_) {
+      out[key] = SAVE_SCHEMA[key].def();
+    }
+  }
+  return out;
+}
+
+/* ---------------- Migrations ---------------- */
+
+function parseJSON(raw, def) {
+  try {
+    return raw ? JSON.parse(raw) : def;
+  } catch (_) {
+    return def;
+  }
+}
+
+/**
+ * MIGRATIONS[v](doc) upgrades a document from version v to v + 1.
+ * Version 0 is the legacy layout: raw strings captured from the old keys in doc.legacy.
+ */
+const MIGRATIONS = {
+  0: (doc) => {
+    const L = doc.legacy || {};
+    const data = {
+      hero: { level: parseInt(L.playerLevel || "1", 10) },
+      maps: {
+        currentIndex: parseInt(L.mapCurrentIndex || "1", 10),
+        unlockedMax: parseInt(L.mapUnlockedMax || "1", 10),
+      },
+      uplift: parseJSON(L.upliftChoices, { choices: [] }),
+      loadout: parseJSON(L.loadout, null),
+      marks: {
+        list: parseJSON(L.persistentMarks, []),
+        nextReadyAt: parseInt(L.markNextReadyAt || "0", 10),
+      },
+      world: {
+        villages: parseJSON(L.villages, []),
+        roads: parseJSON(L.roads, []),
+        roadGeoms: parseJSON(L.roadGeoms, {}),
+      },
+    };
+    return { version: 1, name: doc.name, createdAt: doc.createdAt, updatedAt: doc.updatedAt, data };
+  },
+};
+
+/**
+ * Bring any known document version up to SAVE_VERSION and sanitize it.
+ * Returns null when the input is not a save document or is from a newer build.
+ * @param {any} doc
+ * @returns {object|null}
+ */
+export function migrateSave(doc) {
+  if (!isPlainObject(doc)) return null;
+  let cur = { ...doc };
+  let v = toInt(cur.version, 0, 0);
+  if (v > SAVE_VERSION) {
+    console.warn("migrateSave: save version", v, "is newer than supported", SAVE_VERSION);
+    return null;
+  }
+  while (v < SAVE_VERSION) {
+    const step = MIGRATIONS[v];
+    if (typeof step !== "function") {
+      console.warn("migrateSave: no migration from version", v);
+      return null;
+    }
+    cur = step(cur);
+    v += 1;
+    cur.version = v;
+  }
+  const ts = Date.now();
+  return {
+    version: SAVE_VERSION,
+    name: typeof cur.name === "string" && cur.name ? cur.name : DEFAULT_SLOT,
+    createdAt: toInt(cur.createdAt, ts, 0),
+    updatedAt: toInt(cur.updatedAt, ts, 0),
+    data: sanitizeData(cur.data),
+  };
+}
+
+function readLegacyDocument() {
+  try {
+    const legacy = {};
+    let found = false;
+    for (const k of Object.keys(LEGACY_KEYS)) {
+      const raw = localStorage.getItem(LEGACY_KEYS[k]);
+      if (raw != null) {
+        legacy[k] = raw;
+        found = true;
+      }
+    }
+    if (!found) return null;
+    const ts = Date.now();
+    return { version: 0, name: DEFAULT_SLOT, createdAt: ts, updatedAt: ts, legacy };
+  } catch (_) {
+    return null;
+  }
+}
+
+function removeLegacyKeys() {
+  for (const k of Object.keys(LEGACY_KEYS)) {
+    try { localStorage.removeItem(LEGACY_KEYS[k]); } catch (_) {}
+  }
+}
+
+/* ---------------- Slot index ---------------- */
+
+function sanitizeSlotName(name) {
+  const s = String(name == null ? "" : name).trim().slice(0, 32);
+  return s || DEFAULT_SLOT;
+}
+
+function readIndex() {
+  const idx = parseJSON(safeGet(INDEX_KEY), null);
+  if (idx && Array.isArray(idx.slots) && typeof idx.activeSlot === "string") return idx;
+  return null;
+}
+
+function writeIndex(idx) {
+  try {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(idx));
+    return true;
+  } catch (err) {
+    console.warn("save index write error", err);
+    return false;
+  }
+}
+
+function safeGet(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Make sure the index exists. On first run, folds the legacy keys into the default slot.
+ */
+function ensureIndex() {
+  const idx = readIndex();
+  if (idx) return idx;
+  const fresh = { version: SAVE_VERSION, activeSlot: DEFAULT_SLOT, slots: [DEFAULT_SLOT] };
+  const legacy = readLegacyDocument();
+  const doc = (legacy && migrateSave(legacy)) || createEmptySave(DEFAULT_SLOT);
+  if (writeDocument(DEFAULT_SLOT, doc) && writeIndex(fresh) && legacy) removeLegacyKeys();
+  return fresh;
+}
+
+/* ---------------- Document IO ---------------- */
+
+// Parsed-document cache keyed by the raw string, so hot paths (eg. basic attack uplift lookups) stay cheap.
+let _cache = { key: null, raw: null, doc: null };
+// Set (via freezeSaveWrites) right before a reload that swaps the hero: the running game still holds
+// the previous hero in memory and must not write it over the new data.
+let _frozen = false;
+
+function writeDocument(slot, doc) {
+  if (_frozen) return false;
+  try {
+    const key = SLOT_PREFIX + slot;
+    const raw = JSON.stringify(doc);
+    localStorage.setItem(key, raw);
+    _cache = { key, raw, doc };
+    return true;
+  } catch (err) {
+    console.warn("save write error", err);
+    return false;
+  }
+}
+
+function readDocument(slot) {
+  const key = SLOT_PREFIX + slot;
+  const raw = safeGet(key);
+  if (!raw) return null;
+  if (_cache.key === key && _cache.raw === raw && _cache.doc) return _cache.doc;
+  const doc = migrateSave(parseJSON(raw, null));
+  if (doc) _cache = { key, raw, doc };
+  return doc;
+}
+
+function clone(v) {
+  return v == null ? v : JSON.parse(JSON.stringify(v));
+}
+
+/* ---------------- Public API ---------------- */
+
+/** Name of the slot all sections read from / write to. */
+export function getActiveSlot() {
+  return ensureIndex().activeSlot;
+}
+
+/**
+ * List saved slots with a short summary for UI.
+ * @returns {Array<{name:string, active:boolean, level:number, updatedAt:number}>}
+ */
+export function listSaveSlots() {
+  const idx = ensureIndex();
+  return idx.slots.map((name) => {
+    const doc = readDocument(name);
+    return {
+      name,
+      active: name === idx.activeSlot,
+      level: doc ? doc.data.hero.level : 1,
+      updatedAt: doc ? doc.updatedAt : 0,
+    };
+  });
+}
+
+/**
+ * Load the full (migrated, sanitized) document of a slot. Returns a copy.
+ * @param {string} [slot] - defaults to the active slot
+ */
+export function loadSave(slot) {
+  const name = slot ? sanitizeSlotName(slot) : getActiveSlot();
+  return clone(readDocument(name) || createEmptySave(name));
+}
+
+/**
+ * Replace a slot's whole document (after migrating/sanitizing it).
+ * @param {object} doc
+ * @param {string} [slot] - defaults to the active slot
+ * @returns {boolean}
+ */
+export function writeSave(doc, slot) {
+  const name = slot ? sanitizeSlotName(slot) : getActiveSlot();
+  const next = migrateSave(doc);
+  if (!next) return false;
+  next.name = name;
+  next.updatedAt = Date.now();
+  const idx = ensureIndex();
+  if (!idx.slots.includes(name)) {
+    idx.slots.push(name);
+    writeIndex(idx);
+  }
+  return writeDocument(name, next);
+}
+
+/**
+ * Read one section of the active slot. Returns a copy; mutate and pass to saveSection.
+ * @param {keyof SAVE_SCHEMA} section
+ */
+export function loadSection(section) {
+  const schema = SAVE_SCHEMA[section];
+  if (!schema) throw new Error(`Unknown save section: ${section}`);
+  const doc = readDocument(getActiveSlot());
+  return clone(doc ? doc.data[section] : schema.def());
+}
+
+/**
+ * Write one section of the active slot.
+ * @param {keyof SAVE_SCHEMA} section
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function saveSection(section, value) {
+  const schema = SAVE_SCHEMA[section];
+  if (!schema) throw new Error(`Unknown save section: ${section}`);
+  const slot = getActiveSlot();
+  const doc = clone(readDocument(slot)) || createEmptySave(slot);
+  doc.data[section] = schema.sanitize(value);
+  doc.updatedAt = Date.now();
+  return writeDocument(slot, doc);
+}
+
+/**
+ * Switch the active slot, creating an empty one if it does not exist.
+ * Systems read their state at boot, so callers should reload the page afterwards
+ * and pass { freeze: true } to block further writes until then.
+ * @param {string} name
+ * @param {{freeze?: boolean}} [opts]
+ * @returns {string} the sanitized slot name
+ */
+export function setActiveSlot(name, { freeze = false } = {}) {
+  const slot = sanitizeSlotName(name);
+  const idx = ensureIndex();
+  if (!idx.slots.includes(slot)) {
+    idx.slots.push(slot);
+    if (!readDocument(slot)) writeDocument(slot, createEmptySave(slot));
+  }
+  idx.activeSlot = slot;
+  writeIndex(idx);
+  if (freeze) freezeSaveWrites();
+  return slot;
+}
+
+/**
+ * Block all further save writes until the page reloads.
+ * Used after switching slots or importing a save, before calling location.reload().
+ */
+export function freezeSaveWrites() {
+  _frozen = true;
+}
+
+/**
+ * Copy a slot into another (backup). Overwrites the destination.
+ * @returns {boolean}
+ */
+export function copySaveSlot(from, to) {
+  const src = readDocument(sanitizeSlotName(from));
+  if (!src) return false;
+  return writeSave(clone(src), sanitizeSlotName(to));
+}
+
+/**
+ * Delete a slot. The active slot cannot be deleted.
+ * @returns {boolean}
+ */
+export function deleteSaveSlot(name) {
+  const slot = sanitizeSlotName(name);
+  const idx = ensureIndex();
+  if (slot === idx.activeSlot || !idx.slots.includes(slot)) return false;
+  idx.slots = idx.slots.filter((s) => s !== slot);
+  try { localStorage.removeItem(SLOT_PREFIX + slot); } catch (_) {}
+  return writeIndex(idx);
+}
+
+/* ---------------- Export / Import ---------------- */
+
+export const SAVE_FILE_FORMAT = "zeus-save";
+
+// JSON with sorted object keys so the checksum does not depend on property order
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map((x) => stableStringify(x === undefined ? null : x)).join(",")}]`;
+  if (isPlainObject(v)) {
+    const keys = Object.keys(v).filter((k) => v[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+// cyrb53: fast, unkeyed 53-bit string hash. Catches damaged or truncated files; anyone can recompute it, so it is a
+// checksum, not a signature.
+function cyrb53(str, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, "0");
+}
+
+/**
+ * Checksum of a save document (stable across key order).
+ * @param {object} doc
+ * @returns {string}
+ */
+export function computeSaveChecksum(doc) {
+  return cyrb53(`${SAVE_FILE_FORMAT}:${stableStringify(doc)}`);
+}
+
+/**
+ * Build the portable export file for a slot.
+ * @param {string} [slot] - defaults to the active slot
+ * @returns {{format:string, version:number, exportedAt:number, checksum:string, save:object}}
+ */
+export function exportSave(slot) {
+  const save = loadSave(slot);
+  return {
+    format: SAVE_FILE_FORMAT,
+    version: save.version,
+    exportedAt: Date.now(),
+    checksum: computeSaveChecksum(save),
+    save,
+  };
+}
+
+/**
+ * Parse and validate an export file. Never throws.
+ * Errors are stable codes (for i18n): "parse", "format", "checksum", "version".
+ * @param {string} text
+ * @returns {{ok:true, doc:object, exportedAt:number} | {ok:false, error:string}}
+ */
+export function parseSaveExport(text) {
+  let file = null;
+  try {
+    file = JSON.parse(String(text || ""));
+  } catch (_) {
+    return { ok: false, error: "parse" };
+  }
+  if (!isPlainObject(file) || file.format !== SAVE_FILE_FORMAT || !isPlainObject(file.save)) {
+    return { ok: false, error: "format" };
+  }
+  if (typeof file.checksum !== "string" || computeSaveChecksum(file.save) !== file.checksum) {
+    return { ok: false, error: "checksum" };
+  }
+  const doc = migrateSave(file.save);
+  if (!doc) return { ok: false, error: "version" };
+  return { ok: true, doc, exportedAt: toInt(file.exportedAt, 0, 0) };
+}
+
+/**
+ * Summarize what applying `next` over `prev` would change, for an import preview.
+ * @param {object} prev - current save document
+ * @param {object} next - incoming save document
+ * @returns {Array<{key:string, from:any, to:any}>} only entries that differ
+ */
+export function diffSaves(prev, next) {
+  const a = (prev && prev.data) || createEmptySave().data;
+  const b = (next && next.data) || createEmptySave().data;
+  const rows = [];
+  for (const section of Object.keys(SAVE_SCHEMA)) {
+    const schema = SAVE_SCHEMA[section];
+    const from = schema.preview(section in a ? a[section] : schema.def());
+    const to = schema.preview(section in b ? b[section] : schema.def());
+    for (const key of Object.keys(from)) {
+      if (from[key] !== to[key]) rows.push({ key, from: from[key], to: to[key] });
+    }
+  }
+  return rows;
+}
@@ -0,0 +1,107 @@
+/**
+ * Skill ranks — per-skill upgrade trees bought with skill points.
+ *
+ * Data: SKILL_POOL entries carry `ranks: { costs: number[], per: { [stat]: delta } }`.
+ *  - Every skill starts at rank 1; costs[i] points buy rank i + 2, so max rank = costs.length + 1.
+ *  - per: deltas added once for every rank above 1 (dmg, jumps, radius, strikes, negative cd, ...).
+ * Points: Player.gainXP grants SCALING.hero.skillPointsPerLevel per level (Player.skillPoints, hero save section).
+ * Ranks: { [skillId]: rank } stored next to the loadout (src/loadout.js, "skillRanks" section).
+ * Runtime: main.js applyLoadoutToSKILLS resolves SKILLS.Q/W/E/R through applySkillRank.
+ */
+
+import { loadSkillRanks, saveSkillRanks } from "./loadout.js";
+
+// Stat floors/ceilings so stacked deltas stay sane
+const STAT_LIMITS = {
+  cd: { min: 0.5 },
+  shieldPct: { max: 0.9 },
+  slowFactor: { min: 0.05, max: 1 },
+};
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+/** Rank tree for a skill def ({ costs: [], per: {} } when the skill has none). */
+export function getRankTree(def) {
+  const r = def && def.ranks;
+  return {
+    costs: Array.isArray(r && r.costs) ? r.costs.map((c) => Math.max(1, Math.floor(Number(c) || 1))) : [],
+    per: (r && r.per && typeof r.per === "object") ? r.per : {},
+  };
+}
+
+export function getMaxRank(def) {
+  return getRankTree(def).costs.length + 1;
+}
+
+/** Points needed to go from `rank` to rank + 1, or null at max rank. */
+export function getRankUpCost(def, rank) {
+  const costs = getRankTree(def).costs;
+  const i = Math.max(1, Math.floor(rank || 1)) - 1;
+  return i < costs.length ? costs[i] : null;
+}
+
+/** Total points spent to reach `rank` (refund value). */
+export function getPointsSpent(def, rank) {
+  const costs = getRankTree(def).costs;
+  let sum = 0;
+  for (let i = 0; i < Math.min(costs.length, Math.max(1, rank || 1) - 1); i++) sum += costs[i];
+  return sum;
+}
+
+/**
+ * Copy of `def` with the per-rank deltas applied and `rank` set.
+ * Only stats the skill already has are changed.
+ * @param {object} def - SKILL_POOL entry
+ * @param {number} rank - 1..max rank (clamped)
+ * @returns {object}
+ */
+export function applySkillRank(def, rank) {
+  if (!def) return def;
+  const r = Math.max(1, Math.min(getMaxRank(def), Math.floor(rank || 1)));
+  const out = Object.assign({}, def, { rank: r });
+  if (r <= 1) return out;
+  const per = getRankTree(def).per;
+  for (const stat of Object.keys(per)) {
+    const delta = Number(per[stat]);
+    if (!Number.isFinite(delta) || typeof def[stat] !== "number") continue;
+    let v = round2(def[stat] + delta * (r - 1));
+    const lim = STAT_LIMITS[stat];
+    if (lim && lim.min != null) v = Math.max(lim.min, v);
+    if (lim && lim.max != null) v = Math.min(lim.max, v);
+    out[stat] = Math.max(0, v);
+  }
+  return out;
+}
+
+/** Current rank of a skill id from the save (1 when never ranked). */
+export function getSkillRank(id) {
+  const ranks = loadSkillRanks();
+  const r = Math.floor(Number(ranks[id]));
+  return Number.isFinite(r) && r > 1 ? r : 1;
+}
+
+/**
+ * Spend the hero's points on the next rank of `def`.
+ * Saves ranks and hero points and fires "loadout-changed" so main.js re-applies SKILLS.
+ * @returns {boolean} false when maxed or the hero cannot afford it
+ */
+export function rankUpSkill(player, def) {
+  try {
+    if (!player || !def) return false;
+    const rank = getSkillRank(def.id);
+    const cost = getRankUpCost(def, rank);
+    if (cost == null || (player.skillPoints || 0) < cost) return false;
+    const ranks = loadSkillRanks();
+    ranks[def.id] = rank + 1;
+    if (!saveSkillRanks(ranks)) return false;
+    player.skillPoints -= cost;
+    try { player.saveProgressToStorage(); } catch (_) {}
+    try { window.dispatchEvent(new Event("loadout-changed")); } catch (_) {}
+    return true;
+  } catch (err) {
+    console.warn("rankUpSkill error", err);
+    return false;
+  }
+}
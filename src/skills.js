@@ -4,11 +4,29 @@ import { distance2D, now } from "./utils.js";
 import { handWorldPos } from "./entities.js";
 import { createGroundRing } from "./effects.js";
 import { audio } from "./audio.js";
-import { getBasicUplift } from "./uplift.js";
+import { getBasicUplift, getHeroUplift } from "./uplift.js";
+import { getItemBonuses } from "./inventory.js";
+import { applyStatus, attackSpeedMul } from "./status_effects.js";
+import { SLOT_KEYS, isSlotUnlocked } from "./loadout.js";
+import { dealDamage } from "./damage.js";
+import { matchSynergies, recordCast, applyCastSynergies, resolveHitSynergies } from "./synergies.js";
+import { ProjectileSystem } from "./projectiles.js";
+import { hasLineOfSight } from "./los.js";
 
 /**
- * SkillsSystem centralizes cooldowns, basic attack, Q/W/E/R skills,
+ * SkillsSystem centralizes cooldowns, basic attack, slot skills (Q/W/E/R, D/F once unlocked; SLOT_KEYS in src/loadout.js),
  * Static Field ticking, Thunderstorm scheduling, and cooldown UI updates.
+ * Cooldowns follow the skill, not the key: refreshSkills() carries them over when the loadout or skill page changes.
+ * Skill hits and casts apply statuses (src/status_effects.js) via _applyOnHit / _applySelfStatuses.
+ * Combo rules from SKILL_POOL "synergies" (src/synergies.js) fire on cast (castSkill) and per hit (_hit).
+ * Held types ("charge", "channel") start on key/button down and end on releaseSkill(key); getCastInfo() feeds the HUD cast bar.
+ * "projectile" skills launch travelling shots (src/projectiles.js) that land damage on contact; setColliders() lets
+ * structures block them.
+ * Targeted skills (chain, beam, channel, mark, projectile auto-aim) need line of sight (src/los.js) through the
+ * occluders given to setOccluders(); ground AoE, novas, auras and storms ignore it.
+ * Cast assists (setCastPrefs): a press shortly before a skill is ready, or while another held skill is busy, is
+ * queued and cast by update(); a targeted skill with no enemy in reach queues an approach (getCastApproach) that
+ * main.js walks the hero along, and casts on arrival.
  *
  * Usage:
  *  const skills = new SkillsSystem(player, enemies, effectsManager, {
@@ -31,12 +49,19 @@ const __vA = new THREE.Vector3();
 const __vB = new THREE.Vector3();
 const __vC = new THREE.Vector3();
 
+// Held skill types: castSkill starts them, releaseSkill (key-up / touch release) ends them
+const HOLD_TYPES = new Set(["charge", "channel"]);
+// Seconds a full charge is held before it fires by itself (casts without a release, e.g. Space or desktop tiles)
+const CHARGE_OVERHOLD = 1;
+// Skill types that need an enemy in reach and line of sight; "cast when in range" walks the hero to one
+const TARGETED_TYPES = new Set(["chain", "beam", "mark", "channel"]);
+
 export class SkillsSystem {
   /**
    * @param {import("./entities.js").Player} player
    * @param {import("./entities.js").Enemy[]} enemies
    * @param {import("./effects.js").EffectsManager} effects
-   * @param {{Q: HTMLElement, W: HTMLElement, E: HTMLElement, R: HTMLElement}} cdUI
+   * @param {Object<string, HTMLElement>} cdUI - cooldown overlays per slot key plus Basic
    * @param {any} villages optional villages system to enforce village safety rules
    */
   constructor(player, enemies, effects, cdUI, villages = null) {
@@ -46,8 +71,16 @@ export class SkillsSystem {
     this.cdUI = cdUI;
     this.villages = villages;
 
-    this.cooldowns = { Q: 0, W: 0, E: 0, R: 0, Basic: 0 };
-    this.cdState = { Q: 0, W: 0, E: 0, R: 0, Basic: 0 }; // for ready flash timing
+    this.cooldowns = { Basic: 0 };
+    this.cdState = { Basic: 0 }; // for ready flash timing
+    for (const key of SLOT_KEYS) {
+      this.cooldowns[key] = 0;
+      this.cdState[key] = 0;
+    }
+    // Skill id per key and cooldown ends per skill id, so swapping pages never resets a cooldown
+    this._slotIds = {};
+    this._idCooldowns = {};
+    for (const key of SLOT_KEYS) this._slotIds[key] = SKILLS[key] && SKILLS[key].id;
     this.storms = []; // queued thunderstorm strikes
     // Temporary damage buff (applies to basic + skills)
     this.damageBuffUntil = 0;
@@ -56,6 +89,109 @@ export class SkillsSystem {
     this.clones = [];
     this.totems = [];
     this._pendingShake = 0;
+    // Last cast time per skill id and "type:<type>" for sequence synergies
+    this._lastCasts = {};
+    // Held cast in progress: { key, sk, kind: "charge"|"channel", start, ... }
+    this.holding = null;
+    // Projectiles in flight; structure footprints come from setColliders()
+    this._getColliders = () => [];
+    // Line-of-sight occluder set (src/los.js); none until setOccluders()
+    this._getOccluders = () => null;
+    // Per-frame enemy index (src/spatial_hash.js); without one, enemy queries scan this.enemies
+    this._getEnemyIndex = () => null;
+    // Threat table (src/threat.js): hits add threat, clones register decoys; none until setThreat()
+    this._threat = null;
+    this.projectiles = new ProjectileSystem({
+      getEnemies: () => this.enemies,
+      getEnemiesNear: (pos, r) => this._enemiesNear(pos, r),
+      effects,
+      getColliders: () => this._getColliders(),
+    });
+    // Cast assists: press buffer (seconds, 0 = off) and cast-when-in-range; main.js applies the saved prefs
+    this.castPrefs = { buffer: WORLD.castBufferWindow, castInRange: true };
+    // Queued cast: { key, point, target, until }; target set while walking into reach
+    this.queued = null;
+  }
+
+  /** Cast assist prefs ({ buffer, castInRange }, src/input/cast_prefs.js); the simulator turns both off. */
+  setCastPrefs(prefs = {}) {
+    const buffer = Number(prefs.buffer);
+    if (Number.isFinite(buffer)) this.castPrefs.buffer = Math.max(0, buffer);
+    if (typeof prefs.castInRange === "boolean") this.castPrefs.castInRange = prefs.castInRange;
+    if (!this.castPrefs.castInRange && this.queued && this.queued.target) this.queued = null;
+  }
+
+  /** Structure footprints that stop projectiles: getter returning [{ x, z, r }] (main.js passes env.colliders). */
+  setColliders(getter) {
+    this._getColliders = typeof getter === "function" ? getter : () => [];
+  }
+
+  /** Props that block targeted skills: getter returning an occluder set (main.js passes env.occluders). */
+  setOccluders(getter) {
+    this._getOccluders = typeof getter === "function" ? getter : () => null;
+  }
+
+  /** Enemy grid for target and area queries: getter returning a spatial hash (main.js rebuilds it every frame). */
+  setEnemyIndex(getter) {
+    this._getEnemyIndex = typeof getter === "function" ? getter : () => null;
+  }
+
+  /** Threat table enemies pick targets from (main.js passes initThreat()); hits and decoys feed it. */
+  setThreat(threat) {
+    this._threat = threat || null;
+  }
+
+  // Decoy for a clone or totem that draws enemies (SK.taunt threat/s within SK.tauntRadius) until `until`
+  _addDecoy(SK, kind, pos, until) {
+    if (!this._threat) return null;
+    try {
+      return this._threat.addDecoy({ kind, pos, until, taunt: SK.taunt || 0, tauntRadius: SK.tauntRadius || 0 });
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** Nothing blocks the line between two points (entity positions); always true without occluders. */
+  hasLOS(from, to) {
+    let occ = null;
+    try { occ = this._getOccluders(); } catch (_) {}
+    return hasLineOfSight(occ, from, to);
+  }
+
+  // Living enemy within `range` of the hero that the hero can see
+  _targetable(e, range) {
+    return e.alive && distance2D(this.player.pos(), e.pos()) <= range && this.hasLOS(this.player.pos(), e.pos());
+  }
+
+  _enemyIndex() {
+    try { return this._getEnemyIndex() || null; } catch (_) { return null; }
+  }
+
+  // Living enemies within `r` of a point: a grid query, or a scan of this.enemies without an index
+  _enemiesNear(center, r) {
+    const index = this._enemyIndex();
+    if (index) return index.query(center.x, center.z, r);
+    return this.enemies.filter((e) => e.alive && distance2D(center, e.pos()) <= r);
+  }
+
+  // Up to `k` living enemies within `r` of a point that pass `filter`, nearest first
+  _nearestEnemies(center, r, k = 1, filter = null) {
+    const index = this._enemyIndex();
+    if (index) return index.kNearest(center.x, center.z, k, r, filter);
+    return this.enemies
+      .filter((e) => e.alive && distance2D(center, e.pos()) <= r && (!filter || filter(e)))
+      .sort((a, b) => distance2D(center, a.pos()) - distance2D(center, b.pos()))
+      .slice(0, k);
+  }
+
+  // Enemies the hero can target within `range`, and the nearest of them
+  _targetsInRange(range) {
+    return this._enemiesNear(this.player.pos(), range).filter((e) => this._targetable(e, range));
+  }
+
+  _nearestTarget(range) {
+    const pos = this.player.pos();
+    return this._nearestEnemies(pos, range, 1, (e) => this.hasLOS(pos, e.pos()))[0] || null;
   }
 
   // ----- Damage scaling helpers -----
@@ -65,14 +201,16 @@ export class SkillsSystem {
       base = Math.max(1, Math.floor(attacker.baseDamage));
     }
     const activeBuff = this.damageBuffUntil && now() < this.damageBuffUntil ? this.damageBuffMult || 1 : 1;
-    return Math.max(1, Math.floor(base * activeBuff));
+    const itemMult = getItemBonuses().dmgMul * getHeroUplift().dmgMul;
+    return Math.max(1, Math.floor(base * activeBuff * itemMult));
   }
 
   scaleSkillDamage(base) {
     const lvl = Math.max(1, (this.player && this.player.level) || 1);
     const levelMult = Math.pow(SCALING.hero.skillDamageGrowth, lvl - 1);
     const buffMult = this.damageBuffUntil && now() < this.damageBuffUntil ? this.damageBuffMult || 1 : 1;
-    return Math.max(1, Math.floor((base || 0) * levelMult * buffMult));
+    const itemMult = getItemBonuses().dmgMul * getHeroUplift().dmgMul;
+    return Math.max(1, Math.floor((base || 0) * levelMult * buffMult * itemMult));
   }
   
   // VFX helpers driven by skill.effects configuration
@@ -128,10 +266,8 @@ export class SkillsSystem {
       const pos = this.player.pos();
       let best = null;
       let bestScore = -Infinity;
-      for (const e of this.enemies) {
-        if (!e.alive) continue;
-        const d = distance2D(pos, e.pos());
-        if (d > range) continue;
+      for (const e of this._enemiesNear(pos, range)) {
+        if (!this.hasLOS(pos, e.pos())) continue;
         const v = __vB.copy(e.pos()).sub(pos).setY(0);
         const len = v.length() || 1;
         const dir = __vC.copy(v).multiplyScalar(1 / len);
@@ -159,10 +295,29 @@ export class SkillsSystem {
     return now() < this.cooldowns[key];
   }
 
+  /**
+   * Re-read SKILLS after a loadout/page change (main.js "loadout-changed" listener).
+   * Each key takes over the cooldown its new skill had in whichever slot it was last used.
+   */
+  refreshSkills() {
+    // A held skill ends with the page it was cast from
+    if (this.holding) this.cancelHold();
+    const t = now();
+    for (const key of SLOT_KEYS) {
+      const oldId = this._slotIds[key];
+      if (oldId && (this.cooldowns[key] || 0) > t) this._idCooldowns[oldId] = this.cooldowns[key];
+    }
+    for (const key of SLOT_KEYS) {
+      const id = SKILLS[key] && SKILLS[key].id;
+      this._slotIds[key] = id;
+      this.cooldowns[key] = (id && this._idCooldowns[id]) || 0;
+    }
+  }
+
   // ----- UI (cooldowns) -----
   updateCooldownUI() {
     const t = now();
-    for (const key of ["Q", "W", "E", "R", "Basic"]) {
+    for (const key of [...SLOT_KEYS, "Basic"]) {
       const end = this.cooldowns[key];
       const el = this.cdUI?.[key];
       if (!el) continue;
@@ -234,6 +389,16 @@ export class SkillsSystem {
           }
         } catch (_) {}
       }
+      // Glow while a buffered press or cast-when-in-range waits on this key
+      const queued = !!(this.queued && this.queued.key === key);
+      if (el.classList.contains("queued") !== queued) {
+        el.classList.toggle("queued", queued);
+        try {
+          if (el.id) {
+            document.querySelectorAll(`#bottomMiddle .cooldown[data-cd="${el.id}"]`).forEach((d) => d.classList.toggle("queued", queued));
+          }
+        } catch (_) {}
+      }
       this.cdState[key] = remain;
     }
   }
@@ -280,7 +445,7 @@ export class SkillsSystem {
     const dist = distance2D(attacker.pos(), target.pos());
     if (dist > WORLD.attackRange * (WORLD.attackRangeMult || 1)) return false;
 
-    const buffMul = (attacker.atkSpeedUntil && now() < attacker.atkSpeedUntil) ? (attacker.atkSpeedMul || 1) : 1;
+    const buffMul = attackSpeedMul(attacker);
     const permaMul = attacker.atkSpeedPerma || 1;
     const effMul = Math.max(0.5, buffMul * permaMul);
     const basicCd = WORLD.basicAttackCooldown / effMul;
@@ -311,17 +476,16 @@ export class SkillsSystem {
     const baseDmg = this.getBasicDamage(attacker);
     const up = getBasicUplift ? getBasicUplift() : { aoeRadius: 0, chainJumps: 0, dmgMul: 1 };
     const dmg = Math.max(1, Math.floor(baseDmg * (up.dmgMul || 1)));
-    target.takeDamage(dmg);
-    try { this.effects.spawnDamagePopup(target.pos(), dmg, 0xffe0e0); } catch (e) {}
+    const hit = this.dealHeroDamage(target, dmg);
+    try { this.effects.spawnDamagePopup(target.pos(), hit.amount, 0xffe0e0, { crit: hit.crit }); } catch (e) {}
 
     // Uplift: AOE explosion around the hit target
     try {
       if (up.aoeRadius && up.aoeRadius > 0) {
         this.effects.spawnStrike(target.pos(), up.aoeRadius, 0xffee88);
         const r = up.aoeRadius + 2.5;
-        this.enemies.forEach((en) => {
-          if (!en.alive || en === target) return;
-          if (distance2D(en.pos(), target.pos()) <= r) en.takeDamage(Math.max(1, Math.floor(dmg * 0.8)));
+        this._enemiesNear(target.pos(), r).forEach((en) => {
+          if (en !== target) this.dealHeroDamage(en, Math.max(1, Math.floor(dmg * 0.8)));
         });
       }
     } catch (_) {}
@@ -332,16 +496,13 @@ export class SkillsSystem {
       let current = target;
       const hitSet = new Set([current]);
       while (jumps-- > 0) {
-        const candidates = this.enemies
-          .filter(e => e.alive && !hitSet.has(e) && distance2D(current.pos(), e.pos()) <= 22)
-          .sort((a,b) => distance2D(current.pos(), a.pos()) - distance2D(current.pos(), b.pos()));
-        const nxt = candidates[0];
+        const nxt = this._nearestEnemies(current.pos(), 22, 1, (e) => !hitSet.has(e))[0];
         if (!nxt) break;
         hitSet.add(nxt);
         const from = __vA.copy(current.pos()).add(__vB.set(0,1.2,0)).clone();
         const to = __vC.copy(nxt.pos()).add(__vB.set(0,1.2,0)).clone();
         try { this.effects.spawnElectricBeamAuto(from, to, 0xffee88, 0.08); } catch(_) {}
-        nxt.takeDamage(Math.max(1, Math.floor(dmg * 0.85)));
+        this.dealHeroDamage(nxt, Math.max(1, Math.floor(dmg * 0.85)));
         current = nxt;
       }
     } catch (_) {}
@@ -350,20 +511,123 @@ export class SkillsSystem {
 
   // ----- Skills -----
   /**
-   * Generic skill dispatcher. Use castSkill('Q'|'W'|'E'|'R', point?)
+   * Generic skill dispatcher. Use castSkill(slotKey, point?) with a SLOT_KEYS key
    * point is used for ground-targeted 'aoe' skills.
    */
   castSkill(key, point = null) {
     if (!key) return;
-    if (this.isOnCooldown(key)) return;
+    // Key repeats and touch holds re-cast every frame; a held skill ignores them until released
+    if (this.holding && this.holding.key === key) return;
     const SK = SKILLS[key];
     if (!SK) {
       console.warn("castSkill: unknown SKILLS key", key);
       return;
     }
+    // D/F stay locked until the hero reaches their unlock level
+    if (!isSlotUnlocked(key, (this.player && this.player.level) || 1)) return;
+    // Not ready yet (or another held skill is busy): buffer presses close to ready
+    if (this.isOnCooldown(key) || (this.holding && HOLD_TYPES.has(SK.type))) {
+      this._bufferCast(key, point);
+      return;
+    }
+    // Nothing in reach: walk toward an enemy and cast on arrival
+    if (this._queueApproach(key, SK, point)) return;
+    if (this.queued && this.queued.key === key) this.queued = null;
     this._vfxCastFlash(SK);
     try { if (FX && FX.sfxOnCast) audio.sfx("cast"); } catch (_) {}
 
+    // Cast synergies change the def for this cast only (e.g. more storm strikes over a Static Field)
+    const combos = matchSynergies(SK, "cast", this._synergyContext());
+    const castSK = applyCastSynergies(SK, combos);
+    let res;
+    SKILLS[key] = castSK;
+    try {
+      res = this._dispatchCast(castSK, key, point);
+    } finally {
+      SKILLS[key] = SK;
+    }
+    // The cast went off when it put the key on cooldown
+    if (this.isOnCooldown(key)) {
+      this._applySelfStatuses(SK);
+      recordCast(this._lastCasts, SK, now());
+      for (const r of combos) this._synergyPopup(r, this.player);
+    }
+    return res;
+  }
+
+  // Queue a press made within castPrefs.buffer seconds of the skill becoming ready; a repeat keeps the first press
+  _bufferCast(key, point) {
+    const win = this.castPrefs.buffer;
+    if (!(win > 0) || !this.player.alive) return false;
+    const t = now();
+    if ((this.cooldowns[key] || 0) - t > win) return false;
+    if (this.queued && this.queued.key === key) return true;
+    this.queued = { key, point: point && point.clone ? point.clone() : point, target: null, until: t + win };
+    return true;
+  }
+
+  // How far a targeted skill reaches, matching the ranges its cast picks targets in
+  _castReach(SK) {
+    if (SK.type === "mark") return Math.max(40, SK.range || 40);
+    if (SK.type === "channel") return SK.range || 30;
+    return Math.max(SK.range || 0, WORLD.attackRange * (WORLD.attackRangeMult || 1));
+  }
+
+  // Cast-when-in-range: with no visible enemy in reach, queue the cast and walk to the hero's target or nearest enemy
+  _queueApproach(key, SK, point) {
+    if (!this.castPrefs.castInRange || !TARGETED_TYPES.has(SK.type) || !this.player.alive) return false;
+    const reach = this._castReach(SK);
+    if (this._targetsInRange(reach).length) return false;
+    const pos = this.player.pos();
+    let target = this.player.target && this.player.target.alive ? this.player.target : null;
+    if (!target) target = this._nearestEnemies(pos, reach + (WORLD.castApproachRange || 0))[0] || null;
+    if (!target) return false;
+    this.queued = { key, point, target, until: now() + (WORLD.castApproachTimeout || 5) };
+    this.player.moveTarget = null;
+    this.player.attackMove = false;
+    this.player.target = target;
+    return true;
+  }
+
+  /** Enemy the hero is walking toward for a queued cast-when-in-range, else null. */
+  getCastApproach() {
+    const q = this.queued;
+    return q && q.target && q.target.alive ? q.target : null;
+  }
+
+  /** Drop the queued cast (stop order, new move order, death). */
+  cancelQueuedCast() {
+    this.queued = null;
+  }
+
+  // Per-frame: cast the queued skill once it is ready and, for an approach, once the target is in reach and sight
+  runCastQueue() {
+    const q = this.queued;
+    if (!q) return;
+    const SK = SKILLS[q.key];
+    if (!SK || !this.player.alive || now() > q.until || (q.target && !q.target.alive)) {
+      this.queued = null;
+      return;
+    }
+    if (this.isOnCooldown(q.key) || (this.holding && HOLD_TYPES.has(SK.type))) return;
+    if (q.target && !this._targetable(q.target, this._castReach(SK))) return;
+    this.queued = null;
+    this.castSkill(q.key, q.point);
+  }
+
+  _synergyContext() {
+    return {
+      now: now(),
+      lastCasts: this._lastCasts,
+      auraActive: !!(this.player && this.player.staticField && this.player.staticField.active),
+    };
+  }
+
+  _synergyPopup(rule, entity) {
+    try { this.effects.spawnDamagePopup(entity.pos(), rule.icon || "✦", 0xffe08a); } catch (_) {}
+  }
+
+  _dispatchCast(SK, key, point) {
     switch (SK.type) {
       case "chain":
         return this._castChain(key);
@@ -395,6 +659,12 @@ export class SkillsSystem {
         return this._castTotem(key);
       case "mark":
         return this._castMark(key);
+      case "projectile":
+        return this._castProjectile(key, point);
+      case "charge":
+        return this._startCharge(key, point);
+      case "channel":
+        return this._startChannel(key);
       default:
         // If skill definitions don't include a type (legacy), fall back to original key handlers
         if (key === "Q") return this.castQ_ChainLightning();
@@ -404,6 +674,63 @@ export class SkillsSystem {
     }
   }
 
+  /**
+   * One skill hit through the damage pipeline (src/damage.js): SK.damageType (default electric), hero crits
+   * unless canCrit is false (periodic ticks). Matching hit synergies add their dmgPct and may consume the
+   * target's status after the hit. Returns { amount, crit, type } for popups.
+   */
+  _hit(SK, en, dmg, { canCrit = true, source = null } = {}) {
+    const combos = matchSynergies(SK, "hit", this._synergyContext(), en);
+    const combo = combos.length ? resolveHitSynergies(combos, en) : null;
+    const hit = this.dealHeroDamage(en, combo ? dmg * combo.mul : dmg, { type: (SK && SK.damageType) || "electric", canCrit, source });
+    if (combo) {
+      combo.finish();
+      for (const r of combos) this._synergyPopup(r, en);
+    }
+    return hit;
+  }
+
+  /**
+   * Every hero-side hit (skills, basic attacks, reflected enemy shots) lands here: damage through src/damage.js
+   * with the hero as attacker, then threat (src/threat.js) for `source` — a clone or totem decoy, else the hero.
+   * @returns {{amount:number, crit:boolean, type:string}}
+   */
+  dealHeroDamage(en, amount, { type = "electric", canCrit = true, source = null } = {}) {
+    const hit = dealDamage(this.player, en, amount, { type, canCrit });
+    try { this._threat && this._threat.onDamage(en, source || this.player, hit.amount); } catch (_) {}
+    return hit;
+  }
+
+  /**
+   * Statuses a skill hit leaves on an enemy: legacy slowFactor/slowDuration and stunDuration fields,
+   * plus declarative SK.statuses ([{ id, duration, ...params }]; a "dmg" param scales like skill damage).
+   * `source` (a clone or totem decoy, else the hero) owns the statuses, so their tick damage feeds its threat.
+   */
+  _applyOnHit(SK, en, { slowDuration = 1.5, source = null } = {}) {
+    if (!SK || !en || !en.alive) return;
+    const owner = source || this.player;
+    try {
+      if (SK.slowFactor) applyStatus(en, "slow", { duration: SK.slowDuration || slowDuration, factor: SK.slowFactor, source: SK.id, owner });
+      if (SK.stunDuration) applyStatus(en, "stun", { duration: SK.stunDuration, source: SK.id, owner });
+      for (const st of Array.isArray(SK.statuses) ? SK.statuses : []) {
+        const { id, ...opts } = st || {};
+        if (opts.dmg) opts.dmg = this.scaleSkillDamage(opts.dmg);
+        applyStatus(en, id, { ...opts, source: SK.id, owner });
+      }
+    } catch (_) {}
+  }
+
+  /** Declarative SK.selfStatuses ([{ id, duration, ...params }]) applied to the hero when the skill is cast. */
+  _applySelfStatuses(SK) {
+    if (!Array.isArray(SK.selfStatuses)) return;
+    for (const st of SK.selfStatuses) {
+      try {
+        const { id, ...opts } = st || {};
+        applyStatus(this.player, id, { ...opts, source: SK.id });
+      } catch (_) {}
+    }
+  }
+
   // ---- Typed implementations ----
   _castChain(key) {
     const SK = SKILLS[key];
@@ -420,9 +747,7 @@ export class SkillsSystem {
     } catch (e) {}
 
     const effRange = Math.max(SK.range || 0, WORLD.attackRange * (WORLD.attackRangeMult || 1));
-    let candidates = this.enemies.filter(
-      (e) => e.alive && distance2D(this.player.pos(), e.pos()) <= effRange
-    );
+    let candidates = this._targetsInRange(effRange);
     if (candidates.length === 0) {
       // Miss fallback: fire forward beam to max range and consume cost
       const fx = this._fx(SK);
@@ -460,24 +785,22 @@ export class SkillsSystem {
     this.effects.spawnArcNoisePath(lastPoint, hitPoint, this._fx(SK).arc, 0.08);
     if (first) { this._requestShake(this._fx(SK).shake || 0); first = false; }
     const dmgHit = this.scaleSkillDamage(SK.dmg || 0);
-    current.takeDamage(dmgHit);
-    if (SK.slowFactor) { current.slowUntil = now() + (SK.slowDuration || 1.2); current.slowFactor = SK.slowFactor; }
+    const hit = this._hit(SK, current, dmgHit);
+    this._applyOnHit(SK, current, { slowDuration: 1.2 });
     audio.sfx("chain_hit");
     // popup for chain hit
-    try { this.effects.spawnDamagePopup(current.pos(), dmgHit, this._fx(SK).impact); } catch (e) {}
+    try { this.effects.spawnDamagePopup(current.pos(), hit.amount, this._fx(SK).impact, { crit: hit.crit }); } catch (e) {}
     this.effects.spawnStrike(current.pos(), 1.2, this._fx(SK).impact);
     this.effects.spawnHitDecal(current.pos(), this._fx(SK).impact);
     try { this.effects.spawnRingPulse(current.pos(), 1.2, this._fx(SK).ring, 0.3, 0.5, 0.45); } catch (_) {}
       lastPoint = hitPoint;
-      candidates = this.enemies
-        .filter(
-          (e) =>
-            e.alive &&
-            e !== current &&
-            distance2D(current.pos(), e.pos()) <= ((SK.jumpRange || 0) + 2.5)
-        )
-        .sort((a, b) => distance2D(current.pos(), a.pos()) - distance2D(current.pos(), b.pos()));
-      current = candidates[0];
+      const prev = current;
+      current = this._nearestEnemies(
+        prev.pos(),
+        (SK.jumpRange || 0) + 2.5,
+        1,
+        (e) => e !== prev && this.hasLOS(prev.pos(), e.pos())
+      )[0];
     }
   }
 
@@ -489,18 +812,13 @@ export class SkillsSystem {
     // Auto-select point if none provided: choose nearest enemy within effective cast range
     if (!point) {
       const effRange = Math.max(WORLD.attackRange * (WORLD.attackRangeMult || 1), (SK.radius || 0) + 10);
-      let candidates = this.enemies.filter(
-        (e) => e.alive && distance2D(this.player.pos(), e.pos()) <= effRange + (SK.radius || 0)
-      );
-      if (candidates.length === 0) {
+      const nearest = this._nearestEnemies(this.player.pos(), effRange + (SK.radius || 0))[0];
+      if (!nearest) {
         // No nearby enemies; do not cast
         try { this.effects.showNoTargetHint?.(this.player, effRange); } catch (_) {}
         return;
       }
-      candidates.sort(
-        (a, b) => distance2D(this.player.pos(), a.pos()) - distance2D(this.player.pos(), b.pos())
-      );
-      point = __vA.copy(candidates[0].pos()).clone();
+      point = __vA.copy(nearest.pos()).clone();
     }
 
     if (!this.player.canSpend(SK.mana)) return;
@@ -528,12 +846,11 @@ export class SkillsSystem {
     audio.sfx("boom");
 
     // Damage enemies in radius and apply slow if present
-    this.enemies.forEach((en) => {
+    this._enemiesNear(point, SK.radius + 2.5).forEach((en) => {
       if (!en.alive) return;
       if (distance2D(en.pos(), point) <= (SK.radius + 2.5)) {
-        const dmg = this.scaleSkillDamage(SK.dmg || 0);
-        en.takeDamage(dmg);
-        try { this.effects.spawnDamagePopup(en.pos(), dmg, this._fx(SK).impact); } catch (e) {}
+        const hit = this._hit(SK, en, this.scaleSkillDamage(SK.dmg || 0));
+        try { this.effects.spawnDamagePopup(en.pos(), hit.amount, this._fx(SK).impact, { crit: hit.crit }); } catch (e) {}
         try {
           this.effects.spawnStrike(en.pos(), 1.0, this._fx(SK).impact);
           this.effects.spawnHitDecal(en.pos(), this._fx(SK).impact);
@@ -544,15 +861,7 @@ export class SkillsSystem {
           const cto = __vC.copy(en.pos()).add(__vB.set(0, 1.0, 0)).clone();
           this.effects.spawnArcNoisePath(cfrom, cto, this._fx(SK).arc, 0.08, 2);
         } catch (_) {}
-        if (SK.slowFactor) {
-          en.slowUntil = now() + (SK.slowDuration || 1.5);
-          en.slowFactor = SK.slowFactor;
-        }
-        if (SK.stunDuration) {
-          en.nextAttackReady = Math.max(en.nextAttackReady || 0, now() + SK.stunDuration);
-          en.slowUntil = Math.max(en.slowUntil || 0, now() + SK.stunDuration);
-          en.slowFactor = 0.0;
-        }
+        this._applyOnHit(SK, en);
         if (SK.knockback) {
           const dir = en.pos().clone().sub(point).setY(0);
           const len = dir.length() || 1;
@@ -621,9 +930,7 @@ export class SkillsSystem {
     } catch (e) {}
 
     const effRange = Math.max(SK.range || 0, WORLD.attackRange * (WORLD.attackRangeMult || 1));
-    let candidates = this.enemies.filter(
-      (e) => e.alive && distance2D(this.player.pos(), e.pos()) <= effRange
-    );
+    let candidates = this._targetsInRange(effRange);
     if (candidates.length === 0) {
       const fx = this._fx(SK);
       const from =
@@ -659,9 +966,9 @@ export class SkillsSystem {
     this.effects.spawnElectricBeamAuto(from, to, this._fx(SK).beam, 0.12); this._requestShake(this._fx(SK).shake);
     this.effects.spawnArcNoisePath(from, to, this._fx(SK).arc, 0.08, 2);
     audio.sfx("beam");
-    const dmg = this.scaleSkillDamage(SK.dmg || 0);
-    target.takeDamage(dmg);
-    try { this.effects.spawnDamagePopup(target.pos(), dmg, this._fx(SK).impact); } catch(e) {}
+    const hit = this._hit(SK, target, this.scaleSkillDamage(SK.dmg || 0));
+    this._applyOnHit(SK, target);
+    try { this.effects.spawnDamagePopup(target.pos(), hit.amount, this._fx(SK).impact, { crit: hit.crit }); } catch(e) {}
     this.effects.spawnStrike(target.pos(), 1.0, this._fx(SK).impact);
     try { this.effects.spawnHitDecal(target.pos(), this._fx(SK).impact); } catch(e) {}
   }
@@ -694,11 +1001,11 @@ export class SkillsSystem {
       }
     } catch (_) {}
     audio.sfx("boom");
-    this.enemies.forEach((en) => {
+    this._enemiesNear(this.player.pos(), SK.radius + 2.5).forEach((en) => {
       if (en.alive && distance2D(en.pos(), this.player.pos()) <= (SK.radius + 2.5)) {
-        const dmg = this.scaleSkillDamage(SK.dmg || 0);
-        en.takeDamage(dmg);
-        try { this.effects.spawnDamagePopup(en.pos(), dmg, this._fx(SK).impact); } catch(e) {}
+        const hit = this._hit(SK, en, this.scaleSkillDamage(SK.dmg || 0));
+        this._applyOnHit(SK, en);
+        try { this.effects.spawnDamagePopup(en.pos(), hit.amount, this._fx(SK).impact, { crit: hit.crit }); } catch(e) {}
         try {
           this.effects.spawnStrike(en.pos(), 1.0, this._fx(SK).impact);
           this.effects.spawnHitDecal(en.pos(), this._fx(SK).impact);
@@ -753,6 +1060,7 @@ export class SkillsSystem {
       fx,
       dmg,
       strikeRadius,
+      sk: SK,
     });
   }
 
@@ -813,18 +1121,15 @@ export class SkillsSystem {
     this.damageBuffUntil = now() + dur;
     // Optional movement speed boost
     if (SK.speedMult) {
-      this.player.speedBoostMul = Math.max(1.0, SK.speedMult);
-      this.player.speedBoostUntil = now() + dur;
+      applyStatus(this.player, "speedBoost", { duration: dur, mul: Math.max(1.0, SK.speedMult), source: SK.id });
     }
     // Optional attack speed boost (affects basic attack cooldown)
     if (SK.atkSpeedMult) {
-      this.player.atkSpeedMul = Math.max(0.5, SK.atkSpeedMult);
-      this.player.atkSpeedUntil = now() + dur;
+      applyStatus(this.player, "atkSpeed", { duration: dur, mul: Math.max(0.5, SK.atkSpeedMult), source: SK.id });
     }
     // Optional temporary damage reduction (defense)
     if (SK.defensePct) {
-      this.player.defensePct = Math.min(0.95, Math.max(0.05, SK.defensePct));
-      this.player.defenseUntil = now() + dur;
+      applyStatus(this.player, "defense", { duration: dur, pct: Math.min(0.95, Math.max(0.05, SK.defensePct)), source: SK.id });
     }
     try {
       this.effects.spawnHandFlash(this.player);
@@ -842,11 +1147,11 @@ export class SkillsSystem {
     this.startCooldown(key, SK.cd);
     const dur = Math.max(1, SK.duration || 6);
     const pct = Math.min(0.95, Math.max(0.05, SK.shieldPct || SK.defensePct || 0.4));
-    this.player.defensePct = pct;
-    this.player.defenseUntil = now() + dur;
+    // `shots` ("block" | "reflect") tells enemy projectiles (src/enemy_shots.js) what the bubble does to them
+    applyStatus(this.player, "defense", { duration: dur, pct, shots: SK.shots || null, reflectMul: SK.reflectMul || 1, source: SK.id });
     // Optional brief invulnerability window on cast
     if (SK.invulnDuration) {
-      this.player.invulnUntil = Math.max(this.player.invulnUntil || 0, now() + Math.max(0, SK.invulnDuration));
+      applyStatus(this.player, "invulnerable", { duration: SK.invulnDuration, source: SK.id });
     }
     try {
       this.effects.spawnHandFlash(this.player);
@@ -868,7 +1173,8 @@ export class SkillsSystem {
     const tick = Math.max(0.4, SK.tick || 0.8);
     const radius = Math.max(6, SK.radius || 18);
     const dmg = this.scaleSkillDamage(SK.dmg || 12);
-    this.totems.push({ pos, until: now() + duration, next: 0, tick, radius, dmg, fx: this._fx(SK) });
+    const until = now() + duration;
+    this.totems.push({ pos, until, next: 0, tick, radius, dmg, fx: this._fx(SK), sk: SK, decoy: this._addDecoy(SK, "totem", pos, until) });
     try { this.effects.spawnStrike(pos, 2.5, this._fx(SK).impact); } catch (_) {}
   }
 
@@ -876,13 +1182,13 @@ export class SkillsSystem {
     const SK = SKILLS[key]; if (!SK) return;
     if (this.isOnCooldown(key) || (SK.mana && !this.player.canSpend(SK.mana))) return;
     const effRange = Math.max(40, SK.range || 40);
-    const near = this.enemies.filter(e => e.alive && distance2D(this.player.pos(), e.pos()) <= effRange);
+    const near = this._targetsInRange(effRange);
     if (!near.length) { try { this.effects.showNoTargetHint(this.player, effRange); } catch(_) {} return; }
     const target = near.sort((a,b)=>distance2D(this.player.pos(),a.pos())-distance2D(this.player.pos(),b.pos()))[0];
     if (SK.mana) this.player.spend(SK.mana);
     this.startCooldown(key, SK.cd);
-    target.vulnMult = Math.max(1.1, SK.vulnMult || 1.35);
-    target.vulnUntil = now() + Math.max(2, SK.duration || 6);
+    applyStatus(target, "vulnerable", { duration: Math.max(2, SK.duration || 6), mul: Math.max(1.1, SK.vulnMult || 1.35), source: SK.id });
+    this._applyOnHit(SK, target);
     try {
       const to = target.pos().clone().add(new THREE.Vector3(0,1.2,0));
       const from = this.player.pos().clone().add(new THREE.Vector3(0,1.6,0));
@@ -893,6 +1199,79 @@ export class SkillsSystem {
     } catch (_) {}
   }
 
+  /**
+   * Skillshot: SK.count projectiles (fanned over SK.spread degrees) fly toward `point` — the mouse ground point
+   * (raycastGround) on desktop. Without one it aims at an enemy in the aim cone, then the nearest within reach
+   * (speed x lifetime), then straight ahead. Damage lands on contact; pierce/bounces decide what happens next.
+   */
+  _castProjectile(key, point = null) {
+    const SK = SKILLS[key];
+    if (!SK) return;
+    if (this.isOnCooldown(key) || (SK.mana && !this.player.canSpend(SK.mana))) return;
+
+    const origin = this.player.pos();
+    const reach = (SK.speed || 20) * (SK.lifetime || 1.5);
+    let aim = point;
+    if (!aim) {
+      const inRange = this._targetsInRange(reach);
+      const target = this._pickTargetInAim(reach, 12) || inRange.sort(
+        (a, b) => distance2D(origin, a.pos()) - distance2D(origin, b.pos())
+      )[0];
+      if (target) aim = target.pos();
+    }
+    const from = this.player.mesh.userData && this.player.mesh.userData.handAnchor
+      ? handWorldPos(this.player)
+      : origin.clone().add(new THREE.Vector3(0, 1.4, 0));
+    // Aim from the hand so the shot passes over the aim point
+    const dir = aim ? new THREE.Vector3(aim.x - from.x, 0, aim.z - from.z) : new THREE.Vector3();
+    if (dir.lengthSq() < 1e-6) dir.set(0, 0, 1).applyQuaternion(this.player.mesh.quaternion).setY(0);
+    if (dir.lengthSq() < 1e-6) dir.set(0, 0, 1);
+    dir.normalize();
+
+    if (SK.mana) this.player.spend(SK.mana);
+    this.startCooldown(key, SK.cd);
+    // Turn the hero toward the shot (main.js eases the facing)
+    this.player.lastFacingYaw = Math.atan2(dir.x, dir.z);
+    this.player.lastFacingUntil = now() + 0.6;
+
+    const fx = this._fx(SK);
+    const dmg = this.scaleSkillDamage(SK.dmg || 0);
+    const count = Math.max(1, Math.floor(SK.count || 1));
+    const spread = ((SK.spread || 0) * Math.PI) / 180;
+    for (let i = 0; i < count; i++) {
+      const ang = count > 1 ? -spread / 2 + (spread * i) / (count - 1) : 0;
+      const d = dir.clone().applyAxisAngle(__vA.set(0, 1, 0), ang);
+      this.projectiles.spawn({
+        from,
+        dir: d,
+        speed: SK.speed,
+        lifetime: SK.lifetime,
+        hitRadius: SK.hitRadius,
+        pierce: SK.pierce,
+        bounces: SK.bounces,
+        bounceRange: SK.bounceRange,
+        sk: SK,
+        color: fx.beam,
+        impact: fx.impact,
+        mesh: this.effects.spawnProjectile?.(from, fx.beam, SK.size || 0.3, SK.shape || "orb"),
+        onHit: (en) => this._projectileHit(SK, en, dmg),
+      });
+    }
+    try { audio.sfx("cast_beam"); } catch (_) {}
+    this._requestShake(fx.shake || 0);
+  }
+
+  _projectileHit(SK, en, dmg) {
+    const hit = this._hit(SK, en, dmg);
+    this._applyOnHit(SK, en);
+    const fx = this._fx(SK);
+    try {
+      this.effects.spawnDamagePopup(en.pos(), hit.amount, fx.impact, { crit: hit.crit });
+      this.effects.spawnStrike(en.pos(), 0.8, fx.impact);
+      this.effects.spawnHitDecal(en.pos(), fx.impact);
+    } catch (_) {}
+  }
+
   _castBlink(key, point = null) {
     const SK = SKILLS[key]; if (!SK) return;
     if (this.isOnCooldown(key) || !this.player.canSpend(SK.mana)) return;
@@ -927,9 +1306,12 @@ export class SkillsSystem {
       const r = Math.max(4, SK.explosionRadius);
       this.effects.spawnStrike(this.player.pos(), r, this._fx(SK).ring);
       const boomDmg = this.scaleSkillDamage(SK.explosionDmg || (SK.dmg || 12));
-      this.enemies.forEach(en => {
+      this._enemiesNear(this.player.pos(), r + 2.5).forEach(en => {
         if (!en.alive) return;
-        if (distance2D(en.pos(), this.player.pos()) <= (r + 2.5)) en.takeDamage(boomDmg);
+        if (distance2D(en.pos(), this.player.pos()) <= (r + 2.5)) {
+          this._hit(SK, en, boomDmg);
+          this._applyOnHit(SK, en);
+        }
       });
       this._requestShake(this._fx(SK).shake || 0.3);
     }
@@ -961,9 +1343,12 @@ export class SkillsSystem {
         try { this.effects.spawnRingPulse(p, 1.6, fx.ring, 0.25, 0.5, 0.35); } catch (_) {}
         const rad = SK.trailRadius || 4;
         const tickDmg = this.scaleSkillDamage(SK.trailDmg || 6);
-        this.enemies.forEach(en => {
+        this._enemiesNear(p, rad).forEach(en => {
           if (!en.alive) return;
-          if (distance2D(en.pos(), p) <= rad) en.takeDamage(tickDmg);
+          if (distance2D(en.pos(), p) <= rad) {
+            this._hit(SK, en, tickDmg, { canCrit: false });
+            this._applyOnHit(SK, en);
+          }
         });
       }
     } catch (_) {}
@@ -982,7 +1367,8 @@ export class SkillsSystem {
     const dmg = this.scaleSkillDamage(SK.dmg || 16);
     const anchor = this.player.pos().clone();
     // schedule a thunder image that periodically zaps nearby enemies
-    this.clones.push({ until: now() + duration, next: 0, rate, radius, dmg, pos: anchor, shook: false });
+    const until = now() + duration;
+    this.clones.push({ until, next: 0, rate, radius, dmg, pos: anchor, shook: false, sk: SK, decoy: this._addDecoy(SK, "clone", anchor, until) });
     try { this.effects.spawnHandFlash(this.player); audio.sfx("aura_on"); } catch(e) {}
     try {
       const fx = this._fx(SK);
@@ -1011,6 +1397,172 @@ export class SkillsSystem {
     return this.castSkill("R");
   }
 
+  // ----- Held skills (charge / channel) -----
+  // Cooldowns start when a held skill ends, so holding never shortens one.
+
+  /** True when the skill in `key` is released on key-up (charge / channel types). */
+  isHoldSkill(key) {
+    const SK = SKILLS[key];
+    return !!SK && HOLD_TYPES.has(SK.type);
+  }
+
+  /** Skillshots that take the cursor ground point from input (projectile type). */
+  isAimedSkill(key) {
+    const SK = SKILLS[key];
+    return !!SK && SK.type === "projectile";
+  }
+
+  /** True while `key` (any key when omitted) is charging or channelling. */
+  isHolding(key = null) {
+    return !!this.holding && (key == null || this.holding.key === key);
+  }
+
+  _startCharge(key, point) {
+    const SK = SKILLS[key];
+    if (!SK || this.holding) return;
+    if (this.isOnCooldown(key) || !this.player.canSpend(SK.mana || 0)) return;
+    if (SK.mana) this.player.spend(SK.mana);
+    this.holding = { key, sk: SK, kind: "charge", start: now(), point: point ? point.clone() : null, nextFx: 0 };
+    try { audio.sfx("cast"); } catch (_) {}
+  }
+
+  _startChannel(key) {
+    const SK = SKILLS[key];
+    if (!SK || this.holding) return;
+    if (this.isOnCooldown(key) || !this.player.canSpend(SK.mana || 0)) return;
+    const target = this._channelTarget(SK, null);
+    if (!target) {
+      try { this.effects.showNoTargetHint?.(this.player, SK.range || 30); } catch (_) {}
+      return;
+    }
+    if (SK.mana) this.player.spend(SK.mana);
+    this.holding = { key, sk: SK, kind: "channel", start: now(), target, nextTick: now() };
+    this._applySelfStatuses(SK);
+    recordCast(this._lastCasts, SK, now());
+    try { audio.sfx("cast_beam"); } catch (_) {}
+  }
+
+  // Keep the current channel target while it is alive, in range and in sight, else aim cone, else nearest
+  _channelTarget(SK, current) {
+    const range = SK.range || 30;
+    if (current && this._targetable(current, range)) return current;
+    const inRange = this._targetsInRange(range);
+    if (!inRange.length) return null;
+    return this._pickTargetInAim(range, 12) || inRange.sort(
+      (a, b) => distance2D(this.player.pos(), a.pos()) - distance2D(this.player.pos(), b.pos())
+    )[0];
+  }
+
+  /**
+   * Key-up / touch release: fires a charge at its current strength or stops a channel.
+   * @param {string|null} key - slot key, or null for whatever is held
+   */
+  releaseSkill(key = null) {
+    const h = this.holding;
+    if (!h || (key != null && h.key !== key)) return;
+    this.holding = null;
+    if (h.kind === "charge") this._fireCharge(h);
+    else this.startCooldown(h.key, h.sk.cd);
+  }
+
+  /** Drop a held skill without firing it (death, map change); the cooldown still starts. */
+  cancelHold() {
+    const h = this.holding;
+    if (!h) return;
+    this.holding = null;
+    this.startCooldown(h.key, h.sk.cd);
+  }
+
+  _fireCharge(h) {
+    const SK = h.sk;
+    const ratio = chargeRatio(SK, now() - h.start);
+    const radius = Math.max(1, (SK.radius || 8) * chargeMul(SK, "radius", ratio));
+    const dmg = this.scaleSkillDamage((SK.dmg || 0) * chargeMul(SK, "dmg", ratio));
+    this.startCooldown(h.key, SK.cd);
+    this._applySelfStatuses(SK);
+    recordCast(this._lastCasts, SK, now());
+
+    const center = __vA.copy(this.player.pos()).clone();
+    const fx = this._fx(SK);
+    try {
+      this.effects.spawnStrike(center, radius, fx.ring);
+      this.effects.spawnRingPulse(center, radius, fx.ring, 0.45, 0.9, 0.5);
+      this._burstArcs(center, radius, SK, 2 + Math.round(ratio * 4));
+      audio.sfx("boom");
+    } catch (_) {}
+    this._requestShake((fx.shake || 0) * (0.5 + ratio * 0.5));
+
+    this._enemiesNear(center, radius + 1).forEach((en) => {
+      if (!en.alive) return;
+      const hit = this._hit(SK, en, dmg);
+      this._applyOnHit(SK, en);
+      try {
+        this.effects.spawnDamagePopup(en.pos(), hit.amount, fx.impact, { crit: hit.crit });
+        this.effects.spawnStrike(en.pos(), 1.0, fx.impact);
+      } catch (_) {}
+    });
+  }
+
+  // Per-frame: charge crackle and overhold auto-fire; channel mana drain, ticks and end conditions
+  runHold(dt) {
+    const h = this.holding;
+    if (!h) return;
+    if (!this.player.alive) { this.cancelHold(); return; }
+    const t = now();
+    const SK = h.sk;
+    const elapsed = t - h.start;
+
+    if (h.kind === "charge") {
+      if (elapsed >= (SK.maxCharge || 1.5) + CHARGE_OVERHOLD) { this.releaseSkill(h.key); return; }
+      if (t >= h.nextFx) {
+        h.nextFx = t + 0.2;
+        const ratio = chargeRatio(SK, elapsed);
+        try {
+          this.effects.spawnHandCrackle(this.player, false, 0.4 + ratio);
+          this.effects.spawnHandCrackle(this.player, true, 0.4 + ratio);
+        } catch (_) {}
+      }
+      return;
+    }
+
+    if (elapsed >= (SK.duration || 4)) { this.releaseSkill(h.key); return; }
+    const drain = (SK.manaPerSec || 0) * Math.max(0, dt || 0);
+    if (drain > 0) {
+      if (!this.player.canSpend(drain)) { this.releaseSkill(h.key); return; }
+      this.player.spend(drain);
+    }
+    if (t < h.nextTick) return;
+    const target = this._channelTarget(SK, h.target);
+    if (!target) { this.releaseSkill(h.key); return; }
+    h.target = target;
+    h.nextTick = t + Math.max(0.05, SK.tick || 0.25);
+
+    const fx = this._fx(SK);
+    const from = this.player.mesh.userData?.handAnchor ? handWorldPos(this.player) : __vA.copy(this.player.pos()).add(__vB.set(0, 1.6, 0)).clone();
+    const to = __vC.copy(target.pos()).add(__vB.set(0, 1.2, 0)).clone();
+    try {
+      this.effects.spawnElectricBeamAuto(from, to, fx.beam, Math.max(0.08, SK.tick || 0.25));
+      this.effects.spawnStrike(target.pos(), 0.8, fx.impact);
+    } catch (_) {}
+    // Beam ticks count as periodic damage: no crits
+    const hit = this._hit(SK, target, this.scaleSkillDamage(SK.dmg || 0), { canCrit: false });
+    this._applyOnHit(SK, target);
+    try { this.effects.spawnDamagePopup(target.pos(), hit.amount, fx.impact); } catch (_) {}
+  }
+
+  /**
+   * HUD cast bar data while a skill is held, else null.
+   * Charge: ratio fills to 1 at maxCharge (full: true). Channel: ratio drains from 1 over duration.
+   * @returns {{key: string, id: string, name: string, kind: string, ratio: number, full: boolean}|null}
+   */
+  getCastInfo() {
+    const h = this.holding;
+    if (!h) return null;
+    const elapsed = now() - h.start;
+    const ratio = h.kind === "charge" ? chargeRatio(h.sk, elapsed) : clamp01(1 - elapsed / (h.sk.duration || 4));
+    return { key: h.key, id: h.sk.id, name: h.sk.name, kind: h.kind, ratio, full: h.kind === "charge" && ratio >= 1 };
+  }
+
   runStaticField(dt, t) {
     if (!this.player.staticField.active) return;
     if (t > this.player.staticField.until) {
@@ -1069,10 +1621,11 @@ export class SkillsSystem {
       } catch (_) {}
 
       const dmg = this.scaleSkillDamage(SKILLS.E.dmg || 0);
-      this.enemies.forEach((en) => {
+      this._enemiesNear(this.player.pos(), SKILLS.E.radius + 2.5).forEach((en) => {
         if (en.alive && distance2D(en.pos(), this.player.pos()) <= (SKILLS.E.radius + 2.5)) {
-          en.takeDamage(dmg);
-          try { this.effects.spawnDamagePopup(en.pos(), dmg, fx.impact); } catch(e) {}
+          const hit = this._hit(SKILLS.E, en, dmg, { canCrit: false });
+          this._applyOnHit(SKILLS.E, en);
+          try { this.effects.spawnDamagePopup(en.pos(), hit.amount, fx.impact); } catch(e) {}
           try {
             this.effects.spawnStrike(en.pos(), 0.9, fx.impact);
             this.effects.spawnHitDecal(en.pos(), fx.impact);
@@ -1095,7 +1648,7 @@ export class SkillsSystem {
 
         // Prefer striking a random enemy inside the area; fallback to ground point
         let impact = null;
-        const inArea = this.enemies.filter(en => en.alive && distance2D(en.pos(), s.center) <= (s.radius || 0));
+        const inArea = this._enemiesNear(s.center, s.radius || 0);
         if (inArea.length > 0) {
           const target = inArea[Math.floor(Math.random() * inArea.length)];
           impact = __vA.copy(target.pos()).clone();
@@ -1113,11 +1666,12 @@ export class SkillsSystem {
         // Damage around impact
         const hitR = Math.max(0.5, s.strikeRadius || 2.5);
         try { this.effects.spawnRingPulse(impact, Math.max(1.4, hitR), (s.fx?.ring || s.fx?.impact || 0xbfe2ff), 0.3, 0.6, 0.4); } catch (_) {}
-        this.enemies.forEach((en) => {
+        this._enemiesNear(impact, hitR).forEach((en) => {
           if (!en.alive) return;
           if (distance2D(en.pos(), impact) <= hitR) {
-            en.takeDamage(s.dmg || 0);
-            try { this.effects.spawnDamagePopup(en.pos(), s.dmg || 0, s.fx?.impact || 0xbfe2ff); } catch(e) {}
+            const hit = this._hit(s.sk, en, s.dmg || 0);
+            this._applyOnHit(s.sk, en);
+            try { this.effects.spawnDamagePopup(en.pos(), hit.amount, s.fx?.impact || 0xbfe2ff, { crit: hit.crit }); } catch(e) {}
           }
         });
 
@@ -1145,7 +1699,7 @@ export class SkillsSystem {
       if (t >= c.until) { this.clones.splice(i, 1); continue; }
       if (!c.next || t >= c.next) {
         // find a nearby enemy
-        const near = this.enemies.filter(e => e.alive && distance2D(c.pos, e.pos()) <= c.radius);
+        const near = this._enemiesNear(c.pos, c.radius);
         if (near.length) {
           const target = near[Math.floor(Math.random() * near.length)];
           // stationary clone position (around anchor)
@@ -1159,7 +1713,8 @@ export class SkillsSystem {
             audio.sfx("chain_hit");
             this.effects.spawnStrike(target.pos(), 0.9, 0x9fd3ff);
           } catch (e) {}
-          target.takeDamage(c.dmg);
+          this._hit(c.sk, target, c.dmg, { source: c.decoy });
+          this._applyOnHit(c.sk, target, { source: c.decoy });
           if (!c.shook) { this._requestShake(0.2); c.shook = true; }
         }
         // schedule next zap
@@ -1184,9 +1739,12 @@ export class SkillsSystem {
           this.effects.spawnRingPulse(pt, 1.8, col, 0.25, 0.45, 0.4);
         } catch (_) {}
         const dmg = tot.dmg || 10;
-        this.enemies.forEach(en => {
+        this._enemiesNear(pt, 4.0).forEach(en => {
           if (!en.alive) return;
-          if (distance2D(en.pos(), pt) <= 4.0) en.takeDamage(dmg);
+          if (distance2D(en.pos(), pt) <= 4.0) {
+            this._hit(tot.sk, en, dmg, { source: tot.decoy });
+            this._applyOnHit(tot.sk, en, { source: tot.decoy });
+          }
         });
         tot.next = t + (tot.tick || 1.0);
       }
@@ -1243,6 +1801,21 @@ export class SkillsSystem {
           mkRing(this.player.pos(), r, fx.ring, 0.18);
           break;
         }
+        case "projectile": {
+          // Harmless shot straight ahead
+          const fx = this._fx(def);
+          const dir = new THREE.Vector3(0, 0, 1).applyQuaternion(this.player.mesh.quaternion).setY(0);
+          this.projectiles.spawn({
+            from,
+            dir,
+            speed: def.speed,
+            lifetime: Math.min(1, def.lifetime || 1),
+            hitRadius: def.hitRadius,
+            color: fx.beam,
+            mesh: this.effects.spawnProjectile?.(from, fx.beam, def.size || 0.3, def.shape || "orb"),
+          });
+          break;
+        }
         case "chain":
         case "beam": {
           const fx = this._fx(def);
@@ -1276,6 +1849,12 @@ export class SkillsSystem {
     this.runClones();
     // Totems processing
     this.runTotems();
+    // Charge / channel in progress
+    this.runHold(dt);
+    // Buffered presses and cast-when-in-range
+    this.runCastQueue();
+    // Projectiles in flight
+    this.projectiles.update(dt);
     // Cooldown UI every frame
     this.updateCooldownUI();
 
@@ -1292,3 +1871,14 @@ export class SkillsSystem {
 function clamp01(v) {
   return Math.max(0, Math.min(1, v));
 }
+
+// Charge progress 0..1 after `held` seconds (full at SK.maxCharge)
+function chargeRatio(SK, held) {
+  return clamp01(held / Math.max(0.1, SK.maxCharge || 1.5));
+}
+
+// Stat multiplier at `ratio`: 1 when tapped, SK.chargeScale[stat] at full charge
+function chargeMul(SK, stat, ratio) {
+  const full = Number(SK.chargeScale && SK.chargeScale[stat]);
+  return Number.isFinite(full) && full > 0 ? 1 + (full - 1) * ratio : 1;
+}
@@ -8,6 +8,31 @@
  *  - arc: secondary arc color (hex)
  *  - hand: hand flash tint (hex)
  *  - shake: camera shake magnitude (0..1)
+ *
+ * Status effects (src/status_effects.js; STATUS_DEFS ids and params):
+ *  - slowFactor / slowDuration: shorthand for a "slow" status on every enemy hit
+ *  - stunDuration: shorthand for a "stun" status on every enemy hit
+ *  - statuses: [{ id, duration, ...params }] applied to every enemy hit ("dmg" scales like skill damage)
+ *  - selfStatuses: [{ id, duration, ...params }] applied to the hero when the skill is cast
+ *
+ * Ranks (src/skill_ranks.js):
+ *  - ranks: { costs, per } — costs[i] skill points buy rank i + 2 (max rank = costs.length + 1);
+ *    per: stat deltas added once per rank above 1 (e.g. dmg, jumps, radius, negative cd)
+ *
+ * Held types (released on key-up / touch release; src/skills.js releaseSkill):
+ *  - charge: maxCharge seconds to full; chargeScale: { dmg, radius } multipliers at full charge (1 when tapped).
+ *    Mana is paid when the charge starts, the cooldown when it fires.
+ *  - channel: beam on one target; tick seconds between hits, manaPerSec drained while held, duration max seconds.
+ *
+ * Projectile type (src/projectiles.js; aimed at the cursor ground point):
+ *  - speed units/s, lifetime seconds, hitRadius collision radius, size / shape ("orb" | "bolt") body look
+ *  - pierce: extra enemies passed through; bounces: wall reflections / redirects to the next enemy within bounceRange
+ *  - count / spread: projectiles per cast fanned over spread degrees (default 1)
+ *
+ * Synergies (src/synergies.js):
+ *  - synergies: [{ id, on: "cast"|"hit", icon, ...conditions, ...effects }] combo rules, e.g.
+ *    { "on": "hit", "targetStatus": "vulnerable", "dmgPct": 0.6, "consume": true } detonates a mark;
+ *    { "on": "cast", "aura": true, "mul": { "strikes": 2 } } doubles storm strikes over an active aura
  */
 export const SKILL_POOL = [
   {
@@ -23,6 +48,8 @@ export const SKILL_POOL = [
     "dmg": 24,
     "slowFactor": 0.25,
     "slowDuration": 0.9,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 3, "jumps": 1, "cd": -0.2 } },
+    "synergies": [{ "id": "detonate_mark", "on": "hit", "icon": "💥", "targetStatus": "vulnerable", "dmgPct": 0.6, "consume": true }],
     "effects": {
       "beam": "0xdff3ff",
       "arc": "0xbfe9ff",
@@ -45,6 +72,8 @@ export const SKILL_POOL = [
     "dmg": 35,
     "slowFactor": 0.45,
     "slowDuration": 1.5,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 4, "radius": 1, "cd": -0.4 } },
+    "synergies": [{ "id": "dash_landing", "on": "cast", "icon": "💨", "after": "lightning_dash", "within": 3, "mul": { "radius": 1.3 } }],
     "effects": {
       "ring": "0xffa54d",
       "impact": "0xffd86a",
@@ -67,6 +96,7 @@ export const SKILL_POOL = [
     "dmg": 8,
     "duration": 10,
     "manaPerTick": 2,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 1, "radius": 1, "duration": 1 } },
     "effects": {
       "ring": "0x7fc7ff",
       "impact": "0x7fc7ff",
@@ -87,6 +117,8 @@ export const SKILL_POOL = [
     "strikes": 22,
     "dmg": 20,
     "duration": 7,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 2, "strikes": 3, "cd": -1.1 } },
+    "synergies": [{ "id": "supercell", "on": "cast", "icon": "🌩️", "aura": true, "mul": { "strikes": 2 } }],
     "effects": {
       "impact": "0xb5e2ff",
       "ring": "0x88ccff",
@@ -105,6 +137,7 @@ export const SKILL_POOL = [
     "mana": 14,
     "range": 36,
     "dmg": 22,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 3, "range": 2, "cd": -0.1 } },
     "effects": {
       "beam": "0xdff6ff",
       "impact": "0xdeeaff",
@@ -123,6 +156,8 @@ export const SKILL_POOL = [
     "mana": 26,
     "radius": 14,
     "dmg": 30,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 4, "radius": 1, "cd": -0.6 } },
+    "synergies": [{ "id": "conductive", "on": "hit", "icon": "🧊", "targetStatus": "slow", "dmgPct": 0.3 }],
     "effects": {
       "ring": "0x66ffe0",
       "impact": "0x99ffee",
@@ -144,6 +179,7 @@ export const SKILL_POOL = [
     "dmg": 6,
     "duration": 9,
     "manaPerTick": 2.5,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 1, "radius": 1, "duration": 1 } },
     "effects": {
       "ring": "0xffef85",
       "impact": "0xffd86a",
@@ -165,6 +201,7 @@ export const SKILL_POOL = [
     "dmg": 7,
     "duration": 8,
     "manaPerTick": 2,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 1, "radius": 1, "duration": 1 } },
     "effects": {
       "ring": "0x9fd8ff",
       "impact": "0x9fd8ff",
@@ -186,6 +223,7 @@ export const SKILL_POOL = [
     "dmg": 9,
     "duration": 9,
     "manaPerTick": 3,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 1, "radius": 1, "duration": 1 } },
     "effects": {
       "ring": "0xbfe9ff",
       "impact": "0x7fc7ff",
@@ -204,13 +242,15 @@ export const SKILL_POOL = [
     "mana": 16,
     "range": 48,
     "dmg": 20,
+    "statuses": [{ "id": "burn", "duration": 3, "dmg": 3 }],
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 3, "range": 2, "cd": -0.1 } },
     "effects": {
       "beam": "0x88ccff",
       "impact": "0xa0ddff",
       "hand": "0x88ccff",
       "shake": 0.22
     },
-    "description": "Launch a concentrated bolt that instantly hits the first enemy in line.",
+    "description": "Launch a concentrated bolt that instantly hits the first enemy in line and sets it burning.",
     "behavior": "On cast:\n- Hitscan along aim up to range (LoS required).\n- First enemy hit takes dmg electric. Play effects.beam along path and effects.impact at hit; effects.hand at cast; apply camera shake effects.shake.\n- If no hit, show a brief beam to max range; cost consumed."
   },
   {
@@ -222,6 +262,7 @@ export const SKILL_POOL = [
     "mana": 18,
     "range": 52,
     "dmg": 28,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 4, "range": 2, "cd": -0.2 } },
     "effects": {
       "beam": "0xff88e6",
       "impact": "0xffa5ee",
@@ -240,6 +281,7 @@ export const SKILL_POOL = [
     "mana": 15,
     "range": 40,
     "dmg": 24,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 4, "range": 2, "cd": -0.1 } },
     "effects": {
       "beam": "0xff6050",
       "impact": "0xff8a7a",
@@ -260,6 +302,7 @@ export const SKILL_POOL = [
     "strikes": 14,
     "dmg": 18,
     "duration": 5.5,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 2, "strikes": 2, "cd": -0.9 } },
     "effects": {
       "impact": "0xcc99ff",
       "ring": "0xa97bff",
@@ -280,6 +323,7 @@ export const SKILL_POOL = [
     "strikes": 28,
     "dmg": 18,
     "duration": 8,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 2, "strikes": 3, "cd": -1.2 } },
     "effects": {
       "impact": "0x88bbff",
       "ring": "0x66aaff",
@@ -300,13 +344,15 @@ export const SKILL_POOL = [
     "strikes": 20,
     "dmg": 19,
     "duration": 6.5,
+    "statuses": [{ "id": "shock", "duration": 4, "dmg": 4, "amp": 0.05 }],
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 2, "strikes": 2, "cd": -1 } },
     "effects": {
       "impact": "0x88ffee",
       "ring": "0x66ffe0",
       "hand": "0x66ffe0",
       "shake": 0.38
     },
-    "description": "A balanced, mobile storm of ionizing strikes.",
+    "description": "A balanced, mobile storm of ionizing strikes that shock enemies, making them take more damage.",
     "behavior": "On cast:\n- Stationary storm at cast position for duration.\n- Spawn strikes using accumulator at rate = strikes / duration; each strike targets a random enemy in radius or a random point.\n- Impact deals dmg to enemies within strikeRadius = 2.5 units; play effects.impact and shake with intensity effects.shake.\n- On cast, show effects.ring and effects.hand. Ignores LoS."
   },
   {
@@ -320,6 +366,7 @@ export const SKILL_POOL = [
     "dmg": 32,
     "slowFactor": 0.4,
     "slowDuration": 1.2,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 4, "radius": 1, "cd": -0.5 } },
     "effects": {
       "ring": "0x7dd3ff",
       "impact": "0x9bdfff",
@@ -338,6 +385,7 @@ export const SKILL_POOL = [
     "mana": 22,
     "radius": 12,
     "dmg": 24,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 3, "radius": 1, "cd": -0.5 } },
     "effects": {
       "ring": "0x88ccff",
       "impact": "0xa0ddff",
@@ -358,6 +406,7 @@ export const SKILL_POOL = [
     "dmg": 34,
     "slowFactor": 0.5,
     "slowDuration": 1.3,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 4, "radius": 1, "cd": -0.6 } },
     "effects": {
       "ring": "0xff6a6a",
       "impact": "0xff9494",
@@ -378,6 +427,7 @@ export const SKILL_POOL = [
     "dmg": 18,
     "slowFactor": 0.7,
     "slowDuration": 2.8,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 2, "radius": 1, "cd": -0.8 } },
     "effects": {
       "ring": "0xc080ff",
       "impact": "0xe0a0ff",
@@ -400,6 +450,7 @@ export const SKILL_POOL = [
     "dmg": 28,
     "slowFactor": 0.2,
     "slowDuration": 1.0,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 3, "jumps": 1, "cd": -0.3 } },
     "effects": {
       "beam": "0xcfefff",
       "arc": "0xbfe9ff",
@@ -424,6 +475,7 @@ export const SKILL_POOL = [
     "dmg": 20,
     "slowFactor": 0.15,
     "slowDuration": 1.2,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 2, "jumps": 1, "cd": -0.4 } },
     "effects": {
       "beam": "0x88e0ff",
       "arc": "0xa0eaff",
@@ -443,6 +495,7 @@ export const SKILL_POOL = [
     "cd": 14,
     "mana": 24,
     "heal": 55,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "heal": 8, "cd": -0.7 } },
     "effects": {
       "impact": "0x85ffb2",
       "ring": "0x66ff99",
@@ -460,13 +513,15 @@ export const SKILL_POOL = [
     "cd": 30,
     "mana": 40,
     "heal": 160,
+    "selfStatuses": [{ "id": "regen", "duration": 8, "hpPct": 0.02 }],
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "heal": 24, "cd": -1.5 } },
     "effects": {
       "impact": "0x66ff99",
       "ring": "0x55ff88",
       "hand": "0x88ffd0",
       "shake": 0.25
     },
-    "description": "A potent self-heal channeling celestial thunder.",
+    "description": "A potent self-heal channeling celestial thunder, followed by a lingering regeneration.",
     "behavior": "On cast:\n- Instantly heal the caster for heal health (clamped to max HP).\n- Play brighter effects.hand and effects.impact on caster plus a brief green effects.ring; moderate camera shake effects.shake.\n- Self-only; no LoS required."
   },
   {
@@ -477,6 +532,7 @@ export const SKILL_POOL = [
     "cd": 12,
     "mana": 0,
     "restore": 40,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "restore": 6, "cd": -0.6 } },
     "effects": {
       "impact": "0x88aaff",
       "ring": "0x99bbff",
@@ -494,6 +550,7 @@ export const SKILL_POOL = [
     "cd": 28,
     "mana": 0,
     "restore": 120,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "restore": 18, "cd": -1.4 } },
     "effects": {
       "impact": "0x66ccff",
       "ring": "0x55bbff",
@@ -513,6 +570,7 @@ export const SKILL_POOL = [
     "buffMult": 1.4,
     "buffDuration": 8,
     "speedMult": 1.35,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "buffDuration": 1, "cd": -1 } },
     "effects": {
       "impact": "0xffd86a",
       "ring": "0xffef85",
@@ -533,6 +591,7 @@ export const SKILL_POOL = [
     "buffDuration": 7,
     "speedMult": 1.25,
     "atkSpeedMult": 1.6,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "buffDuration": 1, "cd": -1.1 } },
     "effects": {
       "impact": "0xfff07a",
       "ring": "0xffe16a",
@@ -552,6 +611,7 @@ export const SKILL_POOL = [
     "buffMult": 1.1,
     "buffDuration": 8,
     "defensePct": 0.35,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "buffDuration": 1, "cd": -1.3 } },
     "effects": {
       "impact": "0x88ffd0",
       "ring": "0x66ffc2",
@@ -571,14 +631,16 @@ export const SKILL_POOL = [
     "duration": 6,
     "shieldPct": 0.45,
     "invulnDuration": 0.25,
+    "shots": "block",
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "duration": 0.5, "shieldPct": 0.04 } },
     "effects": {
       "impact": "0x88ffd0",
       "ring": "0x66ffc2",
       "hand": "0x66ffc2",
       "shake": 0.22
     },
-    "description": "Erect a barrier of storm energy that absorbs damage with a brief invulnerability.",
-    "behavior": "On cast:\n- Grant the caster a damage-absorbing shield equal to shieldPct of max HP for duration seconds.\n- Additionally, apply brief invulnerability (ignore all damage) for invulnDuration starting at cast time.\n- The shield depletes from incoming damage (post-mitigation) and ends early if it reaches 0. The invulnerability and shield do not reflect damage.\n- Does not stack with another active shield of the same skill; recasting refreshes the shield value and timers.\n- Visuals: effects.hand, shimmering teal bubble (effects.ring), and effects.impact on cast; camera shake effects.shake."
+    "description": "Erect a barrier of storm energy that absorbs damage with a brief invulnerability and stops enemy shots.",
+    "behavior": "On cast:\n- Grant the caster a damage-absorbing shield equal to shieldPct of max HP for duration seconds.\n- Additionally, apply brief invulnerability (ignore all damage) for invulnDuration starting at cast time.\n- The shield depletes from incoming damage (post-mitigation) and ends early if it reaches 0. The invulnerability and shield do not reflect damage.\n- While it lasts, enemy projectiles (shots) break on the barrier without dealing damage.\n- Does not stack with another active shield of the same skill; recasting refreshes the shield value and timers.\n- Visuals: effects.hand, shimmering teal bubble (effects.ring), and effects.impact on cast; camera shake effects.shake."
   },
   {
     "id": "tempest_guard",
@@ -590,14 +652,17 @@ export const SKILL_POOL = [
     "duration": 5,
     "shieldPct": 0.6,
     "invulnDuration": 0.5,
+    "shots": "reflect",
+    "reflectMul": 1.5,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "duration": 0.5, "shieldPct": 0.04 } },
     "effects": {
       "impact": "0xffe085",
       "ring": "0xffcf6a",
       "hand": "0xffe085",
       "shake": 0.28
     },
-    "description": "A stronger but shorter guard with longer brief invulnerability.",
-    "behavior": "On cast:\n- Apply a shield to the caster equal to shieldPct of max HP for duration.\n- Provide invulnerability for invulnDuration at cast start.\n- Shield ends early if depleted; recasting overwrites and refreshes. Does not stack with Storm Barrier unless your system allows different shield sources to coexist (default: last applied wins).\n- Visuals: warm golden effects.hand, effects.ring on caster, and effects.impact; moderate camera shake."
+    "description": "A stronger but shorter guard with longer brief invulnerability that reflects enemy shots.",
+    "behavior": "On cast:\n- Apply a shield to the caster equal to shieldPct of max HP for duration.\n- Provide invulnerability for invulnDuration at cast start.\n- While it lasts, enemy projectiles (shots) are reflected back toward their shooter, dealing reflectMul x their damage to the first enemy they hit.\n- Shield ends early if depleted; recasting overwrites and refreshes. Does not stack with Storm Barrier unless your system allows different shield sources to coexist (default: last applied wins).\n- Visuals: warm golden effects.hand, effects.ring on caster, and effects.impact; moderate camera shake."
   },
   {
     "id": "lightning_dash",
@@ -607,6 +672,7 @@ export const SKILL_POOL = [
     "cd": 7,
     "mana": 16,
     "distance": 14,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "distance": 2, "cd": -0.4 } },
     "effects": {
       "impact": "0x9fd8ff",
       "ring": "0x9fd8ff",
@@ -624,6 +690,7 @@ export const SKILL_POOL = [
     "cd": 12,
     "mana": 24,
     "range": 24,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "range": 2, "cd": -0.6 } },
     "effects": {
       "impact": "0xbfe9ff",
       "ring": "0xbfe9ff",
@@ -644,14 +711,158 @@ export const SKILL_POOL = [
     "rate": 0.5,
     "radius": 26,
     "dmg": 18,
+    "taunt": 30,
+    "tauntRadius": 14,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 2, "duration": 1 } },
     "effects": {
       "impact": "0x9fd8ff",
       "ring": "0x9fd8ff",
       "hand": "0x9fd8ff",
       "shake": 0.2
     },
-    "description": "Summon a stormy duplicate that auto-attacks nearby enemies.",
-    "behavior": "On cast:\n- Spawn a stationary spectral clone at the caster's position lasting duration seconds. It is untargetable and does not block movement.\n- Every rate seconds, the clone searches for the nearest enemy within radius and LoS. If found, it fires a hitscan zap that deals dmg electric to that target.\n- Visuals: clone idles with a low-intensity effects.ring; on each attack fire a short effects.beam (engine's default for clone) and effects.impact on the target; small camera shake effects.shake on first hit only.\n- The clone despawns when duration ends."
+    "description": "Summon a stormy duplicate that auto-attacks nearby enemies and draws their attention.",
+    "behavior": "On cast:\n- Spawn a stationary spectral clone at the caster's position lasting duration seconds. It does not block movement and shrugs off enemy attacks.\n- The clone draws aggro: every second it adds taunt threat to each enemy within tauntRadius, and its zaps add threat like the caster's hits. Enemies whose threat table it tops fight the clone instead of the caster.\n- Every rate seconds, the clone searches for the nearest enemy within radius and LoS. If found, it fires a hitscan zap that deals dmg electric to that target.\n- Visuals: clone idles with a low-intensity effects.ring; on each attack fire a short effects.beam (engine's default for clone) and effects.impact on the target; small camera shake effects.shake on first hit only.\n- The clone despawns when duration ends."
+  },
+  {
+    "id": "thunderclap",
+    "name": "Thunderclap",
+    "short": "Clap",
+    "type": "charge",
+    "cd": 9,
+    "mana": 30,
+    "radius": 9,
+    "dmg": 36,
+    "maxCharge": 1.5,
+    "chargeScale": { "dmg": 2.5, "radius": 1.6 },
+    "slowFactor": 0.5,
+    "slowDuration": 1.2,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 5, "radius": 0.5, "cd": -0.4 } },
+    "effects": {
+      "ring": "0xffe085",
+      "impact": "0xfff0b0",
+      "arc": "0xffd86a",
+      "hand": "0xffe085",
+      "shake": 0.5
+    },
+    "description": "Hold to gather thunder in your hands, release to slam a blast that grows with the charge.",
+    "behavior": "On key/button down:\n- Spend mana and start charging; hand crackles grow with the charge.\n- Charge reaches full after maxCharge seconds; a full charge held 1s longer fires by itself.\nOn release:\n- Blast all enemies within radius x chargeScale.radius (scaled by charge) around the caster for dmg x chargeScale.dmg (scaled by charge) electric and slow them.\n- A tap fires at base dmg and radius. Cooldown starts on release."
+  },
+  {
+    "id": "storm_tether",
+    "name": "Storm Tether",
+    "short": "Tether",
+    "type": "channel",
+    "cd": 6,
+    "mana": 8,
+    "manaPerSec": 12,
+    "range": 30,
+    "tick": 0.25,
+    "dmg": 8,
+    "duration": 4,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 1, "duration": 0.5 } },
+    "effects": {
+      "beam": "0xa8e8ff",
+      "impact": "0xd0f4ff",
+      "hand": "0xa8e8ff",
+      "shake": 0.05
+    },
+    "description": "Hold to lash an enemy with a continuous beam that drains mana every second.",
+    "behavior": "On key/button down:\n- Needs an enemy within range and line of sight (aim cone first, then nearest); spend mana and lock onto it.\nWhile held:\n- Drain manaPerSec; every tick seconds hit the target for dmg electric (ticks cannot crit).\n- If the target dies, leaves range or goes out of line of sight, jump to the next visible enemy in range.\n- Ends on release, after duration, when mana runs out or no enemy is in range. Cooldown starts when it ends."
+  },
+  {
+    "id": "storm_mark",
+    "name": "Storm Mark",
+    "short": "Mark",
+    "type": "mark",
+    "cd": 9,
+    "mana": 14,
+    "range": 40,
+    "duration": 6,
+    "vulnMult": 1.35,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "vulnMult": 0.05, "duration": 0.5 } },
+    "effects": {
+      "beam": "0xffd27f",
+      "impact": "0xffc14d",
+      "hand": "0xffd27f",
+      "shake": 0.1
+    },
+    "description": "Brand the nearest enemy so it takes extra damage; Chain Lightning detonates the brand.",
+    "behavior": "On cast:\n- Pick the nearest living enemy within range and line of sight; if none, show the no-target hint and fail (no cost).\n- Apply Vulnerable (damage taken x vulnMult) for duration seconds.\n- Visuals: effects.beam from caster to target, effects.impact and a hit decal on the target."
+  },
+  {
+    "id": "plasma_orb",
+    "name": "Plasma Orb",
+    "short": "Orb",
+    "type": "projectile",
+    "shape": "orb",
+    "cd": 7,
+    "mana": 26,
+    "dmg": 30,
+    "speed": 14,
+    "lifetime": 2.4,
+    "hitRadius": 1.4,
+    "size": 0.55,
+    "pierce": 4,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 4, "lifetime": 0.2 } },
+    "effects": {
+      "beam": "0x9fe6ff",
+      "impact": "0xc8f2ff",
+      "hand": "0x9fe6ff",
+      "shake": 0.12
+    },
+    "description": "Hurl a slow, swollen orb that rolls through a line of enemies.",
+    "behavior": "On cast:\n- Aim at the cursor ground point (touch: aim cone, then nearest enemy within speed x lifetime, else forward).\n- Launch an orb at speed for lifetime seconds; each enemy it touches takes dmg electric once.\n- Passes through pierce enemies and stops on the next; structures stop it."
+  },
+  {
+    "id": "thunder_javelin",
+    "name": "Thunder Javelin",
+    "short": "Javelin",
+    "type": "projectile",
+    "shape": "bolt",
+    "cd": 6,
+    "mana": 22,
+    "dmg": 70,
+    "speed": 60,
+    "lifetime": 0.8,
+    "hitRadius": 0.6,
+    "size": 0.25,
+    "stunDuration": 0.4,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 9, "cd": -0.3 } },
+    "effects": {
+      "beam": "0xfff3a0",
+      "impact": "0xffffff",
+      "hand": "0xfff3a0",
+      "shake": 0.3
+    },
+    "description": "Throw a fast, narrow bolt that hits hard and stuns — if it lands.",
+    "behavior": "On cast:\n- Aim at the cursor ground point (touch: aim cone, then nearest enemy, else forward).\n- A thin bolt flies at speed for lifetime seconds and stops on the first enemy: dmg electric and a stunDuration stun.\n- Structures stop it; a miss still spends mana and cooldown."
+  },
+  {
+    "id": "ricochet_sphere",
+    "name": "Ricochet Sphere",
+    "short": "Ricochet",
+    "type": "projectile",
+    "shape": "orb",
+    "cd": 8,
+    "mana": 24,
+    "dmg": 26,
+    "speed": 26,
+    "lifetime": 3,
+    "hitRadius": 0.9,
+    "size": 0.4,
+    "bounces": 4,
+    "bounceRange": 14,
+    "slowFactor": 0.6,
+    "slowDuration": 1,
+    "ranks": { "costs": [1, 1, 2, 2], "per": { "dmg": 3, "bounces": 1 } },
+    "effects": {
+      "beam": "0xb0a0ff",
+      "impact": "0xd6ccff",
+      "hand": "0xb0a0ff",
+      "shake": 0.15
+    },
+    "description": "Fire a sphere that caroms off walls and from foe to foe.",
+    "behavior": "On cast:\n- Aim at the cursor ground point (touch: aim cone, then nearest enemy, else forward).\n- The sphere hits an enemy for dmg electric and slows it, then turns to the nearest enemy not hit yet within bounceRange.\n- Structures reflect it. Each enemy redirect or wall bounce uses one of its bounces; it ends when none remain or after lifetime seconds."
   },
   {
     "id": "got_judgement",
@@ -662,6 +873,7 @@ export const SKILL_POOL = [
     "mana": 80,
     "radius": 28,
     "dmg": 165,
+    "ranks": { "costs": [2, 2, 3, 3], "per": { "dmg": 20, "radius": 1, "cd": -2.1 } },
     "effects": {
       "ring": "0xffe085",
       "impact": "0xffc14d",
@@ -682,6 +894,7 @@ export const SKILL_POOL = [
     "strikes": 36,
     "dmg": 22,
     "duration": 9,
+    "ranks": { "costs": [2, 2, 3, 3], "per": { "dmg": 2, "strikes": 4, "cd": -2 } },
     "effects": {
       "ring": "0xa0e0ff",
       "impact": "0x80d0ff",
@@ -694,6 +907,6 @@ export const SKILL_POOL = [
 ];
 
 /**
- * Default loadout mapping stays close to the original Q/W/E/R
+ * Default loadout mapping stays close to the original Q/W/E/R; D/F (unlocked by level) start with sustain
  */
-export const DEFAULT_LOADOUT = ["chain_lightning", "lightning_bolt", "static_field", "thunderstorm"];
+export const DEFAULT_LOADOUT = ["chain_lightning", "lightning_bolt", "static_field", "thunderstorm", "thunder_mend", "storm_barrier"];
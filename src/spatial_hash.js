@@ -0,0 +1,145 @@
+/**
+ * Spatial hash — a uniform grid of moving items on the ground plane, rebuilt once per frame.
+ *
+ * Items are bucketed by the cell of their position; a query only visits the cells around it, so neighbour and
+ * target lookups stay cheap with 100+ enemies (a rebuild is O(n), a small query touches a handful of cells).
+ * A query covering more cells than there are items scans the items instead.
+ *
+ * Positions are read live when a query filters by distance, so an item that moved since the rebuild is still
+ * measured where it is now; `slack` widens the cells read to catch items that crossed into range this frame.
+ *
+ * Users: main.js keeps one per-frame enemy index for targeting (SkillsSystem, getNearestEnemy, input and touch)
+ * and enemy steering (src/enemy_ai.js, src/steering.js).
+ */
+
+const DEFAULT_CELL = 4;
+// Cell coordinates are packed into one number key: |cx|, |cz| < HALF_SPAN
+const HALF_SPAN = 1 << 20;
+const SPAN = HALF_SPAN * 2;
+
+// Default position source: living entities with pos()
+const entityPos = (it) => (it && it.alive !== false && typeof it.pos === "function" ? it.pos() : null);
+
+/**
+ * @param {number} [cellSize] grid cell size in world units
+ * @param {{slack?:number}} [opts] extra reach (world units) for items that moved since the last rebuild
+ */
+export function createSpatialHash(cellSize = DEFAULT_CELL, { slack = 0 } = {}) {
+  const cell = Math.max(0.5, cellSize);
+  const pad = Math.max(0, slack);
+  const grid = new Map();
+  const all = [];
+  let posOf = entityPos;
+
+  const keyOf = (cx, cz) => (cx + HALF_SPAN) * SPAN + (cz + HALF_SPAN);
+
+  function clear() {
+    grid.clear();
+    all.length = 0;
+  }
+
+  /** Add `item` at (x, z). */
+  function insert(item, x, z) {
+    if (!item || !Number.isFinite(x) || !Number.isFinite(z)) return;
+    const k = keyOf(Math.floor(x / cell), Math.floor(z / cell));
+    let b = grid.get(k);
+    if (!b) grid.set(k, (b = []));
+    b.push(item);
+    all.push(item);
+  }
+
+  /**
+   * Replace the contents with `items`; `pos(item)` gives an {x, z} position, or null to leave the item out.
+   * @template T
+   * @param {Iterable<T>} items
+   * @param {(item:T)=>({x:number,z:number}|null)} [pos]
+   */
+  function rebuild(items, pos = entityPos) {
+    clear();
+    posOf = pos;
+    for (const it of items || []) {
+      const p = posOf(it);
+      if (p) insert(it, p.x, p.z);
+    }
+  }
+
+  /**
+   * Call fn(item) for every item in the cells overlapping the circle (x, z, r + slack). Candidates are not
+   * distance-filtered: callers check the exact distance they need.
+   */
+  function forEachNear(x, z, r, fn) {
+    if (!all.length) return;
+    const reach = r + pad;
+    const x0 = Math.floor((x - reach) / cell), x1 = Math.floor((x + reach) / cell);
+    const z0 = Math.floor((z - reach) / cell), z1 = Math.floor((z + reach) / cell);
+    if (!Number.isFinite(reach) || (x1 - x0 + 1) * (z1 - z0 + 1) > all.length) {
+      for (let i = 0; i < all.length; i++) fn(all[i]);
+      return;
+    }
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cz = z0; cz <= z1; cz++) {
+        const b = grid.get(keyOf(cx, cz));
+        if (!b) continue;
+        for (let i = 0; i < b.length; i++) fn(b[i]);
+      }
+    }
+  }
+
+  // Live 2D distance to an indexed item (Infinity once it has no position, e.g. died this frame)
+  function distTo(it, x, z) {
+    const p = posOf(it);
+    return p ? Math.hypot(p.x - x, p.z - z) : Infinity;
+  }
+
+  /**
+   * Items within `r` of (x, z) that pass `filter`.
+   * @param {number} x
+   * @param {number} z
+   * @param {number} r
+   * @param {(item:any)=>boolean} [filter]
+   */
+  function query(x, z, r, filter = null) {
+    const out = [];
+    forEachNear(x, z, r, (it) => {
+      const d = distTo(it, x, z);
+      if (Number.isFinite(d) && d <= r && (!filter || filter(it))) out.push(it);
+    });
+    return out;
+  }
+
+  /**
+   * Up to `k` items within `maxDist` of (x, z) that pass `filter`, nearest first. The search radius doubles
+   * from one cell until it holds k matches or reaches maxDist.
+   */
+  function kNearest(x, z, k = 1, maxDist = Infinity, filter = null) {
+    if (!all.length || !(k > 0)) return [];
+    let r = Math.min(maxDist, cell * 2);
+    for (;;) {
+      const found = query(x, z, r, filter);
+      if (found.length >= k || r >= maxDist) {
+        const d = new Map(found.map((it) => [it, distTo(it, x, z)]));
+        return found.sort((a, b) => d.get(a) - d.get(b)).slice(0, k);
+      }
+      // Once a query would scan every item anyway, widen straight to maxDist
+      r *= 2;
+      const span = Math.ceil((2 * (r + pad)) / cell) + 1;
+      if (r >= maxDist || span * span > all.length) r = maxDist;
+    }
+  }
+
+  /** Nearest item within `maxDist` of (x, z) passing `filter`, or null. */
+  function nearest(x, z, maxDist = Infinity, filter = null) {
+    return kNearest(x, z, 1, maxDist, filter)[0] || null;
+  }
+
+  return {
+    clear,
+    insert,
+    rebuild,
+    forEachNear,
+    query,
+    kNearest,
+    nearest,
+    get size() { return all.length; },
+  };
+}
@@ -0,0 +1,287 @@
+import { now } from "./utils.js";
+import { resistMul } from "./damage.js";
+
+/**
+ * Status effects — timed buffs/debuffs on any Entity (hero or enemy).
+ *
+ * Every entity carries `statuses`: Map<id, { id, until, stacks, params, nextTick, source, owner }>.
+ * `owner` is who applied it (the hero or one of the hero's decoys), so tick damage can be credited for threat.
+ * Skills, enemy behaviors and bosses call applyStatus(); combat code reads the combined effect through
+ * the query helpers (moveSpeedMul, attackSpeedMul, damageTakenMul, damageDealtMul, isStunned, isInvulnerable)
+ * instead of checking per-effect fields by hand. tickStatuses() runs once per frame per entity (main loop).
+ *
+ * STATUS_DEFS fields:
+ *  - kind: "buff" | "debuff" (debuffs are refused while the target is invulnerable)
+ *  - icon: emoji drawn over enemies / in the HUD; color: hex string for indicators
+ *  - stacking: how a re-application combines with an active instance
+ *      "refresh"   one instance; params replaced, duration extended to the later end
+ *      "replace"   one instance; params and duration overwritten
+ *      "strongest" one instance; a weaker application (by `key`, `lowerIsStronger` flips it) is ignored,
+ *                  an equal or stronger one replaces params and extends the duration
+ *      "stack"     stacks up to maxStacks; each application adds stacks, refreshes the duration and uses its params
+ *  - tick: seconds between ticks for ticking effects (burn, shock: damage per stack; regen: heal)
+ *  - damageType: type of tick damage for resistances (src/damage.js); ticks never crit
+ *  - persist: hero buffs saved with the hero section (remaining seconds + numeric params)
+ *
+ * Params per id (all optional, defaults shown in the query helpers):
+ *  - slow { factor } movement multiplier (0.3 = 70% slower); stun {} no movement, no attacks
+ *  - vulnerable { mul } damage taken multiplier; shock { dmg, amp } damage per tick per stack, +amp damage taken per stack
+ *  - burn { dmg } damage per tick per stack; regen { hpPct } max-HP fraction healed per second
+ *  - defense { pct } damage taken reduction; speedBoost { mul }; atkSpeed { mul }
+ *  - empower { dmgMul, speedMul } (enemy support casters); invulnerable {} ignores damage and new debuffs
+ *
+ * Immunities: entity.statusImmune (Set of ids, e.g. from ENEMY_TIERS/ENEMY_ARCHETYPES "immune") refuses those ids.
+ * Skills apply statuses declaratively from SKILL_POOL ("statuses" on hit, "selfStatuses" on cast); see skills.js.
+ */
+export const STATUS_DEFS = {
+  "slow": { "kind": "debuff", "icon": "🐌", "color": "0x66aaff", "stacking": "strongest", "key": "factor", "lowerIsStronger": true },
+  "stun": { "kind": "debuff", "icon": "💫", "color": "0xfff199", "stacking": "refresh" },
+  "vulnerable": { "kind": "debuff", "icon": "🎯", "color": "0xff7a7a", "stacking": "strongest", "key": "mul" },
+  "burn": { "kind": "debuff", "icon": "🔥", "color": "0xff8a3d", "stacking": "stack", "maxStacks": 5, "tick": 0.5, "damageType": "electric" },
+  "shock": { "kind": "debuff", "icon": "⚡", "color": "0xbfe9ff", "stacking": "stack", "maxStacks": 3, "tick": 1, "damageType": "electric" },
+  "regen": { "kind": "buff", "icon": "💚", "color": "0x7dff9a", "stacking": "strongest", "key": "hpPct", "tick": 0.5, "persist": true },
+  "defense": { "kind": "buff", "icon": "🛡️", "color": "0x7fffe0", "stacking": "strongest", "key": "pct", "persist": true },
+  "speedBoost": { "kind": "buff", "icon": "👟", "color": "0xffe08a", "stacking": "replace", "persist": true },
+  "atkSpeed": { "kind": "buff", "icon": "⚔️", "color": "0xffc46b", "stacking": "replace", "persist": true },
+  "empower": { "kind": "buff", "icon": "💢", "color": "0xff6a3d", "stacking": "refresh" },
+  "invulnerable": { "kind": "buff", "icon": "✨", "color": "0xffffff", "stacking": "refresh" }
+};
+
+export function getStatusDef(id) {
+  return STATUS_DEFS[id] || null;
+}
+
+function ensureMap(entity) {
+  if (!entity.statuses) entity.statuses = new Map();
+  return entity.statuses;
+}
+
+function isImmune(entity, id) {
+  const imm = entity.statusImmune;
+  if (!imm) return false;
+  return typeof imm.has === "function" ? imm.has(id) : Array.isArray(imm) && imm.includes(id);
+}
+
+/**
+ * Apply (or re-apply) a status.
+ * @param {object} entity
+ * @param {string} id - STATUS_DEFS key
+ * @param {{duration: number, stacks?: number, source?: any, owner?: any, [param: string]: any}} opts - remaining keys become params
+ * @returns {boolean} false when unknown, dead, immune, or refused (invulnerable vs debuff, weaker "strongest")
+ */
+export function applyStatus(entity, id, opts = {}) {
+  const def = STATUS_DEFS[id];
+  if (!def || !entity || entity.alive === false) return false;
+  const { duration = 0, stacks = 1, source = null, owner = null, ...params } = opts;
+  if (!(duration > 0)) return false;
+  if (isImmune(entity, id)) return false;
+  if (def.kind === "debuff" && isInvulnerable(entity)) return false;
+
+  const t = now();
+  const map = ensureMap(entity);
+  const until = t + duration;
+  const cur = map.get(id);
+  const active = cur && t < cur.until;
+
+  if (!active) {
+    map.set(id, { id, until, stacks: def.stacking === "stack" ? Math.min(def.maxStacks || 1, stacks) : 1, params, nextTick: t + (def.tick || 0), source, owner });
+    return true;
+  }
+
+  switch (def.stacking) {
+    case "replace":
+      cur.until = until;
+      cur.params = params;
+      break;
+    case "strongest": {
+      const key = def.key;
+      const a = Number(params[key]);
+      const b = Number(cur.params[key]);
+      if (key && Number.isFinite(a) && Number.isFinite(b)) {
+        const weaker = def.lowerIsStronger ? a > b : a < b;
+        if (weaker) return false;
+      }
+      cur.until = Math.max(cur.until, until);
+      cur.params = params;
+      break;
+    }
+    case "stack":
+      cur.stacks = Math.min(def.maxStacks || 1, cur.stacks + stacks);
+      cur.until = Math.max(cur.until, until);
+      cur.params = params;
+      break;
+    default: // refresh
+      cur.until = Math.max(cur.until, until);
+      cur.params = params;
+  }
+  cur.source = source || cur.source;
+  cur.owner = owner || cur.owner;
+  return true;
+}
+
+export function removeStatus(entity, id) {
+  return !!(entity && entity.statuses && entity.statuses.delete(id));
+}
+
+export function clearStatuses(entity) {
+  if (entity && entity.statuses) entity.statuses.clear();
+}
+
+/** Active instance or null (expired entries are treated as absent until the next tick removes them). */
+export function getStatus(entity, id) {
+  const s = entity && entity.statuses && entity.statuses.get(id);
+  return s && now() < s.until ? s : null;
+}
+
+export function hasStatus(entity, id) {
+  return !!getStatus(entity, id);
+}
+
+function param(entity, id, key, def) {
+  const s = getStatus(entity, id);
+  if (!s) return null;
+  const v = s.params[key];
+  return Number.isFinite(v) ? v : def;
+}
+
+/* ---------------- Queries used by combat and movement ---------------- */
+
+export function isStunned(entity) {
+  return hasStatus(entity, "stun");
+}
+
+export function isInvulnerable(entity) {
+  return hasStatus(entity, "invulnerable");
+}
+
+/** Movement multiplier: stun 0, slow factor, speed boost, enemy empowerment. */
+export function moveSpeedMul(entity) {
+  if (!entity || !entity.statuses || !entity.statuses.size) return 1;
+  if (isStunned(entity)) return 0;
+  let m = 1;
+  const slow = param(entity, "slow", "factor", 0.5);
+  if (slow !== null) m *= Math.max(0, Math.min(1, slow));
+  const boost = param(entity, "speedBoost", "mul", 1);
+  if (boost !== null) m *= Math.max(1, boost);
+  const emp = param(entity, "empower", "speedMul", 1);
+  if (emp !== null) m *= emp;
+  return m;
+}
+
+/** Attack rate multiplier (basic attack cooldown is divided by it). */
+export function attackSpeedMul(entity) {
+  const mul = param(entity, "atkSpeed", "mul", 1);
+  return mul === null ? 1 : Math.max(0.5, mul);
+}
+
+/** Incoming damage multiplier: defense reduction, vulnerability, shock amplification. */
+export function damageTakenMul(entity) {
+  if (!entity || !entity.statuses || !entity.statuses.size) return 1;
+  let m = 1;
+  const def = param(entity, "defense", "pct", 0);
+  if (def !== null) m *= 1 - Math.min(0.95, Math.max(0, def));
+  const vuln = param(entity, "vulnerable", "mul", 1.25);
+  if (vuln !== null) m *= Math.max(1.05, Math.min(3.0, vuln));
+  const shock = getStatus(entity, "shock");
+  if (shock) m *= 1 + Math.max(0, shock.params.amp || 0) * shock.stacks;
+  return m;
+}
+
+/** Outgoing damage multiplier (enemy empowerment). */
+export function damageDealtMul(entity) {
+  const mul = param(entity, "empower", "dmgMul", 1);
+  return mul === null ? 1 : mul;
+}
+
+/* ---------------- Per-frame update ---------------- */
+
+/**
+ * Expire statuses and run ticking effects (burn/shock damage, regen heal).
+ * @param {object} entity
+ * @param {(entity: object, status: object, amount: number, def: object) => void} [onTick] - e.g. damage/heal popups
+ */
+export function tickStatuses(entity, onTick = null) {
+  const map = entity && entity.statuses;
+  if (!map || !map.size) return;
+  const t = now();
+  for (const s of Array.from(map.values())) {
+    const def = STATUS_DEFS[s.id];
+    if (def && def.tick) {
+      // Catch up on missed ticks (low frame rates) without ticking past expiry
+      while (entity.alive !== false && s.nextTick <= t && s.nextTick <= s.until) {
+        s.nextTick += def.tick;
+        const amount = runTick(entity, s, def);
+        if (amount > 0 && onTick) {
+          try { onTick(entity, s, amount, def); } catch (_) {}
+        }
+      }
+    }
+    if (t >= s.until || entity.alive === false) map.delete(s.id);
+  }
+}
+
+function runTick(entity, s, def) {
+  if (s.id === "regen") {
+    if (!(entity.maxHP > 0) || entity.hp >= entity.maxHP) return 0;
+    const heal = Math.min(entity.maxHP - entity.hp, entity.maxHP * Math.max(0, s.params.hpPct || 0) * def.tick);
+    entity.hp += heal;
+    return heal;
+  }
+  const raw = (s.params.dmg || 0) * s.stacks * resistMul(entity, def.damageType);
+  const dmg = Math.max(0, Math.floor(raw));
+  if (dmg > 0 && typeof entity.takeDamage === "function") {
+    const taken = entity.takeDamage(dmg);
+    if (typeof taken === "number") return taken;
+  }
+  return dmg;
+}
+
+/**
+ * Active statuses for UI, ordered buffs first then by remaining time.
+ * @returns {Array<{id: string, def: object, remaining: number, stacks: number, params: object}>}
+ */
+export function listStatuses(entity) {
+  const map = entity && entity.statuses;
+  if (!map || !map.size) return [];
+  const t = now();
+  const out = [];
+  for (const s of map.values()) {
+    const def = STATUS_DEFS[s.id];
+    if (!def || t >= s.until) continue;
+    out.push({ id: s.id, def, remaining: s.until - t, stacks: s.stacks, params: s.params });
+  }
+  return out.sort((a, b) => (a.def.kind === b.def.kind ? a.remaining - b.remaining : a.def.kind === "buff" ? -1 : 1));
+}
+
+/** Compact icon string (e.g. "🔥3 🐌") for billboards; stacks above 1 are appended. */
+export function statusIconText(entity) {
+  return listStatuses(entity).map((s) => (s.stacks > 1 ? `${s.def.icon}${s.stacks}` : s.def.icon)).join(" ");
+}
+
+/* ---------------- Persistence (hero buffs) ---------------- */
+
+/** { [id]: { remaining, ...numeric params } } for persisted buffs (hero save section). */
+export function serializeStatuses(entity) {
+  const out = {};
+  for (const s of listStatuses(entity)) {
+    if (!s.def.persist) continue;
+    const clean = { remaining: s.remaining };
+    for (const k of Object.keys(s.params)) {
+      if (Number.isFinite(s.params[k])) clean[k] = s.params[k];
+    }
+    out[s.id] = clean;
+  }
+  return out;
+}
+
+/** Inverse of serializeStatuses; unknown or non-persisted ids are ignored. */
+export function restoreStatuses(entity, saved) {
+  if (!saved || typeof saved !== "object") return;
+  for (const id of Object.keys(saved)) {
+    const def = STATUS_DEFS[id];
+    const b = saved[id];
+    if (!def || !def.persist || !b || !(b.remaining > 0)) continue;
+    const { remaining, ...params } = b;
+    applyStatus(entity, id, { duration: remaining, ...params });
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Enemy steering — turns a desired heading into the step an enemy actually takes.
+ *
+ * - separation: push away from neighbours closer than their combined body radii (neighbours come from a
+ *   spatial hash, src/spatial_hash.js, so only nearby enemies are visited)
+ * - avoidance: side-step props (the line-of-sight occluder set, src/los.js) and village fences lying ahead
+ *   within WORLD.aiAvoidLookahead; a circle containing the goal or the enemy itself is ignored
+ * - arrival: ease in over WORLD.aiArriveRadius before the stop distance instead of running into it
+ *
+ * The village fence clamp in src/enemy_ai.js stays the hard rule; avoidance only makes enemies walk around.
+ */
+import { WORLD } from "./constants.js";
+
+/** Ground-plane body radius of an entity (Entity.radius scaled with its mesh). */
+export function bodyRadius(en) {
+  const r = en && Number.isFinite(en.radius) ? en.radius : 1;
+  const sc = en && en.mesh && en.mesh.scale ? (en.mesh.scale.x || 1) : 1;
+  return r * sc;
+}
+
+/**
+ * Push away from neighbours that overlap `self` (unit-less, grows as they get closer).
+ * @param {*} self - entity with pos()
+ * @param {{forEachNear:Function}|null} hash - spatial hash of enemies
+ * @returns {{x:number,z:number}}
+ */
+export function separation(self, hash) {
+  const out = { x: 0, z: 0 };
+  if (!self || !hash) return out;
+  const p = self.pos();
+  const rSelf = bodyRadius(self);
+  const reach = WORLD.aiSeparationRadius;
+  hash.forEachNear(p.x, p.z, reach, (o) => {
+    if (o === self || !o.alive) return;
+    const q = o.pos();
+    const dx = p.x - q.x;
+    const dz = p.z - q.z;
+    const want = Math.min(reach, rSelf + bodyRadius(o));
+    const d = Math.hypot(dx, dz);
+    if (d >= want) return;
+    const k = 1 - d / want;
+    if (d < 1e-4) {
+      // Stacked exactly: split along an arbitrary but stable direction
+      const a = ((o.mesh && o.mesh.id) || 0) * 2.399;
+      out.x += Math.cos(a) * k;
+      out.z += Math.sin(a) * k;
+      return;
+    }
+    out.x += (dx / d) * k;
+    out.z += (dz / d) * k;
+  });
+  return out;
+}
+
+/**
+ * Sideways push around circles ({x, z, r}) lying ahead along `dir` (unit XZ).
+ * @param {{x:number,z:number}} p - current position
+ * @param {{x:number,z:number}} dir
+ * @param {number} radius - own body radius (circles are inflated by it)
+ * @param {{x:number,z:number,r:number}[]} circles
+ * @param {{x:number,z:number}|null} goal
+ */
+export function avoidance(p, dir, radius, circles, goal = null) {
+  const out = { x: 0, z: 0 };
+  const look = WORLD.aiAvoidLookahead;
+  for (const c of circles) {
+    const R = c.r + radius;
+    const rx = c.x - p.x;
+    const rz = c.z - p.z;
+    const dist = Math.hypot(rx, rz);
+    // Already inside (a tree trunk it spawned on), or the goal itself is in there: nothing to walk around
+    if (dist <= c.r) continue;
+    if (goal && Math.hypot(goal.x - c.x, goal.z - c.z) <= c.r) continue;
+    const gap = dist - R;
+    const along = rx * dir.x + rz * dir.z;
+    if (along <= 0 || gap > look) continue;
+    // Signed lateral offset of the centre from the path (left of dir is positive)
+    const lateral = dir.x * rz - dir.z * rx;
+    if (Math.abs(lateral) >= R) continue;
+    // Stronger as the edge gets closer, so a wide fence is skirted as firmly as a tree
+    const k = 1 - Math.max(0, gap) / look;
+    // Step to the side away from the centre; dead ahead picks the right-hand side
+    const side = lateral > 0 ? -1 : 1;
+    out.x += -dir.z * side * k;
+    out.z += dir.x * side * k;
+  }
+  return out;
+}
+
+/**
+ * Blend the desired heading with separation and avoidance and scale the speed for arrival.
+ * @param {*} en - the moving entity
+ * @param {{x:number,z:number}} desired - unit XZ heading
+ * @param {object} [opts]
+ * @param {{forEachNear:Function}|null} [opts.hash] - spatial hash of enemies
+ * @param {{forEachNear:Function}|null} [opts.occluders] - occluder set (src/los.js)
+ * @param {{x:number,z:number,r:number}[]} [opts.fences] - village circles enemies stay out of
+ * @param {{x:number,z:number}|null} [opts.goal] - where the enemy is heading (for arrival and goal-in-obstacle)
+ * @param {number} [opts.stop] - distance from the goal at which it stops
+ * @returns {{x:number,z:number,speedMul:number,maxStep:number}} unit heading, speed factor, longest allowed step
+ */
+export function steer(en, desired, { hash = null, occluders = null, fences = null, goal = null, stop = 0 } = {}) {
+  const p = en.pos();
+  const radius = bodyRadius(en);
+  const circles = [];
+  try {
+    if (occluders && typeof occluders.forEachNear === "function") {
+      occluders.forEachNear(p.x, p.z, WORLD.aiAvoidLookahead + radius, (o) => circles.push(o));
+    }
+  } catch (_) {}
+  if (fences) for (const f of fences) circles.push(f);
+
+  const sep = separation(en, hash);
+  const avo = avoidance(p, desired, radius, circles, goal);
+  let x = desired.x + sep.x * WORLD.aiSeparationWeight + avo.x * WORLD.aiAvoidWeight;
+  let z = desired.z + sep.z * WORLD.aiSeparationWeight + avo.z * WORLD.aiAvoidWeight;
+  const len = Math.hypot(x, z);
+  if (len < 1e-6) {
+    x = desired.x;
+    z = desired.z;
+  } else {
+    x /= len;
+    z /= len;
+  }
+
+  let speedMul = 1;
+  let maxStep = Infinity;
+  if (goal) {
+    const left = Math.max(0, Math.hypot(goal.x - p.x, goal.z - p.z) - (stop || 0));
+    speedMul = Math.min(1, Math.max(0.3, left / WORLD.aiArriveRadius));
+    maxStep = left;
+  }
+  return { x, z, speedMul, maxStep };
+}
@@ -0,0 +1,144 @@
+import { hasStatus, removeStatus } from "./status_effects.js";
+
+/**
+ * Skill synergies — combo rules declared on SKILL_POOL entries ("synergies": [...]).
+ *
+ * Rule fields:
+ *  - id: stable id; the Skillbook shows the locale keys synergies.<id>.name / .desc
+ *  - on: "cast" (checked once when the skill is cast) or "hit" (checked per enemy hit)
+ *  - icon: emoji popped over the hero (cast) or the target (hit) when the rule fires
+ *  - conditions (all given ones must hold):
+ *      targetStatus: status id the hit enemy must carry (hit rules only)
+ *      aura: true when the hero's aura (Static Field and other "aura" skills) must be active
+ *      after / afterType: a skill id / skill type cast within `within` seconds (default 4) before this one
+ *  - effects:
+ *      mul: { stat: n } multiplies existing numeric stats of the cast (cast rules, e.g. strikes × 2)
+ *      dmgPct: bonus damage on the hit (0.6 = +60%)
+ *      consume: removes the targetStatus after the hit ("detonates" it)
+ *
+ * Runtime: SkillsSystem (src/skills.js) records recent casts and resolves rules through
+ * matchSynergies / applyCastSynergies / resolveHitSynergies.
+ */
+export const SYNERGY_WINDOW = 4;
+
+function sanitizeRule(r) {
+  if (!r || typeof r !== "object" || typeof r.id !== "string") return null;
+  if (r.on !== "cast" && r.on !== "hit") return null;
+  const within = Number(r.within);
+  return Object.assign({}, r, { within: Number.isFinite(within) && within > 0 ? within : SYNERGY_WINDOW });
+}
+
+/** Valid synergy rules declared on a skill def ([] when it has none). */
+export function getSynergies(def) {
+  const list = def && Array.isArray(def.synergies) ? def.synergies : [];
+  return list.map(sanitizeRule).filter(Boolean);
+}
+
+function castWithin(ctx, key, within) {
+  const at = ctx && ctx.lastCasts ? ctx.lastCasts[key] : undefined;
+  return typeof at === "number" && (ctx.now - at) <= within;
+}
+
+/**
+ * Rules of `def` for `phase` whose conditions hold.
+ * @param {object} def - SKILL_POOL entry (SKILLS slot value)
+ * @param {"cast"|"hit"} phase
+ * @param {{now: number, lastCasts?: Object<string, number>, auraActive?: boolean}} ctx
+ *        lastCasts keys are skill ids and "type:<type>" (see recordCast)
+ * @param {object} [target] - hit enemy (hit phase)
+ * @returns {object[]}
+ */
+export function matchSynergies(def, phase, ctx, target = null) {
+  const out = [];
+  for (const r of getSynergies(def)) {
+    if (r.on !== phase) continue;
+    if (r.targetStatus && !(target && hasStatus(target, r.targetStatus))) continue;
+    if (r.aura && !(ctx && ctx.auraActive)) continue;
+    if (r.after && !castWithin(ctx, r.after, r.within)) continue;
+    if (r.afterType && !castWithin(ctx, `type:${r.afterType}`, r.within)) continue;
+    out.push(r);
+  }
+  return out;
+}
+
+/** Remember a cast for `after` / `afterType` conditions. */
+export function recordCast(lastCasts, def, t) {
+  if (!lastCasts || !def) return;
+  if (def.id) lastCasts[def.id] = t;
+  if (def.type) lastCasts[`type:${def.type}`] = t;
+}
+
+/** Copy of `def` with the `mul` stats of the fired cast rules applied (def itself when nothing changes). */
+export function applyCastSynergies(def, rules) {
+  if (!def || !rules || !rules.length) return def;
+  const out = Object.assign({}, def);
+  for (const r of rules) {
+    for (const [k, v] of Object.entries(r.mul || {})) {
+      if (typeof out[k] === "number" && Number.isFinite(Number(v))) out[k] = out[k] * Number(v);
+    }
+  }
+  return out;
+}
+
+/**
+ * Damage multiplier of the fired hit rules plus a finisher that consumes their statuses.
+ * Call finish() after the hit landed so the consumed status still counts for that hit.
+ * @returns {{mul: number, finish: () => void}}
+ */
+export function resolveHitSynergies(rules, target) {
+  let mul = 1;
+  for (const r of rules || []) mul += Math.max(0, Number(r.dmgPct) || 0);
+  return {
+    mul,
+    finish() {
+      for (const r of rules || []) {
+        if (r.consume && r.targetStatus) {
+          try { removeStatus(target, r.targetStatus); } catch (_) {}
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Skills from `pool` that set a rule up: the `after` skill, skills of the `afterType` type,
+ * aura skills for `aura`, and skills that apply the `targetStatus` on hit.
+ * @returns {string[]} skill ids
+ */
+export function synergyPartners(pool, rule) {
+  const ids = [];
+  for (const s of Array.isArray(pool) ? pool : []) {
+    if (!s || !s.id) continue;
+    let ok = false;
+    if (rule.after && s.id === rule.after) ok = true;
+    if (rule.afterType && s.type === rule.afterType) ok = true;
+    if (rule.aura && s.type === "aura") ok = true;
+    if (rule.targetStatus && appliesStatus(s, rule.targetStatus)) ok = true;
+    if (ok) ids.push(s.id);
+  }
+  return ids;
+}
+
+function appliesStatus(s, id) {
+  if (id === "slow" && s.slowFactor) return true;
+  if (id === "stun" && s.stunDuration) return true;
+  if (id === "vulnerable" && s.type === "mark") return true;
+  return Array.isArray(s.statuses) && s.statuses.some((st) => st && st.id === id);
+}
+
+/**
+ * Synergies a skill takes part in: its own rules and rules of other skills it sets up.
+ * @returns {{own: {rule: object, partners: string[]}[], enables: {skill: string, rule: object}[]}}
+ */
+export function listSkillSynergies(pool, id) {
+  const own = [];
+  const enables = [];
+  for (const s of Array.isArray(pool) ? pool : []) {
+    for (const rule of getSynergies(s)) {
+      const partners = synergyPartners(pool, rule);
+      if (s.id === id) own.push({ rule, partners });
+      else if (partners.includes(id)) enables.push({ skill: s.id, rule });
+    }
+  }
+  return { own, enables };
+}
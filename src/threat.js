@@ -0,0 +1,176 @@
+import { WORLD } from "./constants.js";
+import { distance2D, now } from "./utils.js";
+
+/**
+ * Threat — who each enemy fights: the hero or one of the hero's decoys (clones, totems, future summons).
+ *
+ * Every enemy keeps a threat table { source → value }:
+ * - damage: each hit adds WORLD.threatPerDamage x its amount for whoever dealt it. Hero-side hits go through
+ *   SkillsSystem.dealHeroDamage (skills, basic attacks and their uplifts, reflected enemy shots), which passes the
+ *   clone or totem behind a hit or else the hero; burn/shock ticks count for the status `owner` (main.js)
+ * - taunt: a decoy with `taunt` adds that much threat per second to every enemy within its tauntRadius
+ * - decay: values halve every WORLD.threatHalfLife seconds, so an enemy drifts back to whoever keeps hurting it
+ *
+ * targetOf(en) answers with the top source. A rival takes over only once it exceeds the current target's threat by
+ * WORLD.threatSwitchMul, so enemies do not flip between two targets every frame. Decoys that expired or stand
+ * beyond WORLD.aiAggroRadius do not count; an enemy without threat fights the hero.
+ *
+ * Decoys are plain objects with pos(), alive and radius, so the enemy AI (src/enemy_ai.js) and enemy shots
+ * (src/enemy_shots.js) can aim at them like at the hero. Hits on a decoy go through dealDamage: a summon with
+ * takeDamage() takes them, clones and totems shrug them off.
+ */
+
+// Threat below this is dropped from a table
+const MIN_THREAT = 0.05;
+
+/**
+ * @param {object} deps
+ * @param {import("./entities.js").Player} deps.player
+ * @param {any[]} deps.enemies - live enemy list (taunts scan it when there is no grid)
+ * @param {(pos:{x:number,z:number}, r:number) => any[]} [deps.getEnemiesNear] - enemy grid lookup for taunts
+ */
+export function initThreat({ player, enemies = [], getEnemiesNear = null } = {}) {
+  // enemy → { values: Map<source, number>, at: last decay time, current: source or null }
+  let tables = new WeakMap();
+  const decoys = [];
+
+  function tableOf(en) {
+    let tab = tables.get(en);
+    if (!tab) {
+      tab = { values: new Map(), at: now(), current: null };
+      tables.set(en, tab);
+    }
+    return tab;
+  }
+
+  function decay(tab) {
+    const t = now();
+    const dt = t - tab.at;
+    tab.at = t;
+    if (!(dt > 0) || !tab.values.size) return;
+    const k = Math.pow(0.5, dt / Math.max(0.1, WORLD.threatHalfLife));
+    for (const [src, v] of tab.values) {
+      const nv = v * k;
+      if (nv < MIN_THREAT) tab.values.delete(src);
+      else tab.values.set(src, nv);
+    }
+  }
+
+  // A source an enemy can fight: the living hero, or a live decoy within aggro range
+  function valid(src, en) {
+    if (src === player) return !!player.alive;
+    return !!src && src.alive && distance2D(src.pos(), en.pos()) < WORLD.aiAggroRadius;
+  }
+
+  /**
+   * Register a decoy. Returns the decoy the enemies will target.
+   * @param {{kind?:string, pos:{x:number,y?:number,z:number}, until?:number, radius?:number, taunt?:number, tauntRadius?:number}} opts
+   */
+  function addDecoy({ kind = "decoy", pos, until = Infinity, radius = 1, taunt = 0, tauntRadius = 0 } = {}) {
+    const decoy = {
+      kind,
+      alive: true,
+      radius,
+      until,
+      taunt: Math.max(0, taunt || 0),
+      tauntRadius: Math.max(0, tauntRadius || 0),
+      pos: () => pos,
+    };
+    decoys.push(decoy);
+    return decoy;
+  }
+
+  /** Add `amount` threat toward `source` (the hero or a decoy) on `en`. */
+  function add(en, source, amount) {
+    if (!en || !en.alive || !source || !(amount > 0)) return;
+    const tab = tableOf(en);
+    decay(tab);
+    tab.values.set(source, (tab.values.get(source) || 0) + amount);
+  }
+
+  /** Threat from a hit of `amount` that `source` dealt to `en`. */
+  function onDamage(en, source, amount) {
+    add(en, source || player, amount * WORLD.threatPerDamage);
+  }
+
+  /** Current threat of `en` toward `source`. */
+  function get(en, source) {
+    const tab = tables.get(en);
+    if (!tab) return 0;
+    decay(tab);
+    return tab.values.get(source) || 0;
+  }
+
+  /** Who `en` fights this frame: the top-threat valid source, else the hero. */
+  function targetOf(en) {
+    const tab = tables.get(en);
+    if (!tab || !en) return player;
+    decay(tab);
+    let best = null;
+    let bestV = 0;
+    for (const [src, v] of tab.values) {
+      if (!valid(src, en)) {
+        if (src !== player) tab.values.delete(src);
+        continue;
+      }
+      if (v > bestV) {
+        best = src;
+        bestV = v;
+      }
+    }
+    const cur = tab.current && valid(tab.current, en) && tab.values.has(tab.current) ? tab.current : null;
+    if (!cur || (best && best !== cur && bestV > (tab.values.get(cur) || 0) * WORLD.threatSwitchMul)) tab.current = best;
+    return tab.current || player;
+  }
+
+  /** Everything enemies may attack: the hero and living decoys (what enemy shots can hit, main.js). */
+  function targets() {
+    return [player, ...decoys];
+  }
+
+  /** Once per frame: expire decoys and apply their taunts. */
+  function update(dt) {
+    const t = now();
+    for (let i = decoys.length - 1; i >= 0; i--) {
+      const d = decoys[i];
+      if (t < d.until) continue;
+      d.alive = false;
+      decoys.splice(i, 1);
+    }
+    if (!(dt > 0)) return;
+    for (const d of decoys) {
+      if (!(d.taunt > 0) || !(d.tauntRadius > 0)) continue;
+      const p = d.pos();
+      let near = null;
+      try { near = getEnemiesNear ? getEnemiesNear(p, d.tauntRadius) : enemies; } catch (_) { near = enemies; }
+      for (const en of near || []) {
+        if (!en || !en.alive || distance2D(en.pos(), p) > d.tauntRadius) continue;
+        add(en, d, d.taunt * dt);
+      }
+    }
+  }
+
+  /** Drop an enemy's table (respawn, relocation: enemyAI.reset). */
+  function forget(en) {
+    if (en) tables.delete(en);
+  }
+
+  /** Drop every decoy and every enemy's table (map change). */
+  function clear() {
+    for (const d of decoys) d.alive = false;
+    decoys.length = 0;
+    tables = new WeakMap();
+  }
+
+  return {
+    addDecoy,
+    add,
+    onDamage,
+    get,
+    targetOf,
+    targets,
+    update,
+    forget,
+    clear,
+  };
+}
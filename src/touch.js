@@ -1,12 +1,12 @@
 /**
  * Mobile Touch Controls for Zeus RPG
  * - Virtual joystick bottom-left for movement
- * - Skill wheel bottom-right: center = basic, Q/W/E/R around
+ * - Skill wheel bottom-right: center = basic, one button per SLOT_KEYS key (Q/W/E/R, D/F) around
  * - Cancel button near joystick to cancel current aim
  *
  * Integration contract (from main.js):
  *   import { initTouchControls } from "./touch.js";
- *   const touch = initTouchControls({ player, skills, effects, aimPreview, attackPreview, enemies, getNearestEnemy, WORLD, SKILLS });
+ *   const touch = initTouchControls({ player, skills, effects, aimPreview, attackPreview, enemies, enemyIndex, getNearestEnemy, WORLD, SKILLS });
  *   // In animate():
  *   const joy = touch.getMoveDir();
  *   if (!player.frozen && !player.aimMode && joy.active) {
@@ -21,30 +21,24 @@
  * Notes:
  * - When a skill with type 'aoe' is active in aim mode, its own button becomes a mini-joystick for AOE placement.
  * - Tapping the same skill while in aim mode confirms the cast at current aim position.
+ * - Charge/channel skills start on pointerdown and end when the finger lifts (skills.releaseSkill).
  * - Cancel button exits aim mode.
  */
 
 import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { SLOT_KEYS } from "./loadout.js";
 
-export function initTouchControls({ player, skills, effects, aimPreview, attackPreview, enemies, getNearestEnemy, WORLD, SKILLS }) {
+export function initTouchControls({ player, skills, effects, aimPreview, attackPreview, enemies, enemyIndex = null, getNearestEnemy, WORLD, SKILLS }) {
   const els = {
     joystick: document.getElementById("joystick"),
     joyBase: document.getElementById("joyBase"),
     joyKnob: document.getElementById("joyKnob"),
     btnBasic: document.getElementById("btnBasic"),
-    btnQ: document.getElementById("btnSkillQ"),
-    btnW: document.getElementById("btnSkillW"),
-    btnE: document.getElementById("btnSkillE"),
-    btnR: document.getElementById("btnSkillR"),
   };
 
-  const keyToButton = {
-    Q: els.btnQ,
-    W: els.btnW,
-    E: els.btnE,
-    R: els.btnR,
-  };
-  const skillKeys = ["Q", "W", "E", "R"];
+  const skillKeys = SLOT_KEYS;
+  const keyToButton = {};
+  for (const k of skillKeys) keyToButton[k] = document.getElementById(`btnSkill${k}`);
 
   // Hide entire mobile controls on non-touch (optional heuristic)
   if (!("ontouchstart" in window) && els.joystick && els.joystick.parentElement) {
@@ -74,13 +68,24 @@ export function initTouchControls({ player, skills, effects, aimPreview, attackP
     didDrag: false,
   };
 
-  // Hold-to-cast state for touch buttons
-  const holdState = { basic: false, skillQ: false, skillW: false, skillE: false, skillR: false };
-  const downAt = { Q: 0, W: 0, E: 0, R: 0 };
+  // Hold-to-cast state for touch buttons ({ basic, skillQ, skillW, ... })
+  const holdState = { basic: false };
+  const downAt = {};
+  // Charge/channel presses handled by pointerdown/pointerup; their trailing click is ignored
+  const heldPress = {};
+  for (const k of skillKeys) {
+    holdState["skill" + k] = false;
+    downAt[k] = 0;
+  }
 
   function clearHolds() {
-    holdState.basic = holdState.skillQ = holdState.skillW = holdState.skillE = holdState.skillR = false;
-    downAt.Q = downAt.W = downAt.E = downAt.R = 0;
+    holdState.basic = false;
+    for (const k of skillKeys) {
+      // Lifting the finger fires a charge or stops a channel
+      if (holdState["skill" + k]) { try { skills.releaseSkill?.(k); } catch (_) {} }
+      holdState["skill" + k] = false;
+      downAt[k] = 0;
+    }
   }
   window.addEventListener("pointerup", clearHolds);
   window.addEventListener("pointercancel", clearHolds);
@@ -270,6 +275,11 @@ export function initTouchControls({ player, skills, effects, aimPreview, attackP
       // normal hold-to-cast behavior when not in aim mode
       holdState["skill" + key] = true;
       downAt[key] = performance.now ? performance.now() : Date.now();
+      // Charge / channel start right away so a quick tap still has something to release
+      if (skills.isHoldSkill?.(key)) {
+        heldPress[key] = true;
+        try { skills.castSkill(key); } catch (_) {}
+      }
     });
   }
 
@@ -280,7 +290,7 @@ export function initTouchControls({ player, skills, effects, aimPreview, attackP
       if (player.frozen) return;
       try {
         const nearest = (typeof getNearestEnemy === "function")
-          ? getNearestEnemy(player.pos(), WORLD.attackRange * (WORLD.attackRangeMult || 1), enemies)
+          ? getNearestEnemy(player.pos(), WORLD.attackRange * (WORLD.attackRangeMult || 1), enemies, enemyIndex)
           : null;
         if (nearest) {
           // select and perform basic attack immediately
@@ -311,6 +321,7 @@ export function initTouchControls({ player, skills, effects, aimPreview, attackP
       // Ignore click if this was a drag interaction or long-press
       const nowTs = performance.now ? performance.now() : Date.now();
       if (aoeDrag.didDrag) { aoeDrag.didDrag = false; return; }
+      if (heldPress[key]) { heldPress[key] = false; return; }
       if (downAt[key] && nowTs - downAt[key] > 250) { downAt[key] = 0; return; }
       downAt[key] = 0;
 
@@ -334,9 +345,9 @@ export function initTouchControls({ player, skills, effects, aimPreview, attackP
     cancelAim,
     getHoldState() {
       // Return hold booleans and, if an AOE skill is held, provide { aoeKey, aoePoint } for continuous casting.
-      if (!holdState.basic && !holdState.skillQ && !holdState.skillW && !holdState.skillE && !holdState.skillR) return null;
+      if (!holdState.basic && !skillKeys.some((k) => holdState["skill" + k])) return null;
       const state = Object.assign({}, holdState);
-      // Determine if any held skill is AOE; prioritize Q,W,E,R order
+      // Determine if any held skill is AOE; prioritize slot order
       for (const key of skillKeys) {
         if (holdState["skill" + key] && isAOE(key)) {
           const pos = (lastAimPos && isFinite(lastAimPos.x)) ? lastAimPos.clone() : computeAimPositionFromJoystick();
@@ -32,6 +32,9 @@ export function setupDesktopControls(){
     "W": "btnSkillW",
     "E": "btnSkillE",
     "R": "btnSkillR",
+    "D": "btnSkillD",
+    "F": "btnSkillF",
+    "page": "btnSkillPage",
   };
 
   // Forward clicks from bottom-middle skill tiles to main skill buttons (or emit a request event)
@@ -1,4 +1,4 @@
-/* Hero Screen UI (Skills/Info/Skillbook/Maps/Marks)
+/* Hero Screen UI (Skills/Info/Inventory/Skillbook/Maps/Marks)
    Extracted from main.js into a reusable module.
    Usage:
      import { renderHeroScreen } from "./ui/hero/index.js";
@@ -10,6 +10,7 @@ import { renderInfoTab } from "./tabs/info.js";
 import { renderBookTab } from "./tabs/book.js";
 import { renderMapsTab } from "./tabs/maps.js";
 import { renderMarksTab } from "./tabs/marks.js";
+import { renderInventoryTab } from "./tabs/inventory.js";
 
 
 export function renderHeroScreen(initialTab = "skills", ctx = {}) {
@@ -42,6 +43,7 @@ export function renderHeroScreen(initialTab = "skills", ctx = {}) {
 
   const skillsPanel = document.getElementById("heroTabSkills");
   const infoPanel = document.getElementById("heroTabInfo");
+  const inventoryPanel = document.getElementById("heroTabInventory");
   const bookPanel = document.getElementById("heroTabBook");
   const mapsPanel = document.getElementById("heroTabMaps");
   const marksPanel = document.getElementById("heroTabMarks");
@@ -49,6 +51,7 @@ export function renderHeroScreen(initialTab = "skills", ctx = {}) {
   const panels = {
     heroTabSkills: skillsPanel,
     heroTabInfo: infoPanel,
+    heroTabInventory: inventoryPanel,
     heroTabBook: bookPanel,
     heroTabMaps: mapsPanel,
     heroTabMarks: marksPanel,
@@ -71,7 +74,7 @@ export function renderHeroScreen(initialTab = "skills", ctx = {}) {
   }
 
   // Initial activation based on initialTab
-  const tabMap = { skills: "heroTabSkills", info: "heroTabInfo", book: "heroTabBook", maps: "heroTabMaps", marks: "heroTabMarks" };
+  const tabMap = { skills: "heroTabSkills", info: "heroTabInfo", inventory: "heroTabInventory", book: "heroTabBook", maps: "heroTabMaps", marks: "heroTabMarks" };
   showPanelById(tabMap[initialTab] || "heroTabSkills");
 
   // Bind tab buttons
@@ -94,6 +97,8 @@ export function renderHeroScreen(initialTab = "skills", ctx = {}) {
 
   try { renderSkillsTab(skillsPanel, ctx, (tab, over) => renderHeroScreen(tab, Object.assign({}, ctx, over || {}))); } catch (_) {}
 
+  try { renderInventoryTab(inventoryPanel, ctx); } catch (_) {}
+
   try { renderBookTab(bookPanel, ctx); } catch (_) {}
 
   try { renderMapsTab(mapsPanel, ctx); } catch (_) {}
@@ -1,11 +1,11 @@
 import { SKILLS } from "../../constants.js";
-import { saveLoadout, loadOrDefault } from "../../loadout.js";
+import { saveLoadout, loadOrDefault, SLOT_KEYS, isSlotUnlocked } from "../../loadout.js";
 import { SKILL_POOL, DEFAULT_LOADOUT } from "../../skills_pool.js";
 import { now } from "../../utils.js";
 
 /**
  * Enhanced Skillbook preview flow:
- * - Native DOM overlay to select assignment key (Q/W/E/R) instead of prompt
+ * - Native DOM overlay to select assignment key (unlocked SLOT_KEYS) instead of prompt
  * - Shows option keys with current bindings for clarity
  * - After Hero Screen fades out, show countdown 2, 1 only (no extra overlay/backdrop)
  * - Then cast the selected key, show "⚡ Casted!" for 1.5s, and fade the Hero Screen back in
@@ -20,7 +20,7 @@ export function initHeroPreview(skills, opts = {}) {
 
   skills.previewSkill = function enhancedPreview(def) {
     try {
-      showKeySelectOverlay(def)
+      showKeySelectOverlay(def, (skills.player && skills.player.level) || 1)
         .then((key) => {
           if (!key) {
             // cancelled or invalid -> fallback to old preview visuals (no cast)
@@ -49,7 +49,7 @@ export function initHeroPreview(skills, opts = {}) {
    UI Overlays
 ============================ */
 
-function showKeySelectOverlay(def) {
+function showKeySelectOverlay(def, level = 1) {
   return new Promise((resolve) => {
     const root = document.createElement("div");
     root.id = "__previewKeySelect";
@@ -91,7 +91,7 @@ function showKeySelectOverlay(def) {
       marginBottom: "10px",
     });
 
-    const keys = ["Q", "W", "E", "R"];
+    const keys = SLOT_KEYS.filter((k) => isSlotUnlocked(k, level));
     const btns = [];
     keys.forEach((k) => {
       const btn = document.createElement("button");
@@ -167,7 +167,7 @@ function showKeySelectOverlay(def) {
     // Keyboard access
     const onKey = (ev) => {
       const k = String(ev.key || "").toUpperCase();
-      if (["Q", "W", "E", "R"].includes(k)) {
+      if (keys.includes(k)) {
         ev.preventDefault?.();
         cleanup();
         resolve(k);
@@ -274,7 +274,7 @@ async function showCastingOverlayAndCast(skills, def, key) {
 
 function persistAssignment(key, def) {
   try {
-    const idx = { Q: 0, W: 1, E: 2, R: 3 }[key] ?? 0;
+    const idx = Math.max(0, SLOT_KEYS.indexOf(key));
     const ids = loadOrDefault(SKILL_POOL, DEFAULT_LOADOUT).slice();
     if (def && def.id) {
       ids[idx] = def.id;
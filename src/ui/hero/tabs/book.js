@@ -1,12 +1,14 @@
 import { SCALING } from "../../../constants.js";
 import { getSkillIcon } from "../../skillbar.js";
+import { getStatusDef } from "../../../status_effects.js";
+import { getSynergies, listSkillSynergies } from "../../../synergies.js";
 
 /**
  * Render the Skillbook tab: list of skills with detail panel and preview button.
  * Expects panelEl to be #heroTabBook (container is static in HTML).
  */
 export function renderBookTab(panelEl, ctx = {}) {
-  const { SKILL_POOL = [], player, t } = ctx;
+  const { SKILL_POOL = [], player, t, currentLoadout = [] } = ctx;
   const tt = typeof t === "function" ? t : (x) => x;
   if (!panelEl) return;
 
@@ -31,12 +33,15 @@ export function renderBookTab(panelEl, ctx = {}) {
   expl.className = "sb-expl";
   const stats = document.createElement("div");
   stats.className = "sb-stats";
+  const combos = document.createElement("div");
+  combos.className = "sb-combos";
   const imgBox = document.createElement("div");
   imgBox.className = "sb-imgBox";
 
   detail.appendChild(title);
   detail.appendChild(expl);
   detail.appendChild(stats);
+  detail.appendChild(combos);
   detail.appendChild(imgBox);
 
   const typeExplain = {
@@ -53,6 +58,10 @@ export function renderBookTab(panelEl, ctx = {}) {
     blink: "Teleport toward direction/point.",
     clone: "Summons a lightning image that periodically zaps nearby foes.",
     shield: "Reduces incoming damage for a short time; may grant brief invulnerability on cast.",
+    mark: "Marks the nearest enemy so it takes extra damage for a while.",
+    charge: "Hold to charge, release to blast. Damage and radius grow with the charge.",
+    channel: "Hold to keep a beam on a target; drains mana every second.",
+    projectile: "Skillshot aimed at the cursor. Travels to its target and can be dodged or blocked by structures.",
   };
 
   function computeDamage(s) {
@@ -62,12 +71,80 @@ export function renderBookTab(panelEl, ctx = {}) {
     return Math.floor(base * mult);
   }
 
+  // Declarative statuses, e.g. "On hit: 🔥 Burn 3s"
+  function statusLines(list, label) {
+    if (!Array.isArray(list)) return [];
+    return list.map((st) => {
+      const def = getStatusDef(st && st.id);
+      return def ? `${label}: ${def.icon} ${tt(`status.${st.id}`)} ${st.duration}s` : "";
+    });
+  }
+
+  function skillName(id) {
+    const def = SKILL_POOL.find((x) => x.id === id);
+    const name = tt(`skills.names.${id}`);
+    return name && name !== `skills.names.${id}` ? name : (def && def.name) || id;
+  }
+
+  // Combo rules this skill owns (with the skills that set them up) and rules of other skills it sets up.
+  // Partners already in the loadout are highlighted.
+  function renderCombos(s) {
+    combos.innerHTML = "";
+    const { own, enables } = listSkillSynergies(SKILL_POOL, s.id);
+    if (!own.length && !enables.length) return;
+    const equipped = new Set(Array.isArray(currentLoadout) ? currentLoadout : []);
+    const head = document.createElement("div");
+    head.className = "sb-combos__title";
+    head.textContent = `🔗 ${tt("hero.book.synergies")}`;
+    combos.appendChild(head);
+
+    const partnerList = (ids) => {
+      const wrap = document.createElement("span");
+      ids.forEach((id, i) => {
+        const chip = document.createElement("span");
+        chip.className = "sb-combo__partner" + (equipped.has(id) ? " sb-combo__partner--equipped" : "");
+        chip.textContent = skillName(id) + (i < ids.length - 1 ? ", " : "");
+        wrap.appendChild(chip);
+      });
+      return wrap;
+    };
+
+    for (const { rule, partners } of own) {
+      const row = document.createElement("div");
+      row.className = "sb-combo";
+      const name = document.createElement("div");
+      name.className = "sb-combo__name";
+      name.textContent = `${rule.icon || "✦"} ${tt(`synergies.${rule.id}.name`)}`;
+      const desc = document.createElement("div");
+      desc.className = "sb-combo__desc";
+      desc.textContent = tt(`synergies.${rule.id}.desc`);
+      row.appendChild(name);
+      row.appendChild(desc);
+      if (partners.length) {
+        const w = document.createElement("div");
+        w.className = "sb-combo__with";
+        w.textContent = `${tt("hero.book.with")}: `;
+        w.appendChild(partnerList(partners));
+        row.appendChild(w);
+      }
+      combos.appendChild(row);
+    }
+    for (const { skill, rule } of enables) {
+      const row = document.createElement("div");
+      row.className = "sb-combo sb-combo--enables";
+      row.textContent = `${tt("hero.book.setsUp")}: ${rule.icon || "✦"} ${tt(`synergies.${rule.id}.name`)} — `;
+      row.appendChild(partnerList([skill]));
+      combos.appendChild(row);
+    }
+  }
+
   function renderDetail(s) {
     try {
       const nameLocal = tt(`skills.names.${s.id}`) || s.name;
       const shortLocal = tt(`skills.shorts.${s.id}`) || s.short || "";
       title.textContent = `${nameLocal}${shortLocal ? " (" + shortLocal + ")" : ""}`;
       const dmgLine = typeof s.dmg === "number" ? `Damage: ${computeDamage(s)} (base ${s.dmg})` : "";
+      const typeLine = typeof s.dmg === "number" ? `Damage Type: ${s.damageType || "electric"}` : "";
       const lines = [
         "---",
         `Type: ${s.type}`,
@@ -80,12 +157,24 @@ export function renderBookTab(panelEl, ctx = {}) {
         s.jumpRange != null ? `Jump Range: ${s.jumpRange}` : "",
         s.tick != null ? `Tick: ${s.tick}s` : "",
         s.duration != null ? `Duration: ${s.duration}s` : "",
+        s.maxCharge != null ? `Full Charge: ${s.maxCharge}s` : "",
+        s.chargeScale && s.chargeScale.dmg ? `Full Charge Damage: x${s.chargeScale.dmg}` : "",
+        s.manaPerSec != null ? `Mana/s: ${s.manaPerSec}` : "",
+        s.speed != null ? `Speed: ${s.speed}` : "",
+        s.lifetime != null ? `Lifetime: ${s.lifetime}s` : "",
+        s.pierce ? `Pierce: ${s.pierce}` : "",
+        s.bounces ? `Bounces: ${s.bounces}` : "",
         s.slowFactor != null ? `Slow: ${Math.round(s.slowFactor * 100)}%` : "",
         s.slowDuration != null ? `Slow Duration: ${s.slowDuration}s` : "",
+        s.stunDuration != null ? `Stun: ${s.stunDuration}s` : "",
+        ...statusLines(s.statuses, "On hit"),
+        ...statusLines(s.selfStatuses, "On cast"),
         dmgLine,
+        typeLine,
       ].filter(Boolean);
       stats.innerHTML = lines.map((x) => `<div>${x}</div>`).join("");
       expl.textContent = typeExplain[s.type] || "No description.";
+      renderCombos(s);
     } catch (_) {}
   }
 
@@ -119,6 +208,7 @@ export function renderBookTab(panelEl, ctx = {}) {
     const parts = [];
     if (s.cd != null) parts.push(`CD ${s.cd}s`);
     if (s.mana != null) parts.push(`MP ${s.mana}`);
+    if (getSynergies(s).length) parts.push("🔗");
     if (parts.length) req.textContent = parts.join(" • ");
 
     info.appendChild(titleRow);
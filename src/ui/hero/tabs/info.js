@@ -1,7 +1,9 @@
-import { getUpliftSummary } from "../../../uplift.js";
+import { getUpliftSummary, getUpliftState, respecUplifts, promptUpliftIfNeeded } from "../../../uplift.js";
 import { now } from "../../../utils.js";
+import { getStatus, listStatuses } from "../../../status_effects.js";
+import { getSessionSeed, getSeedReplayUrl } from "../../../rng.js";
 /**
- * Render the Info tab: basic hero info (level, HP/MP).
+ * Render the Info tab: basic hero info (level, HP/MP), uplift picks (with respec) and the session RNG seed.
  * Expects the panel element to be #heroTabInfo.
  */
 export function renderInfoTab(panelEl, ctx = {}) {
@@ -41,49 +43,29 @@ export function renderInfoTab(panelEl, ctx = {}) {
     let upliftLines = [];
     try { upliftLines = getUpliftSummary?.() || []; } catch (_) {}
 
-    // Defense stat and status lists
-    const defPct = Math.round((player?.defensePct ?? 0) * 100);
-    const defActive = !!(player?.defenseUntil && now() < player.defenseUntil);
-    const defRem = defActive ? Math.ceil(player.defenseUntil - now()) : 0;
-
-    const buffs = [];
-    const debuffs = [];
-
-    if (defActive) {
-      buffs.push(`Defense ${defPct}% (${defRem}s)`);
-    }
-
-    if (player?.speedBoostUntil && now() < player.speedBoostUntil && (player.speedBoostMul || 1) > 1) {
-      const pmul = Math.round(((player.speedBoostMul || 1) - 1) * 100);
-      const rem = Math.ceil(player.speedBoostUntil - now());
-      buffs.push(`Move Speed +${pmul}% (${rem}s)`);
-    }
-
-    if (player?.atkSpeedUntil && now() < player.atkSpeedUntil && (player.atkSpeedMul || 1) !== 1) {
-      const mul = player.atkSpeedMul || 1;
-      const pct = Math.round((mul - 1) * 100);
-      const rem = Math.ceil(player.atkSpeedUntil - now());
-      buffs.push(`Attack Speed ${pct >= 0 ? "+" : ""}${pct}% (${rem}s)`);
-    }
-
-    if (player?.invulnUntil && now() < player.invulnUntil) {
-      const rem = Math.ceil(player.invulnUntil - now());
-      buffs.push(`Invulnerable (${rem}s)`);
+    // Defense stat and status lists (src/status_effects.js)
+    const defense = getStatus(player, "defense");
+    const defActive = !!defense;
+    const defPct = Math.round((defense?.params?.pct ?? 0) * 100);
+    const defRem = defActive ? Math.ceil(defense.until - now()) : 0;
+
+    function describeStatus(s) {
+      const p = s.params || {};
+      let detail = "";
+      if (s.id === "defense") detail = ` ${Math.round((p.pct || 0) * 100)}%`;
+      else if (s.id === "speedBoost" || s.id === "atkSpeed") detail = ` +${Math.round(((p.mul || 1) - 1) * 100)}%`;
+      else if (s.id === "slow") detail = ` -${Math.round((1 - (p.factor ?? 0.5)) * 100)}%`;
+      else if (s.id === "vulnerable") detail = ` +${Math.round(((p.mul || 1.25) - 1) * 100)}%`;
+      if (s.stacks > 1) detail += ` ×${s.stacks}`;
+      return `${s.def.icon} ${tt(`status.${s.id}`)}${detail} (${Math.ceil(s.remaining)}s)`;
     }
 
-    if (player?.slowUntil && now() < player.slowUntil) {
-      const slowF = player.slowFactor ?? 1;
-      const red = Math.max(0, Math.round((1 - slowF) * 100));
-      const rem = Math.ceil(player.slowUntil - now());
-      debuffs.push(`Slowed ${red > 0 ? "-" + red : "?"}% (${rem}s)`);
-    }
+    const critPct = Math.round((player.critChance || 0) * 100);
+    const critMult = player.critMult || 1;
 
-    if (player?.vulnUntil && now() < player.vulnUntil) {
-      const vm = player.vulnMult || 1.25;
-      const pct = Math.round((vm - 1) * 100);
-      const rem = Math.ceil(player.vulnUntil - now());
-      debuffs.push(`Vulnerable +${pct}% dmg taken (${rem}s)`);
-    }
+    const active = listStatuses(player);
+    const buffs = active.filter((s) => s.def.kind === "buff").map(describeStatus);
+    const debuffs = active.filter((s) => s.def.kind === "debuff").map(describeStatus);
 
     function addRow(emoji, titleText, descText = "", reqText = "") {
       const row = document.createElement("div");
@@ -119,18 +101,55 @@ export function renderInfoTab(panelEl, ctx = {}) {
       row.appendChild(info);
       row.appendChild(actions);
       list.appendChild(row);
+      return actions;
     }
 
     // Rows
     addRow("👤", tt("hero.info.title") || "Hero", `${tt("hero.info.level")} ${level} • ${tt("hero.info.move")} ${moveSpd} • ${tt("hero.info.baseDmg")} ${baseDmg}`, `${tt("hero.info.hp")} ${hp} • ${tt("hero.info.mp")} ${mp}`);
     addRow("⚡", tt("hero.info.attack"), `${tt("hero.info.attackSpeed")} ${atkSpdMul.toFixed(2)}x (${atkSpdPct >= 0 ? "+" : ""}${atkSpdPct}%)`, "");
+    addRow("💥", tt("hero.info.crit"), `${tt("hero.info.critChance")} ${critPct}% • ${tt("hero.info.critMult")} ${critMult.toFixed(2)}x`, "");
     addRow("🛡️", tt("hero.info.defense"), `${tt("hero.info.defense")} ${defPct}%${defActive ? ` (${defRem}s)` : ""}`, defActive ? tt("hero.info.active") : tt("hero.info.inactive"));
     if (mapName) {
       addRow(mapEmoji, tt("hero.info.map"), mapName, mapDepth ? `${tt("hero.info.depth")} +${mapDepth}` : "");
     }
     addRow("🟢", tt("hero.info.buffs"), (buffs.length ? buffs.join(", ") : "—"), "");
     addRow("🔴", tt("hero.info.debuffs"), (debuffs.length ? debuffs.join(", ") : "—"), "");
-    addRow("📈", tt("hero.info.uplifts"), (upliftLines.length ? upliftLines.join(", ") : tt("uplift.none")), "");
+    const upliftActions = addRow("📈", tt("hero.info.uplifts"), (upliftLines.length ? upliftLines.join(", ") : tt("uplift.none")), "");
+    if (getUpliftState().choices.length) {
+      try {
+        // Respec: clear every pick; reached milestones are offered again right away
+        const respecBtn = document.createElement("button");
+        respecBtn.className = "pill-btn pill-btn--yellow";
+        respecBtn.textContent = "♻️";
+        respecBtn.title = tt("hero.info.respec");
+        respecBtn.addEventListener("click", () => {
+          if (!confirm(tt("hero.info.respecConfirm"))) return;
+          respecUplifts();
+          renderInfoTab(panelEl, ctx);
+          try { promptUpliftIfNeeded(player); } catch (_) {}
+        });
+        upliftActions.appendChild(respecBtn);
+      } catch (_) {}
+    }
+
+    // Session seed: reloading with ?seed=<seed> replays the same spawns/tiers/loot
+    const seed = getSessionSeed();
+    const seedActions = addRow("🎲", tt("hero.info.seed"), String(seed), tt("hero.info.seedHint").replace("{seed}", seed));
+    try {
+      const copyBtn = document.createElement("button");
+      copyBtn.className = "pill-btn pill-btn--yellow";
+      copyBtn.textContent = "📋";
+      copyBtn.title = tt("hero.info.copySeed");
+      copyBtn.addEventListener("click", () => {
+        try {
+          navigator.clipboard.writeText(getSeedReplayUrl()).then(() => {
+            copyBtn.textContent = "✅";
+            setTimeout(() => { copyBtn.textContent = "📋"; }, 1200);
+          }).catch(() => {});
+        } catch (_) {}
+      });
+      seedActions.appendChild(copyBtn);
+    } catch (_) {}
   } catch (_) {
     const row = document.createElement("div");
     row.className = "items-row";
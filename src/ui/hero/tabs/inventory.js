@@ -0,0 +1,166 @@
+import { ITEMS, getItemDef, getRarity } from "../../../items_pool.js";
+import { getInventory, useItem, equipItem, unequipItem, discardItem, MAX_EQUIPPED } from "../../../inventory.js";
+/**
+ * Render the Inventory tab: gold, equipped charm slots and carried items with actions
+ * (drink consumables, equip/unequip charms, discard). Re-renders on "inventory-changed"
+ * so pickups show up while the tab is open.
+ * Expects panelEl to be #heroTabInventory (container is static in HTML).
+ */
+export function renderInventoryTab(panelEl, ctx = {}) {
+  const { t, player, setCenterMsg, clearCenterMsg } = ctx;
+  if (!panelEl) return;
+  const tt = typeof t === "function" ? t : (x) => x;
+
+  try {
+    panelEl.innerHTML = "";
+  } catch (_) {}
+
+  const wrap = document.createElement("div");
+  wrap.className = "items-panel";
+  try {
+    wrap.style.display = "flex";
+    wrap.style.flexDirection = "column";
+    wrap.style.flex = "1 1 auto";
+    wrap.style.minHeight = "0";
+  } catch (_) {}
+
+  const head = document.createElement("div");
+  head.className = "marks-head";
+  const gold = document.createElement("span");
+  const slots = document.createElement("span");
+  head.appendChild(gold);
+  head.appendChild(slots);
+
+  const list = document.createElement("div");
+  list.className = "items-list";
+  try {
+    list.style.flex = "1 1 auto";
+    list.style.minHeight = "0";
+    list.style.overflow = "auto";
+    list.style.maxHeight = "none";
+  } catch (_) {}
+
+  function toast(msg) {
+    try {
+      setCenterMsg && setCenterMsg(msg);
+      setTimeout(() => { try { clearCenterMsg && clearCenterMsg(); } catch (_) {} }, 1200);
+    } catch (_) {}
+  }
+
+  function describe(def) {
+    const parts = [];
+    const u = def.use || {};
+    if (u.hpPct) parts.push(tt("inventory.effect.hp").replace("{pct}", String(Math.round(u.hpPct * 100))));
+    if (u.mpPct) parts.push(tt("inventory.effect.mp").replace("{pct}", String(Math.round(u.mpPct * 100))));
+    const b = def.bonus || {};
+    if (b.dmgMul) parts.push(tt("inventory.effect.dmg").replace("{pct}", String(Math.round(b.dmgMul * 100))));
+    if (b.hpRegenMul) parts.push(tt("inventory.effect.hpRegen").replace("{pct}", String(Math.round(b.hpRegenMul * 100))));
+    if (b.mpRegenMul) parts.push(tt("inventory.effect.mpRegen").replace("{pct}", String(Math.round(b.mpRegenMul * 100))));
+    return parts.join(" · ");
+  }
+
+  function pill(text, title, onClick) {
+    const b = document.createElement("button");
+    b.className = "pill-btn pill-btn--yellow";
+    b.textContent = text;
+    b.title = title;
+    b.addEventListener("click", (e) => {
+      e.stopPropagation();
+      try { onClick(); } catch (_) {}
+    });
+    return b;
+  }
+
+  function render() {
+    list.innerHTML = "";
+    try {
+      const inv = getInventory();
+      gold.textContent = `🪙 ${inv.gold}`;
+      slots.textContent = tt("inventory.charmSlots").replace("{n}", String(inv.equipped.length)).replace("{max}", String(MAX_EQUIPPED));
+
+      // Same order as ITEMS so rows do not jump around as stacks change
+      const order = new Map(ITEMS.map((it, i) => [it.id, i]));
+      const entries = inv.items.slice().sort((a, b) => (order.get(a.id) ?? 0) - (order.get(b.id) ?? 0));
+      if (!entries.length) {
+        const empty = document.createElement("div");
+        empty.className = "marks-empty";
+        empty.textContent = tt("inventory.empty");
+        list.appendChild(empty);
+        return;
+      }
+
+      entries.forEach((e) => {
+        const def = getItemDef(e.id);
+        if (!def) return;
+        const equipped = inv.equipped.includes(e.id);
+        const row = document.createElement("div");
+        row.className = "items-row" + (equipped ? " selected" : "");
+
+        const thumb = document.createElement("div");
+        thumb.className = "items-thumb";
+        const em = document.createElement("div");
+        em.className = "items-thumb-ph";
+        em.textContent = def.icon || "🎁";
+        try {
+          em.style.fontSize = "42px";
+          em.style.lineHeight = "1";
+        } catch (_) {}
+        thumb.appendChild(em);
+
+        const info = document.createElement("div");
+        const title = document.createElement("div");
+        title.className = "items-title";
+        title.textContent = `${tt(`items.${def.id}`)} ×${e.qty}`;
+        try {
+          const hex = String(getRarity(def.rarity).color).replace(/^0x/, "#");
+          title.style.color = hex;
+        } catch (_) {}
+        const desc = document.createElement("div");
+        desc.className = "items-desc";
+        desc.textContent = describe(def);
+        const req = document.createElement("div");
+        req.className = "items-req";
+        req.textContent = `${tt(`inventory.rarity.${def.rarity}`)}${equipped ? ` · ${tt("inventory.equipped")}` : ""}`;
+        info.appendChild(title);
+        info.appendChild(desc);
+        info.appendChild(req);
+
+        const actions = document.createElement("div");
+        actions.className = "items-actions";
+        if (def.kind === "consumable") {
+          actions.appendChild(pill("🧃", tt("inventory.use"), () => {
+            if (!useItem(def.id, player)) toast(tt("inventory.noEffect"));
+          }));
+        } else if (def.kind === "charm") {
+          if (equipped) {
+            actions.appendChild(pill("➖", tt("inventory.unequip"), () => unequipItem(def.id)));
+          } else {
+            actions.appendChild(pill("➕", tt("inventory.equip"), () => {
+              if (!equipItem(def.id)) toast(tt("inventory.slotsFull").replace("{max}", String(MAX_EQUIPPED)));
+            }));
+          }
+        }
+        actions.appendChild(pill("🗑️", tt("inventory.discard"), () => {
+          if (confirm(tt("inventory.discardConfirm").replace("{item}", tt(`items.${def.id}`)))) discardItem(def.id);
+        }));
+
+        row.appendChild(thumb);
+        row.appendChild(info);
+        row.appendChild(actions);
+        list.appendChild(row);
+      });
+    } catch (_) {}
+  }
+
+  // Avoid stacking listeners across re-renders by reusing a single global handle
+  try {
+    window.removeEventListener("inventory-changed", window.__inventoryPanelListener);
+  } catch (_) {}
+  window.__inventoryPanelListener = () => render();
+  window.addEventListener("inventory-changed", window.__inventoryPanelListener);
+  render();
+
+  wrap.appendChild(head);
+  wrap.appendChild(list);
+  panelEl.appendChild(wrap);
+}
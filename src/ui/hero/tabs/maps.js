@@ -1,3 +1,5 @@
+import { getEnemyArchetype } from "../../../enemies_pool.js";
+
 /**
  * Render the Maps tab: pagination/infinite-style list with "Load more".
  * - Creates #items-panel container that consumes remaining height of heroTabMaps.
@@ -70,13 +72,6 @@ export function renderMapsTab(panelEl, ctx = {}) {
     "Gale-Torn Lowlands",
     "Lightning Wastes",
   ];
-  const ELITES = [
-    "Stormborn Vanguards",
-    "Auric Wardens",
-    "Tempest Guard",
-    "Void Reavers",
-    "Thunder Heralds",
-  ];
 
   function synthesizeMap(idx) {
     if (idx <= BASE_LEN) {
@@ -86,7 +81,6 @@ export function renderMapsTab(panelEl, ctx = {}) {
     }
     const depth = idx - BASE_LEN;
     const theme = THEMES[(depth - 1) % THEMES.length];
-    const elite = ELITES[(depth - 1) % ELITES.length];
     const name = `${tt("maps.endless")} +${depth} — ${theme}`;
     const requiredLevel = Math.max(1, (lastBase.requiredLevel || 1) + depth * 5);
     const desc = tt("maps.depthDesc").replace("${depth}", depth) || `Depth +${depth}. Each step strengthens foes: more HP, damage, speed and density.`;
@@ -100,7 +94,9 @@ export function renderMapsTab(panelEl, ctx = {}) {
       enemySpeedMul: lastBase.enemySpeedMul || 1,
       enemyCountMul: lastBase.enemyCountMul || 1,
       desc,
-      strongEnemies: [`${elite} (empowered)`],
+      // Endless depths spawn the last act's roster
+      strongEnemies: lastBase.strongEnemies || [],
+      signatureEnemies: lastBase.signatureEnemies || [],
       emoji: mapManager.emojiForIndex?.(idx),
       imgHint: lastBase.imgHint || `Endless Depth +${depth}`,
     };
@@ -160,14 +156,31 @@ export function renderMapsTab(panelEl, ctx = {}) {
       const req = document.createElement("div");
       req.className = "items-req";
       req.textContent = `${tt("maps.requires")} Lv ${m.requiredLevel}`;
+      // Boss gate: the previous map's boss must be defeated to unlock this one
+      const prevBoss = m.index > 1 ? mapManager.getBoss?.(m.index - 1) : null;
+      if (!unlocked && prevBoss && !mapManager.isBossDefeated?.(m.index - 1)) {
+        req.textContent += ` • ${tt("maps.requiresBoss").replace("{boss}", prevBoss.name)}`;
+      }
+      const boss = mapManager.getBoss?.(m.index);
+      const bossLine = document.createElement("div");
+      bossLine.className = "items-elites";
+      if (boss) {
+        bossLine.textContent = `${tt("maps.boss")} ${boss.name}${mapManager.isBossDefeated?.(m.index) ? ` • ${tt("maps.bossDefeated")}` : ""}`;
+      }
       const elites = document.createElement("div");
       elites.className = "items-elites";
       elites.textContent = (m.strongEnemies && m.strongEnemies.length) ? `${tt("maps.elites")} ${m.strongEnemies.join(", ")}` : "";
 
+      const tactics = document.createElement("div");
+      tactics.className = "items-elites";
+      tactics.textContent = describeSignatureTactics(m.signatureEnemies, tt);
+
       info.appendChild(title);
       info.appendChild(d);
       info.appendChild(req);
       if (elites.textContent) info.appendChild(elites);
+      if (tactics.textContent) info.appendChild(tactics);
+      if (bossLine.textContent) info.appendChild(bossLine);
 
       const act = document.createElement("div");
       act.className = "items-actions";
@@ -186,7 +199,8 @@ export function renderMapsTab(panelEl, ctx = {}) {
         btn.addEventListener("click", () => {
           try {
             if (mapManager.setCurrent?.(m.index)) {
-              enemies?.forEach?.((en) => applyMapModifiersToEnemy && applyMapModifiersToEnemy(en));
+              if (typeof ctx.applyMapSwitchToEnemies === "function") ctx.applyMapSwitchToEnemies();
+              else enemies?.forEach?.((en) => applyMapModifiersToEnemy && applyMapModifiersToEnemy(en));
               // Adjust enemy density to match current map modifiers
               try { ctx.adjustEnemyCountForMap && ctx.adjustEnemyCountForMap(); } catch (_) {}
               setCenterMsg && setCenterMsg(`Switched to ${m.name}`);
@@ -217,3 +231,12 @@ export function renderMapsTab(panelEl, ctx = {}) {
 
   panelEl.appendChild(wrap);
 }
+
+// "Tactics: Harpy Matrons — dives after a ground telegraph; ..." for signature foes with a behavior
+function describeSignatureTactics(ids, tt) {
+  const parts = (ids || [])
+    .map((id) => getEnemyArchetype(id))
+    .filter((a) => a && a.behavior && a.behavior.type)
+    .map((a) => `${a.name} — ${tt(`maps.behavior.${a.behavior.type}`)}`);
+  return parts.length ? `${tt("maps.tactics")} ${parts.join("; ")}` : "";
+}
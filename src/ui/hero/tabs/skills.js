@@ -1,17 +1,21 @@
-import { getSkillIcon } from "../../skillbar.js";
+import { getSkillIcon, skillPageLabel } from "../../skillbar.js";
+import { SKILL_SLOTS, SLOT_KEYS, isSlotUnlocked, loadSkillPages, renameSkillPage, loadOrDefault } from "../../../loadout.js";
+import { getSkillRank, getMaxRank, getRankUpCost, getRankTree, applySkillRank, rankUpSkill } from "../../../skill_ranks.js";
 
 /**
- * Render the Skills tab (loadout slots + skill pool + assign bar).
+ * Render the Skills tab (skill pages + loadout slots + skill pool with ranks + assign bar).
  * Expects static DOM containers to exist in HTML:
  *  - #heroSkillsList, #heroSkillsLeft, #heroSkillsRight
  */
 export function renderSkillsTab(panelEl, ctx = {}, rerender) {
   const {
     t,
+    player,
     SKILL_POOL = [],
     DEFAULT_LOADOUT = [],
     currentLoadout = [],
     setLoadoutAndSave,
+    setSkillPage,
     updateSkillBarLabels,
   } = ctx;
 
@@ -32,13 +36,47 @@ export function renderSkillsTab(panelEl, ctx = {}, rerender) {
     rightCol.innerHTML = "";
   } catch (_) {}
 
-  // Loadout slots (Q W E R)
-  const keys = ["Q", "W", "E", "R"];
+  // Skill pages: one pill per page (tap to switch) and a rename button for the active one
+  try {
+    const { active, pages } = loadSkillPages(SKILL_POOL, DEFAULT_LOADOUT);
+    const pagesRow = document.createElement("div");
+    pagesRow.className = "skill-pages";
+    pages.forEach((pg, i) => {
+      const b = document.createElement("button");
+      b.className = `pill-btn${i === active ? " pill-btn--yellow active" : ""}`;
+      b.textContent = `📑 ${skillPageLabel(pg, i)}`;
+      b.addEventListener("click", () => {
+        if (i === active || !setSkillPage || !setSkillPage(i)) return;
+        rerender && rerender("skills", { currentLoadout: loadOrDefault(SKILL_POOL, DEFAULT_LOADOUT) });
+      });
+      pagesRow.appendChild(b);
+    });
+    const renameBtn = document.createElement("button");
+    renameBtn.className = "pill-btn";
+    renameBtn.textContent = "✏️";
+    renameBtn.title = tt("hero.pages.rename");
+    renameBtn.addEventListener("click", () => {
+      const name = prompt(tt("hero.pages.rename"), pages[active].name || "");
+      if (name == null) return;
+      renameSkillPage(SKILL_POOL, active, name, DEFAULT_LOADOUT);
+      updateSkillBarLabels && updateSkillBarLabels();
+      rerender && rerender("skills", { currentLoadout: activeLoadout });
+    });
+    pagesRow.appendChild(renameBtn);
+    rightCol.appendChild(pagesRow);
+  } catch (_) {}
+
+  // Loadout slots (SLOT_KEYS; D/F dimmed until unlocked, but they can be filled ahead of time)
+  const keys = SLOT_KEYS;
   const slotsWrap = document.createElement("div");
   slotsWrap.className = "loadout-slots loadout-slots--compact";
-  for (let i = 0; i < 4; i++) {
+  for (let i = 0; i < keys.length; i++) {
     const slot = document.createElement("div");
     slot.className = "loadout-slot loadout-slot--compact";
+    if (!isSlotUnlocked(keys[i], player && player.level)) {
+      slot.classList.add("loadout-slot--locked");
+      slot.title = tt("hero.slot.unlockAt").replace("{level}", String(SKILL_SLOTS[i].unlockLevel));
+    }
     slot.dataset.slotIndex = String(i);
     const skillId = activeLoadout[i];
     const skillDef = SKILL_POOL.find((s) => s.id === skillId);
@@ -52,6 +90,25 @@ export function renderSkillsTab(panelEl, ctx = {}, rerender) {
   }
   rightCol.appendChild(slotsWrap);
 
+  // Unspent skill points (ranks are bought per skill in the pool list)
+  const pointsEl = document.createElement("div");
+  pointsEl.className = "skill-points";
+  rightCol.appendChild(pointsEl);
+  function updatePoints() {
+    pointsEl.textContent = `${tt("hero.ranks.points")}: ${(player && player.skillPoints) || 0}`;
+  }
+  updatePoints();
+
+  // "+3 dmg, +1 jumps, -0.4 cd" for one rank
+  function describePerRank(s) {
+    const per = getRankTree(s).per;
+    return Object.keys(per)
+      .filter((k) => typeof s[k] === "number")
+      .map((k) => `${per[k] > 0 ? "+" : ""}${per[k]} ${k}`)
+      .join(", ");
+  }
+  const rankUpdaters = [];
+
   // Skill Pool (items-style list)
   const poolPanel = document.createElement("div");
   poolPanel.className = "items-panel";
@@ -97,17 +154,42 @@ export function renderSkillsTab(panelEl, ctx = {}, rerender) {
     desc.textContent = s.type ? s.type : "";
     const req = document.createElement("div");
     req.className = "items-req";
-    const parts = [];
-    if (s.cd != null) parts.push(`CD ${s.cd}s`);
-    if (s.mana != null) parts.push(`MP ${s.mana}`);
-    if (parts.length) req.textContent = parts.join(" • ");
+    const rankEl = document.createElement("div");
+    rankEl.className = "items-req skill-rank";
 
     info.appendChild(title);
     if (desc.textContent) info.appendChild(desc);
-    if (req.textContent) info.appendChild(req);
+    info.appendChild(req);
+    info.appendChild(rankEl);
 
     const actions = document.createElement("div");
     actions.className = "items-actions";
+    const rankBtn = document.createElement("button");
+    rankBtn.className = "pill-btn pill-btn--yellow";
+    rankBtn.textContent = "⬆️";
+    rankBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (rankUpSkill(player, s)) refreshRanks();
+    });
+    actions.appendChild(rankBtn);
+
+    // Rank line, cd/mana at the current rank and the rank-up button state
+    const updateRank = () => {
+      const rank = getSkillRank(s.id);
+      const max = getMaxRank(s);
+      const cost = getRankUpCost(s, rank);
+      const ranked = applySkillRank(s, rank);
+      const parts = [];
+      if (ranked.cd != null) parts.push(`CD ${ranked.cd}s`);
+      if (ranked.mana != null) parts.push(`MP ${ranked.mana}`);
+      req.textContent = parts.join(" • ");
+      const perRank = describePerRank(s);
+      rankEl.textContent = `${tt("hero.ranks.rank")} ${rank}/${max}${perRank ? ` • ${tt("hero.ranks.perRank")}: ${perRank}` : ""}`;
+      rankBtn.disabled = cost == null || ((player && player.skillPoints) || 0) < cost;
+      rankBtn.title = cost == null ? tt("hero.ranks.max") : tt("hero.ranks.up").replace("{cost}", cost);
+    };
+    updateRank();
+    rankUpdaters.push(updateRank);
     const btn = document.createElement("button");
     btn.className = "pill-btn pill-btn--yellow";
     btn.textContent = "➕";
@@ -130,6 +212,11 @@ export function renderSkillsTab(panelEl, ctx = {}, rerender) {
   poolPanel.appendChild(list);
   leftCol.appendChild(poolPanel);
 
+  function refreshRanks() {
+    updatePoints();
+    rankUpdaters.forEach((fn) => { try { fn(); } catch (_) {} });
+  }
+
   // Actions row (Reset)
   const actions = document.createElement("div");
   actions.className = "hero-actions";
@@ -184,14 +271,14 @@ export function renderSkillsTab(panelEl, ctx = {}, rerender) {
     applyLoadoutChange(next);
   }
 
-  // Assign bar (appears when a skill is selected; lets user pick Q/W/E/R)
+  // Assign bar (appears when a skill is selected; lets user pick a slot key)
   const assignBar = document.createElement("div");
   assignBar.className = "assign-bar";
   const assignLabel = document.createElement("div");
   assignLabel.className = "assign-label";
   const assignBtns = document.createElement("div");
   assignBtns.className = "assign-btns";
-  const keysRow = ["Q", "W", "E", "R"].map((k, i) => {
+  const keysRow = keys.map((k, i) => {
     const b = document.createElement("button");
     b.className = "pill-btn pill-btn--yellow";
     b.textContent = k;
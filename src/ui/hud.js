@@ -1,10 +1,16 @@
 import { PlayerBarsUI } from "./hudparts/player_bars.js";
 import { MinimapUI } from "./hudparts/minimap.js";
+import { BossBarUI } from "./hudparts/boss_bar.js";
+import { StatusBarUI } from "./hudparts/status_bar.js";
+import { CastBarUI } from "./hudparts/cast_bar.js";
 
 /**
  * UIManager (orchestrator)
  * - Delegates player bars (HP/MP/XP, center message, level-up FX) to PlayerBarsUI
  * - Delegates minimap rendering to MinimapUI
+ * - Delegates the top-of-screen boss HP bar to BossBarUI
+ * - Delegates the hero buff/debuff chips to StatusBarUI
+ * - Delegates the charge/channel cast bar to CastBarUI
  * - Keeps public API stable for callers (main.js)
  */
 export class UIManager {
@@ -12,6 +18,9 @@ export class UIManager {
     // Subsystems
     this.bars = new PlayerBarsUI();
     this.minimapUI = new MinimapUI();
+    this.bossBar = new BossBarUI();
+    this.statusBar = new StatusBarUI();
+    this.castBar = new CastBarUI();
 
     // Cooldown UI containers (passed to SkillsSystem)
     this.cdUI = {
@@ -19,6 +28,8 @@ export class UIManager {
       W: document.getElementById("cdW"),
       E: document.getElementById("cdE"),
       R: document.getElementById("cdR"),
+      D: document.getElementById("cdD"),
+      F: document.getElementById("cdF"),
       Basic: document.getElementById("cdBasic"),
     };
   }
@@ -39,10 +50,21 @@ export class UIManager {
   // Called each frame
   updateHUD(player) {
     this.bars?.update?.(player);
+    this.statusBar?.update?.(player);
   }
 
-  updateMinimap(player, enemies, portals, villages) {
-    this.minimapUI?.update?.(player, enemies, portals, villages);
+  updateMinimap(player, enemies, portals, villages, bosses) {
+    this.minimapUI?.update?.(player, enemies, portals, villages, bosses);
+  }
+
+  // Boss HP bar: { name, ratio, phase, phases } or null to hide
+  updateBossBar(info) {
+    this.bossBar?.update?.(info);
+  }
+
+  // Cast bar: SkillsSystem.getCastInfo() every frame; null hides it
+  updateCastBar(info) {
+    this.castBar?.update?.(info);
   }
 
   // Backward-compat entry for external level-up events
@@ -0,0 +1,44 @@
+import { clamp01 } from "../../utils.js";
+
+/**
+ * BossBarUI
+ * - Top-of-screen HP bar for the engaged boss (name, HP fill, phase pips)
+ * - update(info) with { name, ratio, phase, phases }; null/undefined hides the bar
+ */
+export class BossBarUI {
+  constructor() {
+    this.el = document.getElementById("bossBar");
+    this.elName = document.getElementById("bossBarName");
+    this.elFill = document.getElementById("bossBarFill");
+    this.elPhase = document.getElementById("bossBarPhase");
+    this._visible = false;
+    this._phaseKey = "";
+  }
+
+  update(info) {
+    if (!this.el) return;
+    if (!info) {
+      if (this._visible) {
+        this.el.classList.add("hidden");
+        this._visible = false;
+      }
+      return;
+    }
+    if (!this._visible) {
+      this.el.classList.remove("hidden");
+      this._visible = true;
+    }
+    if (this.elName && this.elName.textContent !== info.name) this.elName.textContent = info.name || "";
+    if (this.elFill) this.elFill.style.width = `${clamp01(info.ratio) * 100}%`;
+
+    // Phase pips: filled up to the current phase
+    const key = `${info.phase}/${info.phases}`;
+    if (this.elPhase && key !== this._phaseKey) {
+      this._phaseKey = key;
+      const total = Math.max(1, info.phases || 1);
+      let pips = "";
+      for (let i = 1; i <= total; i++) pips += i <= (info.phase || 1) ? "◆" : "◇";
+      this.elPhase.textContent = pips;
+    }
+  }
+}
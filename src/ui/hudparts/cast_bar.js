@@ -0,0 +1,45 @@
+import { t } from "../../i18n.js";
+import { clamp01 } from "../../utils.js";
+
+/**
+ * CastBarUI
+ * - Bar above the skill wheel while a held skill runs (SkillsSystem.getCastInfo)
+ * - Charge: fills up and glows when full. Channel: drains over the channel duration.
+ * - update(info) with { id, name, kind, ratio, full }; null/undefined hides the bar
+ */
+export class CastBarUI {
+  constructor() {
+    this.el = document.getElementById("castBar");
+    this.elName = document.getElementById("castBarName");
+    this.elState = document.getElementById("castBarState");
+    this.elFill = document.getElementById("castBarFill");
+    this._visible = false;
+    this._key = "";
+  }
+
+  update(info) {
+    if (!this.el) return;
+    if (!info) {
+      if (this._visible) {
+        this.el.classList.add("hidden");
+        this._visible = false;
+        this._key = "";
+      }
+      return;
+    }
+    if (!this._visible) {
+      this.el.classList.remove("hidden");
+      this._visible = true;
+    }
+    const key = `${info.id}|${info.kind}|${info.full ? 1 : 0}`;
+    if (key !== this._key) {
+      this._key = key;
+      const name = t(`skills.names.${info.id}`);
+      if (this.elName) this.elName.textContent = name && name !== `skills.names.${info.id}` ? name : info.name || "";
+      if (this.elState) this.elState.textContent = t(info.kind === "channel" ? "castBar.channel" : info.full ? "castBar.full" : "castBar.charging");
+      this.el.classList.toggle("cast-bar--channel", info.kind === "channel");
+      this.el.classList.toggle("cast-bar--full", !!info.full);
+    }
+    if (this.elFill) this.elFill.style.width = `${clamp01(info.ratio) * 100}%`;
+  }
+}
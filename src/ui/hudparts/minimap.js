@@ -61,7 +61,7 @@ export class MinimapUI {
     this._sizeDirty = false;
   }
 
-  update(player, enemies, portals, villages) {
+  update(player, enemies, portals, villages, bosses) {
     const ctx = this.ctx;
     if (!ctx || !this.canvas || !player) return;
 
@@ -196,12 +196,29 @@ export class MinimapUI {
       ctx.fillRect(p.x - 2, p.y - 2, 4, 4);
     }
 
-    // Enemies
+    // Boss arena (gold ring; dimmed once its boss is defeated)
+    try {
+      const arena = bosses?.getArena?.();
+      if (arena) {
+        const p = w2p(arena.x, arena.z);
+        ctx.strokeStyle = arena.defeated ? "rgba(255,216,106,0.35)" : "rgba(255,216,106,0.9)";
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, Math.max(3, arena.radius * scale), 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    } catch (_) {}
+
+    // Enemies (bosses drawn larger in gold)
     if (enemies) {
       enemies.forEach((en) => {
         if (!en.alive) return;
         const ep = en.pos();
         const p = w2p(ep.x, ep.z);
+        if (en.isBoss) {
+          ctx.fillStyle = "rgba(255,216,106,1)";
+          ctx.fillRect(p.x - 3.5, p.y - 3.5, 7, 7);
+          return;
+        }
         ctx.fillStyle = "rgba(255,80,80,0.95)";
         ctx.fillRect(p.x - 1.5, p.y - 1.5, 3, 3);
       });
@@ -0,0 +1,47 @@
+import { t } from "../../i18n.js";
+import { listStatuses } from "../../status_effects.js";
+
+/**
+ * StatusBarUI
+ * - Row of buff/debuff chips under the hero bars (icon, stacks, seconds left; name in the tooltip)
+ * - update(player) rebuilds chips only when the set of statuses/stacks changes; timers update in place
+ */
+export class StatusBarUI {
+  constructor() {
+    this.el = document.getElementById("statusBar");
+    this._key = "";
+    this._timers = [];
+  }
+
+  update(player) {
+    if (!this.el) return;
+    const list = listStatuses(player);
+    const key = list.map((s) => `${s.id}:${s.stacks}`).join("|");
+    if (key !== this._key) {
+      this._key = key;
+      this.el.innerHTML = "";
+      this._timers = [];
+      for (const s of list) {
+        const chip = document.createElement("div");
+        chip.className = `status-chip status-chip--${s.def.kind}`;
+        chip.title = t(`status.${s.id}`);
+        try { chip.style.borderColor = String(s.def.color).replace(/^0x/, "#"); } catch (_) {}
+        const icon = document.createElement("span");
+        icon.className = "status-chip__icon";
+        icon.textContent = s.stacks > 1 ? `${s.def.icon}${s.stacks}` : s.def.icon;
+        const time = document.createElement("span");
+        time.className = "status-chip__time";
+        chip.appendChild(icon);
+        chip.appendChild(time);
+        this.el.appendChild(chip);
+        this._timers.push(time);
+      }
+      this.el.classList.toggle("hidden", list.length === 0);
+    }
+    list.forEach((s, i) => {
+      const el = this._timers[i];
+      const txt = `${Math.ceil(s.remaining)}s`;
+      if (el && el.textContent !== txt) el.textContent = txt;
+    });
+  }
+}
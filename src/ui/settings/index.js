@@ -4,8 +4,10 @@
    - Environment controls (rain toggle, density, rain level)
    - Render controls (quality, zoom)
    - Audio controls (music, sfx)
+   - Save backup: export to file / import with validation + preview
 */
 import { t as tI18n } from "../../i18n.js";
+import { exportSave, parseSaveExport, diffSaves, loadSave, writeSave, getActiveSlot, freezeSaveWrites } from "../../save.js";
 import { renderGeneralTab } from "./tabs/general.js";
 import { renderEnvironmentTab } from "./tabs/environment.js";
 import { renderInfoTab } from "./tabs/info.js";
@@ -63,6 +65,153 @@ export function setupSettingsScreen({
     renderEnvironmentTab(envPanel, { environment });
     renderInfoTab && renderInfoTab(infoPanel, { renderer: render?.renderer, getPerf: render?.getPerf });
   } catch (_) {}
+
+  try {
+    initSaveTransfer(t);
+  } catch (_) {}
+}
+
+/* ---------------- Save Export / Import ---------------- */
+
+function initSaveTransfer(t) {
+  const tt = typeof t === "function" ? t : (x) => x;
+  const btnExport = document.getElementById("btnSaveExport");
+  const btnImport = document.getElementById("btnSaveImport");
+  const fileInput = document.getElementById("saveImportFile");
+
+  if (btnExport && !btnExport.dataset.bound) {
+    btnExport.addEventListener("click", () => {
+      try {
+        downloadSaveFile(exportSave());
+      } catch (err) {
+        console.warn("save export failed", err);
+        try { window.alert(tt("settings.save.exportFailed")); } catch (_) {}
+      }
+    });
+    btnExport.dataset.bound = "1";
+  }
+
+  if (btnImport && fileInput && !btnImport.dataset.bound) {
+    btnImport.addEventListener("click", () => {
+      try { fileInput.value = ""; } catch (_) {}
+      fileInput.click();
+    });
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        const res = parseSaveExport(reader.result);
+        showSaveImportPreview(tt, res).then((ok) => {
+          if (!ok || !res.ok) return;
+          // Replace the active slot, then reload so every system boots from the imported data
+          if (!writeSave(res.doc, getActiveSlot())) return;
+          freezeSaveWrites();
+          try {
+            window.location.reload();
+          } catch (_) {
+            try { location.reload(); } catch (_) {}
+          }
+        });
+      };
+      reader.onerror = () => {
+        showSaveImportPreview(tt, { ok: false, error: "parse" });
+      };
+      reader.readAsText(file);
+    });
+    btnImport.dataset.bound = "1";
+  }
+}
+
+function downloadSaveFile(file) {
+  const level = file?.save?.data?.hero?.level || 1;
+  const stamp = new Date(file.exportedAt || Date.now()).toISOString().slice(0, 10);
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `zeus-save-lv${level}-${stamp}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const IMPORT_ERROR_KEYS = {
+  parse: "settings.save.errParse",
+  format: "settings.save.errFormat",
+  checksum: "settings.save.errChecksum",
+  version: "settings.save.errVersion",
+};
+
+/**
+ * Show the import preview modal: either the validation error, or the list of changes.
+ * Resolves true only when the user confirms a valid import.
+ */
+function showSaveImportPreview(tt, res) {
+  return new Promise((resolve) => {
+    const modal = document.getElementById("saveImportPreview");
+    if (!modal) {
+      if (!res.ok) {
+        try { window.alert(tt(IMPORT_ERROR_KEYS[res.error] || IMPORT_ERROR_KEYS.format)); } catch (_) {}
+        resolve(false);
+        return;
+      }
+      try { resolve(!!window.confirm(tt("settings.save.importTitle"))); } catch (_) { resolve(false); }
+      return;
+    }
+    const titleEl = modal.querySelector("#saveImportTitle");
+    const descEl = modal.querySelector(".modal-desc");
+    const listEl = modal.querySelector(".save-import-changes");
+    const btnCancel = document.getElementById("saveImportCancel");
+    const btnApply = document.getElementById("saveImportApply");
+
+    try {
+      if (titleEl) titleEl.textContent = tt("settings.save.importTitle");
+      if (btnCancel) btnCancel.textContent = tt("btn.cancel") || "Cancel";
+      if (btnApply) btnApply.textContent = tt("settings.save.apply");
+      if (listEl) listEl.innerHTML = "";
+      if (!res.ok) {
+        if (descEl) descEl.textContent = tt(IMPORT_ERROR_KEYS[res.error] || IMPORT_ERROR_KEYS.format);
+        if (btnApply) btnApply.style.display = "none";
+      } else {
+        const changes = diffSaves(loadSave(), res.doc);
+        if (descEl) {
+          descEl.textContent = changes.length
+            ? String(tt("settings.save.importDesc")).replace("{slot}", getActiveSlot())
+            : tt("settings.save.noChanges");
+        }
+        for (const c of changes) {
+          const li = document.createElement("li");
+          li.textContent = `${tt(`settings.save.changes.${c.key}`)}: ${c.from === "" ? "—" : c.from} → ${c.to === "" ? "—" : c.to}`;
+          listEl && listEl.appendChild(li);
+        }
+        if (btnApply) btnApply.style.display = changes.length ? "" : "none";
+      }
+    } catch (_) {}
+
+    function cleanup() {
+      document.removeEventListener("keydown", onKey, true);
+      modal.removeEventListener("click", onClickBackdrop, true);
+      btnCancel?.removeEventListener("click", onCancel);
+      btnApply?.removeEventListener("click", onApply);
+      try { modal.classList.add("hidden"); } catch (_) {}
+    }
+    function onCancel() { cleanup(); resolve(false); }
+    function onApply() { cleanup(); resolve(!!res.ok); }
+    function onKey(ev) {
+      if (String(ev.key || "").toUpperCase() === "ESCAPE") { ev.preventDefault?.(); onCancel(); }
+    }
+    function onClickBackdrop(ev) {
+      if (ev.target === modal) onCancel();
+    }
+
+    document.addEventListener("keydown", onKey, true);
+    modal.addEventListener("click", onClickBackdrop, true);
+    btnCancel?.addEventListener("click", onCancel);
+    btnApply?.addEventListener("click", onApply);
+    try { modal.classList.remove("hidden"); } catch (_) {}
+  });
 }
 
 /* ---------------- Tabs and Guide ---------------- */
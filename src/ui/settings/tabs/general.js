@@ -1,5 +1,8 @@
+import { listSaveSlots, getActiveSlot, setActiveSlot } from "../../../save.js";
+import { CAST_BUFFER_OPTIONS, loadCastPrefs, saveCastPrefs } from "../../../input/cast_prefs.js";
+
 /**
- * General tab: audio, render quality, zoom, and fullscreen controls.
+ * General tab: audio, render quality, zoom, fullscreen, cast assists, and save slot controls.
  * Wires controls within the Settings screen General panel.
  */
 export function renderGeneralTab(panelEl, ctx = {}) {
@@ -18,6 +21,12 @@ export function renderGeneralTab(panelEl, ctx = {}) {
   try {
     initFullscreenControl();
   } catch (_) {}
+  try {
+    initCastAssistControls();
+  } catch (_) {}
+  try {
+    initSaveSlotControls(t);
+  } catch (_) {}
 
   panelEl.dataset.rendered = "1";
 }
@@ -184,8 +193,65 @@ function initZoomControl(render) {
   }
 }
 
+/* ---------------- Save Slots ---------------- */
+function initSaveSlotControls(t) {
+  const sel = document.getElementById("saveSlotSelect");
+  const btnNew = document.getElementById("btnSaveSlotNew");
+  if (!sel) return;
+  const tt = typeof t === "function" ? t : (x) => x;
+
+  function fill() {
+    sel.innerHTML = "";
+    for (const s of listSaveSlots()) {
+      const opt = document.createElement("option");
+      opt.value = s.name;
+      opt.textContent = `${s.name} (${tt("settings.save.level") || "Lv"} ${s.level})`;
+      sel.appendChild(opt);
+    }
+    sel.value = getActiveSlot();
+  }
+
+  // Systems load their state at boot, so a slot switch applies via reload
+  function switchTo(name) {
+    const current = getActiveSlot();
+    if (!name || name === current) {
+      fill();
+      return;
+    }
+    showReloadConfirm(tt, "settings.save.switchDesc").then((ok) => {
+      if (!ok) {
+        fill();
+        return;
+      }
+      try { setActiveSlot(name, { freeze: true }); } catch (_) {}
+      try {
+        window.location.reload();
+      } catch (_) {
+        try { location.reload(); } catch (_) {}
+      }
+    });
+  }
+
+  fill();
+
+  if (!sel.dataset.bound) {
+    sel.addEventListener("change", () => switchTo(String(sel.value || "")));
+    sel.dataset.bound = "1";
+  }
+  if (btnNew && !btnNew.dataset.bound) {
+    btnNew.addEventListener("click", () => {
+      let name = "";
+      try {
+        name = String(window.prompt(tt("settings.save.newSlotPrompt") || "Name for the new save slot:", "") || "").trim();
+      } catch (_) {}
+      if (name) switchTo(name);
+    });
+    btnNew.dataset.bound = "1";
+  }
+}
+
 /* ---------------- Confirm Modal ---------------- */
-function showReloadConfirm(t) {
+function showReloadConfirm(t, descKey = "settings.render.reloadDesc") {
   return new Promise((resolve) => {
     const tt = typeof t === "function" ? t : (x) => x;
     const modal = document.getElementById("qualityReloadConfirm");
@@ -200,7 +266,7 @@ function showReloadConfirm(t) {
       try {
         if (titleEl) titleEl.textContent = tt("settings.render.reloadTitle") || "Reload required";
         if (descEl) descEl.textContent =
-          tt("settings.render.reloadDesc") || (tt("settings.render.reloadPrompt") || "Changing graphics quality requires a reload.");
+          tt(descKey) || (tt("settings.render.reloadPrompt") || "Changing graphics quality requires a reload.");
         if (btnCancel) btnCancel.textContent = tt("btn.cancel") || "Cancel";
         if (btnOk) btnOk.textContent = tt("btn.yes") || "Yes";
       } catch (_) {}
@@ -345,6 +411,32 @@ function initFullscreenControl() {
   }
 }
 
+/* ---------------- Cast assists ---------------- */
+function initCastAssistControls() {
+  const sel = document.getElementById("castBufferSelect");
+  const toggle = document.getElementById("castInRangeToggle");
+  const prefs = loadCastPrefs();
+  if (sel) {
+    // Closest offered window to the stored one
+    const nearest = CAST_BUFFER_OPTIONS.reduce((a, b) => (Math.abs(b - prefs.buffer) < Math.abs(a - prefs.buffer) ? b : a));
+    try { sel.value = String(nearest); } catch (_) {}
+    if (!sel.dataset.bound) {
+      sel.addEventListener("change", () => {
+        const v = parseFloat(sel.value);
+        saveCastPrefs({ buffer: CAST_BUFFER_OPTIONS.includes(v) ? v : prefs.buffer });
+      });
+      sel.dataset.bound = "1";
+    }
+  }
+  if (toggle) {
+    try { toggle.checked = !!prefs.castInRange; } catch (_) {}
+    if (!toggle.dataset.bound) {
+      toggle.addEventListener("change", () => saveCastPrefs({ castInRange: !!toggle.checked }));
+      toggle.dataset.bound = "1";
+    }
+  }
+}
+
 /* ---------------- Utils ---------------- */
 function clampNum(v, a, b) {
   return Math.max(a, Math.min(b, v));
@@ -1,5 +1,7 @@
 import { SKILLS } from "../constants.js";
 import { t } from "../i18n.js";
+import { SKILL_SLOTS, SLOT_KEYS, isSlotUnlocked, loadSkillPages } from "../loadout.js";
+import { SKILL_POOL, DEFAULT_LOADOUT } from "../skills_pool.js";
 
 /**
  * Returns an emoji icon for a skill label. Heuristic, no assets required.
@@ -40,7 +42,7 @@ export function getSkillIcon(short) {
   if (any("chain", "fork", "tether")) return "🔗";
 
   // Beams / bolts / spears / sky spear
-  if (any("bolt", "beam", "spear", "spear", "spear", "sky")) return "⚡";
+  if (any("bolt", "beam", "spear", "spear", "spear", "sky", "javelin")) return "⚡";
 
   // AOEs / circles / rings / nova / pulse / burst / shockwave
   if (any("nova", "ring", "circle", "pulse", "burst", "aoe", "shock")) return "💥";
@@ -52,7 +54,7 @@ export function getSkillIcon(short) {
   if (any("prison", "root", "lock", "conduct", "ground", "rumble", "field")) return "⛓️";
 
   // Ball lightning
-  if (any("ball", "orb", "sphere")) return "🧿";
+  if (any("ball", "orb", "sphere", "ricochet")) return "🧿";
 
   // Exotic/ultimates
   if (any("judg")) return "⚖️";
@@ -64,6 +66,7 @@ export function getSkillIcon(short) {
 
   // Static / electric / battery
   if (any("static")) return "🔌";
+  if (any("clap", "charge")) return "🔋";
   if (any("magnet", "magneto")) return "🧲";
 
   // Fallbacks
@@ -81,16 +84,24 @@ export function getSkillIcon(short) {
   return map[k] || "⚡";
 }
 
+/**
+ * Display name of a skill page: its saved name or "Page N".
+ * @param {{name?: string}} page
+ * @param {number} index - 0-based
+ */
+export function skillPageLabel(page, index) {
+  return (page && page.name) || t("hero.pages.page").replace("{n}", String(index + 1));
+}
+
 /**
  * Update the skillbar labels to reflect the active SKILLS mapping.
- * Reads DOM elements by ids: #btnSkillQ, #btnSkillW, #btnSkillE, #btnSkillR, #btnBasic
+ * Reads DOM elements by ids: #btnSkill<key> for every SLOT_KEYS key, #btnBasic and #btnSkillPage
  */
 export function updateSkillBarLabels() {
   try {
     const tt = typeof t === "function" ? t : (x) => x;
-    const map = { Q: "#btnSkillQ", W: "#btnSkillW", E: "#btnSkillE", R: "#btnSkillR" };
-    for (const k of Object.keys(map)) {
-      const el = document.querySelector(map[k]);
+    for (const k of SLOT_KEYS) {
+      const el = document.getElementById(`btnSkill${k}`);
       if (!el) continue;
       const def = SKILLS[k] || {};
       // icon (emoji/SVG placeholder)
@@ -122,6 +133,17 @@ export function updateSkillBarLabels() {
       }
     }
 
+    // Skill page button: active page number, page name as tooltip
+    try {
+      const pageBtn = document.getElementById("btnSkillPage");
+      if (pageBtn) {
+        const { active, pages } = loadSkillPages(SKILL_POOL, DEFAULT_LOADOUT);
+        const keyEl = pageBtn.querySelector(".key");
+        if (keyEl) keyEl.textContent = String(active + 1);
+        pageBtn.title = `${skillPageLabel(pages[active], active)} (Tab)`;
+      }
+    } catch (_) {}
+
     // Update central basic button icon (larger visual)
     try {
       const basicBtn = document.getElementById("btnBasic");
@@ -137,3 +159,29 @@ export function updateSkillBarLabels() {
     console.warn("updateSkillBarLabels error", err);
   }
 }
+
+/**
+ * Mark slots above the hero's level as locked on the skill wheel and the desktop bar.
+ * Locked buttons stay visible with the unlock level as a hint; SkillsSystem refuses the cast.
+ * @param {number} level
+ */
+export function updateSkillSlotLocks(level) {
+  try {
+    for (const slot of SKILL_SLOTS) {
+      const locked = !isSlotUnlocked(slot.key, level);
+      const els = [
+        document.getElementById(`btnSkill${slot.key}`),
+        document.querySelector(`#bottomMiddle .square-skill[data-key="${slot.key}"]`),
+      ];
+      for (const el of els) {
+        if (!el) continue;
+        el.classList.toggle("locked", locked);
+        el.setAttribute("aria-disabled", locked ? "true" : "false");
+        if (locked) el.dataset.unlock = t("hero.slot.unlockAt").replace("{level}", String(slot.unlockLevel));
+        else delete el.dataset.unlock;
+      }
+    }
+  } catch (err) {
+    console.warn("updateSkillSlotLocks error", err);
+  }
+}
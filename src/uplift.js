@@ -1,38 +1,59 @@
 /**
  * Uplift System
- * - Presents simple choices to enhance the BASIC ATTACK at milestone levels (every 5 levels by default)
- * - Persists choices in localStorage
- * - Exposes getters so combat systems (skills.js) can apply effects
+ * - Offers a choice at milestone levels (every 5 levels by default), drawn from the weighted,
+ *   rarity-tiered UPLIFT_POOL (src/uplift_pool.js): basic attack, equipped-skill and hero stat upgrades
+ * - Each milestone grants rerolls; the current offer is saved so reloading does not reroll for free
+ * - Persists choices in the save document ("uplift" section); respecUplifts() clears them (Hero → Info)
+ * - Exposes getters so combat systems (skills.js, main.js) can apply effects; their totals are cached until the
+ *   section is written again
  * - Exposes a minimal DOM popup prompt
  */
 
 import { t } from "./i18n.js";
-
-const LS_KEY = "upliftChoices_v1";
+import { loadSection, saveSection } from "./save.js";
+import { SKILLS } from "./constants.js";
+import { SKILL_POOL } from "./skills_pool.js";
+import { rngStream } from "./rng.js";
+import { UPLIFT_POOL, UPLIFT_RARITIES, UPLIFT_OFFER_SIZE, UPLIFT_REROLLS_PER_MILESTONE } from "./uplift_pool.js";
 
 // Milestones: every N levels starting at 'start'
 const MILESTONE = { start: 5, step: 5 };
 
+const POOL_BY_ID = new Map(UPLIFT_POOL.map((u) => [u.id, u]));
+const RARITY_BY_ID = new Map(UPLIFT_RARITIES.map((r) => [r.id, r]));
+const SKILL_BY_ID = new Map(SKILL_POOL.map((s) => [s.id, s]));
+
 export function loadUpliftState() {
   try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (!raw) return { choices: [] };
-    const data = JSON.parse(raw);
-    if (!data || !Array.isArray(data.choices)) return { choices: [] };
+    const data = loadSection("uplift");
+    if (!data || !Array.isArray(data.choices)) return { choices: [], offer: null, rerollsUsed: 0 };
     return data;
   } catch {
-    return { choices: [] };
+    return { choices: [], offer: null, rerollsUsed: 0 };
   }
 }
 
+// getBasicUplift()/getHeroUplift() totals, read every frame and on every hit: summed from the saved choices on
+// first use and dropped whenever the section is written (pick, reroll, respec)
+let _effects = null;
+
 export function saveUpliftState(st) {
-  try { localStorage.setItem(LS_KEY, JSON.stringify(st)); } catch (_) {}
+  try { saveSection("uplift", st); } catch (_) {}
+  _effects = null;
 }
 
 export function getUpliftState() {
   return loadUpliftState();
 }
 
+export function getUpliftDef(id) {
+  return POOL_BY_ID.get(id) || null;
+}
+
+export function getUpliftRarity(id) {
+  return RARITY_BY_ID.get(id) || UPLIFT_RARITIES[0];
+}
+
 // Return the highest milestone level reached by the player
 export function getReachedMilestones(level) {
   if (!Number.isFinite(level) || level < MILESTONE.start) return [];
@@ -52,19 +73,136 @@ export function getPendingMilestone(level) {
   return null;
 }
 
+/* ---------------- Offers and rerolls ---------------- */
+
+// Skill ids currently bound to Q/W/E/R (runtime SKILLS mirrors the loadout)
+function equippedSkillIds() {
+  return Object.values(SKILLS).map((s) => s && s.id).filter(Boolean);
+}
+
+function countPicks(choices) {
+  const picks = new Map();
+  for (const c of choices) picks.set(c.kind, (picks.get(c.kind) || 0) + 1);
+  return picks;
+}
+
+function skillMatches(u, def) {
+  if (!u || !def) return false;
+  if (u.skill) return def.id === u.skill;
+  if (u.skillType) return def.type === u.skillType;
+  return false;
+}
+
 /**
- * Compute basic-attack uplift effects aggregated from choices:
- * - aoe: adds small explosion around the hit target; each pick increases radius
- * - chain: bounces to another nearby enemy; each pick increases jumps by +1
- * - impact: improves on-hit VFX and adds slight damage multiplier; each pick +5%
+ * Whether an option can be offered: not maxed, and skill options need a matching equipped skill.
+ * @param {object} u - UPLIFT_POOL entry
+ * @param {Map<string, number>} picks - times each id was already chosen
+ * @param {string[]} equipped - equipped skill ids
  */
-export function getBasicUplift() {
+function isEligible(u, picks, equipped) {
+  if ((picks.get(u.id) || 0) >= (u.maxPicks || 1)) return false;
+  if (u.skill || u.skillType) return equipped.some((id) => skillMatches(u, SKILL_BY_ID.get(id)));
+  return true;
+}
+
+/**
+ * Draw up to UPLIFT_OFFER_SIZE distinct eligible ids, weighted by rarity.
+ * `avoid` ids are only used when nothing else is left (rerolls try to show new cards).
+ * @param {{choices?: object[], equipped?: string[], avoid?: string[], rand?: () => number}} [o]
+ * @returns {string[]}
+ */
+export function rollUpliftOffer({ choices = getUpliftState().choices, equipped = equippedSkillIds(), avoid = [], rand = rngStream("uplift") } = {}) {
+  const picks = countPicks(choices);
+  const eligible = UPLIFT_POOL.filter((u) => isEligible(u, picks, equipped));
+  const fresh = eligible.filter((u) => !avoid.includes(u.id));
+  const out = [];
+  for (const src of [fresh, eligible]) {
+    const left = src.filter((u) => !out.includes(u.id));
+    while (out.length < UPLIFT_OFFER_SIZE && left.length) {
+      const total = left.reduce((n, u) => n + (getUpliftRarity(u.rarity).weight || 1), 0);
+      let r = rand() * total;
+      let idx = left.length - 1;
+      for (let i = 0; i < left.length; i++) {
+        r -= getUpliftRarity(left[i].rarity).weight || 1;
+        if (r < 0) { idx = i; break; }
+      }
+      out.push(left[idx].id);
+      left.splice(idx, 1);
+    }
+  }
+  return out;
+}
+
+/** The saved offer for a milestone, rolling (and saving) a new one when missing or stale. */
+export function getUpliftOffer(level, equipped = equippedSkillIds()) {
   const st = getUpliftState();
+  const picks = countPicks(st.choices);
+  const saved = st.offer && st.offer.level === level ? st.offer.ids : null;
+  if (saved && saved.length && saved.every((id) => POOL_BY_ID.has(id) && isEligible(POOL_BY_ID.get(id), picks, equipped))) return saved;
+  const ids = rollUpliftOffer({ choices: st.choices, equipped });
+  saveUpliftState({ ...st, offer: { level, ids } });
+  return ids;
+}
+
+/** Rerolls left: UPLIFT_REROLLS_PER_MILESTONE per milestone reached, minus the ones used. */
+export function getRerollsLeft(level) {
+  const earned = getReachedMilestones(level).length * UPLIFT_REROLLS_PER_MILESTONE;
+  return Math.max(0, earned - (getUpliftState().rerollsUsed || 0));
+}
+
+/**
+ * Spend a reroll on the offer for `milestone`.
+ * @returns {string[]|null} the new offer, or null when no rerolls are left
+ */
+export function rerollUpliftOffer(milestone, heroLevel, equipped = equippedSkillIds()) {
+  if (getRerollsLeft(heroLevel) <= 0) return null;
+  const st = getUpliftState();
+  const current = st.offer && st.offer.level === milestone ? st.offer.ids : [];
+  const ids = rollUpliftOffer({ choices: st.choices, equipped, avoid: current });
+  saveUpliftState({ ...st, offer: { level: milestone, ids }, rerollsUsed: (st.rerollsUsed || 0) + 1 });
+  return ids;
+}
+
+function notifyChanged() {
+  // Skill options change SKILLS: main.js re-applies the loadout on this event
+  try { window.dispatchEvent(new Event("loadout-changed")); } catch (_) {}
+}
+
+/** Take option `kind` for `milestone`; clears the saved offer. */
+export function chooseUplift(milestone, kind) {
+  if (!POOL_BY_ID.has(kind)) return false;
+  const st = getUpliftState();
+  if (st.choices.some((c) => c.level === milestone)) return false;
+  st.choices.push({ level: milestone, kind });
+  saveUpliftState({ ...st, offer: null });
+  notifyChanged();
+  return true;
+}
+
+/** Forget every choice and used reroll; each reached milestone is offered again. */
+export function respecUplifts() {
+  saveUpliftState({ choices: [], offer: null, rerollsUsed: 0 });
+  notifyChanged();
+}
+
+/* ---------------- Effects ---------------- */
+
+function upliftEffects() {
+  if (!_effects) {
+    const choices = getUpliftState().choices;
+    _effects = { basic: Object.freeze(sumBasic(choices)), hero: Object.freeze(sumHero(choices)) };
+  }
+  return _effects;
+}
+
+function sumBasic(choices) {
   let aoePicks = 0, chainPicks = 0, impactPicks = 0;
-  for (const c of st.choices) {
-    if (c.kind === "basic-aoe") aoePicks += 1;
-    else if (c.kind === "basic-chain") chainPicks += 1;
-    else if (c.kind === "basic-impact") impactPicks += 1;
+  for (const c of choices) {
+    const b = (POOL_BY_ID.get(c.kind) || {}).basic;
+    if (!b) continue;
+    aoePicks += b.aoe || 0;
+    chainPicks += b.chain || 0;
+    impactPicks += b.impact || 0;
   }
   const aoeRadius = aoePicks > 0 ? 2 + (aoePicks - 1) * 1.5 : 0; // 2, 3.5, 5.0, ...
   const chainJumps = chainPicks; // 0,1,2,3...
@@ -73,24 +211,74 @@ export function getBasicUplift() {
   return { aoeRadius, chainJumps, dmgMul, fx };
 }
 
+function sumHero(choices) {
+  const out = { moveSpeedMul: 1, hpRegenMul: 1, mpRegenMul: 1, dmgMul: 1 };
+  for (const c of choices) {
+    const h = (POOL_BY_ID.get(c.kind) || {}).hero;
+    if (!h) continue;
+    out.moveSpeedMul += h.moveSpeedPct || 0;
+    out.hpRegenMul += h.hpRegenPct || 0;
+    out.mpRegenMul += h.mpRegenPct || 0;
+    out.dmgMul += h.dmgPct || 0;
+  }
+  return out;
+}
+
+/**
+ * Basic-attack uplift effects aggregated from choices (cached, frozen):
+ * - aoe: adds small explosion around the hit target; each pick increases radius
+ * - chain: bounces to another nearby enemy; each pick increases jumps by +1
+ * - impact: improves on-hit VFX and adds slight damage multiplier; each pick +5%
+ */
+export function getBasicUplift() {
+  return upliftEffects().basic;
+}
+
+/** Hero stat multipliers from "hero" options (cached, frozen): { moveSpeedMul, hpRegenMul, mpRegenMul, dmgMul }. */
+export function getHeroUplift() {
+  return upliftEffects().hero;
+}
+
+/**
+ * Copy of a skill def with the chosen skill options applied (add, then mul, then set; existing stats only).
+ * Used by main.js applyLoadoutToSKILLS after the skill's rank.
+ */
+export function applySkillUplifts(def, choices = getUpliftState().choices) {
+  if (!def) return def;
+  const out = Object.assign({}, def);
+  for (const c of choices) {
+    const u = POOL_BY_ID.get(c.kind);
+    if (!u || !u.mods || !skillMatches(u, def)) continue;
+    for (const [k, v] of Object.entries(u.mods.add || {})) if (typeof out[k] === "number") out[k] = out[k] + v;
+    for (const [k, v] of Object.entries(u.mods.mul || {})) if (typeof out[k] === "number") out[k] = out[k] * v;
+    for (const [k, v] of Object.entries(u.mods.set || {})) if (k in out) out[k] = v;
+  }
+  for (const k of Object.keys(out)) {
+    if (typeof out[k] === "number" && out[k] !== def[k]) out[k] = Math.round(out[k] * 100) / 100;
+  }
+  if (typeof out.cd === "number") out.cd = Math.max(0.5, out.cd);
+  if (typeof out.strikes === "number") out.strikes = Math.round(out.strikes);
+  return out;
+}
+
 // Human-readable summary for UI
 export function getUpliftSummary() {
   const st = getUpliftState();
   if (!st.choices.length) return [t("uplift.none")];
-  const out = [];
-  for (const c of st.choices) {
-    if (c.kind === "basic-aoe") out.push(`${t("uplift.lv")} ${c.level}: ${t("uplift.basic")} — ${t("uplift.btn.aoe")}`);
-    else if (c.kind === "basic-chain") out.push(`${t("uplift.lv")} ${c.level}: ${t("uplift.basic")} — ${t("uplift.btn.chain")}`);
-    else if (c.kind === "basic-impact") out.push(`${t("uplift.lv")} ${c.level}: ${t("uplift.basic")} — ${t("uplift.btn.impact")}`);
-  }
-  return out;
+  return st.choices.map((c) => `${t("uplift.lv")} ${c.level}: ${upliftName(c.kind)}`);
+}
+
+export function upliftName(id) {
+  const u = POOL_BY_ID.get(id);
+  return u ? `${u.icon} ${t(`uplift.options.${id}.name`)}` : id;
 }
 
 /* Minimal popup for choosing one uplift option at milestone levels.
    Refactored to use static DOM in index.html and css/uplift.css when available.
    Falls back to creating the DOM if the static markup is not present.
+   Option cards are rebuilt from the current offer every time the popup opens or rerolls.
 */
-export function promptBasicUpliftIfNeeded(player) {
+export function promptUpliftIfNeeded(player) {
   if (typeof document === "undefined") return;
   if (!player) return;
   const pending = getPendingMilestone(player.level);
@@ -123,32 +311,18 @@ export function promptBasicUpliftIfNeeded(player) {
     row.className = "uplift-btn-row";
     row.setAttribute("role", "list");
 
-    const btnAoE = document.createElement("button");
-    btnAoE.className = "uplift-btn";
-    btnAoE.dataset.kind = "basic-aoe";
-    btnAoE.setAttribute("role", "listitem");
-
-    const btnChain = document.createElement("button");
-    btnChain.className = "uplift-btn";
-    btnChain.dataset.kind = "basic-chain";
-    btnChain.setAttribute("role", "listitem");
-
-    const btnImpact = document.createElement("button");
-    btnImpact.className = "uplift-btn";
-    btnImpact.dataset.kind = "basic-impact";
-    btnImpact.setAttribute("role", "listitem");
-
-    row.appendChild(btnAoE);
-    row.appendChild(btnChain);
-    row.appendChild(btnImpact);
-
     const footer = document.createElement("div");
     footer.className = "uplift-footer";
 
+    const reroll = document.createElement("button");
+    reroll.className = "uplift-reroll";
+    reroll.dataset.action = "reroll";
+
     const skip = document.createElement("button");
     skip.className = "uplift-skip";
     skip.dataset.action = "skip";
 
+    footer.appendChild(reroll);
     footer.appendChild(skip);
 
     card.appendChild(title);
@@ -172,48 +346,84 @@ export function promptBasicUpliftIfNeeded(player) {
 
   const titleEl = root.querySelector(".uplift-title");
   const descEl = root.querySelector(".uplift-desc");
-  const btns = Array.from(root.querySelectorAll(".uplift-btn"));
+  const row = root.querySelector(".uplift-btn-row");
+  const rerollBtn = root.querySelector(".uplift-reroll");
   const skipBtn = root.querySelector(".uplift-skip");
   const toast = document.getElementById("upliftToast");
 
   if (titleEl) titleEl.textContent = `${t("uplift.unlocked")} — ${t("uplift.lv")} ${pending}`;
   if (descEl) descEl.textContent = t("uplift.choose");
 
-  const labels = {
-    "basic-aoe": t("uplift.btn.aoe"),
-    "basic-chain": t("uplift.btn.chain"),
-    "basic-impact": t("uplift.btn.impact"),
+  const close = () => {
+    try { root.setAttribute("aria-hidden", "true"); } catch (_) {}
+  };
+
+  const renderCards = (ids) => {
+    if (!row) return;
+    row.innerHTML = "";
+    for (const kind of ids) {
+      const u = getUpliftDef(kind);
+      if (!u) continue;
+      const btn = document.createElement("button");
+      btn.className = `uplift-btn uplift-btn--${u.rarity}`;
+      btn.dataset.kind = kind;
+      btn.setAttribute("role", "listitem");
+      try { btn.style.borderColor = String(getUpliftRarity(u.rarity).color).replace(/^0x/, "#"); } catch (_) {}
+      const name = document.createElement("div");
+      name.className = "uplift-btn__name";
+      name.textContent = upliftName(kind);
+      const info = document.createElement("div");
+      info.className = "uplift-btn__desc";
+      info.textContent = t(`uplift.options.${kind}.desc`);
+      const rarity = document.createElement("div");
+      rarity.className = "uplift-btn__rarity";
+      rarity.textContent = t(`uplift.rarity.${u.rarity}`);
+      btn.appendChild(name);
+      btn.appendChild(info);
+      btn.appendChild(rarity);
+      btn.addEventListener("click", () => {
+        if (!chooseUplift(pending, kind)) return;
+        close();
+        try {
+          if (toast) {
+            toast.textContent = t("uplift.applied");
+            toast.classList.add("show");
+            setTimeout(() => {
+              try { toast.classList.remove("show"); toast.textContent = ""; } catch (_) {}
+            }, 1100);
+          }
+        } catch (_) {}
+        // Several milestones may be pending (e.g. after a respec): offer the next one
+        setTimeout(() => { try { promptUpliftIfNeeded(player); } catch (_) {} }, 1200);
+      });
+      row.appendChild(btn);
+    }
   };
 
-  // Replace buttons to remove old listeners, then attach fresh handlers
-  btns.forEach((b) => {
-    const kind = b.dataset.kind;
-    const fresh = b.cloneNode(true);
-    fresh.textContent = labels[kind] || kind;
-    fresh.addEventListener("click", () => {
-      const st = getUpliftState();
-      st.choices.push({ level: pending, kind });
-      saveUpliftState(st);
-      try { root.setAttribute("aria-hidden", "true"); } catch (_) {}
-      try {
-        if (toast) {
-          toast.textContent = t("uplift.applied");
-          toast.classList.add("show");
-          setTimeout(() => {
-            try { toast.classList.remove("show"); toast.textContent = ""; } catch (_) {}
-          }, 1100);
-        }
-      } catch (_) {}
+  const updateReroll = (btn) => {
+    const left = getRerollsLeft(player.level);
+    btn.textContent = `🎲 ${t("uplift.reroll")} (${left})`;
+    btn.disabled = left <= 0;
+  };
+
+  renderCards(getUpliftOffer(pending));
+
+  // Replace footer buttons to remove old listeners, then attach fresh handlers
+  if (rerollBtn) {
+    const r = rerollBtn.cloneNode(true);
+    updateReroll(r);
+    r.addEventListener("click", () => {
+      const ids = rerollUpliftOffer(pending, player.level);
+      if (ids) renderCards(ids);
+      updateReroll(r);
     });
-    b.parentNode.replaceChild(fresh, b);
-  });
+    rerollBtn.parentNode.replaceChild(r, rerollBtn);
+  }
 
   if (skipBtn) {
     const s = skipBtn.cloneNode(true);
     s.textContent = t("uplift.decideLater");
-    s.addEventListener("click", () => {
-      try { root.setAttribute("aria-hidden", "true"); } catch (_) {}
-    });
+    s.addEventListener("click", close);
     skipBtn.parentNode.replaceChild(s, skipBtn);
   }
 
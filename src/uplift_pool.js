@@ -0,0 +1,44 @@
+/**
+ * Uplift milestone pool (data only; offered and applied by src/uplift.js).
+ *
+ * UPLIFT_RARITIES:
+ *  - id; weight: relative chance for an option of this rarity to be offered; color: card accent (hex string)
+ *
+ * UPLIFT_POOL:
+ *  - id: stable id (persisted as `kind` in the "uplift" save section); name/description are the locale
+ *        keys uplift.options.<id>.name / .desc
+ *  - rarity: UPLIFT_RARITIES id; icon: emoji on the card
+ *  - maxPicks: how many times the option can be taken (it leaves the pool after that)
+ *  - exactly one effect group:
+ *      basic: { aoe, chain, impact } picks for the basic attack (aoe radius, extra bounce, +5% damage)
+ *      skill / skillType + mods: changes a skill when equipped (offered only if a matching skill is in the loadout)
+ *          mods: { add: { stat: n }, mul: { stat: n }, set: { stat: v } } (applied in that order, existing stats only)
+ *      hero: { moveSpeedPct, hpRegenPct, mpRegenPct, dmgPct } additive hero bonuses (0.1 = +10%)
+ */
+export const UPLIFT_RARITIES = [
+  { "id": "common", "weight": 60, "color": "0xd8e2ee" },
+  { "id": "rare", "weight": 30, "color": "0x6ab0ff" },
+  { "id": "epic", "weight": 10, "color": "0xc07aff" }
+];
+
+export const UPLIFT_POOL = [
+  { "id": "basic-aoe", "rarity": "common", "icon": "💥", "maxPicks": 5, "basic": { "aoe": 1 } },
+  { "id": "basic-chain", "rarity": "common", "icon": "🔗", "maxPicks": 5, "basic": { "chain": 1 } },
+  { "id": "basic-impact", "rarity": "common", "icon": "✴️", "maxPicks": 10, "basic": { "impact": 1 } },
+  { "id": "chain-jumps", "rarity": "rare", "icon": "⛓️", "maxPicks": 2, "skill": "chain_lightning", "mods": { "add": { "jumps": 2 } } },
+  { "id": "chain-reach", "rarity": "common", "icon": "📡", "maxPicks": 3, "skillType": "chain", "mods": { "add": { "jumpRange": 6 } } },
+  { "id": "static-free", "rarity": "epic", "icon": "🔋", "maxPicks": 1, "skill": "static_field", "mods": { "set": { "manaPerTick": 0 } } },
+  { "id": "aura-radius", "rarity": "common", "icon": "⭕", "maxPicks": 3, "skillType": "aura", "mods": { "add": { "radius": 3 } } },
+  { "id": "storm-strikes", "rarity": "rare", "icon": "🌩️", "maxPicks": 2, "skillType": "storm", "mods": { "mul": { "strikes": 1.25 } } },
+  { "id": "aoe-slow", "rarity": "rare", "icon": "🧊", "maxPicks": 2, "skillType": "aoe", "mods": { "mul": { "slowDuration": 1.4 } } },
+  { "id": "beam-haste", "rarity": "rare", "icon": "⏱️", "maxPicks": 2, "skillType": "beam", "mods": { "mul": { "cd": 0.85 } } },
+  { "id": "nova-power", "rarity": "rare", "icon": "🌟", "maxPicks": 2, "skillType": "nova", "mods": { "mul": { "dmg": 1.2 } } },
+  { "id": "hero-move", "rarity": "common", "icon": "👟", "maxPicks": 3, "hero": { "moveSpeedPct": 0.1 } },
+  { "id": "hero-vigor", "rarity": "common", "icon": "💚", "maxPicks": 3, "hero": { "hpRegenPct": 0.25 } },
+  { "id": "hero-focus", "rarity": "common", "icon": "🔷", "maxPicks": 3, "hero": { "mpRegenPct": 0.25 } },
+  { "id": "hero-power", "rarity": "epic", "icon": "⚡", "maxPicks": 2, "hero": { "dmgPct": 0.08 } }
+];
+
+// Options shown per milestone and rerolls earned per milestone reached
+export const UPLIFT_OFFER_SIZE = 3;
+export const UPLIFT_REROLLS_PER_MILESTONE = 1;
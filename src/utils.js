@@ -32,8 +32,30 @@ export function dir2D(from, to) {
   return { x: dx / len, z: dz / len };
 }
 
+/**
+ * Color as a number: registry colors are hex strings ("0xff8844") like SKILL_POOL effects; numbers pass through.
+ * @param {number|string|null|undefined} v
+ * @param {number} [def] - returned when `v` does not parse
+ */
+export function hexColor(v, def = 0xffffff) {
+  if (typeof v === "number") return v;
+  const n = parseInt(String(v || ""), 16);
+  return Number.isFinite(n) ? n : def;
+}
+
+// Clock used by now(); null -> performance.now(). The headless simulator (tools/sim) swaps in a virtual clock.
+let nowSource = null;
+
 export function now() {
-  return performance.now() / 1000;
+  return nowSource ? nowSource() : performance.now() / 1000;
+}
+
+/**
+ * Override the time source behind now() (seconds). Pass null to restore performance.now().
+ * @param {(() => number)|null} fn
+ */
+export function setNowSource(fn) {
+  nowSource = typeof fn === "function" ? fn : null;
 }
 
 // Subtle dark noise texture for ground
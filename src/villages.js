@@ -1,6 +1,7 @@
 import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
 import { COLOR, VILLAGE_POS, REST_RADIUS } from "./constants.js";
 import { createHouse } from "./meshes.js";
+import { loadSection, saveSection } from "./save.js";
 
 /**
  * Villages System
@@ -74,39 +75,32 @@ export function initVillages(scene, portals, opts = {}) {
   dynamicRoads.name = "dynamicRoads";
   scene.add(dynamicRoads);
 
-  // Persistence keys
-  const STORAGE_VILLAGES = "got.dynamic.villages.v1";
-  const STORAGE_ROADS = "got.dynamic.roads.v1";
-  const STORAGE_ROADS_GEOM = "got.dynamic.roads_geom.v1";
-
-  function saveVillagesToStorage() {
+  // Persistence: "world" section of the save document (src/save.js)
+  function saveWorldPatch(patch) {
     try {
-      const arr = Array.from(dynamicVillages.keys());
-      localStorage.setItem(STORAGE_VILLAGES, JSON.stringify(arr));
+      const st = loadSection("world");
+      saveSection("world", { ...st, ...patch });
     } catch (_) {}
   }
 
+  function saveVillagesToStorage() {
+    saveWorldPatch({ villages: Array.from(dynamicVillages.keys()) });
+  }
+
   function saveRoadsToStorage() {
-    try {
-      const arr = Array.from(builtRoadKeys.values());
-      localStorage.setItem(STORAGE_ROADS, JSON.stringify(arr));
-    } catch (_) {}
+    saveWorldPatch({ roads: Array.from(builtRoadKeys.values()) });
   }
 
   function saveRoadGeomsToStorage() {
-    try {
-      const obj = {};
-      roadGeoms.forEach((g, k) => { obj[k] = g; });
-      localStorage.setItem(STORAGE_ROADS_GEOM, JSON.stringify(obj));
-    } catch (_) {}
+    const obj = {};
+    roadGeoms.forEach((g, k) => { obj[k] = g; });
+    saveWorldPatch({ roadGeoms: obj });
   }
 
   (function loadFromStorage() {
     try {
-      const vraw = localStorage.getItem(STORAGE_VILLAGES);
-      const graw = localStorage.getItem(STORAGE_ROADS_GEOM);
-      const rraw = localStorage.getItem(STORAGE_ROADS);
-      const vKeys = vraw ? JSON.parse(vraw) : [];
+      const world = loadSection("world");
+      const vKeys = world.villages;
       if (Array.isArray(vKeys)) {
         vKeys.forEach((key) => {
           if (typeof key !== "string" || dynamicVillages.has(key)) return;
@@ -118,7 +112,7 @@ export function initVillages(scene, portals, opts = {}) {
           dynamicVillages.set(key, info);
         });
       }
-      const geoms = graw ? JSON.parse(graw) : null;
+      const geoms = world.roadGeoms;
       if (geoms && typeof geoms === "object") {
         Object.keys(geoms).forEach((canonical) => {
           if (typeof canonical !== "string" || builtRoadKeys.has(canonical)) return;
@@ -133,7 +127,7 @@ export function initVillages(scene, portals, opts = {}) {
           }
         });
       }
-      const roads = rraw ? JSON.parse(rraw) : [];
+      const roads = world.roads;
       if (Array.isArray(roads)) {
         roads.forEach((canonical) => {
           if (typeof canonical !== "string" || builtRoadKeys.has(canonical)) return;
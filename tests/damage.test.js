@@ -0,0 +1,100 @@
+import "../tools/node/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Player, Enemy } from "../src/entities.js";
+import { computeHit, dealDamage, resistMul, DAMAGE_TYPES } from "../src/damage.js";
+import { applyStatus, tickStatuses } from "../src/status_effects.js";
+import { setNowSource } from "../src/utils.js";
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+
+beforeEach(() => {
+  localStorage.clear();
+  setNowSource(null);
+});
+
+const never = () => 0.99;
+const always = () => 0;
+
+function enemy(archetype) {
+  return new Enemy(new THREE.Vector3(), 1, { archetype, tier: "normal", rand: () => 0.5 });
+}
+
+test("resistances reduce damage, weaknesses increase it and both are clamped", () => {
+  assert.equal(resistMul({ resist: { electric: 0.3 } }, "electric"), 0.7);
+  assert.equal(resistMul({ resist: { electric: -0.5 } }, "electric"), 1.5);
+  assert.equal(resistMul({ resist: { electric: 5 } }, "electric"), 1 - 0.9);
+  assert.equal(resistMul({ resist: { electric: -5 } }, "electric"), 2);
+  assert.equal(resistMul({}, "arcane"), 1);
+});
+
+test("hits floor to at least 1 and fall back to electric for unknown types", () => {
+  const hit = computeHit(null, { resist: { electric: 0.9 } }, 3, { type: "fire" });
+  assert.equal(hit.type, "electric");
+  assert.equal(hit.amount, 1);
+  assert.equal(computeHit(null, {}, 0).amount, 0);
+});
+
+test("crits multiply damage before resistances and respect canCrit", () => {
+  const p = new Player();
+  assert.ok(p.critChance > 0 && p.critMult > 1);
+  const target = { resist: { electric: 0.5 } };
+  const crit = computeHit(p, target, 100, { rand: always });
+  assert.equal(crit.crit, true);
+  assert.equal(crit.amount, Math.floor(100 * p.critMult * 0.5));
+  assert.equal(computeHit(p, target, 100, { rand: never }).amount, 50);
+  assert.equal(computeHit(p, target, 100, { rand: always, canCrit: false }).crit, false);
+});
+
+test("enemy pool data gives Shockers arcane damage and Sentinels typed resistances", () => {
+  const shocker = enemy("shocker");
+  assert.equal(shocker.damageType, "arcane");
+  assert.ok(shocker.resist.arcane > 0);
+  assert.equal(enemy("brute").damageType, "physical");
+  const sentinel = enemy("sentinel_construct");
+  assert.ok(sentinel.resist.physical > 0);
+  assert.ok(sentinel.resist.electric < 0);
+  for (const en of [shocker, sentinel]) {
+    for (const type of Object.keys(en.resist)) assert.ok(DAMAGE_TYPES[type], type);
+  }
+});
+
+test("dealDamage applies the resolved amount to the target", () => {
+  const en = enemy("shocker");
+  const hp = en.hp;
+  const hit = dealDamage(null, en, 20, { type: "arcane" });
+  assert.equal(hit.amount, Math.floor(20 * resistMul(en, "arcane")));
+  assert.equal(en.hp, hp - hit.amount);
+});
+
+test("dealDamage reports the damage taken after statuses, barriers and invulnerability", () => {
+  const en = enemy("raider");
+  applyStatus(en, "vulnerable", { duration: 5, mul: 1.5 });
+  let hp = en.hp;
+  assert.equal(dealDamage(null, en, 20, { type: "physical" }).amount, 30);
+  assert.equal(en.hp, hp - 30);
+
+  en.shieldHP = 50;
+  hp = en.hp;
+  assert.equal(dealDamage(null, en, 20, { type: "physical" }).amount, 0);
+  assert.equal(en.hp, hp);
+  assert.equal(en.shieldHP, 30);
+
+  const p = new Player();
+  applyStatus(p, "invulnerable", { duration: 5 });
+  assert.equal(dealDamage(null, p, 20).amount, 0);
+  assert.equal(p.hp, p.maxHP);
+});
+
+test("status ticks use the status damage type against resistances", () => {
+  let clock = 10;
+  setNowSource(() => clock);
+  const e = {
+    alive: true, hp: 100, maxHP: 100, statuses: new Map(), resist: { electric: 0.5 },
+    takeDamage(n) { this.hp -= n; },
+  };
+  applyStatus(e, "burn", { duration: 2, dmg: 10 });
+  clock += 0.5;
+  tickStatuses(e);
+  assert.equal(e.hp, 95);
+  setNowSource(null);
+});
@@ -0,0 +1,120 @@
+import "../tools/node/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createOccluderSet } from "../src/los.js";
+import { ENEMY_ARCHETYPES } from "../src/enemies_pool.js";
+import { distance2D } from "../src/utils.js";
+import { HX, HZ, useVirtualClock, makeWorld } from "./helpers.js";
+
+useVirtualClock();
+
+const dist = (en, player) => distance2D(en.pos(), player.pos());
+
+test("generic kinds declare their AI styles", () => {
+  const style = (id) => ENEMY_ARCHETYPES.find((a) => a.id === id).ai?.style;
+  assert.equal(style("brute"), "charge");
+  assert.equal(style("raider"), "flank");
+  assert.equal(style("archer"), "kite");
+  assert.equal(style("shocker"), "kite");
+  assert.equal(style("storm_hound"), "pack");
+  assert.equal(style("ravager"), undefined);
+});
+
+test("enemies notice a hero they can see, hear or were hurt by; a prop hides the hero", () => {
+  const wall = createOccluderSet([{ x: HX + 15, z: HZ, r: 2, kind: "house" }]);
+  const { player, spawn, ai } = makeWorld({ occluders: wall });
+  const hidden = spawn("archer", 30, 0);
+  const seen = spawn("archer", 0, 30);
+  const near = spawn("brute", 5, 0);
+  assert.equal(ai.update(hidden, 0.05, dist(hidden, player)), "idle");
+  assert.equal(hidden.aggro, false);
+  ai.update(seen, 0.05, dist(seen, player));
+  assert.equal(seen.aggro, true);
+  ai.update(near, 0.05, dist(near, player));
+  assert.equal(near.aggro, true);
+
+  hidden.takeDamage(1);
+  ai.update(hidden, 0.05, dist(hidden, player));
+  assert.equal(hidden.aggro, true);
+  player.alive = false;
+  ai.update(hidden, 0.05, Infinity);
+  assert.equal(hidden.aggro, false);
+});
+
+test("a ranged enemy closes in while a prop blocks its shot", () => {
+  const wall = createOccluderSet([{ x: HX + 6, z: HZ, r: 1.5, kind: "tree" }]);
+  const { player, spawn, ai } = makeWorld({ occluders: wall });
+  const archer = spawn("archer", 12, 0);
+  archer.aggro = true;
+  const hp = player.hp;
+  assert.equal(ai.update(archer, 0.1, dist(archer, player)), "chase");
+  assert.equal(player.hp, hp);
+  assert.ok(dist(archer, player) < 12);
+});
+
+test("archers back off when the hero closes in, then stand and shoot", () => {
+  const { player, spawn, tick } = makeWorld();
+  const archer = spawn("archer", 4, 0);
+  const hp = player.hp;
+  tick(0.1);
+  assert.equal(archer._ai.state, "kite");
+  tick(0.5);
+  assert.ok(dist(archer, player) > 6);
+  assert.equal(player.hp, hp);
+  tick(1.2);
+  assert.equal(archer._ai.state, "attack");
+  assert.ok(player.hp < hp);
+});
+
+test("raiders swing around to the hero's side before committing", () => {
+  // The "ai" roll picks the flank side
+  const { player, spawn, tick } = makeWorld({ rand: () => 0.9 });
+  const raider = spawn("raider", 0, 40);
+  tick(0.05);
+  assert.equal(raider._ai.side, 1);
+  tick(1);
+  assert.equal(raider._ai.state, "flank");
+  // No longer on the straight line it started from
+  assert.ok(Math.abs(raider.pos().x - HX) > 3);
+  tick(6);
+  assert.ok(dist(raider, player) <= raider.attackRange + 0.5);
+});
+
+test("brutes wind up, charge along a locked line, hit once and recover", () => {
+  const { player, spawn, tick } = makeWorld();
+  const brute = spawn("brute", 0, 10);
+  tick(0.05);
+  brute._ai.readyAt = 0;
+  tick(0.05);
+  assert.equal(brute._ai.state, "windup");
+  const start = brute.pos().clone();
+  tick(0.4);
+  assert.equal(distance2D(start, brute.pos()), 0);
+  const hp = player.hp;
+  tick(0.7);
+  assert.ok(player.hp < hp);
+  assert.equal(brute._ai.state, "recover");
+  const afterHit = player.hp;
+  tick(0.5);
+  assert.equal(player.hp, afterHit);
+});
+
+test("a pack follows its leader: the leader's aggro pulls the others, who take separate slots", () => {
+  const wall = createOccluderSet([{ x: HX + 20, z: HZ - 2, r: 3, kind: "house" }]);
+  const { player, spawn, ai, tick } = makeWorld({ occluders: wall });
+  const leader = spawn("storm_hound", 20, 6);
+  const a = spawn("storm_hound", 26, -2);
+  const b = spawn("storm_hound", 26, -6);
+  ai.update(a, 0.05, dist(a, player));
+  assert.equal(a._ai.leader, leader);
+  assert.equal(a.aggro, false);
+  ai.update(leader, 0.05, dist(leader, player));
+  assert.equal(leader.aggro, true);
+  tick(0.1);
+  assert.equal(a.aggro, true);
+  assert.equal(b.aggro, true);
+  assert.notEqual(a._ai.slot, b._ai.slot);
+  tick(3);
+  for (const en of [leader, a, b]) assert.ok(dist(en, player) <= en.attackRange + 0.5);
+  assert.ok(distance2D(a.pos(), b.pos()) > 1);
+});
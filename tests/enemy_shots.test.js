@@ -0,0 +1,73 @@
+import "../tools/node/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { initEnemyShots } from "../src/enemy_shots.js";
+import { applyStatus } from "../src/status_effects.js";
+import { WORLD } from "../src/constants.js";
+import { HX, HZ, useVirtualClock, makeWorld } from "./helpers.js";
+
+useVirtualClock();
+
+// One archer 12 units north of the hero, in range and past its kiting distance, ready to shoot
+function makeArcherWorld({ colliders = [] } = {}) {
+  const world = makeWorld({
+    systems: ({ player, enemies, effects }) => ({ shots: initEnemyShots({ player, enemies, effects, getColliders: () => colliders }) }),
+  });
+  const archer = world.spawn("archer", 0, 12);
+  archer.aggro = true;
+  return { ...world, archer };
+}
+
+test("a ranged attack aims along a locked lane, then flies and hits a hero who stays on it", () => {
+  const { player, archer, shots, tick } = makeArcherWorld();
+  const hp = player.hp;
+  tick(0.05);
+  assert.equal(archer._ai.state, "attack");
+  assert.ok(archer._ai.aim);
+  assert.equal(shots.count, 0);
+  tick(WORLD.enemyShotWindup + 0.05);
+  assert.equal(shots.count, 1);
+  assert.equal(player.hp, hp);
+  tick(0.6);
+  assert.ok(player.hp < hp);
+  assert.equal(shots.count, 0);
+});
+
+test("stepping off the lane dodges the shot; a stun cancels the aim", () => {
+  const { player, archer, shots, tick } = makeArcherWorld();
+  const hp = player.hp;
+  tick(0.1);
+  player.mesh.position.x += 3;
+  tick(1.2);
+  assert.equal(player.hp, hp);
+
+  archer.nextAttackReady = 0;
+  tick(0.05);
+  assert.ok(archer._ai.aim);
+  applyStatus(archer, "stun", { duration: 1 });
+  tick(WORLD.enemyShotWindup + 0.1);
+  assert.equal(archer._ai.aim, null);
+  assert.equal(shots.count, 0);
+});
+
+test("structures stop shots", () => {
+  const { player, tick } = makeArcherWorld({ colliders: [{ x: HX, z: HZ + 6, r: 1 }] });
+  const hp = player.hp;
+  tick(1.2);
+  assert.equal(player.hp, hp);
+});
+
+test("shield skills block shots or send them back at the shooter", () => {
+  const blocked = makeArcherWorld();
+  applyStatus(blocked.player, "defense", { duration: 10, pct: 0.4, shots: "block" });
+  const hp = blocked.player.hp;
+  blocked.tick(1.2);
+  assert.equal(blocked.player.hp, hp);
+  assert.equal(blocked.archer.hp, blocked.archer.maxHP);
+
+  const guarded = makeArcherWorld();
+  applyStatus(guarded.player, "defense", { duration: 10, pct: 0.4, shots: "reflect", reflectMul: 1.5 });
+  guarded.tick(2);
+  assert.equal(guarded.player.hp, guarded.player.maxHP);
+  assert.ok(guarded.archer.hp < guarded.archer.maxHP);
+});
@@ -0,0 +1,83 @@
+import { beforeEach, afterEach } from "node:test";
+import { initEnemyAI } from "../src/enemy_ai.js";
+import { SkillsSystem } from "../src/skills.js";
+import { Player, Enemy } from "../src/entities.js";
+import { distance2D, setNowSource } from "../src/utils.js";
+import { createStubEffects } from "../tools/sim/stubs.js";
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+
+/**
+ * Shared test fixtures (not a test file: node --test only runs *.test.js).
+ * - clock / useVirtualClock(): a virtual now() that tests move by hand (clock.t += seconds)
+ * - dummy(x, z, hp): bare enemy with statuses, a position and plain damage
+ * - makeSkills(enemies): SkillsSystem for a hero at the origin who never crits
+ * - makeWorld(opts): hero, enemies and the enemy AI away from the village, stepped like the main loop
+ */
+
+// Fights happen far from the origin village (enemies are fenced out of it)
+export const HX = 200;
+export const HZ = 200;
+
+export const clock = { t: 100 };
+
+/** Before each test of the calling file: empty localStorage and now() = clock.t = 100. Restores now() after. */
+export function useVirtualClock() {
+  beforeEach(() => {
+    localStorage.clear();
+    clock.t = 100;
+    setNowSource(() => clock.t);
+  });
+  afterEach(() => setNowSource(null));
+}
+
+/** Bare enemy at (x, z): statuses, a position and plain damage. */
+export function dummy(x = 0, z = 4, hp = 10000) {
+  const p = new THREE.Vector3(x, 0, z);
+  return {
+    alive: true,
+    hp,
+    maxHP: hp,
+    statuses: new Map(),
+    pos: () => p,
+    takeDamage(n) { this.hp -= n; },
+  };
+}
+
+export function makeSkills(enemies = []) {
+  const player = new Player();
+  player.critChance = 0;
+  player.mesh.position.set(0, 0, 0);
+  return new SkillsSystem(player, enemies, createStubEffects(), null);
+}
+
+/**
+ * Hero at (hx, hz) and an enemy AI over `enemies` (`rand` replaces its seeded "ai" stream).
+ * `systems({ player, enemies, effects })` returns extra AI deps (threat, shots); they are returned with the world and
+ * their update(dt) runs every frame after ai.beginFrame(), like updateEnemies.
+ * @param {{hx?:number, hz?:number, occluders?:any, rand?:() => number, systems?:Function}} [opts]
+ */
+export function makeWorld({ hx = HX, hz = HZ, occluders = null, rand = undefined, systems = null } = {}) {
+  const player = new Player();
+  player.mesh.position.set(hx, 0, hz);
+  const enemies = [];
+  const effects = createStubEffects();
+  const deps = systems ? systems({ player, enemies, effects }) : {};
+  const ai = initEnemyAI({ player, enemies, effects, getOccluders: () => occluders, rand, ...deps });
+  // Enemy of `archetype` at (dx, dz) from the hero's start, attack ready
+  const spawn = (archetype, dx, dz) => {
+    const en = new Enemy(new THREE.Vector3(hx + dx, 0, hz + dz), 1, { archetype, tier: "normal", rand: () => 0.5 });
+    en.nextAttackReady = 0;
+    enemies.push(en);
+    return en;
+  };
+  const tick = (seconds, each = null, dt = 0.05) => {
+    for (let s = 0; s < seconds - 1e-9; s += dt) {
+      clock.t += dt;
+      ai.beginFrame();
+      for (const sys of Object.values(deps)) sys.update(dt);
+      for (const en of enemies) ai.update(en, dt, distance2D(en.pos(), player.pos()));
+      if (each) each();
+    }
+  };
+  return { player, enemies, effects, ai, spawn, tick, ...deps };
+}
@@ -0,0 +1,89 @@
+import "../tools/node/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createSeededRNG } from "../src/utils.js";
+import { ITEMS, LOOT_TABLES, getItemDef, rollLoot } from "../src/items_pool.js";
+import { getInventory, addItem, removeItem, useItem, equipItem, unequipItem, getItemBonuses, MAX_EQUIPPED } from "../src/inventory.js";
+import { saveSection } from "../src/save.js";
+
+beforeEach(() => localStorage.clear());
+
+test("every loot table entry references a known item", () => {
+  for (const [tier, table] of Object.entries(LOOT_TABLES)) {
+    for (const e of table.entries) assert.ok(getItemDef(e.item), `${tier}: ${e.item}`);
+  }
+});
+
+test("rollLoot is reproducible for the same rng and honours the drop chance", () => {
+  const a = rollLoot("elite", 3, createSeededRNG(42));
+  const b = rollLoot("elite", 3, createSeededRNG(42));
+  assert.deepEqual(a, b);
+  assert.ok(a.length > 0); // elite chance is 1
+  assert.deepEqual(rollLoot("normal", 1, () => 0.99), []);
+});
+
+test("rollLoot scales gold with the map index", () => {
+  // rand 0 always passes the chance check, picks the first entry (gold) and rolls its minimum
+  const lo = LOOT_TABLES.normal.entries[0].qty[0];
+  assert.deepEqual(rollLoot("normal", 1, () => 0), [{ id: "gold", qty: lo }]);
+  assert.deepEqual(rollLoot("normal", 9, () => 0), [{ id: "gold", qty: Math.round(lo * 3) }]);
+  assert.deepEqual(rollLoot("unknown-tier", 1, () => 0), [{ id: "gold", qty: lo }]);
+});
+
+test("addItem stacks up to the item limit and counts gold separately", () => {
+  const stack = getItemDef("potion_hp").stack;
+  assert.equal(addItem("gold", 7), 7);
+  assert.equal(addItem("potion_hp", stack - 1), stack - 1);
+  assert.equal(addItem("potion_hp", 5), 1);
+  assert.equal(addItem("potion_hp", 1), 0);
+  assert.equal(addItem("no_such_item", 1), 0);
+  assert.deepEqual(getInventory(), { gold: 7, items: [{ id: "potion_hp", qty: stack }], equipped: [] });
+});
+
+test("useItem restores HP and consumes one potion only when it helps", () => {
+  const player = { alive: true, hp: 50, maxHP: 100, mp: 100, maxMP: 100 };
+  addItem("potion_hp", 2);
+  assert.equal(useItem("potion_hp", player), true);
+  assert.equal(player.hp, 85);
+  assert.equal(useItem("potion_mp", player), false); // not carried
+  player.hp = 100;
+  assert.equal(useItem("potion_hp", player), false); // already full
+  assert.equal(getInventory().items[0].qty, 1);
+});
+
+test("charms equip into limited slots and add their bonuses", () => {
+  const charms = ITEMS.filter((it) => it.kind === "charm");
+  charms.forEach((c) => addItem(c.id, 1));
+  assert.equal(equipItem("potion_hp"), false);
+  for (let i = 0; i < MAX_EQUIPPED; i++) assert.equal(equipItem(charms[i].id), true);
+  assert.equal(equipItem(charms[MAX_EQUIPPED].id), false);
+
+  const expected = { dmgMul: 1, hpRegenMul: 1, mpRegenMul: 1 };
+  for (const c of charms.slice(0, MAX_EQUIPPED)) {
+    for (const k of Object.keys(c.bonus)) expected[k] += c.bonus[k];
+  }
+  assert.deepEqual(getItemBonuses(), expected);
+
+  assert.equal(unequipItem(charms[0].id), true);
+  removeItem(charms[1].id, 1); // last copy leaves the slot too
+  assert.deepEqual(getInventory().equipped, []);
+  assert.deepEqual(getItemBonuses(), { dmgMul: 1, hpRegenMul: 1, mpRegenMul: 1 });
+});
+
+test("item bonuses are kept in memory and follow inventory changes, not raw save writes", () => {
+  const charm = ITEMS.find((it) => it.kind === "charm");
+  addItem(charm.id, 1);
+  equipItem(charm.id);
+  const bonuses = getItemBonuses();
+  assert.equal(getItemBonuses(), bonuses);
+  // A direct section write (no "inventory-changed") is not re-read per call
+  saveSection("inventory", { gold: 0, items: [], equipped: [] });
+  assert.equal(getItemBonuses(), bonuses);
+  addItem(charm.id, 1);
+  assert.deepEqual(getItemBonuses(), { dmgMul: 1, hpRegenMul: 1, mpRegenMul: 1 });
+});
+
+test("getInventory drops unknown ids from an older or edited save", () => {
+  saveSection("inventory", { gold: 3, items: [{ id: "retired_item", qty: 2 }, { id: "elixir", qty: 1 }], equipped: ["retired_item"] });
+  assert.deepEqual(getInventory(), { gold: 3, items: [{ id: "elixir", qty: 1 }], equipped: [] });
+});
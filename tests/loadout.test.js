@@ -0,0 +1,141 @@
+import "../tools/node/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  resolveLoadout,
+  validateLoadoutIds,
+  saveLoadout,
+  loadOrDefault,
+  LOADOUT_SIZE,
+  SLOT_KEYS,
+  SKILL_PAGE_COUNT,
+  isSlotUnlocked,
+  loadSkillPages,
+  switchSkillPage,
+  renameSkillPage,
+} from "../src/loadout.js";
+import { SKILL_POOL, DEFAULT_LOADOUT } from "../src/skills_pool.js";
+import { SKILLS } from "../src/constants.js";
+import { SkillsSystem } from "../src/skills.js";
+import { Player } from "../src/entities.js";
+import { setNowSource } from "../src/utils.js";
+import { createStubEffects } from "../tools/sim/stubs.js";
+
+const POOL = [{ id: "a" }, { id: "b" }, { id: "c" }, { id: "d" }, { id: "e" }];
+
+beforeEach(() => localStorage.clear());
+
+test("validateLoadoutIds accepts exactly `size` known ids", () => {
+  assert.equal(validateLoadoutIds(POOL, ["a", "b", "c", "d"], 4), true);
+  assert.equal(validateLoadoutIds(POOL, ["a", "b", "c"], 4), false);
+  assert.equal(validateLoadoutIds(POOL, ["a", "b", "c", "d", "e"], 4), false);
+  assert.equal(validateLoadoutIds(POOL, ["a", "b", "c", "zzz"], 4), false);
+  assert.equal(validateLoadoutIds(POOL, ["a", "b", "c", 4], 4), false);
+  assert.equal(validateLoadoutIds(POOL, null), false);
+  // Default size is one id per slot (Q/W/E/R/D/F)
+  assert.equal(LOADOUT_SIZE, SLOT_KEYS.length);
+  assert.equal(validateLoadoutIds(POOL, ["a", "b", "c", "d"]), false);
+});
+
+test("resolveLoadout keeps a valid saved loadout in order", () => {
+  assert.deepEqual(resolveLoadout(POOL, ["d", "c", "b", "a"], ["a", "b", "c", "d"], 4), ["d", "c", "b", "a"]);
+});
+
+test("resolveLoadout fills invalid slots from defaults, then from the pool", () => {
+  assert.deepEqual(resolveLoadout(POOL, ["a", "nope", null, "e"], ["a", "b", "c", "d"], 4), ["a", "b", "c", "e"]);
+  // default for slot 2 is already used -> first unused pool id
+  assert.deepEqual(resolveLoadout(POOL, ["b", "x"], ["b", "b", "c", "d"], 4), ["b", "a", "c", "d"]);
+  assert.deepEqual(resolveLoadout(POOL, null, null, 4), ["a", "b", "c", "d"]);
+});
+
+test("resolveLoadout pads with null when the pool is too small", () => {
+  assert.deepEqual(resolveLoadout([{ id: "a" }, { id: "b" }], null, null, 4), ["a", "b", null, null]);
+  assert.deepEqual(resolveLoadout(POOL, null, null), ["a", "b", "c", "d", "e", null]);
+});
+
+test("resolveLoadout ignores entries past the last slot", () => {
+  assert.deepEqual(resolveLoadout(POOL, ["e", "d", "c", "b", "a"], null, 4), ["e", "d", "c", "b"]);
+});
+
+test("a four-skill save from before D/F gets the default extra slots", () => {
+  const old = SKILL_POOL.slice(6, 10).map((s) => s.id);
+  saveLoadout(old);
+  assert.deepEqual(loadOrDefault(SKILL_POOL, DEFAULT_LOADOUT), [...old, ...DEFAULT_LOADOUT.slice(4)]);
+});
+
+test("D and F unlock at their levels", () => {
+  assert.equal(isSlotUnlocked("Q", 1), true);
+  assert.equal(isSlotUnlocked("D", 14), false);
+  assert.equal(isSlotUnlocked("D", 15), true);
+  assert.equal(isSlotUnlocked("F", 29), false);
+  assert.equal(isSlotUnlocked("F", 30), true);
+  assert.equal(isSlotUnlocked("Z", 99), false);
+});
+
+test("loadOrDefault round-trips through the save document", () => {
+  assert.deepEqual(loadOrDefault(SKILL_POOL, DEFAULT_LOADOUT), DEFAULT_LOADOUT);
+  const ids = SKILL_POOL.slice(4, 4 + LOADOUT_SIZE).map((s) => s.id);
+  assert.equal(saveLoadout(ids), true);
+  assert.deepEqual(loadOrDefault(SKILL_POOL, DEFAULT_LOADOUT), ids);
+});
+
+test("DEFAULT_LOADOUT is valid against SKILL_POOL", () => {
+  assert.equal(validateLoadoutIds(SKILL_POOL, DEFAULT_LOADOUT), true);
+});
+
+test("skill pages start as copies of the loadout and keep their own ids", () => {
+  const fresh = loadSkillPages(SKILL_POOL, DEFAULT_LOADOUT);
+  assert.equal(fresh.active, 0);
+  assert.equal(fresh.pages.length, SKILL_PAGE_COUNT);
+  for (const pg of fresh.pages) assert.deepEqual(pg.ids, DEFAULT_LOADOUT);
+
+  const boss = SKILL_POOL.slice(10, 10 + LOADOUT_SIZE).map((s) => s.id);
+  assert.deepEqual(switchSkillPage(SKILL_POOL, 1, DEFAULT_LOADOUT), DEFAULT_LOADOUT);
+  saveLoadout(boss);
+  assert.equal(renameSkillPage(SKILL_POOL, 1, "  boss  ", DEFAULT_LOADOUT), true);
+
+  assert.deepEqual(switchSkillPage(SKILL_POOL, 0, DEFAULT_LOADOUT), DEFAULT_LOADOUT);
+  assert.deepEqual(loadOrDefault(SKILL_POOL, DEFAULT_LOADOUT), DEFAULT_LOADOUT);
+  const pages = loadSkillPages(SKILL_POOL, DEFAULT_LOADOUT);
+  assert.deepEqual(pages.pages[1], { name: "boss", ids: boss });
+  assert.equal(switchSkillPage(SKILL_POOL, SKILL_PAGE_COUNT, DEFAULT_LOADOUT), null);
+});
+
+test("cooldowns follow the skill across loadout and page swaps", () => {
+  let clock = 100;
+  setNowSource(() => clock);
+  try {
+    const byId = (id) => SKILL_POOL.find((s) => s.id === id);
+    SKILLS.Q = byId("chain_lightning");
+    SKILLS.W = byId("lightning_bolt");
+    const skills = new SkillsSystem(new Player(), [], createStubEffects(), null);
+    skills.startCooldown("Q", 5);
+    // Swap Q and W: the chain cooldown moves to W, Q (now the bolt) is ready
+    SKILLS.Q = byId("lightning_bolt");
+    SKILLS.W = byId("chain_lightning");
+    skills.refreshSkills();
+    assert.equal(skills.isOnCooldown("Q"), false);
+    assert.equal(skills.cooldowns.W, 105);
+    // A page without the skill, then back: the cooldown is remembered
+    SKILLS.W = byId("ion_nova");
+    skills.refreshSkills();
+    assert.equal(skills.isOnCooldown("W"), false);
+    clock = 102;
+    SKILLS.W = byId("chain_lightning");
+    skills.refreshSkills();
+    assert.equal(skills.cooldowns.W, 105);
+  } finally {
+    setNowSource(null);
+  }
+});
+
+test("locked slots refuse casts", () => {
+  SKILLS.D = SKILL_POOL.find((s) => s.id === "thunder_mend");
+  const skills = new SkillsSystem(new Player(), [], createStubEffects(), null);
+  skills.player.level = 1;
+  skills.castSkill("D");
+  assert.equal(skills.isOnCooldown("D"), false);
+  skills.player.level = 15;
+  skills.castSkill("D");
+  assert.equal(skills.isOnCooldown("D"), true);
+});
@@ -0,0 +1,78 @@
+import "../tools/node/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SKILL_POOL } from "../src/skills_pool.js";
+import { SKILLS } from "../src/constants.js";
+import { createOccluderSet, hasLineOfSight } from "../src/los.js";
+import { clock, useVirtualClock, dummy, makeSkills } from "./helpers.js";
+
+const byId = (id) => SKILL_POOL.find((s) => s.id === id);
+
+useVirtualClock();
+
+// Skills system whose target picks and area hits respect `occluders`
+function makeOccludedSkills(enemies, occluders) {
+  const skills = makeSkills(enemies);
+  skills.setOccluders(() => occluders);
+  return skills;
+}
+
+const pt = (x, z) => ({ x, z });
+
+test("a prop between two points blocks the line; props off the line or around an end do not", () => {
+  const occ = createOccluderSet([{ x: 0, z: 5, r: 1, kind: "tree" }]);
+  assert.equal(hasLineOfSight(occ, pt(0, 0), pt(0, 10)), false);
+  assert.equal(hasLineOfSight(occ, pt(0, 0), pt(10, 0)), true);
+  assert.equal(hasLineOfSight(occ, pt(0, 0), pt(0, 3.9)), true);
+  assert.equal(hasLineOfSight(occ, pt(0, 5.5), pt(0, 20)), true);
+  assert.equal(hasLineOfSight(null, pt(0, 0), pt(0, 10)), true);
+  assert.equal(occ.firstBlocker(pt(0, 0), pt(0, 10)).kind, "tree");
+});
+
+test("long lines and wide props are found across grid cells", () => {
+  const occ = createOccluderSet([], 4);
+  occ.add({ x: 30, z: -30, r: 6, kind: "villa" });
+  occ.add({ x: -100, z: 100, r: 1, kind: "column" });
+  occ.add({ x: 1, z: 1, r: 0, kind: "ignored" });
+  assert.equal(occ.size, 2);
+  assert.equal(hasLineOfSight(occ, pt(0, 0), pt(60, -60)), false);
+  assert.equal(hasLineOfSight(occ, pt(24.5, -50), pt(24.5, 0)), false);
+  assert.equal(hasLineOfSight(occ, pt(23.5, -50), pt(23.5, 0)), true);
+  occ.clear();
+  assert.equal(hasLineOfSight(occ, pt(0, 0), pt(60, -60)), true);
+});
+
+test("chain lightning skips an enemy hidden behind a prop and does not jump through one", () => {
+  SKILLS.Q = byId("chain_lightning");
+  const hidden = dummy(-10, 0);
+  const seen = dummy(12, 0);
+  const behindWall = dummy(18, 0);
+  const occ = createOccluderSet([
+    { x: -5, z: 0, r: 1.5, kind: "column" },
+    { x: 15, z: 0, r: 1, kind: "tree" },
+  ]);
+  const skills = makeOccludedSkills([hidden, seen, behindWall], occ);
+  skills.castSkill("Q");
+  assert.equal(hidden.hp, 10000);
+  assert.ok(seen.hp < 10000);
+  assert.equal(behindWall.hp, 10000);
+});
+
+test("beams and marks need line of sight; without a visible target a mark fails at no cost", () => {
+  SKILLS.W = byId("got_bolt");
+  SKILLS.E = byId("storm_mark");
+  const hidden = dummy(0, 10);
+  const occ = createOccluderSet([{ x: 0, z: 5, r: 1.5, kind: "house" }]);
+  const skills = makeOccludedSkills([hidden], occ);
+  const mp = skills.player.mp;
+  skills.castSkill("E");
+  assert.equal(skills.player.mp, mp);
+  assert.equal(skills.isOnCooldown("E"), false);
+  skills.castSkill("W");
+  assert.equal(hidden.hp, 10000);
+
+  occ.clear();
+  clock.t += 60;
+  skills.castSkill("W");
+  assert.ok(hidden.hp < 10000);
+});
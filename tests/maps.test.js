@@ -0,0 +1,85 @@
+import "../tools/node/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMapManager } from "../src/maps.js";
+import { loadSection } from "../src/save.js";
+
+const ACTS = 5; // defined maps before endless depths
+
+beforeEach(() => localStorage.clear());
+
+const close = (a, b, eps = 1e-9) => assert.ok(Math.abs(a - b) < eps, `${a} !== ${b}`);
+
+test("a fresh manager starts on map 1 with only map 1 unlocked", () => {
+  const m = createMapManager();
+  assert.equal(m.getCurrentIndex(), 1);
+  assert.equal(m.getUnlockedMax(), 1);
+  assert.equal(m.canSelect(2), false);
+  assert.equal(m.setCurrent(2), false);
+});
+
+test("getModifiers returns the act multipliers with no endless growth", () => {
+  const mods = createMapManager().getModifiers();
+  assert.equal(mods.enemyHpMul, 1);
+  assert.equal(mods.enemyDmgMul, 1);
+  assert.equal(mods.enemySpeedMul, 1);
+  assert.equal(mods.enemyCountMul, 1);
+  assert.equal(mods.depth, 0);
+});
+
+test("unlockByLevel needs the previous map's boss as well as the level", () => {
+  const m = createMapManager();
+  assert.equal(m.unlockByLevel(99), false);
+  assert.equal(m.getUnlockedMax(), 1);
+  assert.equal(m.markBossDefeated(1), true); // re-runs the check with the last hero level
+  assert.equal(m.getUnlockedMax(), 2);
+});
+
+test("unlockByLevel stops at the first map whose requiredLevel is not met", () => {
+  const m = createMapManager();
+  for (let i = 1; i <= ACTS; i++) m.markBossDefeated(i);
+  m.unlockByLevel(m.requiredLevelFor(3));
+  assert.equal(m.getUnlockedMax(), 3);
+  m.unlockByLevel(m.requiredLevelFor(3) - 1);
+  assert.equal(m.getUnlockedMax(), 3, "unlocks are never revoked");
+});
+
+test("unlocks and defeated bosses persist in the save document", () => {
+  const m = createMapManager();
+  m.unlockByLevel(m.requiredLevelFor(2));
+  m.markBossDefeated(1);
+  assert.ok(m.setCurrent(2));
+  assert.deepEqual(loadSection("maps"), { currentIndex: 2, unlockedMax: 2, bossesDefeated: [1] });
+  const again = createMapManager();
+  assert.equal(again.getCurrentIndex(), 2);
+  assert.equal(again.isBossDefeated(1), true);
+});
+
+test("endless depths need +5 levels per depth and scale modifiers per depth", () => {
+  const m = createMapManager();
+  const last = m.requiredLevelFor(ACTS);
+  assert.equal(m.requiredLevelFor(ACTS + 1), last + 5);
+  assert.equal(m.requiredLevelFor(ACTS + 3), last + 15);
+
+  for (let i = 1; i <= ACTS + 2; i++) m.markBossDefeated(i);
+  m.unlockByLevel(last + 10);
+  assert.equal(m.getUnlockedMax(), ACTS + 2);
+
+  assert.ok(m.setCurrent(ACTS));
+  const base = m.getModifiers();
+  assert.ok(m.setCurrent(ACTS + 2));
+  const deep = m.getModifiers();
+  assert.equal(deep.depth, 2);
+  assert.equal(m.getActIndex(), ACTS, "endless depths reuse the last act roster");
+  close(deep.enemyHpMul, base.enemyHpMul * 1.18 ** 2);
+  close(deep.enemyDmgMul, base.enemyDmgMul * 1.16 ** 2);
+  close(deep.enemySpeedMul, 1.03 ** 2);
+  close(deep.enemyCountMul, 1.04 ** 2);
+  assert.match(m.getCurrent().name, /Endless \+2/);
+});
+
+test("endless depths reuse the last act's boss", () => {
+  const m = createMapManager();
+  assert.ok(m.getBoss(1));
+  assert.equal(m.getBoss(ACTS + 4).id, m.getBoss(ACTS).id);
+});
@@ -0,0 +1,122 @@
+import "../tools/node/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Player } from "../src/entities.js";
+import { STATS_BASE, SCALING, WORLD } from "../src/constants.js";
+import { loadSection } from "../src/save.js";
+
+beforeEach(() => localStorage.clear());
+
+// Stats expected after levelling from 1 to `level` one step at a time
+function expectedAt(level) {
+  const s = {
+    maxHP: STATS_BASE.hp,
+    maxMP: STATS_BASE.mp,
+    hpRegen: STATS_BASE.hpRegen,
+    mpRegen: STATS_BASE.mpRegen,
+    baseDamage: WORLD.basicAttackDamage,
+    xpToLevel: STATS_BASE.xpToLevel,
+  };
+  for (let i = 2; i <= level; i++) {
+    s.maxHP = Math.floor(s.maxHP * SCALING.hero.hpGrowth);
+    s.maxMP = Math.floor(s.maxMP * SCALING.hero.mpGrowth);
+    s.hpRegen *= SCALING.hero.hpRegenGrowth;
+    s.mpRegen *= SCALING.hero.mpRegenGrowth;
+    s.baseDamage = Math.floor(s.baseDamage * SCALING.hero.baseDamageGrowth);
+    s.xpToLevel = Math.floor(s.xpToLevel * SCALING.xpGrowth);
+  }
+  return s;
+}
+
+const close = (a, b, msg) => assert.ok(Math.abs(a - b) < 1e-6 * Math.max(1, Math.abs(b)), `${msg}: ${a} !== ${b}`);
+
+test("a new hero starts at STATS_BASE", () => {
+  const p = new Player();
+  assert.equal(p.level, 1);
+  assert.equal(p.xp, 0);
+  assert.equal(p.maxHP, STATS_BASE.hp);
+  assert.equal(p.maxMP, STATS_BASE.mp);
+  assert.equal(p.xpToLevel, STATS_BASE.xpToLevel);
+});
+
+test("gainXP below the threshold only adds xp", () => {
+  const p = new Player();
+  p.gainXP(p.xpToLevel - 1);
+  assert.equal(p.level, 1);
+  assert.equal(p.xp, STATS_BASE.xpToLevel - 1);
+});
+
+test("gainXP levels up with SCALING growth, carries overflow and refills HP/MP", () => {
+  const p = new Player();
+  p.hp = 1;
+  p.mp = 0;
+  p.gainXP(STATS_BASE.xpToLevel + 3);
+  const e = expectedAt(2);
+  assert.equal(p.level, 2);
+  assert.equal(p.xp, 3);
+  assert.equal(p.maxHP, e.maxHP);
+  assert.equal(p.maxMP, e.maxMP);
+  assert.equal(p.hp, p.maxHP);
+  assert.equal(p.mp, p.maxMP);
+  assert.equal(p.baseDamage, e.baseDamage);
+  assert.equal(p.xpToLevel, e.xpToLevel);
+  close(p.speed, WORLD.playerSpeed * SCALING.hero.moveSpeedGrowth, "speed");
+  close(p.atkSpeedPerma, SCALING.hero.atkSpeedGrowth, "atkSpeedPerma");
+});
+
+test("one large gainXP can cross several levels", () => {
+  const p = new Player();
+  const need = expectedAt(1).xpToLevel + expectedAt(2).xpToLevel + expectedAt(3).xpToLevel;
+  p.gainXP(need);
+  assert.equal(p.level, 4);
+  assert.equal(p.xp, 0);
+});
+
+test("gainXP dispatches player-levelup with the levels gained", () => {
+  const p = new Player();
+  const seen = [];
+  const onUp = (e) => seen.push(e.detail);
+  window.addEventListener("player-levelup", onUp);
+  p.gainXP(STATS_BASE.xpToLevel + expectedAt(2).xpToLevel);
+  window.removeEventListener("player-levelup", onUp);
+  assert.deepEqual(seen, [{ level: 3, gained: 2 }]);
+});
+
+test("setLevel matches step-by-step levelling and persists", () => {
+  for (const level of [1, 2, 7, 25]) {
+    const p = new Player();
+    p.setLevel(level);
+    const e = expectedAt(level);
+    assert.equal(p.level, level);
+    assert.equal(p.xp, 0);
+    assert.equal(p.maxHP, e.maxHP);
+    assert.equal(p.maxMP, e.maxMP);
+    assert.equal(p.baseDamage, e.baseDamage);
+    assert.equal(p.xpToLevel, e.xpToLevel);
+    close(p.hpRegen, e.hpRegen, "hpRegen");
+    close(p.mpRegen, e.mpRegen, "mpRegen");
+    close(p.speed, WORLD.playerSpeed * SCALING.hero.moveSpeedGrowth ** (level - 1), "speed");
+    assert.equal(loadSection("hero").level, level);
+  }
+});
+
+test("setLevel can lower the level and resets stats from base", () => {
+  const p = new Player();
+  p.setLevel(12);
+  p.setLevel(3);
+  const e = expectedAt(3);
+  assert.equal(p.level, 3);
+  assert.equal(p.maxHP, e.maxHP);
+  assert.equal(p.baseDamage, e.baseDamage);
+});
+
+test("a new Player restores level and xp from the save", () => {
+  const a = new Player();
+  a.setLevel(6);
+  a.gainXP(5);
+  a.saveProgressToStorage();
+  const b = new Player();
+  assert.equal(b.level, 6);
+  assert.equal(b.xp, 5);
+  assert.equal(b.maxHP, expectedAt(6).maxHP);
+});
@@ -0,0 +1,115 @@
+import "../tools/node/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SKILL_POOL } from "../src/skills_pool.js";
+import { SKILLS } from "../src/constants.js";
+import { ProjectileSystem } from "../src/projectiles.js";
+import { createStubEffects } from "../tools/sim/stubs.js";
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { clock, useVirtualClock, dummy, makeSkills } from "./helpers.js";
+
+const byId = (id) => SKILL_POOL.find((s) => s.id === id);
+
+useVirtualClock();
+
+// Projectile system over `enemies` that records every hit
+function makeSystem(enemies, colliders = []) {
+  const hits = [];
+  const sys = new ProjectileSystem({ getEnemies: () => enemies, effects: createStubEffects(), getColliders: () => colliders });
+  const shoot = (opts) => sys.spawn(Object.assign({ from: new THREE.Vector3(0, 1.4, 0), dir: new THREE.Vector3(0, 0, 1), onHit: (en) => hits.push(en) }, opts));
+  return { sys, hits, shoot };
+}
+
+function run(update, seconds, dt = 0.05) {
+  for (let s = 0; s < seconds - 1e-9; s += dt) {
+    clock.t += dt;
+    update(dt);
+  }
+}
+
+test("a projectile skill pays on cast but only deals damage when the shot arrives", () => {
+  const def = byId("thunder_javelin");
+  SKILLS.Q = def;
+  const en = dummy(0, 15);
+  const skills = makeSkills([en]);
+  const mp = skills.player.mp;
+
+  skills.castSkill("Q", en.pos().clone());
+  assert.equal(skills.player.mp, mp - def.mana);
+  assert.equal(skills.isOnCooldown("Q"), true);
+  assert.equal(skills.projectiles.count, 1);
+  assert.equal(en.hp, 10000);
+
+  run((dt) => skills.update(clock.t, dt, null), 0.1);
+  assert.equal(en.hp, 10000);
+  run((dt) => skills.update(clock.t, dt, null), 0.3);
+  assert.equal(en.hp, 10000 - def.dmg);
+  assert.equal(skills.projectiles.count, 0);
+});
+
+test("the cast follows the aim point rather than the nearest enemy", () => {
+  SKILLS.Q = byId("thunder_javelin");
+  const near = dummy(0, 8);
+  const aimed = dummy(20, 0);
+  const skills = makeSkills([near, aimed]);
+  skills.castSkill("Q", new THREE.Vector3(30, 0, 0));
+  run((dt) => skills.update(clock.t, dt, null), 1);
+  assert.equal(near.hp, 10000);
+  assert.ok(aimed.hp < 10000);
+});
+
+test("pierce lets a shot pass through that many enemies and stop on the next", () => {
+  const line = [dummy(0, 4), dummy(0, 8), dummy(0, 12), dummy(0, 16)];
+  const { sys, hits, shoot } = makeSystem(line);
+  const p = shoot({ speed: 20, lifetime: 3, hitRadius: 0.5, pierce: 2 });
+  run((dt) => sys.update(dt), 2);
+  assert.deepEqual(hits, line.slice(0, 3));
+  assert.equal(p.endReason, "spent");
+  assert.equal(sys.count, 0);
+});
+
+test("a shot fizzles after its lifetime without reaching far enemies", () => {
+  const far = dummy(0, 8);
+  const { sys, hits, shoot } = makeSystem([far]);
+  const p = shoot({ speed: 10, lifetime: 0.5 });
+  run((dt) => sys.update(dt), 1);
+  assert.equal(hits.length, 0);
+  assert.equal(p.endReason, "expired");
+  assert.ok(Math.abs(p.travelled - 5) < 0.6);
+});
+
+test("structures stop shots, or reflect them while bounces remain", () => {
+  const behind = dummy(0, 12);
+  const wall = { x: 0, z: 6, r: 1.5, kind: "column" };
+  const { sys, hits, shoot } = makeSystem([behind], [wall]);
+  const stopped = shoot({ speed: 20, lifetime: 2 });
+  run((dt) => sys.update(dt), 1);
+  assert.equal(stopped.endReason, "structure");
+  assert.equal(hits.length, 0);
+
+  const bounced = shoot({ speed: 20, lifetime: 0.6, bounces: 1 });
+  run((dt) => sys.update(dt), 1);
+  assert.equal(bounced.bounces, 0);
+  assert.ok(bounced.dir.z < 0);
+  assert.equal(bounced.endReason, "expired");
+  assert.equal(hits.length, 0);
+});
+
+test("a caster standing inside a footprint is not blocked by it", () => {
+  const en = dummy(0, 6);
+  const { sys, hits, shoot } = makeSystem([en], [{ x: 0, z: 0, r: 3, kind: "temple" }]);
+  shoot({ speed: 20, lifetime: 1 });
+  run((dt) => sys.update(dt), 1);
+  assert.deepEqual(hits, [en]);
+});
+
+test("a bouncing sphere turns to the next enemy it has not hit", () => {
+  SKILLS.W = byId("ricochet_sphere");
+  const a = dummy(0, 6);
+  const b = dummy(8, 6);
+  const c = dummy(8, 14);
+  const skills = makeSkills([a, b, c]);
+  skills.castSkill("W", a.pos().clone());
+  run((dt) => skills.update(clock.t, dt, null), 2);
+  for (const en of [a, b, c]) assert.ok(en.hp < 10000);
+});
@@ -0,0 +1,41 @@
+import "../tools/node/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { SAVE_SCHEMA, createEmptySave, diffSaves } from "../src/save.js";
+
+// Two documents that differ only where `edit(data)` changes the second one
+function pair(edit) {
+  const a = createEmptySave();
+  const b = createEmptySave();
+  edit(b.data);
+  return [a, b];
+}
+
+test("the import diff lists a row only for what differs, even when just the skill pages do", () => {
+  assert.deepEqual(diffSaves(...pair(() => {})), []);
+
+  const [a, b] = pair((d) => {
+    d.skillPages = SAVE_SCHEMA.skillPages.sanitize({ active: 1, pages: [{ name: "", ids: ["got_bolt", null] }, { name: "Storm", ids: ["ion_nova"] }] });
+  });
+  assert.deepEqual(diffSaves(a, b), [{ key: "skillPages", from: "", to: "1: got_bolt / Storm: ion_nova" }]);
+});
+
+test("equipped charms and timed buffs show up in the import diff", () => {
+  const rows = diffSaves(...pair((d) => {
+    d.inventory.equipped = ["charm_spark"];
+    d.hero.buffs = { speedBoost: { remaining: 12 } };
+  }));
+  assert.deepEqual(rows.map((r) => r.key).sort(), ["buffs", "charms"]);
+  assert.equal(rows.find((r) => r.key === "charms").to, "charm_spark");
+});
+
+test("every section previews its values and every preview row has a label in each locale", () => {
+  const locales = ["en", "vi"].map((l) => JSON.parse(readFileSync(new URL(`../src/locales/${l}.json`, import.meta.url), "utf8")));
+  for (const [section, schema] of Object.entries(SAVE_SCHEMA)) {
+    assert.equal(typeof schema.preview, "function", section);
+    for (const key of Object.keys(schema.preview(schema.def()))) {
+      for (const loc of locales) assert.ok(loc.settings.save.changes[key], `${section}.${key}`);
+    }
+  }
+});
@@ -0,0 +1,79 @@
+import "../tools/node/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Player } from "../src/entities.js";
+import { SCALING, STATS_BASE } from "../src/constants.js";
+import { SKILL_POOL } from "../src/skills_pool.js";
+import { loadSkillRanks } from "../src/loadout.js";
+import { loadSection, saveSection } from "../src/save.js";
+import {
+  applySkillRank,
+  getMaxRank,
+  getRankUpCost,
+  getPointsSpent,
+  getSkillRank,
+  rankUpSkill,
+} from "../src/skill_ranks.js";
+
+beforeEach(() => localStorage.clear());
+
+const chain = SKILL_POOL.find((s) => s.id === "chain_lightning");
+
+test("every pool skill has a rank tree whose deltas touch stats it has", () => {
+  for (const s of SKILL_POOL) {
+    assert.ok(getMaxRank(s) > 1, s.id);
+    for (const stat of Object.keys(s.ranks.per)) assert.equal(typeof s[stat], "number", `${s.id}.${stat}`);
+  }
+});
+
+test("applySkillRank adds per-rank deltas and clamps to the max rank", () => {
+  assert.equal(applySkillRank(chain, 1).jumps, chain.jumps);
+  const r3 = applySkillRank(chain, 3);
+  assert.equal(r3.rank, 3);
+  assert.equal(r3.jumps, chain.jumps + 2 * chain.ranks.per.jumps);
+  assert.equal(r3.dmg, chain.dmg + 2 * chain.ranks.per.dmg);
+  assert.ok(r3.cd < chain.cd);
+  assert.equal(applySkillRank(chain, 99).rank, getMaxRank(chain));
+  // the pool entry is never mutated
+  assert.equal(SKILL_POOL.find((s) => s.id === "chain_lightning").jumps, chain.jumps);
+});
+
+test("cooldowns never drop below the floor", () => {
+  const def = { id: "x", cd: 1, ranks: { costs: [1, 1, 1], per: { cd: -5 } } };
+  assert.equal(applySkillRank(def, 4).cd, 0.5);
+});
+
+test("rank-up costs follow the tree and sum to the points spent", () => {
+  assert.equal(getRankUpCost(chain, 1), chain.ranks.costs[0]);
+  assert.equal(getRankUpCost(chain, getMaxRank(chain)), null);
+  assert.equal(getPointsSpent(chain, getMaxRank(chain)), chain.ranks.costs.reduce((a, b) => a + b, 0));
+});
+
+test("levelling grants skill points that persist with the hero", () => {
+  const p = new Player();
+  assert.equal(p.skillPoints, 0);
+  p.gainXP(STATS_BASE.xpToLevel);
+  assert.equal(p.skillPoints, SCALING.hero.skillPointsPerLevel);
+  p.setLevel(5);
+  assert.equal(p.skillPoints, 4 * SCALING.hero.skillPointsPerLevel);
+  assert.equal(loadSection("hero").skillPoints, p.skillPoints);
+  assert.equal(new Player().skillPoints, p.skillPoints);
+});
+
+test("saves from before skill ranks get the points earned so far", () => {
+  saveSection("hero", { level: 7, xp: 0, xpToLevel: 0 });
+  assert.equal(loadSection("hero").skillPoints, null);
+  assert.equal(new Player().skillPoints, 6 * SCALING.hero.skillPointsPerLevel);
+});
+
+test("rankUpSkill spends points, saves the rank and refuses when broke or maxed", () => {
+  const p = new Player();
+  assert.equal(rankUpSkill(p, chain), false);
+  p.skillPoints = 100;
+  for (let r = 1; r < getMaxRank(chain); r++) assert.equal(rankUpSkill(p, chain), true);
+  assert.equal(rankUpSkill(p, chain), false);
+  assert.equal(getSkillRank("chain_lightning"), getMaxRank(chain));
+  assert.deepEqual(loadSkillRanks(), { chain_lightning: getMaxRank(chain) });
+  assert.equal(p.skillPoints, 100 - getPointsSpent(chain, getMaxRank(chain)));
+  assert.equal(loadSection("hero").skillPoints, p.skillPoints);
+});
@@ -0,0 +1,232 @@
+import "../tools/node/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SKILL_POOL } from "../src/skills_pool.js";
+import { SKILLS } from "../src/constants.js";
+import { getNearestEnemy } from "../src/entities.js";
+import { createSpatialHash } from "../src/spatial_hash.js";
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { clock, useVirtualClock, dummy, makeSkills } from "./helpers.js";
+
+const byId = (id) => SKILL_POOL.find((s) => s.id === id);
+
+useVirtualClock();
+
+// Advance the clock in small steps like the main loop
+function advance(skills, seconds, dt = 0.05) {
+  for (let s = 0; s < seconds - 1e-9; s += dt) {
+    clock.t += dt;
+    skills.update(clock.t, dt, null);
+  }
+}
+
+test("a charge pays mana on press, fires on release and scales with hold time", () => {
+  const def = byId("thunderclap");
+  SKILLS.Q = def;
+  const en = dummy();
+  const skills = makeSkills([en]);
+  const mp = skills.player.mp;
+
+  skills.castSkill("Q");
+  assert.equal(skills.isHolding("Q"), true);
+  assert.equal(skills.player.mp, mp - def.mana);
+  assert.equal(skills.isOnCooldown("Q"), false);
+  skills.castSkill("Q"); // key repeat while held
+  assert.equal(skills.player.mp, mp - def.mana);
+
+  skills.releaseSkill("Q");
+  assert.equal(skills.isHolding(), false);
+  assert.equal(skills.isOnCooldown("Q"), true);
+  assert.equal(en.hp, 10000 - def.dmg);
+
+  clock.t += def.cd + 1;
+  skills.player.mp = skills.player.maxMP;
+  skills.castSkill("Q");
+  clock.t += def.maxCharge;
+  assert.equal(skills.getCastInfo().full, true);
+  skills.releaseSkill("Q");
+  assert.equal(en.hp, 10000 - def.dmg - Math.floor(def.dmg * def.chargeScale.dmg));
+});
+
+test("a full charge that is never released fires by itself", () => {
+  const def = byId("thunderclap");
+  SKILLS.Q = def;
+  const en = dummy();
+  const skills = makeSkills([en]);
+  skills.castSkill("Q");
+  advance(skills, def.maxCharge + 0.5);
+  assert.equal(skills.isHolding("Q"), true);
+  advance(skills, 0.6);
+  assert.equal(skills.isHolding(), false);
+  assert.ok(en.hp < 10000);
+});
+
+test("a channel drains mana, ticks damage while held and starts its cooldown on release", () => {
+  const def = byId("storm_tether");
+  SKILLS.W = def;
+  const en = dummy();
+  const skills = makeSkills([en]);
+  skills.player.mpRegen = 0;
+  const mp = skills.player.mp;
+
+  skills.castSkill("W");
+  assert.equal(skills.isHolding("W"), true);
+  advance(skills, 1);
+  assert.ok(Math.abs(skills.player.mp - (mp - def.mana - def.manaPerSec)) < 1e-6);
+  assert.equal(en.hp, 10000 - def.dmg * Math.round(1 / def.tick));
+  assert.ok(skills.getCastInfo().ratio < 1);
+  assert.equal(skills.isOnCooldown("W"), false);
+
+  skills.releaseSkill("W");
+  assert.equal(skills.getCastInfo(), null);
+  assert.equal(skills.isOnCooldown("W"), true);
+  const hp = en.hp;
+  advance(skills, 1);
+  assert.equal(en.hp, hp);
+});
+
+test("a channel needs a target and ends when mana runs out", () => {
+  const def = byId("storm_tether");
+  SKILLS.W = def;
+  const skills = makeSkills([]);
+  skills.castSkill("W");
+  assert.equal(skills.isHolding(), false);
+
+  skills.enemies.push(dummy());
+  skills.player.mpRegen = 0;
+  skills.player.mp = def.mana + def.manaPerSec * 0.5;
+  skills.castSkill("W");
+  advance(skills, 1);
+  assert.equal(skills.isHolding(), false);
+  assert.equal(skills.isOnCooldown("W"), true);
+});
+
+test("a press shortly before a skill is ready is cast once it is; earlier presses are dropped", () => {
+  const def = byId("got_bolt");
+  SKILLS.Q = def;
+  const en = dummy();
+  const skills = makeSkills([en]);
+  skills.castSkill("Q");
+  assert.equal(en.hp, 10000 - def.dmg);
+
+  skills.castSkill("Q"); // cd left is far beyond the buffer window
+  assert.equal(skills.queued, null);
+  clock.t += def.cd - 0.3;
+  skills.castSkill("Q");
+  assert.equal(skills.queued.key, "Q");
+  advance(skills, 0.2);
+  assert.equal(en.hp, 10000 - def.dmg);
+  advance(skills, 0.15);
+  assert.equal(en.hp, 10000 - def.dmg * 2);
+  assert.equal(skills.queued, null);
+
+  skills.setCastPrefs({ buffer: 0 });
+  clock.t += def.cd - 0.1;
+  skills.castSkill("Q");
+  advance(skills, 0.2);
+  assert.equal(en.hp, 10000 - def.dmg * 2);
+});
+
+test("a held skill pressed while another is held starts after the release", () => {
+  SKILLS.Q = byId("thunderclap");
+  SKILLS.W = byId("storm_tether");
+  const en = dummy();
+  const skills = makeSkills([en]);
+  skills.castSkill("Q");
+  skills.castSkill("W");
+  assert.equal(skills.isHolding("W"), false);
+  assert.equal(skills.queued.key, "W");
+  advance(skills, 0.1);
+  skills.releaseSkill("Q");
+  advance(skills, 0.05);
+  assert.equal(skills.isHolding("W"), true);
+});
+
+test("cast when in range walks to an enemy out of reach and casts on arrival", () => {
+  const def = byId("got_bolt");
+  SKILLS.Q = def;
+  const far = dummy(0, 50);
+  const skills = makeSkills([far]);
+  const mp = skills.player.mp;
+  skills.castSkill("Q");
+  assert.equal(skills.player.mp, mp);
+  assert.equal(skills.getCastApproach(), far);
+  assert.equal(skills.player.target, far);
+
+  // Still out of reach: nothing happens until the hero (moved by main.js) gets close
+  advance(skills, 0.5);
+  assert.equal(far.hp, 10000);
+  skills.player.mesh.position.set(0, 0, 20);
+  advance(skills, 0.05);
+  assert.equal(far.hp, 10000 - def.dmg);
+  assert.equal(skills.player.mp, mp - def.mana);
+  assert.equal(skills.getCastApproach(), null);
+});
+
+test("an approach times out or is cancelled; with the mode off the cast fires at nothing", () => {
+  const def = byId("got_bolt");
+  SKILLS.Q = def;
+  const far = dummy(0, 50);
+  const skills = makeSkills([far]);
+  skills.castSkill("Q");
+  advance(skills, 6);
+  assert.equal(skills.getCastApproach(), null);
+  skills.castSkill("Q");
+  skills.cancelQueuedCast();
+  assert.equal(skills.getCastApproach(), null);
+
+  skills.setCastPrefs({ castInRange: false });
+  const mp = skills.player.mp;
+  skills.castSkill("Q");
+  assert.equal(skills.player.mp, mp - def.mana);
+  assert.equal(skills.isOnCooldown("Q"), true);
+  assert.equal(far.hp, 10000);
+});
+
+// Same fight with and without the per-frame enemy grid
+function gridScene(withGrid) {
+  const enemies = [dummy(0, 6), dummy(4, 9), dummy(-3, 12), dummy(14, 14), dummy(0, 60)];
+  const skills = makeSkills(enemies);
+  if (withGrid) {
+    const grid = createSpatialHash(6, { slack: 2 });
+    grid.rebuild(enemies);
+    skills.setEnemyIndex(() => grid);
+  }
+  return { enemies, skills };
+}
+
+test("target picks and area hits through the enemy grid match a scan of every enemy", () => {
+  SKILLS.Q = byId("chain_lightning");
+  SKILLS.W = byId("lightning_bolt");
+  SKILLS.E = byId("ion_nova");
+  const results = [false, true].map((withGrid) => {
+    clock.t = 100;
+    const { enemies, skills } = gridScene(withGrid);
+    skills.castSkill("Q");
+    skills.castSkill("W");
+    skills.castSkill("E");
+    return enemies.map((en) => en.hp);
+  });
+  assert.deepEqual(results[1], results[0]);
+  assert.ok(results[1].some((hp) => hp < 10000));
+  assert.equal(results[1][4], 10000);
+});
+
+test("the enemy grid still finds enemies that moved since it was rebuilt, but not dead ones", () => {
+  SKILLS.Q = byId("got_bolt");
+  const { enemies, skills } = gridScene(true);
+  const grid = skills._getEnemyIndex();
+  const [near] = enemies;
+  // Walk out of range after the rebuild; the next-closest enemy is picked at its live position
+  near.pos().set(0, 0, 200);
+  assert.equal(getNearestEnemy(skills.player.pos(), 100, enemies, grid), enemies[1]);
+  enemies[1].alive = false;
+  assert.equal(getNearestEnemy(skills.player.pos(), 100, enemies, grid), enemies[2]);
+  // Walked one unit closer since the rebuild: still inside the cells the slack reads
+  const last = enemies[4];
+  last.pos().set(0, 0, 59);
+  assert.equal(getNearestEnemy(new THREE.Vector3(0, 0, 57), 2, enemies, grid), last);
+  skills.castSkill("Q");
+  assert.ok(enemies[2].hp < 10000 || enemies[3].hp < 10000);
+  assert.equal(enemies[1].hp, 10000);
+});
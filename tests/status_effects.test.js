@@ -0,0 +1,129 @@
+import "../tools/node/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Player, Enemy } from "../src/entities.js";
+import { loadSection } from "../src/save.js";
+import {
+  applyStatus,
+  getStatus,
+  hasStatus,
+  tickStatuses,
+  listStatuses,
+  moveSpeedMul,
+  damageTakenMul,
+  STATUS_DEFS,
+} from "../src/status_effects.js";
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { clock, useVirtualClock } from "./helpers.js";
+
+useVirtualClock();
+
+// Bare entity: statuses only need hp/maxHP/alive and an optional takeDamage
+function dummy(hp = 100) {
+  return {
+    alive: true,
+    hp,
+    maxHP: hp,
+    statuses: new Map(),
+    takeDamage(n) { this.hp -= n; if (this.hp <= 0) { this.hp = 0; this.alive = false; } },
+  };
+}
+
+test("every status def has a known kind, stacking rule and icon", () => {
+  for (const [id, def] of Object.entries(STATUS_DEFS)) {
+    assert.ok(["buff", "debuff"].includes(def.kind), id);
+    assert.ok(["refresh", "replace", "strongest", "stack"].includes(def.stacking), id);
+    assert.ok(def.icon, id);
+  }
+});
+
+test("statuses expire after their duration", () => {
+  const e = dummy();
+  assert.equal(applyStatus(e, "slow", { duration: 2, factor: 0.5 }), true);
+  assert.equal(moveSpeedMul(e), 0.5);
+  clock.t += 2.01;
+  assert.equal(hasStatus(e, "slow"), false);
+  assert.equal(moveSpeedMul(e), 1);
+  tickStatuses(e);
+  assert.equal(e.statuses.size, 0);
+});
+
+test("strongest stacking ignores a weaker slow and keeps the longer duration", () => {
+  const e = dummy();
+  applyStatus(e, "slow", { duration: 4, factor: 0.3 });
+  assert.equal(applyStatus(e, "slow", { duration: 10, factor: 0.8 }), false);
+  assert.equal(getStatus(e, "slow").params.factor, 0.3);
+  assert.equal(applyStatus(e, "slow", { duration: 1, factor: 0.2 }), true);
+  assert.equal(getStatus(e, "slow").params.factor, 0.2);
+  assert.equal(getStatus(e, "slow").until, 104);
+});
+
+test("stacking statuses cap at maxStacks and tick damage per stack", () => {
+  const e = dummy(1000);
+  for (let i = 0; i < 8; i++) applyStatus(e, "burn", { duration: 3, dmg: 4 });
+  assert.equal(getStatus(e, "burn").stacks, STATUS_DEFS.burn.maxStacks);
+  const ticks = [];
+  clock.t += 1; // two 0.5s ticks
+  tickStatuses(e, (_ent, _s, amount) => ticks.push(amount));
+  assert.deepEqual(ticks, [20, 20]);
+  assert.equal(e.hp, 960);
+});
+
+test("shock amplifies damage taken per stack", () => {
+  const e = dummy();
+  applyStatus(e, "shock", { duration: 4, dmg: 1, amp: 0.1, stacks: 2 });
+  assert.ok(Math.abs(damageTakenMul(e) - 1.2) < 1e-9);
+});
+
+test("regen heals a fraction of max HP per second", () => {
+  const e = dummy(200);
+  e.hp = 100;
+  applyStatus(e, "regen", { duration: 5, hpPct: 0.05 });
+  clock.t += 2;
+  tickStatuses(e);
+  assert.equal(e.hp, 120);
+});
+
+test("immunities and invulnerability refuse statuses", () => {
+  const e = dummy();
+  e.statusImmune = new Set(["stun"]);
+  assert.equal(applyStatus(e, "stun", { duration: 1 }), false);
+  applyStatus(e, "invulnerable", { duration: 1 });
+  assert.equal(applyStatus(e, "slow", { duration: 1, factor: 0.5 }), false);
+  assert.equal(applyStatus(e, "defense", { duration: 1, pct: 0.5 }), true);
+  assert.deepEqual(listStatuses(e).map((s) => s.id).sort(), ["defense", "invulnerable"]);
+});
+
+test("boss-tier enemies are immune to stun from the tier data", () => {
+  const boss = new Enemy(new THREE.Vector3(), 1, { archetype: "brute", tier: "boss", rand: () => 0.5 });
+  assert.equal(applyStatus(boss, "stun", { duration: 2 }), false);
+  assert.equal(applyStatus(boss, "slow", { duration: 2, factor: 0.5 }), true);
+});
+
+test("entity damage applies defense and vulnerability multipliers", () => {
+  const en = new Enemy(new THREE.Vector3(), 1, { archetype: "brute", tier: "normal", rand: () => 0.5 });
+  const hp = en.hp;
+  applyStatus(en, "vulnerable", { duration: 3, mul: 1.5 });
+  en.takeDamage(10);
+  assert.equal(en.hp, hp - 15);
+  const p = new Player();
+  applyStatus(p, "defense", { duration: 3, pct: 0.5 });
+  p.takeDamage(10);
+  assert.equal(p.hp, p.maxHP - 5);
+});
+
+test("hero buffs survive a save/load round-trip with their remaining time", () => {
+  const p = new Player();
+  applyStatus(p, "speedBoost", { duration: 8, mul: 1.3 });
+  applyStatus(p, "defense", { duration: 5, pct: 0.4 });
+  applyStatus(p, "stun", { duration: 5 }); // not persisted
+  clock.t += 3;
+  p.saveProgressToStorage();
+  assert.deepEqual(Object.keys(loadSection("hero").buffs).sort(), ["defense", "speedBoost"]);
+
+  const q = new Player();
+  assert.equal(getStatus(q, "speedBoost").params.mul, 1.3);
+  assert.equal(getStatus(q, "speedBoost").until, clock.t + 5);
+  assert.equal(getStatus(q, "defense").params.pct, 0.4);
+  assert.equal(hasStatus(q, "stun"), false);
+});
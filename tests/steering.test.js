@@ -0,0 +1,95 @@
+import "../tools/node/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSpatialHash } from "../src/spatial_hash.js";
+import { createOccluderSet } from "../src/los.js";
+import { VILLAGE_POS, REST_RADIUS } from "../src/constants.js";
+import { distance2D } from "../src/utils.js";
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { HX, HZ, useVirtualClock, makeWorld } from "./helpers.js";
+
+useVirtualClock();
+
+// Plain chaser (no AI style) at (dx, dz) from the hero, already hunting and never attacking
+function chaser(world, dx, dz) {
+  const en = world.spawn("raider", dx, dz);
+  en.ai = null;
+  en.aggro = true;
+  en.nextAttackReady = Infinity;
+  return en;
+}
+
+test("the spatial hash finds items around a point, nearest first, and skips dead ones", () => {
+  const at = (x, z, alive = true) => ({ alive, pos: () => ({ x, z }) });
+  const a = at(1, 1);
+  const b = at(3.5, -2);
+  const far = at(40, 40);
+  const dead = at(1.5, 1.5, false);
+  const filler = Array.from({ length: 20 }, (_, i) => at(-60 - i, 60));
+  const hash = createSpatialHash(4);
+  hash.rebuild([a, b, far, dead, ...filler]);
+  assert.equal(hash.size, 23);
+  const near = [];
+  hash.forEachNear(0, 0, 4, (it) => near.push(it));
+  assert.ok(near.includes(a) && near.includes(b) && !near.includes(far));
+  assert.deepEqual(new Set(hash.query(0, 0, 5)), new Set([a, b]));
+  assert.deepEqual(hash.kNearest(0, 0, 2), [a, b]);
+  assert.equal(hash.nearest(30, 30), far);
+  assert.equal(hash.nearest(30, 30, 10), null);
+  assert.equal(hash.nearest(0, 0, Infinity, (it) => it !== a), b);
+  dead.alive = true;
+  a.alive = false;
+  // Positions and deaths are read live; new items wait for the next rebuild
+  assert.equal(hash.nearest(0, 0), b);
+  hash.clear();
+  assert.equal(hash.size, 0);
+});
+
+test("a crowd chasing the hero spreads out instead of stacking", () => {
+  const world = makeWorld();
+  const { player, enemies, tick } = world;
+  for (let i = 0; i < 12; i++) chaser(world, 30, (i % 2) * 0.01);
+  tick(6);
+  let closest = Infinity;
+  for (let i = 0; i < enemies.length; i++) {
+    for (let j = i + 1; j < enemies.length; j++) closest = Math.min(closest, distance2D(enemies[i].pos(), enemies[j].pos()));
+  }
+  assert.ok(closest > 1.2, `closest pair ${closest.toFixed(2)}`);
+  const inRange = enemies.filter((en) => distance2D(en.pos(), player.pos()) <= en.attackRange);
+  assert.ok(inRange.length >= 4);
+});
+
+test("a lone chaser eases in and stops just inside attack range", () => {
+  const world = makeWorld();
+  const { player, tick } = world;
+  const en = chaser(world, 20, 0);
+  let prev = Infinity;
+  let closest = Infinity;
+  tick(5, () => {
+    const d = distance2D(en.pos(), player.pos());
+    assert.ok(d <= prev + 1e-6);
+    prev = d;
+    closest = Math.min(closest, d);
+  });
+  assert.ok(closest <= en.attackRange);
+  assert.ok(closest > en.attackRange - 0.5);
+});
+
+test("chasers walk around a prop in their path", () => {
+  const tree = createOccluderSet([{ x: HX, z: HZ + 10, r: 2, kind: "tree" }]);
+  const world = makeWorld({ occluders: tree });
+  const { player, tick } = world;
+  const en = chaser(world, 0, 20);
+  let clearance = Infinity;
+  tick(6, () => { clearance = Math.min(clearance, distance2D(en.pos(), new THREE.Vector3(HX, 0, HZ + 10))); });
+  assert.ok(clearance > 2, `clearance ${clearance.toFixed(2)}`);
+  assert.ok(distance2D(en.pos(), player.pos()) <= en.attackRange);
+});
+
+test("chasers go around a village instead of pressing against its fence", () => {
+  const world = makeWorld({ hx: VILLAGE_POS.x + REST_RADIUS + 8, hz: VILLAGE_POS.z });
+  const { player, tick } = world;
+  const en = chaser(world, -2 * (REST_RADIUS + 8), 0);
+  tick(15);
+  assert.ok(distance2D(en.pos(), player.pos()) <= en.attackRange);
+});
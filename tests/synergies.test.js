@@ -0,0 +1,88 @@
+import "../tools/node/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { SKILL_POOL } from "../src/skills_pool.js";
+import { SKILLS } from "../src/constants.js";
+import { applyStatus, hasStatus } from "../src/status_effects.js";
+import { getSynergies, matchSynergies, recordCast, listSkillSynergies } from "../src/synergies.js";
+import { clock, useVirtualClock, dummy, makeSkills } from "./helpers.js";
+
+const byId = (id) => SKILL_POOL.find((s) => s.id === id);
+
+useVirtualClock();
+
+test("every declared synergy is valid and named in each locale", () => {
+  const locales = ["en", "vi"].map((l) => JSON.parse(readFileSync(new URL(`../src/locales/${l}.json`, import.meta.url), "utf8")));
+  let count = 0;
+  for (const s of SKILL_POOL) {
+    assert.equal(getSynergies(s).length, (s.synergies || []).length, s.id);
+    for (const r of getSynergies(s)) {
+      count++;
+      for (const loc of locales) assert.ok(loc.synergies[r.id] && loc.synergies[r.id].name && loc.synergies[r.id].desc, r.id);
+    }
+  }
+  assert.ok(count >= 3);
+});
+
+test("rules fire only when their conditions hold", () => {
+  const def = {
+    id: "x",
+    synergies: [
+      { id: "a", on: "cast", aura: true },
+      { id: "b", on: "cast", after: "lightning_dash", within: 3 },
+      { id: "c", on: "hit", targetStatus: "slow" },
+    ],
+  };
+  const lastCasts = {};
+  const ids = (list) => list.map((r) => r.id);
+  assert.deepEqual(ids(matchSynergies(def, "cast", { now: 100, lastCasts, auraActive: false })), []);
+  assert.deepEqual(ids(matchSynergies(def, "cast", { now: 100, lastCasts, auraActive: true })), ["a"]);
+  recordCast(lastCasts, byId("lightning_dash"), 100);
+  assert.deepEqual(ids(matchSynergies(def, "cast", { now: 102.5, lastCasts })), ["b"]);
+  assert.deepEqual(ids(matchSynergies(def, "cast", { now: 104, lastCasts })), []);
+  const en = dummy(0, 0, 1000);
+  assert.deepEqual(ids(matchSynergies(def, "hit", { now: 100 }, en)), []);
+  applyStatus(en, "slow", { duration: 2, factor: 0.5 });
+  assert.deepEqual(ids(matchSynergies(def, "hit", { now: 100 }, en)), ["c"]);
+});
+
+test("chain lightning detonates a mark for bonus damage and consumes it", () => {
+  const skills = makeSkills();
+  const chain = byId("chain_lightning");
+  const plain = dummy(0, 0, 1000);
+  skills._hit(chain, plain, 10);
+  assert.equal(plain.hp, 990);
+
+  const marked = dummy(0, 0, 1000);
+  applyStatus(marked, "vulnerable", { duration: 6, mul: 1.35 });
+  skills._hit(chain, marked, 10);
+  assert.equal(marked.hp, 984);
+  assert.equal(hasStatus(marked, "vulnerable"), false);
+});
+
+test("thunderstorm cast over an active static field doubles its strike rate", () => {
+  const storm = byId("thunderstorm");
+  SKILLS.R = storm;
+  const skills = makeSkills();
+  skills.player.mp = skills.player.maxMP = 500;
+  skills.castSkill("R");
+  const baseRate = skills.storms[0].rate;
+
+  clock.t += 60;
+  skills.player.staticField.active = true;
+  skills.player.staticField.until = clock.t + 10;
+  skills.castSkill("R");
+  assert.equal(skills.storms[1].rate, baseRate * 2);
+  assert.equal(SKILLS.R, storm);
+});
+
+test("the Skillbook lists own rules and the skills that set them up", () => {
+  const chain = listSkillSynergies(SKILL_POOL, "chain_lightning");
+  const detonate = chain.own.find((o) => o.rule.id === "detonate_mark");
+  assert.ok(detonate.partners.includes("storm_mark"));
+  const field = listSkillSynergies(SKILL_POOL, "static_field");
+  assert.ok(field.enables.some((e) => e.skill === "thunderstorm" && e.rule.id === "supercell"));
+  const mark = listSkillSynergies(SKILL_POOL, "storm_mark");
+  assert.ok(mark.enables.some((e) => e.skill === "chain_lightning"));
+});
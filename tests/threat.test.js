@@ -0,0 +1,101 @@
+import "../tools/node/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { initThreat } from "../src/threat.js";
+import { SKILL_POOL } from "../src/skills_pool.js";
+import { SKILLS, WORLD } from "../src/constants.js";
+import { distance2D } from "../src/utils.js";
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { HX, HZ, clock, useVirtualClock, dummy, makeSkills, makeWorld } from "./helpers.js";
+
+useVirtualClock();
+
+const makeThreatWorld = () => makeWorld({ systems: ({ player, enemies }) => ({ threat: initThreat({ player, enemies }) }) });
+
+test("the top threat is the target; a rival needs a clear lead, threat decays and expired decoys drop out", () => {
+  const { player, threat, spawn } = makeThreatWorld();
+  const en = spawn("raider", 5, 0);
+  assert.equal(threat.targetOf(en), player);
+  const decoy = threat.addDecoy({ kind: "clone", pos: new THREE.Vector3(HX + 8, 0, HZ), until: clock.t + 5 });
+  threat.onDamage(en, decoy, 100);
+  assert.equal(threat.targetOf(en), decoy);
+  // Not enough to take the enemy back
+  threat.onDamage(en, player, 105);
+  assert.equal(threat.targetOf(en), decoy);
+  threat.onDamage(en, player, 10);
+  assert.equal(threat.targetOf(en), player);
+
+  clock.t += WORLD.threatHalfLife;
+  assert.ok(Math.abs(threat.get(en, player) - 57.5) < 0.01);
+
+  threat.onDamage(en, decoy, 500);
+  assert.equal(threat.targetOf(en), decoy);
+  clock.t += 5;
+  threat.update(0.05);
+  assert.equal(decoy.alive, false);
+  assert.equal(threat.targetOf(en), player);
+
+  // Respawn forgets one table, a map switch drops every decoy and table
+  threat.forget(en);
+  assert.equal(threat.get(en, player), 0);
+  const totem = threat.addDecoy({ kind: "totem", pos: new THREE.Vector3(HX, 0, HZ), until: clock.t + 5 });
+  threat.onDamage(en, totem, 50);
+  threat.clear();
+  assert.equal(totem.alive, false);
+  assert.equal(threat.targets().length, 1);
+  assert.equal(threat.get(en, totem), 0);
+});
+
+test("a taunting decoy pulls nearby enemies off the hero until it expires", () => {
+  const { player, threat, spawn, tick } = makeThreatWorld();
+  const raider = spawn("raider", 0, 3);
+  raider.ai = null;
+  const far = spawn("raider", 0, -40);
+  far.ai = null;
+  const hp = player.hp;
+  const decoy = threat.addDecoy({ kind: "totem", pos: new THREE.Vector3(HX, 0, HZ + 12), until: clock.t + 3, taunt: 30, tauntRadius: 14 });
+  tick(2);
+  assert.equal(raider._ai.target, decoy);
+  assert.ok(distance2D(raider.pos(), decoy.pos()) <= raider.attackRange + 0.5);
+  assert.equal(player.hp, hp);
+  assert.equal(threat.get(far, decoy), 0);
+  tick(1.5);
+  assert.equal(raider._ai.target, player);
+});
+
+test("clone zaps add threat for the clone; the hero's hits add threat for the hero", () => {
+  SKILLS.Q = SKILL_POOL.find((s) => s.id === "thunder_image");
+  const en = dummy(0, 6, 1e6);
+  const skills = makeSkills([en]);
+  const player = skills.player;
+  const threat = initThreat({ player, enemies: [en] });
+  skills.setThreat(threat);
+  skills.castSkill("Q");
+  assert.equal(threat.targets().length, 2);
+  const clone = threat.targets()[1];
+  assert.equal(clone.kind, "clone");
+  for (let i = 0; i < 10; i++) {
+    clock.t += 0.1;
+    skills.update(clock.t, 0.1, null);
+  }
+  assert.ok(threat.get(en, clone) > 0);
+  assert.equal(threat.get(en, player), 0);
+  skills._hit(SKILLS.Q, en, 40);
+  assert.ok(threat.get(en, player) >= 40);
+});
+
+test("basic attacks add hero threat; statuses remember who applied them", () => {
+  const en = dummy(0, 2, 1e6);
+  const skills = makeSkills([en]);
+  const player = skills.player;
+  const threat = initThreat({ player, enemies: [en] });
+  skills.setThreat(threat);
+  assert.equal(skills.tryBasicAttack(player, en), true);
+  assert.ok(threat.get(en, player) > 0);
+
+  const totem = threat.addDecoy({ kind: "totem", pos: en.pos().clone(), until: clock.t + 5 });
+  skills._applyOnHit({ id: "test_burn", statuses: [{ id: "burn", duration: 2, dmg: 5 }] }, en, { source: totem });
+  assert.equal(en.statuses.get("burn").owner, totem);
+  skills._applyOnHit({ id: "test_burn", statuses: [{ id: "burn", duration: 2, dmg: 5 }] }, en);
+  assert.equal(en.statuses.get("burn").owner, player);
+});
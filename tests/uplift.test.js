@@ -0,0 +1,148 @@
+import "../tools/node/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getReachedMilestones,
+  getPendingMilestone,
+  getBasicUplift,
+  saveUpliftState,
+  getUpliftState,
+  rollUpliftOffer,
+  getUpliftOffer,
+  getRerollsLeft,
+  rerollUpliftOffer,
+  chooseUplift,
+  respecUplifts,
+  applySkillUplifts,
+  getHeroUplift,
+} from "../src/uplift.js";
+import { UPLIFT_POOL, UPLIFT_OFFER_SIZE } from "../src/uplift_pool.js";
+import { SKILL_POOL } from "../src/skills_pool.js";
+
+const skill = (id) => SKILL_POOL.find((s) => s.id === id);
+
+// Deterministic rand cycling through a fixed list
+function seq(values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+beforeEach(() => localStorage.clear());
+
+test("getReachedMilestones lists every 5th level from 5", () => {
+  assert.deepEqual(getReachedMilestones(1), []);
+  assert.deepEqual(getReachedMilestones(4), []);
+  assert.deepEqual(getReachedMilestones(5), [5]);
+  assert.deepEqual(getReachedMilestones(14), [5, 10]);
+  assert.deepEqual(getReachedMilestones(20), [5, 10, 15, 20]);
+  assert.deepEqual(getReachedMilestones(NaN), []);
+});
+
+test("getPendingMilestone returns the lowest reached milestone without a choice", () => {
+  assert.equal(getPendingMilestone(3), null);
+  assert.equal(getPendingMilestone(12), 5);
+  saveUpliftState({ choices: [{ level: 5, kind: "basic-aoe" }] });
+  assert.equal(getPendingMilestone(12), 10);
+  saveUpliftState({ choices: [{ level: 5, kind: "basic-aoe" }, { level: 10, kind: "basic-chain" }] });
+  assert.equal(getPendingMilestone(12), null);
+  assert.equal(getPendingMilestone(15), 15);
+});
+
+test("getBasicUplift is neutral without choices", () => {
+  assert.deepEqual(getBasicUplift(), { aoeRadius: 0, chainJumps: 0, dmgMul: 1, fx: null });
+});
+
+test("getBasicUplift stacks picks per kind", () => {
+  saveUpliftState({
+    choices: [
+      { level: 5, kind: "basic-aoe" },
+      { level: 10, kind: "basic-aoe" },
+      { level: 15, kind: "basic-chain" },
+      { level: 20, kind: "basic-impact" },
+      { level: 25, kind: "basic-impact" },
+      { level: 30, kind: "basic-impact" },
+    ],
+  });
+  const up = getBasicUplift();
+  assert.equal(up.aoeRadius, 3.5);
+  assert.equal(up.chainJumps, 1);
+  assert.ok(Math.abs(up.dmgMul - 1.15) < 1e-9);
+  assert.ok(up.fx && up.fx.impactColor);
+});
+
+test("offers are distinct, eligible and only include skill options for equipped skills", () => {
+  for (let n = 0; n < 20; n++) {
+    const ids = rollUpliftOffer({ choices: [], equipped: ["chain_lightning"], rand: seq([n / 20, 0.37, 0.81]) });
+    assert.equal(ids.length, UPLIFT_OFFER_SIZE);
+    assert.equal(new Set(ids).size, ids.length);
+    for (const id of ids) {
+      const u = UPLIFT_POOL.find((x) => x.id === id);
+      if (u.skill) assert.equal(u.skill, "chain_lightning");
+      if (u.skillType) assert.equal(u.skillType, "chain");
+    }
+  }
+});
+
+test("options at maxPicks leave the pool", () => {
+  const choices = [{ level: 5, kind: "static-free" }];
+  for (let n = 0; n < 20; n++) {
+    const ids = rollUpliftOffer({ choices, equipped: ["static_field"], rand: seq([n / 20, 0.5, 0.9]) });
+    assert.ok(!ids.includes("static-free"));
+  }
+});
+
+test("the saved offer is stable until a choice or reroll", () => {
+  const first = getUpliftOffer(5, ["chain_lightning"]);
+  assert.deepEqual(getUpliftOffer(5, ["chain_lightning"]), first);
+  assert.deepEqual(getUpliftState().offer, { level: 5, ids: first });
+  assert.equal(chooseUplift(5, first[0]), true);
+  assert.equal(getUpliftState().offer, null);
+  assert.equal(chooseUplift(5, first[1]), false);
+});
+
+test("each reached milestone grants one reroll", () => {
+  assert.equal(getRerollsLeft(4), 0);
+  assert.equal(getRerollsLeft(12), 2);
+  getUpliftOffer(5, ["chain_lightning"]);
+  assert.ok(rerollUpliftOffer(5, 12, ["chain_lightning"]));
+  assert.ok(rerollUpliftOffer(5, 12, ["chain_lightning"]));
+  assert.equal(getRerollsLeft(12), 0);
+  assert.equal(rerollUpliftOffer(5, 12, ["chain_lightning"]), null);
+  assert.equal(getUpliftState().rerollsUsed, 2);
+});
+
+test("applySkillUplifts changes only matching skills and leaves the pool untouched", () => {
+  const choices = [{ level: 5, kind: "chain-jumps" }, { level: 10, kind: "static-free" }, { level: 15, kind: "beam-haste" }];
+  const chain = applySkillUplifts(skill("chain_lightning"), choices);
+  assert.equal(chain.jumps, skill("chain_lightning").jumps + 2);
+  assert.equal(applySkillUplifts(skill("static_field"), choices).manaPerTick, 0);
+  assert.equal(applySkillUplifts(skill("got_bolt"), choices).cd, Math.round(skill("got_bolt").cd * 0.85 * 100) / 100);
+  assert.equal(applySkillUplifts(skill("thundersurge"), choices).jumps, skill("thundersurge").jumps);
+  assert.equal(skill("static_field").manaPerTick, 2);
+});
+
+test("hero uplifts add up and respec clears every choice", () => {
+  assert.deepEqual(getHeroUplift(), { moveSpeedMul: 1, hpRegenMul: 1, mpRegenMul: 1, dmgMul: 1 });
+  saveUpliftState({ choices: [{ level: 5, kind: "hero-move" }, { level: 10, kind: "hero-move" }, { level: 15, kind: "hero-power" }], rerollsUsed: 1 });
+  const up = getHeroUplift();
+  assert.ok(Math.abs(up.moveSpeedMul - 1.2) < 1e-9);
+  assert.ok(Math.abs(up.dmgMul - 1.08) < 1e-9);
+  respecUplifts();
+  assert.deepEqual(getUpliftState(), { choices: [], offer: null, rerollsUsed: 0 });
+  assert.equal(getPendingMilestone(15), 5);
+});
+
+test("uplift totals are cached until a pick, reroll or respec writes the section", () => {
+  const basic = getBasicUplift();
+  const hero = getHeroUplift();
+  assert.equal(getBasicUplift(), basic);
+  assert.equal(getHeroUplift(), hero);
+  assert.ok(chooseUplift(5, "hero-move"));
+  assert.notEqual(getHeroUplift(), hero);
+  assert.ok(getHeroUplift().moveSpeedMul > 1);
+  const picked = getBasicUplift();
+  assert.ok(rerollUpliftOffer(10, 10, ["got_bolt"]));
+  assert.notEqual(getBasicUplift(), picked);
+  respecUplifts();
+  assert.deepEqual(getHeroUplift(), { moveSpeedMul: 1, hpRegenMul: 1, mpRegenMul: 1, dmgMul: 1 });
+});
@@ -0,0 +1,79 @@
+import "../tools/node/env.js";
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  worldToMinimap,
+  clamp01,
+  lerp,
+  randRange,
+  distance2D,
+  dir2D,
+  now,
+  setNowSource,
+  hashStringToInt,
+  createSeededRNG,
+  seededRange,
+} from "../src/utils.js";
+
+afterEach(() => setNowSource(null));
+
+test("worldToMinimap centres on the given point at (100, 100)", () => {
+  assert.deepEqual(worldToMinimap(10, -5, 10, -5), { x: 100, y: 100 });
+  assert.deepEqual(worldToMinimap(20, 0, 10, 0, 2), { x: 120, y: 100 });
+});
+
+test("clamp01 and lerp", () => {
+  assert.equal(clamp01(-1), 0);
+  assert.equal(clamp01(0.25), 0.25);
+  assert.equal(clamp01(7), 1);
+  assert.equal(lerp(10, 20, 0), 10);
+  assert.equal(lerp(10, 20, 0.5), 15);
+  assert.equal(lerp(10, 20, 1), 20);
+});
+
+test("randRange stays inside [min, max)", () => {
+  for (let i = 0; i < 200; i++) {
+    const v = randRange(-3, 4);
+    assert.ok(v >= -3 && v < 4);
+  }
+});
+
+test("distance2D and dir2D ignore height", () => {
+  assert.equal(distance2D({ x: 0, y: 0, z: 0 }, { x: 3, y: 50, z: 4 }), 5);
+  assert.deepEqual(dir2D({ x: 0, z: 0 }, { x: 0, z: -2 }), { x: 0, z: -1 });
+  // coincident points fall back to a zero vector instead of NaN
+  assert.deepEqual(dir2D({ x: 1, z: 1 }, { x: 1, z: 1 }), { x: 0, z: 0 });
+});
+
+test("setNowSource overrides now() until cleared", () => {
+  setNowSource(() => 42);
+  assert.equal(now(), 42);
+  setNowSource(null);
+  assert.notEqual(now(), 42);
+  assert.ok(Number.isFinite(now()));
+});
+
+test("hashStringToInt is a stable unsigned 32-bit hash", () => {
+  assert.equal(hashStringToInt("seed"), hashStringToInt("seed"));
+  assert.notEqual(hashStringToInt("seed"), hashStringToInt("seed2"));
+  const h = hashStringToInt("anything");
+  assert.ok(Number.isInteger(h) && h >= 0 && h < 2 ** 32);
+});
+
+test("createSeededRNG repeats per seed and stays in [0, 1)", () => {
+  const a = createSeededRNG(123);
+  const b = createSeededRNG(123);
+  const c = createSeededRNG("123");
+  const seqA = Array.from({ length: 20 }, () => a());
+  assert.deepEqual(seqA, Array.from({ length: 20 }, () => b()));
+  assert.notDeepEqual(seqA, Array.from({ length: 20 }, () => c()), "string seeds are hashed");
+  assert.ok(seqA.every((v) => v >= 0 && v < 1));
+});
+
+test("seededRange maps the generator onto [min, max)", () => {
+  const rng = createSeededRNG(7);
+  for (let i = 0; i < 100; i++) {
+    const v = seededRange(rng, 5, 6);
+    assert.ok(v >= 5 && v < 6);
+  }
+});
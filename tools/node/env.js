@@ -0,0 +1,92 @@
+/**
+ * Headless browser globals for running game modules in Node (tools/sim, tests).
+ *
+ * Import this before any src/ module: config.js reads `location` at load time, save.js and uplift.js
+ * use `localStorage`, and entities dispatch CustomEvents on `window`. Nothing here renders; DOM
+ * lookups return null/empty so UI code paths bail out through their usual guards.
+ */
+
+/**
+ * In-memory Storage with the localStorage API.
+ * @returns {Storage}
+ */
+export function createMemoryStorage() {
+  const data = new Map();
+  return {
+    get length() {
+      return data.size;
+    },
+    key(i) {
+      return Array.from(data.keys())[i] ?? null;
+    },
+    getItem(k) {
+      return data.has(String(k)) ? data.get(String(k)) : null;
+    },
+    setItem(k, v) {
+      data.set(String(k), String(v));
+    },
+    removeItem(k) {
+      data.delete(String(k));
+    },
+    clear() {
+      data.clear();
+    },
+  };
+}
+
+function stubElement() {
+  return {
+    style: {},
+    dataset: {},
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    appendChild() {},
+    removeChild() {},
+    addEventListener() {},
+    removeEventListener() {},
+    setAttribute() {},
+    getContext: () => null,
+  };
+}
+
+const g = globalThis;
+
+if (typeof g.localStorage === "undefined") g.localStorage = createMemoryStorage();
+
+if (typeof g.location === "undefined") {
+  g.location = { href: "http://localhost/", origin: "http://localhost", pathname: "/", search: "", hash: "" };
+}
+
+if (typeof g.navigator === "undefined") {
+  g.navigator = { userAgent: "node", language: "en", maxTouchPoints: 0 };
+}
+
+if (typeof g.window === "undefined") {
+  const target = new EventTarget();
+  g.window = g;
+  g.addEventListener = target.addEventListener.bind(target);
+  g.removeEventListener = target.removeEventListener.bind(target);
+  g.dispatchEvent = target.dispatchEvent.bind(target);
+}
+
+if (typeof g.CustomEvent === "undefined") {
+  g.CustomEvent = class CustomEvent extends Event {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.detail = init.detail ?? null;
+    }
+  };
+}
+
+if (typeof g.document === "undefined") {
+  g.document = {
+    visibilityState: "visible",
+    head: stubElement(),
+    body: stubElement(),
+    createElement: () => stubElement(),
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {},
+    removeEventListener() {},
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Node module hooks for running game modules outside the browser (tools/sim, tests).
+ *
+ * - "three" (the index.html import map entry) resolves to the same unpkg URL the game uses.
+ * - https://unpkg.com/three@<version>/... imports load from BUL_THREE_DIR (a local copy of the
+ *   three package root) when set, otherwise they are fetched once and cached in the OS temp dir.
+ * - Relative imports inside those remote modules resolve against their URL.
+ * - Files inside this repository are always ES modules (there is no package.json "type" field).
+ */
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const THREE_URL = "https://unpkg.com/three@0.160.0/build/three.module.js";
+const THREE_PREFIX = /^https:\/\/unpkg\.com\/three@[^/]+\//;
+const REPO_URL = new URL("../../", import.meta.url).href;
+const CACHE_DIR = join(tmpdir(), "bul-game-modules");
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === "three") return { url: THREE_URL, shortCircuit: true };
+  if (/^https?:\/\//.test(specifier)) return { url: specifier, shortCircuit: true };
+  const parent = context.parentURL || "";
+  if (/^https?:\/\//.test(parent) && /^\.{1,2}\//.test(specifier)) {
+    return { url: new URL(specifier, parent).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (/^https?:\/\//.test(url)) {
+    return { format: "module", source: await loadRemote(url), shortCircuit: true };
+  }
+  if (url.startsWith(REPO_URL) && url.endsWith(".js")) {
+    const res = await nextLoad(url, { ...context, format: "module" });
+    return { ...res, format: "module" };
+  }
+  return nextLoad(url, context);
+}
+
+async function loadRemote(url) {
+  const localDir = process.env.BUL_THREE_DIR;
+  if (localDir && THREE_PREFIX.test(url)) {
+    const file = join(localDir, url.replace(THREE_PREFIX, ""));
+    if (existsSync(file)) return readFile(file, "utf8");
+  }
+  const cached = join(CACHE_DIR, url.replace(/^https?:\/\//, "").replace(/[^a-zA-Z0-9._-]+/g, "_"));
+  if (existsSync(cached)) return readFile(cached, "utf8");
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`[loader] ${res.status} fetching ${url} (set BUL_THREE_DIR to use a local three package)`);
+  const source = await res.text();
+  try {
+    await mkdir(CACHE_DIR, { recursive: true });
+    await writeFile(cached, source);
+  } catch (_) {}
+  return source;
+}
@@ -0,0 +1,4 @@
+// Usage: node --import ./tools/node/register.mjs <script>
+import { register } from "node:module";
+
+register("./loader.mjs", import.meta.url);
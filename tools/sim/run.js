@@ -0,0 +1,148 @@
+/**
+ * Combat balance simulator (command line).
+ *
+ *   node --import ./tools/node/register.mjs tools/sim/run.js [options]
+ *
+ * Options:
+ *   --report dps,ttk,mana   reports to run (default: all)
+ *   --seconds N             simulated seconds per DPS run (default 30; mana report uses 4x)
+ *   --level N               hero level for DPS (default 10); also forces the TTK level (default: map entry level)
+ *   --levels 1,10,20        hero levels for the mana report
+ *   --maps 1,2,3,4,5        map indices for the TTK report
+ *   --samples N             enemies rolled per tier per map (default 5)
+ *   --skills id,id          limit the DPS report to these skill ids ("basic" = basic attack)
+ *   --loadout id,id,id,id   Q/W/E/R loadout for TTK and mana (default: DEFAULT_LOADOUT)
+ *   --rank N                skill rank for every skill (default 1; clamped to each skill's max rank)
+ *   --seed TEXT             simulation seed (default "sim")
+ *   --json                  print JSON instead of tables
+ *   --out FILE              also write the JSON report to FILE (e.g. a baseline)
+ *   --baseline FILE         compare against a saved report; exit 1 when a metric drifts
+ *   --tolerance P           allowed relative drift for --baseline (default 0.05 = 5%)
+ */
+import { readFileSync, writeFileSync } from "node:fs";
+import { DEFAULT_LOADOUT } from "../../src/skills_pool.js";
+import { skillDps, timeToKill, manaSustain } from "./scenarios.js";
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      out[key] = true;
+    } else {
+      out[key] = next;
+      i++;
+    }
+  }
+  return out;
+}
+
+const list = (v) => (typeof v === "string" ? v.split(",").map((s) => s.trim()).filter(Boolean) : null);
+const ints = (v) => (list(v) || []).map((s) => parseInt(s, 10)).filter(Number.isFinite);
+const num = (v, def) => (Number.isFinite(parseFloat(v)) ? parseFloat(v) : def);
+
+function formatTable(title, rows) {
+  if (!rows.length) return `${title}\n  (no rows)\n`;
+  const cols = Object.keys(rows[0]);
+  const cell = (v) => (v === null || v === undefined ? "-" : String(v));
+  const widths = cols.map((c) => Math.max(c.length, ...rows.map((r) => cell(r[c]).length)));
+  const line = (vals) => "  " + vals.map((v, i) => (typeof v === "number" ? cell(v).padStart(widths[i]) : cell(v).padEnd(widths[i]))).join("  ");
+  return [title, line(cols), "  " + widths.map((w) => "-".repeat(w)).join("  "), ...rows.map((r) => line(cols.map((c) => r[c])))].join("\n") + "\n";
+}
+
+// Row identity per report, used to match rows against a baseline
+const ROW_KEYS = {
+  dps: (r) => r.skill,
+  ttk: (r) => `map${r.map}/${r.tier}`,
+  mana: (r) => `lv${r.level}`,
+};
+
+function compare(report, baseline, tolerance) {
+  const drifts = [];
+  for (const [name, rows] of Object.entries(report.reports)) {
+    const base = baseline.reports && baseline.reports[name];
+    if (!Array.isArray(base)) continue;
+    const keyOf = ROW_KEYS[name];
+    const byKey = new Map(base.map((r) => [keyOf(r), r]));
+    for (const row of rows) {
+      const prev = byKey.get(keyOf(row));
+      if (!prev) continue;
+      for (const [col, v] of Object.entries(row)) {
+        const p = prev[col];
+        if (typeof v !== "number" || typeof p !== "number") continue;
+        const rel = Math.abs(v - p) / Math.max(1e-9, Math.abs(p));
+        if ((p === 0 && v !== 0) || rel > tolerance) {
+          drifts.push({ report: name, row: keyOf(row), metric: col, baseline: p, current: v, change: p === 0 ? "new" : `${v > p ? "+" : "-"}${Math.round(rel * 1000) / 10}%` });
+        }
+      }
+    }
+  }
+  return drifts;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const which = new Set(list(args.report) || ["dps", "ttk", "mana"]);
+const seed = typeof args.seed === "string" ? args.seed : "sim";
+const seconds = num(args.seconds, 30);
+const loadout = list(args.loadout) || DEFAULT_LOADOUT;
+const rank = num(args.rank, 1);
+
+const report = {
+  seed,
+  loadout,
+  rank,
+  reports: {},
+};
+
+if (which.has("dps")) {
+  report.reports.dps = skillDps({ seconds, level: num(args.level, 10), skills: list(args.skills), seed, rank });
+}
+if (which.has("ttk")) {
+  report.reports.ttk = timeToKill({
+    maps: ints(args.maps).length ? ints(args.maps) : undefined,
+    samples: num(args.samples, 5),
+    level: args.level ? num(args.level, null) : null,
+    loadout,
+    seed,
+    rank,
+  });
+}
+if (which.has("mana")) {
+  report.reports.mana = manaSustain({
+    seconds: seconds * 4,
+    levels: ints(args.levels).length ? ints(args.levels) : undefined,
+    loadout,
+    seed,
+    rank,
+  });
+}
+
+if (args.json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  const titles = {
+    dps: "Skill DPS (dummies, infinite mana; dps1 = single target, dpsPack = 5-target pack)",
+    ttk: "Time to kill (seconds; loadout rotation + basic attack; survived = not killed within the cap)",
+    mana: "Mana sustainability (loadout rotation on cooldown vs 5 dummies; per second values)",
+  };
+  console.log(`seed=${seed} loadout=${loadout.join(",")} rank=${rank}\n`);
+  for (const [name, rows] of Object.entries(report.reports)) console.log(formatTable(titles[name], rows));
+}
+
+if (typeof args.out === "string") {
+  writeFileSync(args.out, JSON.stringify(report, null, 2) + "\n");
+}
+
+if (typeof args.baseline === "string") {
+  const baseline = JSON.parse(readFileSync(args.baseline, "utf8"));
+  const drifts = compare(report, baseline, num(args.tolerance, 0.05));
+  if (drifts.length) {
+    console.error(formatTable(`Drift vs ${args.baseline} (${drifts.length})`, drifts));
+    process.exitCode = 1;
+  } else {
+    console.error(`No drift vs ${args.baseline}`);
+  }
+}
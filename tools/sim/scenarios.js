@@ -0,0 +1,147 @@
+/**
+ * Scripted fights for balance reports. Each function returns plain rows (numbers rounded for
+ * stable JSON) so run.js can print them as tables or diff them against a saved baseline.
+ *
+ * - skillDps: every SKILL_POOL entry cast on cooldown against training dummies (infinite mana)
+ * - timeToKill: the loadout rotation plus basic attacks against one rolled enemy per tier per map
+ * - manaSustain: the loadout rotation against a dummy pack with real mana and regen
+ */
+import { SKILL_POOL, DEFAULT_LOADOUT } from "../../src/skills_pool.js";
+import { ENEMY_TIERS } from "../../src/enemies_pool.js";
+import { createSimulation, describeMap, SLOT_KEYS } from "./sim.js";
+
+const round = (v, d = 2) => (Number.isFinite(v) ? Math.round(v * 10 ** d) / 10 ** d : v);
+
+// One dummy 8m in front of the hero, the rest on a 2.5m ring around it
+function spawnPack(sim, count) {
+  const list = [sim.spawnDummy({ distance: 8 })];
+  for (let i = 1; i < count; i++) {
+    const a = (i / Math.max(1, count - 1)) * Math.PI * 2;
+    const x = Math.sin(a) * 2.5;
+    const z = 8 + Math.cos(a) * 2.5;
+    list.push(sim.spawnDummy({ distance: Math.hypot(x, z), angle: Math.atan2(x, z) }));
+  }
+  return list;
+}
+
+/**
+ * Damage per second of each skill (and the basic attack) on one target and on a pack.
+ * The skill sits in slot E (Static Field ticks read SKILLS.E) and mana is refilled every step,
+ * so the numbers are raw output; manaPerSec is what casting on cooldown costs.
+ * @param {{seconds?: number, level?: number, pack?: number, skills?: string[], seed?: string, rank?: number}} [o]
+ */
+export function skillDps({ seconds = 30, level = 10, pack = 5, skills = null, seed = "sim", rank = 1 } = {}) {
+  const ids = skills && skills.length ? skills : ["basic", ...SKILL_POOL.map((s) => s.id)];
+  const rows = [];
+  for (const id of ids) {
+    const type = id === "basic" ? "basic" : (SKILL_POOL.find((s) => s.id === id) || {}).type;
+    const row = { skill: id, type, dps1: 0, dpsPack: 0, casts: 0, manaPerSec: 0 };
+    for (const [col, count] of [["dps1", 1], ["dpsPack", pack]]) {
+      const sim = createSimulation({ seed, level, rank });
+      if (id !== "basic") sim.assignSkill("E", id);
+      const targets = spawnPack(sim, count);
+      let casts = 0;
+      const elapsed = sim.run(seconds, () => {
+        sim.player.mp = sim.player.maxMP;
+        if (id === "basic") {
+          if (sim.skills.tryBasicAttack(sim.player, targets[0])) casts++;
+        } else {
+          casts += sim.castReady(["E"], targets[0]).cast.length;
+        }
+      });
+      row[col] = round(sim.damageDealt(targets) / elapsed, 1);
+      if (count === 1) {
+        row.casts = casts;
+        row.manaPerSec = round(sim.mana.spent / elapsed, 2);
+      }
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Seconds to kill one enemy of each spawnable tier on each map, at the map's entry level
+ * (or `level` when given), using the loadout rotation plus basic attacks from full mana.
+ * Enemies are rolled from the act roster with map modifiers, like live spawns.
+ * @param {{maps?: number[], samples?: number, cap?: number, level?: number|null, loadout?: string[], seed?: string, rank?: number}} [o]
+ */
+export function timeToKill({ maps = [1, 2, 3, 4, 5], samples = 5, cap = 60, level = null, loadout = DEFAULT_LOADOUT, seed = "sim", rank = 1 } = {}) {
+  const tiers = ENEMY_TIERS.filter((t) => (t.weight || 0) > 0).map((t) => t.id);
+  const rows = [];
+  for (const mapIndex of maps) {
+    const heroLevel = level || describeMap(mapIndex).requiredLevel;
+    const sim = createSimulation({ seed, level: heroLevel, mapIndex, loadout, rank });
+    for (const tier of tiers) {
+      const times = [];
+      let hp = 0;
+      let survived = 0;
+      for (let i = 0; i < samples; i++) {
+        sim.reset();
+        const en = sim.spawnEnemy({ tier, distance: 8 });
+        hp += en.maxHP;
+        let killedAt = null;
+        sim.run(cap, (elapsed) => {
+          if (!en.alive) {
+            killedAt = elapsed;
+            return true;
+          }
+          sim.castReady(SLOT_KEYS, en);
+          sim.skills.tryBasicAttack(sim.player, en);
+          return false;
+        });
+        if (killedAt === null) survived++;
+        times.push(killedAt === null ? cap : killedAt);
+      }
+      rows.push({
+        map: mapIndex,
+        level: heroLevel,
+        tier,
+        avgHP: Math.round(hp / samples),
+        ttkAvg: round(times.reduce((a, b) => a + b, 0) / samples),
+        ttkMin: round(Math.min(...times)),
+        ttkMax: round(Math.max(...times)),
+        survived,
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Mana flow of the loadout rotation cast on cooldown against a dummy pack with real mana and regen.
+ * oomAt is the first simulated second a cast was refused for mana (null = never ran dry);
+ * starvedPct is the share of time at least one ready slot could not be afforded.
+ * @param {{seconds?: number, levels?: number[], pack?: number, loadout?: string[], seed?: string, rank?: number}} [o]
+ */
+export function manaSustain({ seconds = 120, levels = [1, 10, 20], pack = 5, loadout = DEFAULT_LOADOUT, seed = "sim", rank = 1 } = {}) {
+  const rows = [];
+  for (const level of levels) {
+    const sim = createSimulation({ seed, level, loadout, rank });
+    const targets = spawnPack(sim, pack);
+    let casts = 0;
+    let starved = 0;
+    let oomAt = null;
+    const elapsed = sim.run(seconds, (t) => {
+      const r = sim.castReady(SLOT_KEYS, targets[0]);
+      casts += r.cast.length;
+      if (r.manaBlocked.length) {
+        starved += sim.dt;
+        if (oomAt === null) oomAt = round(t, 1);
+      }
+      sim.skills.tryBasicAttack(sim.player, targets[0]);
+    });
+    rows.push({
+      level,
+      maxMP: sim.player.maxMP,
+      spentPerSec: round(sim.mana.spent / elapsed),
+      regenPerSec: round(sim.mana.regen / elapsed),
+      netPerSec: round((sim.mana.regen - sim.mana.spent) / elapsed),
+      oomAt,
+      casts,
+      starvedPct: round((starved / elapsed) * 100, 1),
+      dps: round(sim.damageDealt(targets) / elapsed, 1),
+    });
+  }
+  return rows;
+}
@@ -0,0 +1,234 @@
+/**
+ * Headless combat simulation — Player, Enemy and SkillsSystem without a DOM or WebGL renderer.
+ *
+ * - Time: a virtual clock drives utils.now() (setNowSource), so N simulated seconds run as fast as
+ *   the CPU allows and cooldowns/durations behave exactly as in game.
+ * - Render/audio: EffectsManager is replaced by createStubEffects() (tools/sim/stubs.js) and the
+ *   audio singleton is disabled. Meshes are still built (three.js objects work without a renderer).
+ * - Determinism: the rng service (src/rng.js) is re-seeded per simulation and Math.random is replaced
+ *   with a seeded generator, so storm/clone target picks repeat across runs with the same seed.
+ * - Enemies do not move or fight back: fights measure the hero's output (damage, kill speed, mana).
+ *
+ * Scenarios (skill DPS, time-to-kill, mana sustainability) live in tools/sim/scenarios.js.
+ */
+import "../node/env.js";
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { SKILLS } from "../../src/constants.js";
+import { setNowSource, createSeededRNG, hashStringToInt } from "../../src/utils.js";
+import { SKILL_POOL, DEFAULT_LOADOUT } from "../../src/skills_pool.js";
+import { Player, Enemy } from "../../src/entities.js";
+import { SkillsSystem } from "../../src/skills.js";
+import { audio } from "../../src/audio.js";
+import { listArchetypesForAct } from "../../src/enemies_pool.js";
+import { createMapManager } from "../../src/maps.js";
+import { saveSection } from "../../src/save.js";
+import { setSessionSeed, setRngMapIndex, rngStream } from "../../src/rng.js";
+import { getItemBonuses } from "../../src/inventory.js";
+import { clearStatuses, tickStatuses } from "../../src/status_effects.js";
+import { applySkillRank } from "../../src/skill_ranks.js";
+import { applySkillUplifts, getHeroUplift } from "../../src/uplift.js";
+import { createStubEffects } from "./stubs.js";
+
+export const SLOT_KEYS = ["Q", "W", "E", "R"];
+
+// Skill types that reposition the hero; rotations skip them so the hero stays on its mark
+const MOVEMENT_TYPES = new Set(["blink", "dash"]);
+
+const SKILL_BY_ID = new Map(SKILL_POOL.map((s) => [s.id, s]));
+
+try { audio.setEnabled(false); } catch (_) {}
+
+export function getSkillDef(id) {
+  return SKILL_BY_ID.get(id) || null;
+}
+
+/**
+ * Map modifiers, act and entry level for a map index, read through the real map manager.
+ * @param {number} mapIndex
+ */
+export function describeMap(mapIndex) {
+  const idx = Math.max(1, Math.floor(mapIndex || 1));
+  saveSection("maps", { currentIndex: idx, unlockedMax: idx, bossesDefeated: [] });
+  const mm = createMapManager();
+  return {
+    index: idx,
+    act: mm.getActIndex(),
+    requiredLevel: mm.requiredLevelFor(idx),
+    mods: mm.getModifiers(),
+  };
+}
+
+/**
+ * Create an isolated fight: a hero at the origin facing +Z, an empty enemy list and a SkillsSystem.
+ * @param {{seed?: string, level?: number, mapIndex?: number, loadout?: string[], rank?: number, dt?: number}} [opts]
+ *  - rank: skill rank applied to every assigned skill (src/skill_ranks.js; clamped to each skill's max)
+ */
+export function createSimulation({ seed = "sim", level = 1, mapIndex = 1, loadout = DEFAULT_LOADOUT, rank = 1, dt = 1 / 30 } = {}) {
+  let t = 1000; // start away from 0 so "ready at 0" cooldowns are ready immediately
+  setNowSource(() => t);
+  Math.random = createSeededRNG(hashStringToInt(`${seed}|cosmetic`));
+  setSessionSeed(seed);
+  setRngMapIndex(mapIndex);
+
+  const map = describeMap(mapIndex);
+  const player = new Player();
+  player.setLevel(level);
+  const enemies = [];
+  const effects = createStubEffects();
+  const skills = new SkillsSystem(player, enemies, effects, null);
+  // Casts happen only when castReady says so: no buffered presses, no walking into range
+  skills.setCastPrefs({ buffer: 0, castInRange: false });
+  const origin = new THREE.Vector3(0, 0, 0);
+
+  // Mana accounting: every spend goes through Player.spend
+  const mana = { spent: 0, regen: 0 };
+  const spend = player.spend.bind(player);
+  player.spend = (amount) => {
+    const before = player.mp;
+    spend(amount);
+    mana.spent += before - player.mp;
+  };
+
+  setLoadout(loadout);
+
+  /** Assign skill ids to Q/W/E/R with rank and saved uplift picks (mutates SKILLS like applyLoadoutToSKILLS in main.js). */
+  function setLoadout(ids) {
+    for (let i = 0; i < SLOT_KEYS.length; i++) {
+      const def = getSkillDef(ids && ids[i]);
+      if (def) SKILLS[SLOT_KEYS[i]] = applySkillUplifts(applySkillRank(def, rank));
+    }
+  }
+
+  function assignSkill(key, id) {
+    const def = getSkillDef(id);
+    if (!def) throw new Error(`Unknown skill id: ${id}`);
+    SKILLS[key] = applySkillUplifts(applySkillRank(def, rank));
+  }
+
+  /**
+   * Spawn an enemy rolled like the live game (act roster, tier roll, level scaling, map modifiers).
+   * @param {{tier?: string, archetype?: string, distance?: number, angle?: number}} [o]
+   */
+  function spawnEnemy({ tier, archetype, distance = 8, angle = 0 } = {}) {
+    const pos = new THREE.Vector3(Math.sin(angle) * distance, 0, Math.cos(angle) * distance);
+    const en = new Enemy(pos, player.level, { actIndex: map.act, tier, archetype, rand: rngStream("enemy") });
+    const m = map.mods;
+    en.maxHP = Math.max(1, Math.floor(en.maxHP * (m.enemyHpMul || 1)));
+    en.hp = en.maxHP;
+    en.attackDamage = Math.max(1, Math.floor(en.attackDamage * (m.enemyDmgMul || 1)));
+    en.speed = Math.max(0.1, en.speed * (m.enemySpeedMul || 1));
+    enemies.push(en);
+    return en;
+  }
+
+  /** Unkillable, unshielded target for damage measurement. */
+  function spawnDummy({ distance = 8, angle = 0 } = {}) {
+    const plain = listArchetypesForAct(map.act).find((a) => !a.behavior);
+    const en = spawnEnemy({ tier: "normal", archetype: plain && plain.id, distance, angle });
+    en.maxHP = en.hp = 1e9;
+    en.shieldMax = en.shieldHP = 0;
+    return en;
+  }
+
+  /** Total damage taken by a set of enemies (HP plus absorbed shield). */
+  function damageDealt(list = enemies) {
+    return list.reduce((sum, en) => sum + (en.maxHP - en.hp) + (en.shieldMax - en.shieldHP), 0);
+  }
+
+  /** Clear enemies, lingering skill effects, cooldowns and resources between scripted fights. */
+  function reset() {
+    enemies.length = 0;
+    skills.storms.length = 0;
+    skills.clones.length = 0;
+    skills.totems.length = 0;
+    skills.holding = null;
+    skills.projectiles.clear();
+    skills.cancelQueuedCast();
+    skills.damageBuffUntil = 0;
+    for (const k of Object.keys(skills.cooldowns)) skills.cooldowns[k] = 0;
+    player.staticField.active = false;
+    player.staticField.until = 0;
+    player.nextBasicReady = 0;
+    clearStatuses(player);
+    player.hp = player.maxHP;
+    player.mp = player.maxMP;
+    player.mesh.position.copy(origin);
+    mana.spent = 0;
+    mana.regen = 0;
+  }
+
+  /**
+   * Cast every ready slot in `keys` at `target` (ground point for aoe/blink), like holding the keys.
+   * Auras are not re-cast while active (a second cast toggles them off); movement skills are skipped.
+   * Charge/channel skills are never released: a charge fires at full after its overhold, a channel runs its duration.
+   * @returns {{cast: string[], manaBlocked: string[]}}
+   */
+  function castReady(keys, target) {
+    const cast = [];
+    const manaBlocked = [];
+    for (const key of keys) {
+      const SK = SKILLS[key];
+      if (!SK || MOVEMENT_TYPES.has(SK.type) || skills.isOnCooldown(key) || skills.isHolding(key)) continue;
+      if (SK.type === "aura" && player.staticField.active) continue;
+      const before = skills.cooldowns[key];
+      skills.castSkill(key, target ? target.pos().clone() : null);
+      if (skills.cooldowns[key] !== before || skills.isHolding(key)) {
+        cast.push(key);
+      } else {
+        const cost = SK.type === "aura" ? (SK.manaPerTick || 0) * 2 : SK.mana || 0;
+        if (cost > 0 && !player.canSpend(cost)) manaBlocked.push(key);
+      }
+    }
+    return { cast, manaBlocked };
+  }
+
+  /** Advance one fixed step: regen and status ticks (as in the main loop), then skill ticks (storms, aura, totems, clones). */
+  function step() {
+    t += dt;
+    const mp = player.mp;
+    const itemBonus = getItemBonuses();
+    const heroUp = getHeroUplift();
+    player.hp = Math.min(player.maxHP, player.hp + player.hpRegen * itemBonus.hpRegenMul * heroUp.hpRegenMul * dt);
+    player.mp = Math.min(player.maxMP, player.mp + player.mpRegen * itemBonus.mpRegenMul * heroUp.mpRegenMul * dt);
+    mana.regen += player.mp - mp;
+    tickStatuses(player);
+    for (const en of enemies) tickStatuses(en);
+    skills.update(t, dt, null);
+    // Keep the hero on its mark (knockbacks/blinks never move the measuring point)
+    player.mesh.position.copy(origin);
+  }
+
+  /**
+   * Run for `seconds` of simulated time, calling onTick(elapsed) before each step; stop early when
+   * onTick returns true.
+   * @returns {number} simulated seconds elapsed
+   */
+  function run(seconds, onTick) {
+    const start = t;
+    const steps = Math.ceil(seconds / dt);
+    for (let i = 0; i < steps; i++) {
+      if (onTick && onTick(t - start) === true) break;
+      step();
+    }
+    return t - start;
+  }
+
+  return {
+    player,
+    enemies,
+    skills,
+    map,
+    mana,
+    dt,
+    now: () => t,
+    setLoadout,
+    assignSkill,
+    spawnEnemy,
+    spawnDummy,
+    damageDealt,
+    reset,
+    castReady,
+    step,
+    run,
+  };
+}
@@ -0,0 +1,24 @@
+/**
+ * Headless stand-ins for render-side systems used by SkillsSystem.
+ *
+ * createStubEffects() mimics the EffectsManager surface: every spawn/show/flash helper is a no-op,
+ * `indicators` accepts meshes and `queue` accepts entries but keeps none (there are no frames to
+ * animate), so skills that push persistent rings (aura, storm, clone) run unchanged. Unknown members
+ * resolve to a no-op too, so new VFX helpers never break the simulator.
+ */
+export function createStubEffects() {
+  const noop = () => {};
+  const base = {
+    queue: Object.assign([], { push: () => 0 }),
+    indicators: { add: noop, remove: noop, children: [] },
+    transient: { add: noop, remove: noop, children: [] },
+    update: noop,
+  };
+  return new Proxy(base, {
+    get(target, prop) {
+      if (prop in target) return target[prop];
+      if (typeof prop === "symbol") return undefined;
+      return noop;
+    },
+  });
+}